@@ -7,16 +7,258 @@
 
 import chalk from 'chalk';
 import 'dotenv/config';
+import yaml from 'yaml';
 import { LangChainComicAgent } from '../src/core/langchain-agent.js';
+import { createExportTool } from '../src/core/exports.js';
+import { ComicPipeline } from '../src/core/pipeline.js';
+import { ComposeCoverLangChainTool } from '../src/tools/compose-cover-langchain.js';
+import { MAX_GRID_PANELS, generateGridLayout } from '../src/utils/gridLayout.js';
+import { DEFAULT_MIN_GUTTER, formatLayoutIssue, validateLayouts } from '../src/utils/layoutValidator.js';
+import { LAYOUTS_PATH, readLayoutsFile } from '../src/utils/layouts.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
 
 // Handle commands or default to interactive mode
 const args = process.argv.slice(2);
+const projectStore = new ProjectStore();
 
-if (args.length === 0) {
-  // Interactive mode
-  const agent = new LangChainComicAgent();
-  agent.initialize()
-    .then(() => agent.startInteractive())
+// Extract --project <id> so it can be combined with any command
+let projectId = null;
+const projectFlag = args.indexOf('--project');
+if (projectFlag !== -1) {
+  projectId = args[projectFlag + 1];
+  args.splice(projectFlag, 2);
+}
+
+// Extract --max-steps <n> (model turns per message)
+let maxSteps = null;
+const maxStepsFlag = args.indexOf('--max-steps');
+if (maxStepsFlag !== -1) {
+  maxSteps = Number(args[maxStepsFlag + 1]) || null;
+  args.splice(maxStepsFlag, 2);
+}
+
+/**
+ * Create an agent, opened on the requested project if any
+ */
+async function createAgent(id) {
+  const project = id ? await projectStore.open(id) : null;
+  return new LangChainComicAgent({ project, maxSteps });
+}
+
+/**
+ * Handle `projects [list|create|duplicate|delete]`
+ */
+async function runProjectsCommand(subcommand = 'list', rest = []) {
+  if (subcommand === 'list') {
+    const projects = await projectStore.list();
+    if (projects.length === 0) {
+      console.log(chalk.gray('No projects yet. Create one with: langchain-agent projects create <name>'));
+      return;
+    }
+    projects.forEach(p => {
+      console.log(`${chalk.cyan(p.id)}  ${p.name}  ${chalk.gray(p.updatedAt)}`);
+    });
+  } else if (subcommand === 'create') {
+    const project = await projectStore.create(rest.join(' ') || undefined);
+    console.log(chalk.green(`Open it with: langchain-agent open ${project.id}`));
+  } else if (subcommand === 'duplicate') {
+    if (!rest[0]) throw new Error('Please provide the project ID to duplicate');
+    await projectStore.duplicate(rest[0], rest.slice(1).join(' ') || null);
+  } else if (subcommand === 'delete') {
+    if (!rest[0]) throw new Error('Please provide the project ID to delete');
+    await projectStore.delete(rest[0]);
+  } else {
+    throw new Error(`Unknown projects command: ${subcommand}`);
+  }
+}
+
+/**
+ * Handle `pipeline [prompt] [--genre g] [--tone t] [--pages n] [--panels n] [--cast n] [--webtoon] [--placement strategy] [--from stage] [--to stage] [--resume]`
+ */
+async function runPipelineCommand(rest = []) {
+  const options = {};
+  const promptParts = [];
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--resume') options.resume = true;
+    else if (arg === '--genre') options.genre = rest[++i];
+    else if (arg === '--tone') options.tone = rest[++i];
+    else if (arg === '--pages') options.pageCount = Number(rest[++i]);
+    else if (arg === '--panels') options.panelCount = Number(rest[++i]);
+    else if (arg === '--layout') options.layout = rest[++i];
+    else if (arg === '--cast') options.castSize = Number(rest[++i]);
+    else if (arg === '--webtoon') options.composeMode = 'webtoon';
+    else if (arg === '--placement') options.placementStrategy = rest[++i];
+    else if (arg === '--from') options.from = rest[++i];
+    else if (arg === '--to') options.to = rest[++i];
+    else if (arg === '--image-provider') options.imageProvider = rest[++i];
+    else promptParts.push(arg);
+  }
+  options.prompt = promptParts.join(' ');
+
+  const project = projectId ? await projectStore.open(projectId) : null;
+  const pipeline = new ComicPipeline({ project, imageProvider: options.imageProvider });
+  const result = await pipeline.run(options);
+  if (projectId) {
+    await projectStore.touch(projectId);
+  }
+
+  result.stages.forEach(stage => {
+    const status = stage.status === 'completed' ? chalk.green('✓') : chalk.red(`✗ ${stage.error}`);
+    console.log(`  ${stage.stage.padEnd(10)} ${status} ${chalk.gray(`${stage.durationMs}ms`)}`);
+  });
+  result.pageUrls.forEach((url, i) => console.log(chalk.magenta(`  📖 Page ${i + 1}: ${url}`)));
+  return result;
+}
+
+/**
+ * Handle `export pdf|cbz [--trim a4|us-comic] [--bleed mm] [--dpi n] [--no-crop-marks] [--title t] [--author a]...`
+ */
+async function runExportCommand(format, rest = []) {
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--trim') options.trimSize = rest[++i];
+    else if (arg === '--bleed') options.bleedMm = Number(rest[++i]);
+    else if (arg === '--dpi') options.dpi = Number(rest[++i]);
+    else if (arg === '--no-crop-marks') options.cropMarks = false;
+    else if (arg === '--title') options.title = rest[++i];
+    else if (arg === '--author') options.authors = [...(options.authors || []), rest[++i]];
+  }
+
+  const project = projectId ? await projectStore.open(projectId) : null;
+  const tool = createExportTool(format || 'pdf', { project });
+  const result = JSON.parse(await tool.execute(options));
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  (result.warnings || []).forEach(warning => console.log(chalk.yellow(`  ⚠️  ${warning}`)));
+  console.log(chalk.magenta(`  📄 ${result.path}`));
+  console.log(chalk.magenta(`  🔗 ${result.url}`));
+  return result;
+}
+
+/**
+ * Handle `cover [--title t] [--subtitle s] [--issue n] [--price p] [--date d] [--credit Role:Name]... [--barcode] [--no-upload]`
+ */
+async function runCoverCommand(rest = []) {
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--title') options.title = rest[++i];
+    else if (arg === '--subtitle') options.subtitle = rest[++i];
+    else if (arg === '--issue') options.issueNumber = rest[++i];
+    else if (arg === '--price') options.price = rest[++i];
+    else if (arg === '--date') options.date = rest[++i];
+    else if (arg === '--panel') options.panelId = rest[++i];
+    else if (arg === '--barcode') options.barcode = true;
+    else if (arg === '--no-upload') options.upload = false;
+    else if (arg === '--credit') {
+      const credit = rest[++i] || '';
+      const separator = credit.indexOf(':');
+      const entry = separator === -1 ? { name: credit } : { role: credit.slice(0, separator).trim(), name: credit.slice(separator + 1).trim() };
+      options.credits = [...(options.credits || []), entry];
+    }
+  }
+
+  const project = projectId ? await projectStore.open(projectId) : null;
+  const tool = new ComposeCoverLangChainTool({ project });
+  const result = JSON.parse(await tool.execute(options));
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  console.log(chalk.magenta(`  📄 ${result.path}`));
+  console.log(chalk.magenta(`  🔗 ${result.url}`));
+  return result;
+}
+
+/**
+ * Value of the flag at rest[i]; throws when the flag is last or followed by another flag
+ */
+function flagValue(rest, i) {
+  const value = rest[i + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`${rest[i]} needs a value`);
+  }
+  return value;
+}
+
+const LAYOUTS_FLAGS = ['--file', '--min-gutter']; // Read by runLayoutsCommand for every subcommand
+
+/**
+ * Print a layout proposal for `layouts generate <count> [--weights 2,1,1] [--per-page n]`
+ * in the grid syntax of layouts.yaml
+ * @returns {Object} Layouts to validate ({ key: layout })
+ */
+function generateLayoutProposal(rest = []) {
+  const options = {};
+  let panelCount = null;
+  for (let i = 0; i < rest.length; i++) {
+    if (LAYOUTS_FLAGS.includes(rest[i])) i++;
+    else if (rest[i] === '--weights') options.weights = flagValue(rest, i++).split(',').map(Number);
+    else if (rest[i] === '--per-page') options.maxPanelsPerPage = Number(flagValue(rest, i++));
+    else if (rest[i].startsWith('--')) throw new Error(`Unknown option for layouts generate: ${rest[i]}`);
+    else if (panelCount !== null) throw new Error(`Expected one panel count, got ${panelCount} and ${rest[i]}`);
+    else panelCount = Number(rest[i]);
+  }
+  if (!Number.isInteger(panelCount) || panelCount < 1) {
+    throw new Error(`layouts generate needs a panel count, a whole number from 1 to ${MAX_GRID_PANELS} (e.g. layouts generate 7)`);
+  }
+  if (options.weights?.some(weight => !(weight > 0))) {
+    throw new Error('--weights must be positive numbers separated by commas, e.g. 2,1,1');
+  }
+  if (options.maxPanelsPerPage !== undefined && !(Number.isInteger(options.maxPanelsPerPage) && options.maxPanelsPerPage >= 1)) {
+    throw new Error('--per-page must be a whole number from 1');
+  }
+
+  const { layoutKey, layout } = generateGridLayout(panelCount, options);
+  const entry = { name: layout.name, template: layout.template, grid: layout.grid };
+  console.log(chalk.gray('# Add under `layouts:` in config/layouts.yaml'));
+  console.log(yaml.stringify({ [layoutKey]: entry }).trimEnd().replace(/^/gm, '  '));
+  console.log();
+  return { [layoutKey]: layout };
+}
+
+/**
+ * Handle `layouts validate [--file path] [--min-gutter px]` and `layouts generate <count> ...`
+ * @returns {boolean} true when no layout has errors
+ */
+function runLayoutsCommand(subcommand = 'validate', rest = []) {
+  if (!['validate', 'generate'].includes(subcommand)) {
+    throw new Error(`Unknown layouts command: ${subcommand}`);
+  }
+  let layoutsPath = LAYOUTS_PATH;
+  let minGutter = DEFAULT_MIN_GUTTER;
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--file') layoutsPath = flagValue(rest, i++);
+    else if (rest[i] === '--min-gutter') minGutter = Number(flagValue(rest, i++));
+  }
+
+  const layouts = subcommand === 'generate' ? generateLayoutProposal(rest) : readLayoutsFile(layoutsPath);
+  if (Object.keys(layouts).length === 0) {
+    throw new Error(`No layouts found in ${layoutsPath}`);
+  }
+  const { valid, issues } = validateLayouts(layouts, { minGutter });
+  for (const layoutKey of Object.keys(layouts)) {
+    const layoutIssues = issues.filter(issue => issue.layout === layoutKey);
+    console.log(layoutIssues.length === 0 ? chalk.green(`✓ ${layoutKey}`) : chalk.yellow(`• ${layoutKey}`));
+    layoutIssues.forEach(issue => {
+      const color = issue.severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`    ${issue.severity}: ${formatLayoutIssue(issue)}`));
+    });
+  }
+  return valid;
+}
+
+if (args.length === 0 || args[0] === 'open') {
+  // Interactive mode (optionally on a project: `open <id>`)
+  const id = args[0] === 'open' ? args[1] : projectId;
+  if (args[0] === 'open' && !id) {
+    console.error(chalk.red('Error: Please provide a project ID for the open command'));
+    process.exit(1);
+  }
+  createAgent(id)
+    .then(agent => agent.initialize().then(() => agent.startInteractive()))
     .catch(error => {
       console.error(chalk.red('Failed to start LangChain agent:'), error.message);
       process.exit(1);
@@ -28,14 +270,48 @@ if (args.length === 0) {
     console.error(chalk.red('Error: Please provide a prompt for the chat command'));
     process.exit(1);
   }
-  const agent = new LangChainComicAgent();
-  agent.initialize()
-    .then(() => agent.processSinglePrompt(prompt))
+  createAgent(projectId)
+    .then(agent => agent.initialize().then(() => agent.processSinglePrompt(prompt)))
     .then(() => process.exit(0))
     .catch(error => {
       console.error(chalk.red('Failed to process prompt:'), error.message);
       process.exit(1);
     });
+} else if (args[0] === 'pipeline') {
+  runPipelineCommand(args.slice(1))
+    .then(result => process.exit(result.success ? 0 : 1))
+    .catch(error => {
+      console.error(chalk.red('Pipeline failed:'), error.message);
+      process.exit(1);
+    });
+} else if (args[0] === 'export') {
+  runExportCommand(args[1], args.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(chalk.red('Export failed:'), error.message);
+      process.exit(1);
+    });
+} else if (args[0] === 'cover') {
+  runCoverCommand(args.slice(1))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(chalk.red('Cover failed:'), error.message);
+      process.exit(1);
+    });
+} else if (args[0] === 'layouts') {
+  try {
+    process.exit(runLayoutsCommand(args[1], args.slice(2)) ? 0 : 1);
+  } catch (error) {
+    console.error(chalk.red('Layout command failed:'), error.message);
+    process.exit(1);
+  }
+} else if (args[0] === 'projects') {
+  runProjectsCommand(args[1], args.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(chalk.red('Project command failed:'), error.message);
+      process.exit(1);
+    });
 } else if (args[0] === '--version' || args[0] === '-V') {
   console.log('1.0.0');
   process.exit(0);
@@ -43,10 +319,40 @@ if (args.length === 0) {
   console.log('Usage: langchain-agent [options]\n');
   console.log('AI-powered comic generation assistant using LangChain and Gemini\n');
   console.log('Options:');
-  console.log('  -V, --version  output the version number');
-  console.log('  -h, --help     display help for command');
+  console.log('  -V, --version     output the version number');
+  console.log('  -h, --help        display help for command');
+  console.log('  --project <id>    work inside a project instead of config/comic.yaml');
+  console.log('  --max-steps <n>   max model turns (tool rounds) per message (default 10)');
   console.log('\nCommands:');
-  console.log('  chat <prompt>  Send a single prompt and get a response');
+  console.log('  chat <prompt>                       Send a single prompt and get a response');
+  console.log('  open <id>                           Start an interactive session on a project');
+  console.log('  pipeline <prompt> [options]         Run panels → characters → dialogue → images → placement → compose');
+  console.log('      --genre <genre> --tone <tone> --pages <n>');
+  console.log('      --panels <n>                    Any number of panels (1-40) on a generated layout');
+  console.log('      --layout <key>                  A layouts.yaml layout, e.g. spread-story (double-page splash)');
+  console.log('      --cast <n>                      Number of characters, 1-6');
+  console.log('      --webtoon                       Compose a vertical webtoon strip instead of A4 pages');
+  console.log('      --placement <strategy>          Text placement: auto (default), vision or heuristic (offline)');
+  console.log('      --from <stage> --to <stage>     Run only part of the pipeline');
+  console.log('      --resume                        Continue after the last completed stage');
+  console.log('      --image-provider <name>         leonardo (default) or placeholder (offline)');
+  console.log('  cover [options]                     Front cover over the panel1 art (exports put it first)');
+  console.log('      --title <t> --subtitle <s>      Masthead and the line under it');
+  console.log('      --issue <n> --price <p> --date <d>');
+  console.log('      --credit "Role:Name"            Creator credit (can repeat)');
+  console.log('      --barcode --panel <id> --no-upload');
+  console.log('  export pdf [options]                Print-ready PDF of the composed pages');
+  console.log('      --trim a4|us-comic --bleed <mm> --dpi <n> --no-crop-marks');
+  console.log('      --title <title> --author <name> Document metadata (--author can repeat)');
+  console.log('  export cbz [--title t] [--author a] Comic archive with ComicInfo.xml');
+  console.log('  layouts validate [--min-gutter px] Check layouts.yaml for overlaps, off-page panels and count mismatches');
+  console.log('      --file <path>                   Validate another layouts file');
+  console.log('  layouts generate <panels>           Propose a grid layout for any number of panels (1-40)');
+  console.log('      --weights 2,1,1 --per-page <n>  Panel importance (bigger = more space), max panels per page');
+  console.log('  projects [list]                     List projects');
+  console.log('  projects create <name>              Create a new project');
+  console.log('  projects duplicate <id> [name]      Copy a project');
+  console.log('  projects delete <id>                Delete a project');
   process.exit(0);
 } else {
   console.error(chalk.red(`Unknown command: ${args[0]}`));
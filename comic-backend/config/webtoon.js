@@ -0,0 +1,11 @@
+// config/webtoon.js
+export const WEBTOON = {
+    width: 800, // Strip width in px (most platforms display 800px wide)
+    margin: 40, // Side margin for panels that are not full-bleed, and top/bottom padding
+    gutter: 60, // Space between panels of the same beat (layout page)
+    beatGutter: 240, // Space after the last panel of a beat
+    maxSegmentHeight: 1280, // Platform upload limit per image (e.g. Webtoon Canvas: 800x1280)
+    bg: "#ffffff", // White background
+    borderColor: "#000000",
+    borderWidth: 2,
+  };
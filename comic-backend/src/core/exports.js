@@ -0,0 +1,26 @@
+/**
+ * Export formats
+ * Maps a format name (CLI `export <format>`, HTTP `POST /export/<format>`) to the tool that
+ * produces it from the composed pages.
+ */
+
+import { ExportCbzLangChainTool } from '../tools/export-cbz-langchain.js';
+import { ExportPdfLangChainTool } from '../tools/export-pdf-langchain.js';
+
+export const EXPORT_TOOLS = {
+  pdf: ExportPdfLangChainTool,
+  cbz: ExportCbzLangChainTool,
+};
+
+/**
+ * Create the export tool for a format
+ * @param {string} format - 'pdf' or 'cbz'
+ * @param {Object} options - Tool options ({ project, storage, onProgress })
+ */
+export function createExportTool(format, options = {}) {
+  const Tool = EXPORT_TOOLS[String(format).toLowerCase()];
+  if (!Tool) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_TOOLS).join(', ')}`);
+  }
+  return new Tool(options);
+}
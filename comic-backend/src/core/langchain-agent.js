@@ -5,20 +5,33 @@
  * AI-powered comic generation assistant using LangChain and Gemini
  */
 
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { ToolMessage } from '@langchain/core/messages';
 import chalk from 'chalk';
 import readline from 'readline';
 import { CharacterGenerationLangChainTool } from '../tools/character-generation-langchain.js';
+import { ComposeCoverLangChainTool } from '../tools/compose-cover-langchain.js';
 import { ComposePagesLangChainTool } from '../tools/compose-pages-langchain.js';
 import { DialogueGenerationLangChainTool } from '../tools/dialogue-generation-langchain.js';
 import { DialoguePlacementVisionLangChainTool } from '../tools/dialogue-placement-vision-langchain.js';
 import { EditPanelLangChainTool } from '../tools/edit-panel-langchain.js';
+import { ExportCbzLangChainTool } from '../tools/export-cbz-langchain.js';
+import { ExportPdfLangChainTool } from '../tools/export-pdf-langchain.js';
 import { LayoutSelectionLangChainTool } from '../tools/layout-selection-langchain.js';
 import { LeonardoImageGenerationLangChainTool } from '../tools/leonardo-image-generation-langchain.js';
 import { PanelGenerationLangChainTool } from '../tools/panel-generation-langchain.js';
+import { createChatModel, getLlmSettings } from '../providers/llmProviders.js';
+import { createStorage } from '../providers/storageProviders.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+
+const DEFAULT_MAX_STEPS = 10; // Model turns per message before tools are cut off
 
 class LangChainComicAgent {
-  constructor() {
+  constructor(options = {}) {
+    this.project = options.project || null; // Project context from ProjectStore.open(); null = config/comic.yaml
+    this.imageProvider = options.imageProvider; // Image provider name or instance; IMAGE_PROVIDER env by default
+    this.storage = createStorage(options.storage); // Where images are kept; STORAGE_PROVIDER env / agent.yaml by default
+    this.maxSteps = options.maxSteps || Number(process.env.AGENT_MAX_STEPS) || DEFAULT_MAX_STEPS;
+    this.lastTrace = []; // Steps taken while answering the last message
     this.llm = null;
     this.baseModel = null;
     this.rl = null;
@@ -27,6 +40,7 @@ class LangChainComicAgent {
     this.generatedPanels = null;
     this.panelRequestInfo = null;
     this.lastLeonardoOutput = null; // Store last Leonardo tool output for compose_pages
+    this.onProgress = null; // Progress callback for the request currently being processed
     this.setupTools();
     this.setupModel();
   }
@@ -36,45 +50,60 @@ class LangChainComicAgent {
    */
   setupTools() {
     try {
-      const layoutTool = new LayoutSelectionLangChainTool();
+      const layoutTool = new LayoutSelectionLangChainTool({ project: this.project });
       this.layoutToolInstance = layoutTool;
       this.layoutTool = layoutTool.getTool();
       console.log(chalk.green('✓ Layout selection tool initialized'));
       
-      const panelTool = new PanelGenerationLangChainTool();
+      const panelTool = new PanelGenerationLangChainTool({ project: this.project });
       this.panelToolInstance = panelTool;
       this.panelTool = panelTool.getTool();
       console.log(chalk.green('✓ Panel generation tool initialized'));
       
-      const characterTool = new CharacterGenerationLangChainTool();
+      const characterTool = new CharacterGenerationLangChainTool({ project: this.project });
       this.characterToolInstance = characterTool;
       this.characterTool = characterTool.getTool();
       console.log(chalk.green('✓ Character generation tool initialized'));
       
-      const leonardoTool = new LeonardoImageGenerationLangChainTool();
+      const leonardoTool = new LeonardoImageGenerationLangChainTool({ project: this.project, imageProvider: this.imageProvider, storage: this.storage });
       this.leonardoToolInstance = leonardoTool;
       this.leonardoTool = leonardoTool.getTool();
       console.log(chalk.green('✓ Leonardo image generation tool initialized'));
       
-      const composeTool = new ComposePagesLangChainTool();
+      const composeTool = new ComposePagesLangChainTool({ project: this.project, storage: this.storage });
       this.composeToolInstance = composeTool;
       this.composeTool = composeTool.getTool();
       console.log(chalk.green('✓ Compose pages tool initialized'));
       
-      const dialogueTool = new DialogueGenerationLangChainTool();
+      const dialogueTool = new DialogueGenerationLangChainTool({ project: this.project });
       this.dialogueToolInstance = dialogueTool;
       this.dialogueTool = dialogueTool.getTool();
       console.log(chalk.green('✓ Dialogue generation tool initialized'));
       
-      const dialoguePlacementTool = new DialoguePlacementVisionLangChainTool();
+      const dialoguePlacementTool = new DialoguePlacementVisionLangChainTool({ project: this.project, storage: this.storage });
       this.dialoguePlacementToolInstance = dialoguePlacementTool;
       this.dialoguePlacementTool = dialoguePlacementTool.getTool();
       console.log(chalk.green('✓ Dialogue placement vision tool initialized'));
       
-      const editTool = new EditPanelLangChainTool();
+      const editTool = new EditPanelLangChainTool({ project: this.project });
       this.editToolInstance = editTool;
       this.editTool = editTool.getTool();
       console.log(chalk.green('✓ Edit panel tool initialized'));
+
+      const exportPdfTool = new ExportPdfLangChainTool({ project: this.project, storage: this.storage });
+      this.exportPdfToolInstance = exportPdfTool;
+      this.exportPdfTool = exportPdfTool.getTool();
+      console.log(chalk.green('✓ Export PDF tool initialized'));
+
+      const coverTool = new ComposeCoverLangChainTool({ project: this.project, storage: this.storage });
+      this.coverToolInstance = coverTool;
+      this.coverTool = coverTool.getTool();
+      console.log(chalk.green('✓ Compose cover tool initialized'));
+
+      const exportCbzTool = new ExportCbzLangChainTool({ project: this.project, storage: this.storage });
+      this.exportCbzToolInstance = exportCbzTool;
+      this.exportCbzTool = exportCbzTool.getTool();
+      console.log(chalk.green('✓ Export CBZ tool initialized'));
     } catch (error) {
       console.error(chalk.red('Failed to initialize tools:'), error.message);
       throw error;
@@ -82,22 +111,69 @@ class LangChainComicAgent {
   }
 
   /**
-   * Setup the Gemini model
+   * Switch every tool to another project workspace.
+   * Conversation state belongs to the previous project, so it is cleared.
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || null;
+    [
+      this.layoutToolInstance,
+      this.panelToolInstance,
+      this.characterToolInstance,
+      this.leonardoToolInstance,
+      this.composeToolInstance,
+      this.dialogueToolInstance,
+      this.dialoguePlacementToolInstance,
+      this.editToolInstance,
+      this.coverToolInstance,
+      this.exportPdfToolInstance,
+      this.exportCbzToolInstance,
+    ].forEach(tool => tool.setProject(this.project));
+
+    this.conversationHistory = [];
+    this.selectedLayout = null;
+    this.generatedPanels = null;
+    this.panelRequestInfo = null;
+    this.lastLeonardoOutput = null;
+    this.panelUrls = null;
+    this.pageUrls = null;
+
+    if (this.project) {
+      console.log(chalk.green(`✓ Opened project ${this.project.id} (${this.project.name})`));
+    }
+  }
+
+  /**
+   * Forward a progress callback to the tools that report progress
+   * @param {Function|null} onProgress - Progress callback (see utils/progress.js)
+   */
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
+    [
+      this.leonardoToolInstance,
+      this.composeToolInstance,
+      this.dialoguePlacementToolInstance,
+      this.coverToolInstance,
+      this.exportPdfToolInstance,
+      this.exportCbzToolInstance,
+    ].forEach(tool => tool.setProgressHandler(this.onProgress));
+  }
+
+  /**
+   * Setup the chat model (llm.agent in config/agent.yaml)
    */
   setupModel() {
     try {
-      this.baseModel = new ChatGoogleGenerativeAI({
-        model: 'gemini-2.5-flash-lite',
-        apiKey: process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY,
-        temperature: 0.7,
-      });
+      this.llmSettings = getLlmSettings('agent');
+      this.baseModel = createChatModel('agent');
       
-      // Bind tools to the model (panels first, then characters, then layout, then leonardo, then dialogue, then dialogue placement, then edit, then compose)
-      this.llm = this.baseModel.bindTools([this.panelTool, this.characterTool, this.layoutTool, this.leonardoTool, this.dialogueTool, this.dialoguePlacementTool, this.editTool, this.composeTool]);
+      // Bind tools to the model (panels first, then characters, then layout, then leonardo, then dialogue, then dialogue placement, then edit, then compose, then export)
+      this.llm = this.baseModel.bindTools([this.panelTool, this.characterTool, this.layoutTool, this.leonardoTool, this.dialogueTool, this.dialoguePlacementTool, this.editTool, this.composeTool, this.coverTool, this.exportPdfTool, this.exportCbzTool]);
       
-      console.log(chalk.green('✓ Gemini model initialized successfully'));
+      console.log(chalk.green(`✓ ${this.llmSettings.provider} model ${this.llmSettings.model} initialized successfully`));
     } catch (error) {
-      console.error(chalk.red('Failed to initialize Gemini model:'), error.message);
+      console.error(chalk.red('Failed to initialize chat model:'), error.message);
       throw error;
     }
   }
@@ -114,7 +190,7 @@ class LangChainComicAgent {
       // Display welcome message
       console.log(chalk.cyan.bold('═'.repeat(60)));
       console.log(chalk.cyan.bold('  🎨 Comic Assistant CLI'));
-      console.log(chalk.cyan.bold('  (Gemini Flash 2.5 Lite Latest)'));
+      console.log(chalk.cyan.bold(`  (${this.llmSettings.provider}: ${this.llmSettings.model})`));
       console.log(chalk.cyan.bold('═'.repeat(60)));
       console.log('');
       console.log(chalk.gray('Type your prompt below — press Ctrl+C or "exit" to exit.\n'));
@@ -190,8 +266,28 @@ class LangChainComicAgent {
 
   /**
    * Generate response using Gemini
+   * @param {string} userInput - User message
+   * @param {Object} options - Same as run()
+   * @returns {Promise<string>} The model's final answer
    */
-  async generateResponse(userInput) {
+  async generateResponse(userInput, options = {}) {
+    const { response } = await this.run(userInput, options);
+    return response;
+  }
+
+  /**
+   * Answer a message, letting the model call tools until it stops asking for them.
+   * Every tool result is sent back as its own ToolMessage so the model can chain tools
+   * (e.g. panels → characters → dialogue → images → placement → pages in one request).
+   * @param {string} userInput - User message
+   * @param {Object} options
+   * @param {Function} options.onProgress - Optional callback receiving tool progress events
+   * @param {number} options.maxSteps - Override the agent's max model turns for this message
+   * @returns {Promise<Object>} { response, trace, steps, stoppedAtMaxSteps }
+   */
+  async run(userInput, options = {}) {
+    const maxSteps = options.maxSteps || this.maxSteps;
+    this.setProgressHandler(options.onProgress);
     try {
       // Build conversation messages - system message must be first
       const systemMessage = {
@@ -209,7 +305,9 @@ class LangChainComicAgent {
         
         🎨 **Story Ideas**
         - When users ask for story ideas, provide **3 short ideas** only.  
-        - Each idea should involve **no more than 2 main characters**.  
+        - Each idea should involve **as many main characters as the user asks for** (1-6, a solo story = 1, an ensemble up to 6);
+          pass that number as \`castSize\` when generating the panels and characters. When they don't say, leave \`castSize\` out
+          and keep to the default cast (2 characters unless characters.yaml sets \`default_count\`).  
         - After showing ideas, ask:  
           "Would you like me to generate panels for one of these ideas?"  
         - If the user agrees, expand on the chosen idea and proceed to panel generation.
@@ -221,6 +319,11 @@ class LangChainComicAgent {
           automatically use the \`select_comic_layout\` tool FIRST.  
         - Use the \`pageCount\` from user input (default = 3).  
         - The tool should return panel structures and dimensions from **layouts.yaml**.
+        - When the user asks for a number of **panels** (e.g. "a 7-panel story") rather than pages, pass \`panelCount\` (1-40)
+          instead of \`pageCount\`: a layout is generated for exactly that many panels. Pass \`panelWeights\` (one number per panel,
+          bigger = more space) when some panels matter more, e.g. a splash reveal.
+        - When the user asks for a double-page spread or splash, pass \`layout: "spread-story"\`: a page count never picks a
+          layout with spreads. Pass the same \`layout\` to \`generate_panels\`.
         - **After layout selection**: Parse the JSON response and show the user:
           - Number of pages selected
           - Layout name
@@ -234,6 +337,9 @@ class LangChainComicAgent {
         - When the tool returns panel requests with camera angles, you MUST generate creative, vivid descriptions for EACH panel.
         - Generate descriptions that match the story context and genre. Include the specified camera angle in each description.
         - Also determine appropriate context images (previous panels, character references, backgrounds) for visual continuity.
+        - When \`select_comic_layout\` generated a layout from \`panelCount\`, pass the \`layout\` key it returned (e.g. "auto-7-panels") to \`generate_panels\`, so its \`panelWeights\` are kept.
+        - Pass \`layout\` (a layouts.yaml key, e.g. "spread-story") to use a specific layout. Panels marked as double-page spreads get wide panoramic images: describe them as one wide scene with the subjects away from the centre (the fold).
+        - Pass \`castSize\` (1-6) when the user says how many characters the story has (e.g. a solo story = 1, an ensemble = 5). Use the same \`castSize\` for \`generate_characters\`.
         - **CRITICAL**: Return panel data as a JSON array in this exact format:
           [
             {"panelid": "panel1", "description": "your vivid description with camera angle", "contextImages": ["background", "Character1"]},
@@ -304,13 +410,14 @@ class LangChainComicAgent {
           - \`storyContext\`: Optional - Additional story context
         - **Output**: The tool returns dialogue data AND saves it to comic.yaml:
           - \`title\`: Title for the cover page (panel1 only)
-          - \`dialogue\`: Array of dialogue lines with speaker and text
+          - \`dialogue\`: Array of dialogue lines with speaker, text and bubble \`style\` (speech, thought, shout, whisper, radio, off-panel)
           - \`narration\`: Narration text (optional, used sparingly)
+          - \`soundEffects\`: Sound effects lettered onto the art, e.g. \`[{"text": "KRAKOOM", "intensity": "loud"}]\` (most panels have none)
         - **CRITICAL - After dialogue generation, you MUST**:
           1. Parse the tool's JSON response to extract the dialogue array
           2. Display ALL dialogue details to the user in a readable format:
              - Show the cover page title (panel1)
-             - For EVERY panel, show: panel ID, ALL dialogue lines (speaker + text), narration
+             - For EVERY panel, show: panel ID, ALL dialogue lines (speaker + text, and the style when it is not speech), narration, sound effects
              - Format it nicely with emojis and structure
              - DO NOT skip any panels - show all of them
           3. Suggest next steps (generate images OR place dialogue with vision)
@@ -344,18 +451,23 @@ class LangChainComicAgent {
           - Determine speech tail directions pointing to speakers
           - Calculate optimal coordinates for each dialogue bubble
           - Maintain proper reading order
-          - **AUTOMATICALLY renders text on images and uploads to Cloudinary**
+          - **AUTOMATICALLY renders text on images and stores them (Cloudinary or local storage)**
         - **Parameters**:
           - \`panelId\`: Optional - Specific panel ID to analyze (e.g., "panel2"). If omitted, analyzes all panels with dialogue.
           - \`sourceMap\`: Optional - Map of panel IDs to image URLs. If omitted, reads from comic.yaml.
+          - \`strategy\`: Optional - "auto" (default: vision, falling back to offline heuristics for panels where it fails), "vision", or "heuristic" (offline, no vision model - use it when the user has no API key or vision keeps failing)
         - **Output**: 
           - Returns placement data for each dialogue bubble
-          - Returns Cloudinary URLs for rendered images with text (saved as textImageUrl in comic.yaml)
+          - Returns URLs for rendered images with text (saved as textImageUrl in comic.yaml)
+          - Returns \`textFitIssues\`: text that did not fit its space even at the smallest font size, with how much to shorten it
+          - Returns \`layoutFixes\`: bubbles it moved inside the panel, apart from each other or off faces, and tails it bent (already applied)
         - **CRITICAL - After placement analysis**:
           1. Parse the tool's JSON response to extract placements and rendered images
           2. Show the user a summary of analyzed panels
           3. Explain that placement data AND rendered images have been saved to comic.yaml as textImageUrl
-          4. **IMMEDIATELY suggest using \`compose_pages\` next** - this is the required next step to create final comic pages
+          4. If there are \`textFitIssues\`, list them and offer shorter versions of those lines (apply them with \`edit_panel\`, then place that panel again)
+             If any \`layoutFixes\` are \`unresolved\`, tell the user which bubbles still overlap; shorter lines usually make room
+          5. **IMMEDIATELY suggest using \`compose_pages\` next** - this is the required next step to create final comic pages
         - **Required workflow**: Dialogue → Images → Dialogue Placement (renders text) → Compose Pages (uses images with text)
         - **IMPORTANT**: After dialogue placement completes, the user should ALWAYS be prompted to compose pages next.
         
@@ -367,14 +479,14 @@ class LangChainComicAgent {
         - The tool reads from **comic.yaml** and generates:
           - Character images (full body poses on white background)
           - Panel images (with context images for visual continuity)
-        - All images are automatically uploaded to Cloudinary and URLs are returned.
+        - All images are automatically stored (Cloudinary or local storage) and URLs are returned.
         - **Parameters**: 
           - \`generateType\`: "characters" (only characters), "panels" (only panels), or "both" (default, generates characters first, then panels)
           - \`specificPanel\`: Optional - Generate only a specific panel by ID (e.g., "panel4", "panel5"). Use this when user wants to regenerate a single panel.
         - **Typical workflow**: 
           1. User requests to generate images → use \`generate_leonardo_images\` with \`generateType: "both"\`
           2. Tool generates characters first, then panels (using characters as context)
-          3. Returns Cloudinary URLs for all generated images (sourceMap)
+          3. Returns URLs for all generated images (sourceMap)
         - **Regenerate specific panel**:
           - If user says "regenerate panel 4" or "fix panel 5", use \`specificPanel: "panel4"\` or \`specificPanel: "panel5"\`
           - This will regenerate only that panel without affecting others
@@ -394,16 +506,22 @@ class LangChainComicAgent {
         - The tool:
           - Reads panel URLs from sourceMap (from Leonardo tool output) or comic.yaml
           - **AUTOMATICALLY uses images with rendered text (textImageUrl) if available**
-          - Uses a 3 page layout only
+          - Uses the layout recorded for the comic (by \`select_comic_layout\` or \`generate_panels\`)
+          - Fails with a list of panel IDs when the layout and the generated panel images don't match; report them to the user (usually: regenerate the missing panels)
           - Composes panels onto A4 pages using layouts from layouts.yaml
-          - Uploads composed pages to Cloudinary
+          - Stores composed pages (Cloudinary or local storage)
         - **Parameters**:
           - \`sourceMap\`: Optional - Can be:
             - The full JSON response from Leonardo tool (tool will extract sourceMap automatically)
             - Just the sourceMap object: \`{"panel1": "url1", "panel2": "url2", ...}\`
             - If omitted, tool will try to construct from comic.yaml
           - \`useTextImages\`: Boolean (default: true) - Use images with rendered text if available
-          - \`pageCount\`: Optional override for page count detection
+          - \`pageCount\`: Optional override: use the layout for this many pages instead of the recorded one
+          - \`spreadGutter\`: px of art the binding hides at the spine, repeated on both sides of a two-page spread (default: the layout's, else 0)
+          - \`theme\`: Page theme by name (classic, clean, noir, storybook, borderless, or one from the project's themes.yaml) - gutters, borders, background, page numbers, header/footer
+          - \`upload\`: Boolean (default: true) - false writes the pages to the project assets only (offline)
+          - \`fit\`: How images fill panels of another shape: "focus" (default, crops around the characters the vision tool found), "cover", "contain" (letterbox) or "stretch"
+          - \`mode\`: "pages" (default) or "webtoon" for a vertical scroll strip (mobile readers). Webtoon settings: \`width\`, \`gutter\`, \`beatGutter\` (after each layout page), \`fullBleed\` / \`fullBleedPanels\`, \`maxSegmentHeight\` (the strip is uploaded in segments no taller than this)
         - **Recommended workflow**:
           1. Generate panels → Generate characters → Generate dialogue → Generate images → Place dialogue with vision → Compose pages
           2. The dialogue placement tool renders text on images and saves them as textImageUrl
@@ -413,6 +531,25 @@ class LangChainComicAgent {
         
         ---
         
+        🎨 **Cover (After image generation)**
+        - Use the \`compose_cover\` tool when the user wants a front cover (masthead, issue number, credits).
+        - It draws the masthead, subtitle, issue box, price/date badge, credits band and optional barcode over panel1's clean art, so the title does not need to be lettered into panel1's dialogue.
+        - **Parameters**: \`title\` (default: panel1's title), \`subtitle\`, \`issueNumber\`, \`price\`, \`date\`, \`credits\` ([{ role, name }]), \`barcode\`, \`panelId\`, \`mastheadColor\`, \`accentColor\`, \`upload\`. Settings not given are kept from the previous cover.
+        - Exports put the cover first; it replaces page 1 when that page is a splash of panel1 alone.
+        
+        🖨️ **Print PDF Export (After page composition)**
+        - Use the \`export_pdf\` tool when the user wants a PDF for printing or download.
+        - It uses the pages from the last \`compose_pages\` run. Compose first if there are none.
+        - **Parameters**: \`trimSize\` ("a4" or "us-comic"), \`bleedMm\`, \`cropMarks\`, \`dpi\` (default 300), \`title\`, \`authors\`.
+        - Show the user the PDF URL and any warnings (e.g. pages upscaled below the requested DPI).
+        
+        📚 **Comic Archive Export (After page composition)**
+        - Use the \`export_cbz\` tool when the user wants a CBZ file for a comic reader app.
+        - It packages the pages from the last \`compose_pages\` run with a ComicInfo.xml. Compose first if there are none.
+        - **Parameters**: \`title\` (default: panel1's title), \`authors\`.
+        
+        ---
+        
         ✏️ **Edit Panel/Character (Anytime after generation)**
         - **WHEN TO USE**: When user wants to modify a specific panel or character field.
         - Use the \`edit_panel\` tool to update any field in comic.yaml.
@@ -421,10 +558,13 @@ class LangChainComicAgent {
           - \`targetId\`: ID of the target (e.g., "panel7", "char_1")
           - \`field\`: Field to edit (e.g., "description", "dialogue", "narration", "title")
           - \`value\`: New value (string, array, or null)
+          - \`lineIndex\`: Optional - edit one dialogue line (0-based); \`field\` is then "speaker", "text" or "style"
         - **Common use cases**:
           - Change panel description: \`targetType: "panel", targetId: "panel7", field: "description", value: "new description"\`
           - Update dialogue: \`targetType: "panel", targetId: "panel2", field: "dialogue", value: [{"speaker": "char_1", "text": "new line"}]\`
+          - Change a bubble style: \`targetType: "panel", targetId: "panel2", lineIndex: 0, field: "style", value: "whisper"\` (speech, thought, shout, whisper, radio, off-panel). Run \`place_dialogue_with_vision\` for the panel again to redraw it
           - Change narration: \`targetType: "panel", targetId: "panel3", field: "narration", value: "new narration"\`
+          - Set sound effects: \`targetType: "panel", targetId: "panel4", field: "soundEffects", value: [{"text": "BLAM", "intensity": "loud"}]\` (intensity: soft, normal or loud)
           - Update title: \`targetType: "panel", targetId: "panel1", field: "title", value: "New Title"\`
         - **After editing**: Confirm the change to the user and show old vs new value.
         
@@ -435,6 +575,7 @@ class LangChainComicAgent {
         - Use simple section headers and emojis for clarity (🎨 Story • 👥 Characters • 📐 Layout • 💬 Dialogue • 🎯 Placement • 🖼️ Images • 📖 Pages).  
         - Always maintain a creative but professional tone.
         - **REQUIRED workflow order**: Panels → Characters → Dialogue → Images → Dialogue Placement (renders text on images) → Compose Pages (uses images with text)
+        - **End-to-end requests** (e.g. "make a 3-page sci-fi comic"): call the tools one after another in the required order. Each tool result comes back to you before the next step, so only stop to ask the user when something failed or is ambiguous.
         - **CRITICAL**: Never compose pages before dialogue placement is complete. This ensures the final comic uses images with properly rendered text.
         `
       };
@@ -451,131 +592,58 @@ class LangChainComicAgent {
       // Add current user input
       messages.push({ role: 'user', content: userInput });
 
-      // Invoke the model
-      const result = await this.llm.invoke(messages);
+      const trace = [];
+      let response = null;
+      let steps = 0;
 
-      // Check if the model wants to use tools
-      if (result.tool_calls && result.tool_calls.length > 0) {
-        // Handle tool calls
-        let toolResults = '';
-        for (const toolCall of result.tool_calls) {
-            console.log(chalk.yellow(
-        `\n🔧 Gemini is calling tool: ${chalk.bold(toolCall.name)}`
-      )
-    );
-          if (toolCall.name === 'select_comic_layout') {
-            const toolResult = await this.layoutTool.invoke(toolCall.args);
-            toolResults += toolResult;
-            this.selectedLayout = toolResult;
-          } else if (toolCall.name === 'generate_panels') {
-            const toolResult = await this.panelTool.invoke(toolCall.args);
-            toolResults += toolResult;
-            this.generatedPanels = toolResult;
-            // Store panel request info for later parsing
-            try {
-              const parsed = JSON.parse(toolResult);
-              this.panelRequestInfo = parsed;
-            } catch (e) {
-              // Ignore parse errors
-            }
-          } else if (toolCall.name === 'generate_characters') {
-            const toolResult = await this.characterTool.invoke(toolCall.args);
-            toolResults += toolResult;
-          } else if (toolCall.name === 'generate_leonardo_images') {
-            const toolResult = await this.leonardoTool.invoke(toolCall.args);
-            toolResults += toolResult;
-            // Store Leonardo output for potential use by compose_pages tool
-            this.lastLeonardoOutput = toolResult;
-            // Extract panel URLs for frontend display
-            try {
-              const leonardoData = JSON.parse(toolResult);
-              if (leonardoData.sourceMap) {
-                // Extract panel URLs in order
-                const panelIds = Object.keys(leonardoData.sourceMap)
-                  .filter(id => id.startsWith('panel'))
-                  .sort((a, b) => {
-                    const numA = parseInt(a.replace('panel', ''));
-                    const numB = parseInt(b.replace('panel', ''));
-                    return numA - numB;
-                  });
-                this.panelUrls = panelIds.map(id => leonardoData.sourceMap[id]);
-              }
-            } catch (e) {
-              // Ignore parse errors
-            }
-          } else if (toolCall.name === 'generate_dialogue') {
-            const toolResult = await this.dialogueTool.invoke(toolCall.args);
-            toolResults += toolResult;
-          } else if (toolCall.name === 'place_dialogue_with_vision') {
-            // If sourceMap not provided and we have last Leonardo output, use it
-            if (!toolCall.args.sourceMap && this.lastLeonardoOutput) {
-              try {
-                const leonardoData = JSON.parse(this.lastLeonardoOutput);
-                if (leonardoData.sourceMap) {
-                  toolCall.args.sourceMap = leonardoData.sourceMap;
-                }
-              } catch (e) {
-                // Ignore parse errors
-              }
-            }
-            const toolResult = await this.dialoguePlacementTool.invoke(toolCall.args);
-            toolResults += toolResult;
-          } else if (toolCall.name === 'edit_panel') {
-            const toolResult = await this.editTool.invoke(toolCall.args);
-            toolResults += toolResult;
-          } else if (toolCall.name === 'compose_pages') {
-            // If sourceMap not provided and we have last Leonardo output, use it
-            if (!toolCall.args.sourceMap && this.lastLeonardoOutput) {
-              toolCall.args.sourceMap = this.lastLeonardoOutput;
-            }
-            const toolResult = await this.composeTool.invoke(toolCall.args);
-            toolResults += toolResult;
-            // Extract page URLs for frontend display
-            try {
-              const composeData = JSON.parse(toolResult);
-              console.log('🔍 Compose tool result:', composeData);
-              if (composeData.pages && Array.isArray(composeData.pages)) {
-                this.pageUrls = composeData.pages.map(page => page.url);
-                console.log('📖 Setting pageUrls:', this.pageUrls);
-                // Clear panel URLs since we now have composed pages
-                this.panelUrls = null;
-              }
-            } catch (e) {
-              console.error('❌ Failed to parse compose tool result:', e.message);
-            }
-          }
+      while (steps < maxSteps) {
+        steps++;
+        const result = await this.llm.invoke(messages);
+        messages.push(result);
+
+        // No more tool calls - this is the final answer
+        if (!result.tool_calls || result.tool_calls.length === 0) {
+          response = result.content || result.text;
+          break;
         }
 
-        // Get final response with tool results
-        messages.push(result);
-        messages.push({ 
-          role: 'tool', 
-          content: toolResults || 'Tool executed successfully',
-          tool_call_id: result.tool_calls[0].id 
-        });
+        for (const toolCall of result.tool_calls) {
+          console.log(chalk.yellow(
+            `\n🔧 Gemini is calling tool: ${chalk.bold(toolCall.name)} (step ${steps}/${maxSteps})`
+          ));
+          reportProgress(this.onProgress, { type: PROGRESS_EVENTS.TOOL_STARTED, tool: toolCall.name });
 
-        // Get the final response from the model - use baseModel to avoid tool calls
-        const finalResult = await this.baseModel.invoke(messages);
-        
-        const response = finalResult.content || finalResult.text || 'I apologize, but I could not generate a response.';
-        
-        // Note: Panels are already saved to comic.yaml by the panel generation tool during execution
-        // No need to parse and save here anymore
-        
-        // Add to conversation history
-        this.conversationHistory.push({ role: 'user', content: userInput });
-        this.conversationHistory.push({ role: 'assistant', content: response });
+          const startedAt = Date.now();
+          const output = await this.runToolCall(toolCall);
+          const success = this.isSuccessfulToolOutput(output);
 
-        // Keep history manageable (last 10 messages)
-        if (this.conversationHistory.length > 10) {
-          this.conversationHistory = this.conversationHistory.slice(-10);
-        }
+          trace.push({
+            step: steps,
+            tool: toolCall.name,
+            toolCallId: toolCall.id,
+            args: toolCall.args,
+            success,
+            durationMs: Date.now() - startedAt,
+            ...(success ? {} : { error: this.getToolError(output) }),
+          });
+          reportProgress(this.onProgress, { type: PROGRESS_EVENTS.TOOL_FINISHED, tool: toolCall.name, success });
 
-        // Return only the natural language response from Gemini
-        return response;
+          messages.push(new ToolMessage({
+            content: output || 'Tool executed successfully',
+            tool_call_id: toolCall.id,
+            name: toolCall.name,
+          }));
+        }
       }
 
-      const response = result.content || result.text || 'I apologize, but I could not generate a response.';
+      const stoppedAtMaxSteps = response === null;
+      if (stoppedAtMaxSteps) {
+        // Out of steps - ask for a summary of what was done, without tools
+        console.log(chalk.yellow(`⚠️  Reached max steps (${maxSteps}), finishing without further tool calls`));
+        const finalResult = await this.baseModel.invoke(messages);
+        response = finalResult.content || finalResult.text;
+      }
+      response = response || 'I apologize, but I could not generate a response.';
 
       // Add to conversation history
       this.conversationHistory.push({ role: 'user', content: userInput });
@@ -586,11 +654,156 @@ class LangChainComicAgent {
         this.conversationHistory = this.conversationHistory.slice(-10);
       }
 
-      return response;
+      this.lastTrace = trace;
+      return { response, trace, steps, stoppedAtMaxSteps };
 
     } catch (error) {
       console.error(chalk.red('Error generating response:'), error.message);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.FAILURE, error: error.message });
       throw new Error('Failed to generate response. Please try again.');
+    } finally {
+      this.setProgressHandler(null);
+    }
+  }
+
+  /**
+   * Run a single tool call and keep the agent state (layout, Leonardo output, URLs) in sync.
+   * Tool errors are returned as JSON so the model can see them and react.
+   * @param {Object} toolCall - { id, name, args } from the model
+   * @returns {Promise<string>} Tool output
+   */
+  async runToolCall(toolCall) {
+    try {
+      if (toolCall.name === 'select_comic_layout') {
+        const toolResult = await this.layoutTool.invoke(toolCall.args);
+        this.selectedLayout = toolResult;
+        return toolResult;
+      }
+
+      if (toolCall.name === 'generate_panels') {
+        const toolResult = await this.panelTool.invoke(toolCall.args);
+        this.generatedPanels = toolResult;
+        // Store panel request info for later parsing
+        try {
+          const parsed = JSON.parse(toolResult);
+          this.panelRequestInfo = parsed;
+        } catch (e) {
+          // Ignore parse errors
+        }
+        return toolResult;
+      }
+
+      if (toolCall.name === 'generate_characters') {
+        return await this.characterTool.invoke(toolCall.args);
+      }
+
+      if (toolCall.name === 'generate_leonardo_images') {
+        const toolResult = await this.leonardoTool.invoke(toolCall.args);
+        // Store Leonardo output for potential use by compose_pages tool
+        this.lastLeonardoOutput = toolResult;
+        // Extract panel URLs for frontend display
+        try {
+          const leonardoData = JSON.parse(toolResult);
+          if (leonardoData.sourceMap) {
+            // Extract panel URLs in order
+            const panelIds = Object.keys(leonardoData.sourceMap)
+              .filter(id => id.startsWith('panel'))
+              .sort((a, b) => {
+                const numA = parseInt(a.replace('panel', ''));
+                const numB = parseInt(b.replace('panel', ''));
+                return numA - numB;
+              });
+            this.panelUrls = panelIds.map(id => leonardoData.sourceMap[id]);
+          }
+        } catch (e) {
+          // Ignore parse errors
+        }
+        return toolResult;
+      }
+
+      if (toolCall.name === 'generate_dialogue') {
+        return await this.dialogueTool.invoke(toolCall.args);
+      }
+
+      if (toolCall.name === 'place_dialogue_with_vision') {
+        // If sourceMap not provided and we have last Leonardo output, use it
+        if (!toolCall.args.sourceMap && this.lastLeonardoOutput) {
+          try {
+            const leonardoData = JSON.parse(this.lastLeonardoOutput);
+            if (leonardoData.sourceMap) {
+              toolCall.args.sourceMap = leonardoData.sourceMap;
+            }
+          } catch (e) {
+            // Ignore parse errors
+          }
+        }
+        return await this.dialoguePlacementTool.invoke(toolCall.args);
+      }
+
+      if (toolCall.name === 'edit_panel') {
+        return await this.editTool.invoke(toolCall.args);
+      }
+
+      if (toolCall.name === 'compose_pages') {
+        // If sourceMap not provided and we have last Leonardo output, use it
+        if (!toolCall.args.sourceMap && this.lastLeonardoOutput) {
+          toolCall.args.sourceMap = this.lastLeonardoOutput;
+        }
+        const toolResult = await this.composeTool.invoke(toolCall.args);
+        // Extract page URLs for frontend display
+        try {
+          const composeData = JSON.parse(toolResult);
+          console.log('🔍 Compose tool result:', composeData);
+          // Webtoon mode returns segments instead of pages; the frontend shows them the same way
+          const composed = composeData.pages || composeData.segments;
+          if (composed && Array.isArray(composed)) {
+            this.pageUrls = composed.map(page => page.url);
+            console.log('📖 Setting pageUrls:', this.pageUrls);
+            // Clear panel URLs since we now have composed pages
+            this.panelUrls = null;
+          }
+        } catch (e) {
+          console.error('❌ Failed to parse compose tool result:', e.message);
+        }
+        return toolResult;
+      }
+
+      if (toolCall.name === 'compose_cover') {
+        return await this.coverTool.invoke(toolCall.args);
+      }
+
+      if (toolCall.name === 'export_pdf') {
+        return await this.exportPdfTool.invoke(toolCall.args);
+      }
+
+      if (toolCall.name === 'export_cbz') {
+        return await this.exportCbzTool.invoke(toolCall.args);
+      }
+
+      return JSON.stringify({ success: false, error: `Unknown tool: ${toolCall.name}` });
+    } catch (error) {
+      console.error(chalk.red(`❌ Tool ${toolCall.name} failed:`), error.message);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.FAILURE, tool: toolCall.name, error: error.message });
+      return JSON.stringify({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Tools return JSON with a `success` flag; anything unparseable counts as success
+   */
+  isSuccessfulToolOutput(output) {
+    try {
+      return JSON.parse(output).success !== false;
+    } catch (e) {
+      return true;
+    }
+  }
+
+  getToolError(output) {
+    try {
+      return JSON.parse(output).error || 'Tool reported failure';
+    } catch (e) {
+      return 'Tool reported failure';
     }
   }
 
@@ -600,8 +813,12 @@ class LangChainComicAgent {
   async processSinglePrompt(prompt) {
     try {
       console.log(chalk.yellow('Processing prompt...'));
-      const response = await this.generateResponse(prompt);
-      
+      const { response, trace } = await this.run(prompt);
+
+      trace.forEach(entry => {
+        const status = entry.success ? chalk.green('✓') : chalk.red(`✗ ${entry.error}`);
+        console.log(chalk.gray(`  step ${entry.step}: ${entry.tool} (${entry.durationMs}ms) `) + status);
+      });
       console.log(chalk.cyan('\n🗨️  ' + response + '\n'));
       
       return response;
@@ -0,0 +1,284 @@
+/**
+ * Comic Pipeline
+ * Runs the generation tools in a fixed order from a single story prompt,
+ * without the chat model deciding what to call next:
+ *
+ *   panels → characters → dialogue → images → placement → compose
+ *
+ * A checkpoint is written to the project's pipeline.json after every stage,
+ * so a crashed run can be resumed from the last completed stage.
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { CharacterGenerationLangChainTool } from '../tools/character-generation-langchain.js';
+import { ComposePagesLangChainTool } from '../tools/compose-pages-langchain.js';
+import { DialogueGenerationLangChainTool } from '../tools/dialogue-generation-langchain.js';
+import { DialoguePlacementVisionLangChainTool } from '../tools/dialogue-placement-vision-langchain.js';
+import { LeonardoImageGenerationLangChainTool } from '../tools/leonardo-image-generation-langchain.js';
+import { PanelGenerationLangChainTool } from '../tools/panel-generation-langchain.js';
+import { createStorage } from '../providers/storageProviders.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+
+/**
+ * Stages in run order. `args` builds the tool input from the run options,
+ * `summarize` keeps the small part of the tool output worth checkpointing.
+ */
+export const PIPELINE_STAGES = [
+  {
+    key: 'panels',
+    tool: 'generate_panels',
+    args: ({ prompt, genre, pageCount, panelCount, layout, castSize }) => ({
+      storyContext: prompt,
+      genre,
+      pageCount,
+      castSize,
+      ...(panelCount && { panelCount }),
+      ...(layout && { layout }),
+    }),
+    summarize: (result) => ({ totalPanels: result.totalPanels }),
+  },
+  {
+    key: 'characters',
+    tool: 'generate_characters',
+    args: ({ prompt, genre, castSize }) => ({ storyContext: prompt, genre, castSize }),
+    summarize: (result) => ({ characterCount: result.characterCount }),
+  },
+  {
+    key: 'dialogue',
+    tool: 'generate_dialogue',
+    args: ({ prompt, genre, tone }) => ({ storyContext: prompt, genre, tone }),
+    summarize: (result) => ({ totalPanels: result.totalPanels }),
+  },
+  {
+    key: 'images',
+    tool: 'generate_leonardo_images',
+    args: () => ({ generateType: 'both' }),
+    summarize: (result) => result.summary || {},
+  },
+  {
+    key: 'placement',
+    tool: 'place_dialogue_with_vision',
+    args: ({ placementStrategy }) => ({ ...(placementStrategy && { strategy: placementStrategy }) }),
+    summarize: (result) => ({ analyzedPanels: result.analyzedPanels }),
+  },
+  {
+    key: 'compose',
+    tool: 'compose_pages',
+    // With a panel count or a layout key, compose uses the layout recorded in comic.yaml
+    args: ({ pageCount, panelCount, layout, composeMode }) => ({
+      ...(!panelCount && !layout && { pageCount }),
+      ...(composeMode && { mode: composeMode }),
+    }),
+    summarize: (result) => ({
+      totalPages: result.totalPages,
+      pageUrls: (result.pages || result.segments || []).map(page => page.url),
+    }),
+  },
+];
+
+/**
+ * Find a stage index by key ("dialogue") or tool name ("generate_dialogue")
+ */
+export function findStageIndex(name) {
+  const index = PIPELINE_STAGES.findIndex(stage => stage.key === name || stage.tool === name);
+  if (index === -1) {
+    const keys = PIPELINE_STAGES.map(stage => stage.key).join(', ');
+    throw new Error(`Unknown pipeline stage "${name}". Use one of: ${keys}`);
+  }
+  return index;
+}
+
+export class ComicPipeline {
+  /**
+   * @param {Object} options
+   * @param {Object} options.project - Project context from ProjectStore.open(); defaults to config/comic.yaml
+   * @param {Function} options.onProgress - Optional progress callback (see utils/progress.js)
+   * @param {string|Object} options.imageProvider - Image provider name or instance (see src/providers)
+   * @param {string|Object} options.storage - Storage provider name or instance (see src/providers)
+   */
+  constructor(options = {}) {
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.imageProvider = options.imageProvider;
+    this.storage = createStorage(options.storage);
+    this.tools = this.setupTools();
+  }
+
+  /**
+   * One tool instance per stage, all pointed at the pipeline's project
+   */
+  setupTools() {
+    const options = { project: this.project, onProgress: this.onProgress, imageProvider: this.imageProvider, storage: this.storage };
+    const instances = [
+      new PanelGenerationLangChainTool(options),
+      new CharacterGenerationLangChainTool(options),
+      new DialogueGenerationLangChainTool(options),
+      new LeonardoImageGenerationLangChainTool(options),
+      new DialoguePlacementVisionLangChainTool(options),
+      new ComposePagesLangChainTool(options),
+    ];
+
+    return Object.fromEntries(instances.map(instance => [instance.name, instance.getTool()]));
+  }
+
+  /**
+   * Read the checkpoint of the last run, if any
+   */
+  loadCheckpoint() {
+    try {
+      if (fs.existsSync(this.project.pipelinePath)) {
+        return fs.readJsonSync(this.project.pipelinePath);
+      }
+    } catch (error) {
+      console.warn('⚠️  Failed to read pipeline checkpoint:', error.message);
+    }
+    return null;
+  }
+
+  async saveCheckpoint(checkpoint) {
+    checkpoint.updatedAt = new Date().toISOString();
+    await fs.outputJson(this.project.pipelinePath, checkpoint, { spaces: 2 });
+  }
+
+  /**
+   * Run the pipeline (or a sub-range of it)
+   * @param {Object} options
+   * @param {string} options.prompt - Story prompt (taken from the checkpoint when resuming or skipping the panels stage)
+   * @param {string} options.genre - Optional genre
+   * @param {string} options.tone - Optional dialogue tone
+   * @param {number} options.pageCount - Number of pages (default 3)
+   * @param {number} options.panelCount - Number of panels (1-40) on a generated layout instead of a page preset
+   * @param {string} options.layout - layouts.yaml layout key instead of a page preset (e.g. 'spread-story')
+   * @param {number} options.castSize - Number of characters, 1-6 (default: characters.yaml default_count)
+   * @param {string} options.composeMode - 'pages' (default) or 'webtoon'
+   * @param {string} options.placementStrategy - Text placement: 'auto' (default), 'vision' or 'heuristic' (no vision model)
+   * @param {string} options.from - First stage to run (key or tool name)
+   * @param {string} options.to - Last stage to run (key or tool name)
+   * @param {boolean} options.resume - Continue after the last completed stage of the previous run
+   * @returns {Promise<Object>} { success, status, stages, pageUrls, error? }
+   */
+  async run(options = {}) {
+    const previous = this.loadCheckpoint();
+    if (options.resume && !previous) {
+      throw new Error('Nothing to resume: no pipeline checkpoint found for this project');
+    }
+
+    const resumeRange = options.resume ? previous : {};
+    const fromIndex = findStageIndex(options.from || resumeRange.from || PIPELINE_STAGES[0].key);
+    const toIndex = findStageIndex(options.to || resumeRange.to || PIPELINE_STAGES[PIPELINE_STAGES.length - 1].key);
+    if (fromIndex > toIndex) {
+      throw new Error(`Stage "${PIPELINE_STAGES[fromIndex].key}" comes after "${PIPELINE_STAGES[toIndex].key}"`);
+    }
+    const range = PIPELINE_STAGES.slice(fromIndex, toIndex + 1);
+
+    // The previous run's prompt and settings are reused only for resumes and for partial runs that
+    // skip panel generation; a run that generates the panels again starts from the options alone
+    const inherited = options.resume || !range.some(stage => stage.key === 'panels') ? previous || {} : {};
+    const settings = {
+      prompt: options.prompt || inherited.prompt || '',
+      genre: options.genre || inherited.genre,
+      tone: options.tone || inherited.tone,
+      pageCount: Number(options.pageCount || inherited.pageCount) || 3,
+      panelCount: Number(options.panelCount || inherited.panelCount) || undefined,
+      layout: options.layout || inherited.layout,
+      castSize: Number(options.castSize || inherited.castSize) || undefined,
+      composeMode: options.composeMode || inherited.composeMode,
+      placementStrategy: options.placementStrategy || inherited.placementStrategy,
+    };
+    if (!settings.prompt && range.some(stage => stage.key === 'panels' || stage.key === 'characters')) {
+      throw new Error('A story prompt is required to generate panels and characters');
+    }
+
+    const checkpoint = {
+      ...settings,
+      from: range[0].key,
+      to: range[range.length - 1].key,
+      status: 'running',
+      startedAt: options.resume ? previous.startedAt : new Date().toISOString(),
+      stages: previous?.stages || {},
+      lastCompletedStage: previous?.lastCompletedStage || null,
+    };
+
+    // Resuming skips every stage the previous run already completed
+    const pending = options.resume
+      ? range.filter(stage => checkpoint.stages[stage.key]?.status !== 'completed')
+      : range;
+    if (!options.resume) {
+      range.forEach(stage => delete checkpoint.stages[stage.key]);
+    }
+
+    console.log(chalk.cyan(`\n🏭 Running pipeline: ${pending.map(stage => stage.key).join(' → ') || 'nothing left to run'}`));
+    await this.saveCheckpoint(checkpoint);
+
+    for (const stage of pending) {
+      const result = await this.runStage(stage, settings);
+      checkpoint.stages[stage.key] = result;
+      checkpoint.lastCompletedStage = result.status === 'completed' ? stage.key : checkpoint.lastCompletedStage;
+
+      if (result.status === 'failed') {
+        checkpoint.status = 'failed';
+        await this.saveCheckpoint(checkpoint);
+        console.log(chalk.red(`❌ Pipeline stopped at ${stage.key}: ${result.error}`));
+        console.log(chalk.gray('   Fix the problem and run again with --resume to continue from here.'));
+        return this.describe(checkpoint, result.error);
+      }
+
+      await this.saveCheckpoint(checkpoint);
+    }
+
+    checkpoint.status = 'completed';
+    await this.saveCheckpoint(checkpoint);
+    console.log(chalk.green('✓ Pipeline completed'));
+    return this.describe(checkpoint);
+  }
+
+  /**
+   * Run one stage's tool and turn its output into a checkpoint entry
+   */
+  async runStage(stage, settings) {
+    const startedAt = Date.now();
+    console.log(chalk.yellow(`\n▶️  Stage ${stage.key} (${stage.tool})`));
+    reportProgress(this.onProgress, { type: PROGRESS_EVENTS.TOOL_STARTED, tool: stage.tool, stage: stage.key });
+
+    let result;
+    try {
+      const output = await this.tools[stage.tool].invoke(stage.args(settings));
+      result = JSON.parse(output);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const success = result.success !== false;
+    reportProgress(this.onProgress, { type: PROGRESS_EVENTS.TOOL_FINISHED, tool: stage.tool, stage: stage.key, success });
+
+    const entry = {
+      status: success ? 'completed' : 'failed',
+      tool: stage.tool,
+      completedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+    };
+    if (success) {
+      entry.summary = stage.summarize(result);
+    } else {
+      entry.error = result.error || 'Stage failed';
+    }
+    return entry;
+  }
+
+  /**
+   * Result returned to the CLI and HTTP callers
+   */
+  describe(checkpoint, error = null) {
+    return {
+      success: checkpoint.status === 'completed',
+      status: checkpoint.status,
+      stages: PIPELINE_STAGES
+        .filter(stage => checkpoint.stages[stage.key])
+        .map(stage => ({ stage: stage.key, ...checkpoint.stages[stage.key] })),
+      pageUrls: checkpoint.stages.compose?.summary?.pageUrls || [],
+      ...(error ? { error } : {}),
+    };
+  }
+}
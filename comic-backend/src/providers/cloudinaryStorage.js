@@ -0,0 +1,26 @@
+/**
+ * Cloudinary storage
+ * Uploads images with utils/cloudinary.js; URLs are Cloudinary secure URLs.
+ * Formats Cloudinary cannot treat as images (e.g. CBZ archives) are uploaded as raw files.
+ */
+
+import { uploadBuffer } from '../utils/cloudinary.js';
+import { StorageProvider } from './storageProvider.js';
+
+const IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'pdf'];
+
+export class CloudinaryStorage extends StorageProvider {
+  constructor(options = {}) {
+    super({ name: 'cloudinary', ...options });
+  }
+
+  async save(buffer, { folder = 'comic/panels', publicId, format = 'jpg' } = {}) {
+    const resourceType = IMAGE_FORMATS.includes(format) ? 'image' : 'raw';
+    const uploaded = await uploadBuffer(buffer, publicId, folder, format, resourceType);
+    return {
+      url: uploaded.secure_url,
+      publicId: uploaded.public_id,
+      provider: this.name,
+    };
+  }
+}
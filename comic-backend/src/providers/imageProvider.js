@@ -0,0 +1,91 @@
+/**
+ * Image Provider interface
+ *
+ * Image generation is asynchronous at every provider we use, so a provider exposes
+ * three steps and the shared generate() loop drives them:
+ *
+ *   submit(request)   → job        start a generation
+ *   poll(job)         → { status: 'pending' | 'complete' | 'failed', image?, error? }
+ *   fetchResult(image)→ Buffer     download the finished image
+ *
+ * A request is { prompt, seed, width, height, contextImages }, where contextImages
+ * are references to images this provider generated earlier: [{ id }].
+ */
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  COMPLETE: 'complete',
+  FAILED: 'failed',
+};
+
+export class ImageProvider {
+  /**
+   * @param {Object} options
+   * @param {number} options.pollIntervalMs - Delay between polls
+   * @param {number} options.maxAttempts - Polls before giving up
+   * @param {boolean} options.rateLimited - Whether callers should pause between generations
+   */
+  constructor({ name, pollIntervalMs = 3000, maxAttempts = 40, rateLimited = true } = {}) {
+    this.name = name;
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxAttempts = maxAttempts;
+    this.rateLimited = rateLimited;
+  }
+
+  async submit(request) {
+    throw new Error(`${this.name} provider does not implement submit()`);
+  }
+
+  async poll(job) {
+    throw new Error(`${this.name} provider does not implement poll()`);
+  }
+
+  async fetchResult(image) {
+    throw new Error(`${this.name} provider does not implement fetchResult()`);
+  }
+
+  /**
+   * Submit a request and poll until the image is ready
+   * @param {Object} request - { prompt, seed, width, height, contextImages }
+   * @param {Object} hooks
+   * @param {Function} hooks.onSubmitted - Called with the job once submitted
+   * @param {Function} hooks.onStatus - Called after every poll with { status, elapsedSeconds }
+   * @returns {Promise<Object>} { job, imageId, buffer, elapsedSeconds }
+   */
+  async generate(request, { onSubmitted, onStatus } = {}) {
+    const job = await this.submit(request);
+    onSubmitted?.(job);
+
+    let attempts = 0;
+    while (attempts < this.maxAttempts) {
+      if (this.pollIntervalMs > 0) {
+        await new Promise((r) => setTimeout(r, this.pollIntervalMs));
+      }
+      attempts++;
+      const elapsedSeconds = attempts * this.pollIntervalMs / 1000;
+
+      let result;
+      try {
+        result = await this.poll(job);
+      } catch (error) {
+        // Transient polling errors: keep trying until we run out of attempts
+        if (attempts >= this.maxAttempts) {
+          throw new Error(`Timeout after ${elapsedSeconds}s: ${error.message}`);
+        }
+        continue;
+      }
+
+      onStatus?.({ status: result.status, elapsedSeconds });
+
+      if (result.status === JOB_STATUS.COMPLETE && result.image) {
+        const buffer = await this.fetchResult(result.image);
+        return { job, imageId: result.image.id, buffer, elapsedSeconds };
+      }
+      if (result.status === JOB_STATUS.FAILED) {
+        throw new Error(result.error || `${this.name} generation failed`);
+      }
+    }
+
+    throw new Error(`No image returned after ${this.maxAttempts * this.pollIntervalMs / 1000}s`);
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Image provider registry
+ * Picks the image provider by name: the `provider` option, then IMAGE_PROVIDER, then Leonardo.
+ */
+
+import { LeonardoImageProvider } from './leonardoProvider.js';
+import { PlaceholderImageProvider } from './placeholderProvider.js';
+
+const PROVIDERS = {
+  leonardo: LeonardoImageProvider,
+  placeholder: PlaceholderImageProvider,
+};
+
+/**
+ * Create an image provider
+ * @param {string|Object} provider - Provider name, or an already constructed provider
+ * @param {Object} options - Passed to the provider constructor
+ * @returns {ImageProvider}
+ */
+export function createImageProvider(provider = process.env.IMAGE_PROVIDER || 'leonardo', options = {}) {
+  if (typeof provider === 'object' && provider !== null) {
+    return provider;
+  }
+
+  const Provider = PROVIDERS[String(provider).toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown image provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
@@ -0,0 +1,62 @@
+/**
+ * Leonardo AI image provider
+ * Context images are Leonardo generation image IDs from earlier results.
+ */
+
+import axios from 'axios';
+import { LEONARDO } from '../../config/leonardo.js';
+import { ImageProvider, JOB_STATUS } from './imageProvider.js';
+
+export class LeonardoImageProvider extends ImageProvider {
+  constructor(options = {}) {
+    super({ name: 'leonardo', ...options });
+    this.apiKey = options.apiKey || process.env.LEONARDO_API_KEY;
+  }
+
+  get headers() {
+    return {
+      accept: 'application/json',
+      'content-type': 'application/json',
+      authorization: `Bearer ${this.apiKey}`,
+    };
+  }
+
+  async submit({ prompt, seed, width, height, contextImages = [] }) {
+    const body = {
+      prompt,
+      modelId: LEONARDO.MODEL_ID,
+      styleUUID: LEONARDO.STYLE_UUID,
+      width,
+      height,
+      num_images: 1,
+      enhancePrompt: true,
+      seed,
+      contrastRatio: 0.5,
+      ...(contextImages.length > 0 && {
+        contextImages: contextImages.map(image => ({ type: 'GENERATED', id: image.id })),
+      }),
+    };
+
+    const res = await axios.post(`${LEONARDO.API_URL}/generations`, body, { headers: this.headers });
+    return { id: res.data.sdGenerationJob.generationId };
+  }
+
+  async poll(job) {
+    const res = await axios.get(`${LEONARDO.API_URL}/generations/${job.id}`, { headers: this.headers });
+    const generation = res.data.generations_by_pk;
+    const image = generation?.generated_images?.[0];
+
+    if (generation?.status === 'COMPLETE' && image) {
+      return { status: JOB_STATUS.COMPLETE, image: { id: image.id, url: image.url } };
+    }
+    if (generation?.status === 'FAILED') {
+      return { status: JOB_STATUS.FAILED, error: 'Leonardo reported the generation as FAILED' };
+    }
+    return { status: JOB_STATUS.PENDING };
+  }
+
+  async fetchResult(image) {
+    const res = await axios.get(image.url, { responseType: 'arraybuffer' });
+    return Buffer.from(res.data);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * LLM factory
+ * Every tool and the agent get their chat model from here, configured per role
+ * (the agent, or a tool name such as generate_panels) in the `llm` section of
+ * config/agent.yaml:
+ *
+ *   llm:
+ *     default:         { provider: gemini, model: gemini-2.5-flash-lite, temperature: 0.7 }
+ *     generate_panels: { temperature: 0.9 }
+ *
+ * Providers:
+ *   gemini    Google Gemini (GEMINI_API_KEY / GOOGLE_API_KEY)
+ *   ollama    Local Ollama server (OLLAMA_BASE_URL, default http://localhost:11434)
+ *   scripted  Canned responses from fixture files, for CI and offline work (alias: replay)
+ *
+ * LLM_PROVIDER and LLM_MODEL override the config for every role.
+ */
+
+import { AIMessage } from '@langchain/core/messages';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { ChatOllama } from '@langchain/ollama';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const AGENT_CONFIG_PATH = path.join(__dirname, '../../config/agent.yaml');
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../test/fixtures/llm');
+
+const DEFAULT_SETTINGS = {
+  provider: 'gemini',
+  model: 'gemini-2.5-flash-lite',
+  temperature: 0.7,
+};
+
+let cachedConfig = null;
+
+/**
+ * Read the `llm` section of config/agent.yaml (cached)
+ */
+function loadLlmConfig() {
+  if (cachedConfig) return cachedConfig;
+  try {
+    if (fs.existsSync(AGENT_CONFIG_PATH)) {
+      cachedConfig = yaml.parse(fs.readFileSync(AGENT_CONFIG_PATH, 'utf8'))?.llm || {};
+      return cachedConfig;
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to load llm config from agent.yaml:', error.message);
+  }
+  cachedConfig = {};
+  return cachedConfig;
+}
+
+/**
+ * Resolved settings for a role: defaults → llm.default → llm[role] → env overrides
+ * @param {string} role - 'agent' or a tool name
+ * @returns {Object} { provider, model, temperature, ... }
+ */
+export function getLlmSettings(role) {
+  const config = loadLlmConfig();
+  const settings = { ...DEFAULT_SETTINGS, ...config.default, ...config[role] };
+  if (process.env.LLM_PROVIDER) settings.provider = process.env.LLM_PROVIDER;
+  if (process.env.LLM_MODEL) settings.model = process.env.LLM_MODEL;
+  if (['scripted', 'replay'].includes(String(settings.provider).toLowerCase())) {
+    settings.model = `fixture:${role}`;
+  }
+  return settings;
+}
+
+/**
+ * Create the chat model for a role
+ * @param {string} role - 'agent' or a tool name
+ * @param {Object} overrides - Settings that win over the config
+ * @returns {BaseChatModel} LangChain chat model (supports invoke and bindTools)
+ */
+export function createChatModel(role, overrides = {}) {
+  const settings = { ...getLlmSettings(role), ...overrides };
+  const { provider, model, temperature, topP, maxOutputTokens } = settings;
+
+  switch (String(provider).toLowerCase()) {
+    case 'gemini':
+      return new ChatGoogleGenerativeAI({
+        model,
+        apiKey: process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY,
+        temperature,
+        ...(topP !== undefined && { topP }),
+        ...(maxOutputTokens !== undefined && { maxOutputTokens }),
+      });
+
+    case 'ollama':
+      return new ChatOllama({
+        model,
+        baseUrl: settings.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        temperature,
+        ...(topP !== undefined && { topP }),
+        ...(maxOutputTokens !== undefined && { numPredict: maxOutputTokens }),
+      });
+
+    case 'scripted':
+    case 'replay':
+      return new ScriptedChatModel({
+        role,
+        fixturesDir: settings.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" for ${role}. Use gemini, ollama or scripted`);
+  }
+}
+
+/**
+ * Plain text of a message's content (string or multimodal parts)
+ */
+export function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return '';
+}
+
+/**
+ * Chat model that answers from a fixture file instead of calling an API.
+ *
+ * Fixture: <fixturesDir>/<role>.json
+ *   { "responses": [ { "match": "Panel ID: panel2", "content": ..., "tool_calls": [...] }, ... ] }
+ *
+ * Entries with `match` answer any prompt containing that text (replay by prompt).
+ * Entries without `match` are used in order, one per call; the last one repeats.
+ * `content` may be a string or any JSON value (sent back as JSON text).
+ */
+export class ScriptedChatModel extends BaseChatModel {
+  constructor({ role, fixturesDir = DEFAULT_FIXTURES_DIR }) {
+    super({});
+    this.role = role;
+    this.fixturePath = path.join(fixturesDir, `${role}.json`);
+    this.responses = this.loadFixture();
+    this.nextIndex = 0;
+    this.callCount = 0;
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  loadFixture() {
+    if (!fs.existsSync(this.fixturePath)) {
+      throw new Error(`No LLM fixture for ${this.role}: ${this.fixturePath}`);
+    }
+    return fs.readJsonSync(this.fixturePath).responses || [];
+  }
+
+  // Tool calls come from the fixture, so binding tools changes nothing
+  bindTools() {
+    return this;
+  }
+
+  pickResponse(prompt) {
+    const matched = this.responses.find(entry => entry.match && prompt.includes(entry.match));
+    if (matched) return matched;
+
+    const queue = this.responses.filter(entry => !entry.match);
+    if (queue.length === 0) {
+      throw new Error(`No scripted response in ${this.fixturePath} matches the prompt`);
+    }
+    const entry = queue[Math.min(this.nextIndex, queue.length - 1)];
+    this.nextIndex++;
+    return entry;
+  }
+
+  async _generate(messages) {
+    const prompt = messages.map(message => messageText(message.content)).join('\n');
+    const entry = this.pickResponse(prompt);
+    const content = typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content ?? '');
+    const toolCalls = (entry.tool_calls || []).map(call => ({
+      id: call.id || `${call.name}_${++this.callCount}`,
+      name: call.name,
+      args: call.args || {},
+      type: 'tool_call',
+    }));
+
+    const message = new AIMessage({ content, tool_calls: toolCalls });
+    return { generations: [{ text: content, message }] };
+  }
+}
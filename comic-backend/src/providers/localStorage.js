@@ -0,0 +1,75 @@
+/**
+ * Local filesystem storage
+ * Writes images under outputs/<folder>/<publicId>.<format> and returns URLs served by
+ * the `/outputs/` route of the HTTP server, so nothing leaves the machine.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { StorageProvider } from './storageProvider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BACKEND_DIR = path.join(__dirname, '../..');
+export const OUTPUTS_DIR = path.join(BACKEND_DIR, 'outputs');
+
+/**
+ * Absolute path of a file below a root directory, or null if the relative path
+ * tries to leave it (e.g. "../../.env")
+ * @param {string} relativePath - Slash-separated path below root
+ * @param {string} rootDir - Directory the path must stay in
+ */
+export function resolveInside(relativePath, rootDir = OUTPUTS_DIR) {
+  const root = path.resolve(rootDir);
+  const resolved = path.resolve(root, relativePath);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    return null;
+  }
+  return resolved;
+}
+
+export class LocalStorage extends StorageProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Root directory, relative to comic-backend (default: outputs/)
+   * @param {string} options.baseUrl - Public URL of the root directory
+   *   (default: PUBLIC_BASE_URL or http://localhost:$PORT, plus /outputs)
+   */
+  constructor({ dir = OUTPUTS_DIR, baseUrl, ...options } = {}) {
+    super({ name: 'local', ...options });
+    this.dir = path.resolve(BACKEND_DIR, dir);
+    const origin = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+    this.baseUrl = (baseUrl || `${origin}/outputs`).replace(/\/+$/, '');
+  }
+
+  async save(buffer, { folder = 'comic/panels', publicId, format = 'jpg' } = {}) {
+    const relativePath = path.posix.join(folder, `${publicId}.${format}`);
+    const filePath = resolveInside(relativePath, this.dir);
+    if (!filePath) {
+      throw new Error(`Refusing to write outside the storage directory: ${relativePath}`);
+    }
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, buffer);
+
+    const url = `${this.baseUrl}/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+    return {
+      url,
+      publicId: path.posix.join(folder, publicId),
+      provider: this.name,
+      path: filePath,
+    };
+  }
+
+  localPath(url) {
+    if (typeof url !== 'string' || !url.startsWith(`${this.baseUrl}/`)) return null;
+    try {
+      const relativePath = url.slice(this.baseUrl.length + 1).split('/').map(decodeURIComponent).join('/');
+      return resolveInside(relativePath, this.dir);
+    } catch (error) {
+      return null; // Malformed escape in the URL
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Placeholder image provider
+ * Renders deterministic placeholder art from the prompt and seed, with no network
+ * access or API credits. The same request always produces the same image, so it is
+ * safe to use in tests and for dry runs of the full pipeline.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { ImageProvider, JOB_STATUS } from './imageProvider.js';
+
+/**
+ * Small seeded PRNG (mulberry32) so shapes and colours only depend on the request
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Greedy word wrap by character count (good enough for placeholder captions)
+ */
+function wrapWords(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if ((line + ' ' + word).trim().length > maxChars && line) {
+      lines.push(line);
+      line = word;
+      if (lines.length === maxLines) break;
+    } else {
+      line = (line + ' ' + word).trim();
+    }
+  }
+  if (line && lines.length < maxLines) lines.push(line);
+  return lines;
+}
+
+export class PlaceholderImageProvider extends ImageProvider {
+  constructor(options = {}) {
+    super({ name: 'placeholder', pollIntervalMs: 0, maxAttempts: 1, rateLimited: false, ...options });
+  }
+
+  /**
+   * Stable ID for a request: same prompt, seed, size and context → same image
+   */
+  requestHash({ prompt, seed, width, height, contextImages = [] }) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify([prompt, seed, width, height, contextImages.map(image => image.id)]))
+      .digest('hex');
+  }
+
+  async submit(request) {
+    const hash = this.requestHash(request);
+    return { id: `placeholder_job_${hash.substring(0, 12)}`, request, hash };
+  }
+
+  async poll(job) {
+    return {
+      status: JOB_STATUS.COMPLETE,
+      image: { id: `placeholder_${job.hash.substring(0, 16)}`, request: job.request, hash: job.hash },
+    };
+  }
+
+  async fetchResult(image) {
+    return sharp(Buffer.from(this.renderSvg(image.request, image.hash)))
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  }
+
+  /**
+   * Build the placeholder art: a seeded gradient, a few seeded shapes,
+   * the prompt as a caption and the context image IDs as chips
+   */
+  renderSvg({ prompt = '', seed = 0, width = 832, height = 1248, contextImages = [] }, hash) {
+    const random = seededRandom(parseInt(hash.substring(0, 8), 16) ^ Number(seed));
+    const hue = Math.floor(random() * 360);
+    const shapes = Array.from({ length: 6 }, () => {
+      const cx = Math.round(random() * width);
+      const cy = Math.round(random() * height);
+      const r = Math.round((0.08 + random() * 0.2) * Math.min(width, height));
+      const shapeHue = (hue + Math.floor(random() * 120)) % 360;
+      return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="hsl(${shapeHue},55%,60%)" fill-opacity="0.45"/>`;
+    });
+
+    const fontSize = Math.round(width / 26);
+    const captionLines = wrapWords(prompt, Math.floor(width / (fontSize * 0.55)), 8);
+    const captionTop = height - (captionLines.length + 2) * fontSize * 1.3;
+    const caption = captionLines
+      .map((line, i) => `<text x="${fontSize}" y="${Math.round(captionTop + (i + 1.5) * fontSize * 1.3)}">${escapeXml(line)}</text>`)
+      .join('');
+    const chips = contextImages
+      .map((image, i) => `<text x="${fontSize}" y="${Math.round(fontSize * (2.4 + i * 1.3))}">ctx: ${escapeXml(image.id)}</text>`)
+      .join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="hsl(${hue},60%,85%)"/>
+      <stop offset="1" stop-color="hsl(${(hue + 60) % 360},50%,45%)"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  ${shapes.join('\n  ')}
+  <rect x="0" y="${Math.round(captionTop)}" width="${width}" height="${height - Math.round(captionTop)}" fill="#000" fill-opacity="0.55"/>
+  <g font-family="sans-serif" font-size="${fontSize}" fill="#fff">${caption}</g>
+  <g font-family="monospace" font-size="${Math.round(fontSize * 0.8)}" fill="#111">
+    <text x="${fontSize}" y="${Math.round(fontSize * 1.2)}">PLACEHOLDER · seed ${escapeXml(seed)}</text>${chips}
+  </g>
+</svg>`;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Storage Provider interface
+ *
+ * Every generated image (panels, characters, panels with text, composed pages) is
+ * handed to a storage provider, which keeps the bytes somewhere a browser can load
+ * them from:
+ *
+ *   save(buffer, { folder, publicId, format }) → { url, publicId, provider, path? }
+ *   localPath(url) → path of the file behind a URL this provider returned, or null
+ *
+ * `folder` is a slash-separated logical folder such as "comic/projects/<id>/pages".
+ */
+
+export class StorageProvider {
+  constructor({ name } = {}) {
+    this.name = name;
+  }
+
+  /**
+   * Store an image
+   * @param {Buffer} buffer - Image bytes
+   * @param {Object} options
+   * @param {string} options.folder - Logical folder (e.g. "comic/panels")
+   * @param {string} options.publicId - File name without extension (e.g. "panel_3")
+   * @param {string} options.format - File extension / image format ("jpg", "png")
+   * @returns {Promise<Object>} { url, publicId, provider, path? }
+   */
+  async save(buffer, options) {
+    throw new Error(`${this.name} storage does not implement save()`);
+  }
+
+  /**
+   * Local file behind a stored image's URL, so it can be read without a download
+   * @param {string} url - URL returned by save()
+   * @returns {string|null} Absolute path, or null when the bytes only exist remotely
+   */
+  localPath(url) {
+    return null;
+  }
+}
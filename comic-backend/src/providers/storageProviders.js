@@ -0,0 +1,61 @@
+/**
+ * Storage provider registry
+ * Picks where generated images are kept: the `provider` option, then STORAGE_PROVIDER,
+ * then the `storage` section of config/agent.yaml, then Cloudinary.
+ *
+ *   storage:
+ *     provider: local          # or cloudinary
+ *     local:
+ *       baseUrl: http://localhost:8000/outputs
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'yaml';
+import { CloudinaryStorage } from './cloudinaryStorage.js';
+import { LocalStorage } from './localStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const AGENT_CONFIG_PATH = path.join(__dirname, '../../config/agent.yaml');
+
+const PROVIDERS = {
+  cloudinary: CloudinaryStorage,
+  local: LocalStorage,
+};
+
+/**
+ * Read the `storage` section of config/agent.yaml
+ */
+function loadStorageConfig() {
+  try {
+    if (fs.existsSync(AGENT_CONFIG_PATH)) {
+      return yaml.parse(fs.readFileSync(AGENT_CONFIG_PATH, 'utf8'))?.storage || {};
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to load storage config from agent.yaml:', error.message);
+  }
+  return {};
+}
+
+/**
+ * Create a storage provider
+ * @param {string|Object} provider - Provider name, or an already constructed provider
+ * @param {Object} options - Passed to the provider constructor (over the config)
+ * @returns {StorageProvider}
+ */
+export function createStorage(provider, options = {}) {
+  if (typeof provider === 'object' && provider !== null) {
+    return provider;
+  }
+
+  const config = loadStorageConfig();
+  const name = String(provider || process.env.STORAGE_PROVIDER || config.provider || 'cloudinary').toLowerCase();
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown storage provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider({ ...config[name], ...options });
+}
@@ -12,25 +12,430 @@ import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { LangChainComicAgent } from '../core/langchain-agent.js';
+import { createExportTool } from '../core/exports.js';
+import { ComicPipeline } from '../core/pipeline.js';
+import { resolveInside } from '../providers/localStorage.js';
+import { createStorage } from '../providers/storageProviders.js';
+import { ProjectStore } from '../utils/projectStore.js';
+import { SESSION_COOKIE, SessionManager, getSessionIdFromRequest } from './sessionManager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 8000;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const SESSION_IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES) || 30;
 
-// Initialize the agent
-let agent = null;
+const projectStore = new ProjectStore();
+const OUTPUTS_DIR = createStorage('local').dir; // Local storage writes here and /outputs/ serves it
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.pdf': 'application/pdf',
+  '.cbz': 'application/vnd.comicbook+zip',
+};
+const runningPipelines = new Set(); // Project IDs ('default' for config/comic.yaml) with a pipeline in progress
 
-async function initializeAgent() {
-  try {
-    agent = new LangChainComicAgent();
-    await agent.initialize();
-    console.log(chalk.green('✓ LangChain agent initialized'));
+/**
+ * Image files below a directory, as slash-separated relative paths
+ */
+function listImageFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listImageFiles(path.join(dir, entry.name), relative);
+    return /\.(png|jpg|jpeg)$/i.test(entry.name) ? [relative] : [];
+  });
+}
+
+/**
+ * Create the agent for a new session (one agent per session)
+ */
+async function createAgent(projectId = null) {
+  const project = projectId ? await projectStore.open(projectId) : null;
+  return new LangChainComicAgent({ project });
+}
+
+const sessions = new SessionManager({
+  createAgent,
+  idleTimeoutMs: SESSION_IDLE_MINUTES * 60 * 1000,
+});
+
+/**
+ * Return the session ID to the client as both a header and a cookie
+ */
+function attachSession(res, session) {
+  res.setHeader('X-Session-Id', session.id);
+  res.setHeader(
+    'Set-Cookie',
+    `${SESSION_COOKIE}=${encodeURIComponent(session.id)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_IDLE_MINUTES * 60}`
+  );
+}
+
+/**
+ * Find the caller's session, starting a new one if it has none or it expired
+ */
+async function resolveSession(req, res, projectId = null) {
+  let session = sessions.get(getSessionIdFromRequest(req));
+  if (!session) {
+    session = await sessions.create(projectId);
+  }
+  attachSession(res, session);
+  return session;
+}
+
+/**
+ * Read and parse a JSON request body (empty body → {})
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Project routes:
+ *   GET    /projects                    list projects
+ *   POST   /projects                    create { name }
+ *   GET    /projects/:id                project metadata
+ *   POST   /projects/:id/open           make the project active for the caller's session
+ *   POST   /projects/:id/duplicate      copy { name? }
+ *   DELETE /projects/:id                delete
+ *   GET    /projects/:id/assets/:file   rendered project images
+ * Returns true if the request was handled.
+ */
+async function handleProjectRoutes(req, res, pathname) {
+  if (pathname === '/projects') {
+    if (req.method === 'GET') {
+      sendJson(res, 200, { projects: await projectStore.list() });
+      return true;
+    }
+    if (req.method === 'POST') {
+      const { name } = await readJsonBody(req);
+      sendJson(res, 201, { project: await projectStore.create(name) });
+      return true;
+    }
+    return false;
+  }
+
+  const assetMatch = pathname.match(/^\/projects\/([^/]+)\/assets\/([^/]+)$/);
+  if (assetMatch && req.method === 'GET') {
+    const [, id, filename] = assetMatch;
+    if (!projectStore.exists(id)) {
+      sendJson(res, 404, { error: `Project "${id}" not found` });
+      return true;
+    }
+    const project = await projectStore.open(id);
+    const filepath = path.join(project.assetsDir, path.basename(filename));
+    if (!fs.existsSync(filepath)) {
+      sendJson(res, 404, { error: 'Image not found' });
+      return true;
+    }
+    const contentType = CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType });
+    fs.createReadStream(filepath).pipe(res);
     return true;
+  }
+
+  const match = pathname.match(/^\/projects\/([^/]+)(?:\/(open|duplicate))?$/);
+  if (!match) return false;
+
+  const [, id, action] = match;
+  if (!projectStore.exists(id)) {
+    sendJson(res, 404, { error: `Project "${id}" not found` });
+    return true;
+  }
+
+  if (!action && req.method === 'GET') {
+    sendJson(res, 200, { project: await projectStore.get(id) });
+    return true;
+  }
+
+  if (!action && req.method === 'DELETE') {
+    sessions.list()
+      .filter(session => session.agent.project?.id === id)
+      .forEach(session => session.agent.setProject(null));
+    sendJson(res, 200, await projectStore.delete(id));
+    return true;
+  }
+
+  if (action === 'open' && req.method === 'POST') {
+    const session = await resolveSession(req, res);
+    session.agent.setProject(await projectStore.open(id));
+    sendJson(res, 200, { sessionId: session.id, project: await projectStore.get(id) });
+    return true;
+  }
+
+  if (action === 'duplicate' && req.method === 'POST') {
+    const { name } = await readJsonBody(req);
+    sendJson(res, 201, { project: await projectStore.duplicate(id, name) });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Session routes:
+ *   POST   /sessions              start a session { projectId? }
+ *   POST   /sessions/:id/resume   resume a session, returns its conversation history
+ *   DELETE /sessions/:id          end a session
+ * Returns true if the request was handled.
+ */
+async function handleSessionRoutes(req, res, pathname) {
+  if (pathname === '/sessions' && req.method === 'POST') {
+    const { projectId } = await readJsonBody(req);
+    if (projectId && !projectStore.exists(projectId)) {
+      sendJson(res, 404, { error: `Project "${projectId}" not found` });
+      return true;
+    }
+    const session = await sessions.create(projectId);
+    attachSession(res, session);
+    sendJson(res, 201, sessions.describe(session));
+    return true;
+  }
+
+  const match = pathname.match(/^\/sessions\/([^/]+)(?:\/(resume))?$/);
+  if (!match) return false;
+
+  const [, id, action] = match;
+  const session = sessions.get(id);
+
+  if (action === 'resume' && req.method === 'POST') {
+    if (!session) {
+      sendJson(res, 404, { error: 'Session not found or expired' });
+      return true;
+    }
+    attachSession(res, session);
+    sendJson(res, 200, sessions.describe(session));
+    return true;
+  }
+
+  if (!action && req.method === 'DELETE') {
+    if (!session) {
+      sendJson(res, 404, { error: 'Session not found or expired' });
+      return true;
+    }
+    sessions.end(id);
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; Max-Age=0`);
+    sendJson(res, 200, { sessionId: id, ended: true });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Validate a chat request and pick the session that will handle it.
+ * Sends the error response itself and returns null when the request can't run.
+ * The returned session is already marked busy; runChat releases it.
+ * @returns {Promise<Object|null>} Session
+ */
+async function startChat(req, res, { message, projectId }) {
+  if (!message) {
+    sendJson(res, 400, { error: 'Message is required' });
+    return null;
+  }
+
+  if (projectId && !projectStore.exists(projectId)) {
+    sendJson(res, 404, { error: `Project "${projectId}" not found` });
+    return null;
+  }
+
+  const session = await resolveSession(req, res, projectId);
+  const { agent } = session;
+
+  if (session.busy) {
+    sendJson(res, 409, { error: 'This session is still processing a previous message', sessionId: session.id });
+    return null;
+  }
+  // Claim the session before the next await, so a second request can't switch its project mid-run
+  session.busy = true;
+
+  // Switch project if the client asks for a different one
+  if (projectId && agent.project?.id !== projectId) {
+    try {
+      agent.setProject(await projectStore.open(projectId));
+    } catch (error) {
+      session.busy = false;
+      throw error;
+    }
+  }
+
+  return session;
+}
+
+/**
+ * Run a message through the session's agent and build the response payload
+ * @param {Object} session - Session from startChat
+ * @param {string} message - User message
+ * @param {Function} onProgress - Optional progress callback
+ * @returns {Promise<Object>} { response, trace, stoppedAtMaxSteps, sessionId, projectId, pageUrls?, panelUrls? }
+ */
+async function runChat(session, message, onProgress = null) {
+  const { agent } = session;
+  console.log(chalk.cyan(`\n📨 [${session.id.substring(0, 8)}] Received: ${message}`));
+
+  // Clear URLs before processing new message
+  agent.panelUrls = null;
+  agent.pageUrls = null;
+
+  // Process the message (busy sessions never expire mid-request; startChat marked it busy)
+  let result;
+  try {
+    result = await agent.run(message, { onProgress });
+  } finally {
+    session.busy = false;
+    session.lastActiveAt = Date.now();
+  }
+
+  console.log(chalk.green(`✓ Response generated`));
+
+  // Include page URLs if available (prioritize pages over panels)
+  const responseData = {
+    response: result.response,
+    trace: result.trace,
+    stoppedAtMaxSteps: result.stoppedAtMaxSteps,
+    sessionId: session.id,
+    projectId: agent.project?.id || null,
+  };
+  if (agent.project) {
+    await projectStore.touch(agent.project.id);
+  }
+  console.log('🔍 Agent state - pageUrls:', agent.pageUrls, 'panelUrls:', agent.panelUrls);
+
+  if (agent.pageUrls && agent.pageUrls.length > 0) {
+    responseData.pageUrls = agent.pageUrls;
+    console.log(chalk.magenta(`📖 Sending ${agent.pageUrls.length} composed page URLs to frontend:`));
+    console.log(chalk.magenta(JSON.stringify(agent.pageUrls, null, 2)));
+    // Clear after sending to prevent showing in next response
+    agent.pageUrls = null;
+  } else if (agent.panelUrls && agent.panelUrls.length > 0) {
+    responseData.panelUrls = agent.panelUrls;
+    console.log(chalk.magenta(`📋 Sending ${agent.panelUrls.length} panel URLs to frontend`));
+    // Clear after sending to prevent showing in next response
+    agent.panelUrls = null;
+  }
+
+  console.log('📤 Final response data:', JSON.stringify(responseData, null, 2));
+  return responseData;
+}
+
+/**
+ * POST /export/:format — body: { projectId, ...export options }
+ */
+async function handleExportRoute(req, res, format) {
+  try {
+    const { projectId, ...options } = await readJsonBody(req);
+    if (projectId && !projectStore.exists(projectId)) {
+      sendJson(res, 404, { error: `Project "${projectId}" not found` });
+      return;
+    }
+    const project = projectId ? await projectStore.open(projectId) : null;
+    const tool = createExportTool(format, { project });
+    const result = JSON.parse(await tool.execute(options));
+    sendJson(res, result.success ? 200 : 400, result);
   } catch (error) {
-    console.error(chalk.red('Failed to initialize agent:'), error.message);
-    return false;
+    console.error(chalk.red('Export failed:'), error.message);
+    sendJson(res, error.message.startsWith('Unknown export format') ? 404 : 500, { error: error.message });
+  }
+}
+
+/**
+ * Pipeline routes:
+ *   GET  /pipeline?projectId=...   last checkpoint
+ *   POST /pipeline                 run { prompt, projectId?, genre?, tone?, pageCount?, from?, to?, resume? }
+ */
+async function handlePipelineRoute(req, res) {
+  let body;
+  try {
+    body = req.method === 'GET'
+      ? { projectId: new URL(req.url, `http://localhost:${PORT}`).searchParams.get('projectId') }
+      : await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+
+  if (body.projectId && !projectStore.exists(body.projectId)) {
+    sendJson(res, 404, { error: `Project "${body.projectId}" not found` });
+    return;
+  }
+  const project = body.projectId ? await projectStore.open(body.projectId) : null;
+
+  const key = project?.id || 'default';
+  if (req.method === 'GET') {
+    const checkpoint = new ComicPipeline({ project }).loadCheckpoint();
+    sendJson(res, checkpoint ? 200 : 404, checkpoint || { error: 'No pipeline run for this project' });
+    return;
+  }
+
+  if (runningPipelines.has(key)) {
+    sendJson(res, 409, { error: 'A pipeline is already running for this project' });
+    return;
+  }
+
+  const stream = (req.headers.accept || '').includes('text/event-stream');
+  if (stream) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+  }
+
+  runningPipelines.add(key);
+  try {
+    const pipeline = new ComicPipeline({
+      project,
+      imageProvider: body.imageProvider,
+      onProgress: stream ? (event) => sendEvent(res, 'progress', event) : null,
+    });
+    const result = await pipeline.run(body);
+    if (project) {
+      await projectStore.touch(project.id);
+    }
+
+    if (stream) {
+      sendEvent(res, 'done', result);
+      res.end();
+    } else {
+      sendJson(res, result.success ? 200 : 500, result);
+    }
+  } catch (error) {
+    console.error(chalk.red('Pipeline failed:'), error.message);
+    if (stream) {
+      sendEvent(res, 'error', { error: error.message });
+      res.end();
+    } else {
+      sendJson(res, 400, { error: error.message });
+    }
+  } finally {
+    runningPipelines.delete(key);
   }
 }
 
@@ -38,8 +443,9 @@ async function initializeAgent() {
 const server = http.createServer(async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Session-Id');
   
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -51,23 +457,28 @@ const server = http.createServer(async (req, res) => {
   // Health check
   if (req.url === '/health' && req.method === 'GET') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', agent: agent ? 'ready' : 'not initialized' }));
+    res.end(JSON.stringify({ status: 'ok', sessions: sessions.list().length }));
     return;
   }
 
-  // Serve images from outputs folder
+  // Serve images from outputs folder (including subfolders written by local storage)
   if (req.url.startsWith('/outputs/') && req.method === 'GET') {
-    const filename = req.url.replace('/outputs/', '');
-    const filepath = path.join(__dirname, '../../outputs', filename);
-    
-    if (!fs.existsSync(filepath)) {
+    let filename;
+    try {
+      filename = decodeURIComponent(new URL(req.url, `http://localhost:${PORT}`).pathname.replace('/outputs/', ''));
+    } catch {
+      filename = null;
+    }
+    const filepath = filename ? resolveInside(filename, OUTPUTS_DIR) : null;
+
+    if (!filepath || !fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
       res.writeHead(404, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Image not found' }));
       return;
     }
 
     const ext = path.extname(filename).toLowerCase();
-    const contentType = ext === '.png' ? 'image/png' : ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : 'application/octet-stream';
+    const contentType = CONTENT_TYPES[ext] || 'application/octet-stream';
     
     res.writeHead(200, { 'Content-Type': contentType });
     fs.createReadStream(filepath).pipe(res);
@@ -76,16 +487,13 @@ const server = http.createServer(async (req, res) => {
 
   // List all images in outputs folder
   if (req.url === '/outputs' && req.method === 'GET') {
-    const outputsDir = path.join(__dirname, '../../outputs');
-    
-    if (!fs.existsSync(outputsDir)) {
+    if (!fs.existsSync(OUTPUTS_DIR)) {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ images: [] }));
       return;
     }
 
-    const files = fs.readdirSync(outputsDir)
-      .filter(file => /\.(png|jpg|jpeg)$/i.test(file))
+    const files = listImageFiles(OUTPUTS_DIR)
       .map(file => ({
         filename: file,
         url: `http://localhost:${PORT}/outputs/${file}`,
@@ -97,70 +505,92 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  // Session management
+  if (pathname.startsWith('/sessions')) {
+    try {
+      if (await handleSessionRoutes(req, res, pathname)) return;
+    } catch (error) {
+      console.error(chalk.red('Error handling session request:'), error.message);
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+  }
+
+  // Project management
+  if (pathname.startsWith('/projects')) {
+    try {
+      if (await handleProjectRoutes(req, res, pathname)) return;
+    } catch (error) {
+      console.error(chalk.red('Error handling project request:'), error.message);
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+  }
+
   // Chat endpoint
-  if (req.url === '/chat' && req.method === 'POST') {
-    let body = '';
-    
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
+  if (pathname === '/chat' && req.method === 'POST') {
+    try {
+      const body = await readJsonBody(req);
+      const session = await startChat(req, res, body);
+      if (!session) return;
 
-    req.on('end', async () => {
-      try {
-        const { message } = JSON.parse(body);
-        
-        if (!message) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Message is required' }));
-          return;
-        }
-
-        if (!agent) {
-          res.writeHead(503, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Agent not initialized' }));
-          return;
-        }
-
-        console.log(chalk.cyan(`\n📨 Received: ${message}`));
-        
-        // Clear URLs before processing new message
-        agent.panelUrls = null;
-        agent.pageUrls = null;
-        
-        // Process the message
-        const response = await agent.generateResponse(message);
-        
-        console.log(chalk.green(`✓ Response generated`));
-
-        // Include page URLs if available (prioritize pages over panels)
-        const responseData = { response };
-        console.log('🔍 Agent state - pageUrls:', agent.pageUrls, 'panelUrls:', agent.panelUrls);
-        
-        if (agent.pageUrls && agent.pageUrls.length > 0) {
-          responseData.pageUrls = agent.pageUrls;
-          console.log(chalk.magenta(`📖 Sending ${agent.pageUrls.length} composed page URLs to frontend:`));
-          console.log(chalk.magenta(JSON.stringify(agent.pageUrls, null, 2)));
-          // Clear after sending to prevent showing in next response
-          agent.pageUrls = null;
-        } else if (agent.panelUrls && agent.panelUrls.length > 0) {
-          responseData.panelUrls = agent.panelUrls;
-          console.log(chalk.magenta(`📋 Sending ${agent.panelUrls.length} panel URLs to frontend`));
-          // Clear after sending to prevent showing in next response
-          agent.panelUrls = null;
-        }
-        
-        console.log('📤 Final response data:', JSON.stringify(responseData, null, 2));
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(responseData));
-        
-      } catch (error) {
-        console.error(chalk.red('Error processing request:'), error.message);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
+      const responseData = await runChat(session, body.message);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseData));
+    } catch (error) {
+      console.error(chalk.red('Error processing request:'), error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
       }
+    }
+    return;
+  }
+
+  // Chat endpoint with live progress (Server-Sent Events)
+  if (pathname === '/chat/stream' && req.method === 'POST') {
+    let body;
+    let session;
+    try {
+      body = await readJsonBody(req);
+      session = await startChat(req, res, body);
+    } catch (error) {
+      console.error(chalk.red('Error processing request:'), error.message);
+      sendJson(res, 500, { error: error.message });
+      return;
+    }
+    if (!session) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
     });
-    
+
+    try {
+      const responseData = await runChat(session, body.message, (event) => {
+        sendEvent(res, 'progress', event);
+      });
+      sendEvent(res, 'done', responseData);
+    } catch (error) {
+      console.error(chalk.red('Error processing request:'), error.message);
+      sendEvent(res, 'error', { error: error.message });
+    }
+    res.end();
+    return;
+  }
+
+  // Full pipeline: JSON response, or Server-Sent Events when the client accepts them
+  if (pathname === '/pipeline' && (req.method === 'POST' || req.method === 'GET')) {
+    await handlePipelineRoute(req, res);
+    return;
+  }
+
+  // Exports of the composed pages: POST /export/pdf
+  const exportMatch = pathname.match(/^\/export\/([\w-]+)$/);
+  if (exportMatch && req.method === 'POST') {
+    await handleExportRoute(req, res, exportMatch[1]);
     return;
   }
 
@@ -176,19 +606,20 @@ async function start() {
   console.log(chalk.cyan.bold('═'.repeat(60)));
   console.log('');
 
-  const initialized = await initializeAgent();
-  
-  if (!initialized) {
-    console.error(chalk.red('Failed to start server: Agent initialization failed'));
-    process.exit(1);
-  }
+  sessions.start();
 
   server.listen(PORT, () => {
     console.log(chalk.green(`✓ Server running on http://localhost:${PORT}`));
     console.log(chalk.gray(`  Frontend URL: ${FRONTEND_URL}`));
+    console.log(chalk.gray(`  Sessions expire after ${SESSION_IDLE_MINUTES} idle minutes`));
     console.log(chalk.gray(`  Endpoints:`));
     console.log(chalk.gray(`    GET  /health - Health check`));
-    console.log(chalk.gray(`    POST /chat   - Send message to agent`));
+    console.log(chalk.gray(`    POST /chat   - Send message to agent (X-Session-Id header or cookie)`));
+    console.log(chalk.gray(`    POST /chat/stream - Same as /chat, streaming progress as Server-Sent Events`));
+    console.log(chalk.gray(`    POST /pipeline - Run the full generation pipeline (GET for the last checkpoint)`));
+    console.log(chalk.gray(`    POST /sessions, POST /sessions/:id/resume, DELETE /sessions/:id`));
+    console.log(chalk.gray(`    GET  /projects - List projects (POST to create)`));
+    console.log(chalk.gray(`    POST /projects/:id/open|duplicate, DELETE /projects/:id`));
     console.log('');
   });
 }
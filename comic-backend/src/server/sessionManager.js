@@ -0,0 +1,147 @@
+/**
+ * Session Manager
+ * Keeps one LangChainComicAgent per browser session so conversation history,
+ * Leonardo output and panel/page URLs are never shared between users.
+ */
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+
+export const SESSION_HEADER = 'x-session-id';
+export const SESSION_COOKIE = 'comic_session';
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Read the session ID from the X-Session-Id header or the comic_session cookie
+ * @param {http.IncomingMessage} req
+ * @returns {string|null} Session ID
+ */
+export function getSessionIdFromRequest(req) {
+  const header = req.headers[SESSION_HEADER];
+  if (header) return String(header);
+
+  const cookies = req.headers.cookie || '';
+  for (const part of cookies.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE && rest.length > 0) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+}
+
+export class SessionManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createAgent - async (projectId) => agent
+   * @param {number} options.idleTimeoutMs - Sessions idle longer than this are ended
+   */
+  constructor({ createAgent, idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS }) {
+    this.createAgent = createAgent;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.sessions = new Map();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Start the idle-expiry sweep
+   */
+  start() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(SWEEP_INTERVAL_MS, this.idleTimeoutMs));
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Start a new session with its own agent
+   * @param {string} projectId - Optional project to open
+   * @returns {Promise<Object>} Session
+   */
+  async create(projectId = null) {
+    const agent = await this.createAgent(projectId);
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      agent,
+      busy: false,
+      createdAt: now,
+      lastActiveAt: now,
+    };
+    this.sessions.set(session.id, session);
+    console.log(chalk.green(`✓ Started session ${session.id} (${this.sessions.size} active)`));
+    return session;
+  }
+
+  /**
+   * Look up a live session and mark it as active
+   * @returns {Object|null} Session, or null if unknown or expired
+   */
+  get(id) {
+    if (!id) return null;
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    if (this.isExpired(session)) {
+      this.end(id);
+      return null;
+    }
+
+    session.lastActiveAt = Date.now();
+    return session;
+  }
+
+  /**
+   * End a session and drop its agent
+   * @returns {boolean} True if the session existed
+   */
+  end(id) {
+    const existed = this.sessions.delete(id);
+    if (existed) {
+      console.log(chalk.gray(`Session ${id} ended (${this.sessions.size} active)`));
+    }
+    return existed;
+  }
+
+  isExpired(session) {
+    return !session.busy && Date.now() - session.lastActiveAt > this.idleTimeoutMs;
+  }
+
+  /**
+   * End every session that has been idle past the timeout
+   */
+  sweep() {
+    for (const session of this.sessions.values()) {
+      if (this.isExpired(session)) {
+        this.end(session.id);
+      }
+    }
+  }
+
+  /**
+   * All live sessions (used e.g. to detach a deleted project)
+   */
+  list() {
+    return [...this.sessions.values()];
+  }
+
+  /**
+   * Public view of a session for API responses
+   */
+  describe(session) {
+    return {
+      sessionId: session.id,
+      projectId: session.agent.project?.id || null,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActiveAt: new Date(session.lastActiveAt).toISOString(),
+      expiresAt: new Date(session.lastActiveAt + this.idleTimeoutMs).toISOString(),
+      history: session.agent.conversationHistory,
+    };
+  }
+}
@@ -1,10 +1,12 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'yaml';
 import { z } from 'zod';
+import { createChatModel, getLlmSettings } from '../providers/llmProviders.js';
+import { MAX_CAST_SIZE, MIN_CAST_SIZE, castIds, castSizeFromPanels, clampCastSize, panelCharacterIds } from '../utils/cast.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,10 +16,19 @@ const __dirname = path.dirname(__filename);
  * Generates character descriptions using Gemini AI with fixed image specifications
  */
 export class CharacterGenerationLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'generate_characters';
-    this.description = 'Generates up to two character descriptions for a comic story. Each character includes a unique name and a detailed visual description suitable for image generation. Use this tool when the user requests characters for a story. The output must follow the fixed visual standards: 832x1248 size, full-body pose, centered composition, white background, comic-book style.';
+    this.description = 'Generates the character descriptions for a comic story (castSize characters, 1-6; by default as many as the panels use). Each character includes a unique name and a detailed visual description suitable for image generation. Use this tool when the user requests characters for a story. The output must follow the fixed visual standards: 832x1248 size, full-body pose, centered composition, white background, comic-book style.';
     this.config = this.loadCharacterConfig();
+    this.project = options.project || defaultProjectContext();
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
   }
 
   /**
@@ -64,10 +75,16 @@ export class CharacterGenerationLangChainTool {
           .describe('Brief description of the story or genre to inform character generation'),
         genre: z.string()
           .optional()
-          .describe('Genre of the comic (e.g., sci-fi, fantasy, mystery, adventure)')
+          .describe('Genre of the comic (e.g., sci-fi, fantasy, mystery, adventure)'),
+        castSize: z.number()
+          .int()
+          .min(MIN_CAST_SIZE)
+          .max(MAX_CAST_SIZE)
+          .optional()
+          .describe('Number of characters to create. Defaults to the characters referenced by the panels, then characters.yaml default_count')
       }),
-      func: async ({ storyContext, genre }) => {
-        return await this.execute(storyContext, genre);
+      func: async ({ storyContext, genre, castSize }) => {
+        return await this.execute(storyContext, genre, castSize);
       }
     });
   }
@@ -77,7 +94,7 @@ export class CharacterGenerationLangChainTool {
    */
   loadPanelsFromComic() {
     try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
+      const comicPath = this.project.comicPath;
       if (fs.existsSync(comicPath)) {
         const comicFile = fs.readFileSync(comicPath, 'utf8');
         const parsed = yaml.parse(comicFile);
@@ -93,14 +110,17 @@ export class CharacterGenerationLangChainTool {
    * Execute character generation based on panels
    * @param {string} storyContext - Optional story context
    * @param {string} genre - Optional genre
+   * @param {number} castSize - Optional number of characters (1-6)
    * @returns {Promise<string>} JSON string with formatted character data
    */
-  async execute(storyContext = '', genre = '') {
+  async execute(storyContext = '', genre = '', castSize = null) {
     try {
-      const characterCount = this.config.default_count || 2;
-
       // Load panels from comic.yaml first
       const panels = this.loadPanelsFromComic();
+
+      // Cast size: explicit, else what the panels reference, else the configured default
+      const characterCount = clampCastSize(castSize ?? (castSizeFromPanels(panels) || this.config.default_count || 2));
+      const cast = castIds(characterCount);
       
       if (panels.length === 0) {
         return JSON.stringify({
@@ -110,18 +130,16 @@ export class CharacterGenerationLangChainTool {
         });
       }
 
-      console.log(`🧠  Calling Gemini to generate ${characterCount} characters based on ${panels.length} panels...`);
+      const llmSettings = getLlmSettings(this.name);
+      console.log(`🧠  Calling ${llmSettings.provider} (${llmSettings.model}) to generate ${characterCount} characters based on ${panels.length} panels...`);
 
-      const llm = new ChatGoogleGenerativeAI({
-        model: 'gemini-2.5-flash-lite',
-        apiKey: process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY,
-        temperature: 0.9,
-      });
+      const llm = createChatModel(this.name);
 
       // Extract panel descriptions for context
-      const panelDescriptions = panels.map((p, idx) => 
-        `Panel ${idx + 1}: ${p.description}`
-      ).join('\n');
+      const panelDescriptions = panels.map((p, idx) => {
+        const inPanel = panelCharacterIds(p);
+        return `Panel ${idx + 1}${inPanel.length > 0 ? ` (characters: ${inPanel.join(', ')})` : ''}: ${p.description}`;
+      }).join('\n');
 
       const prompt = `
 You are a Character Creator for comics.
@@ -151,22 +169,15 @@ For each character, create:
 
 IMPORTANT: 
 - Characters must be consistent with panel descriptions
-- Use character IDs: char_1, char_2, etc.
+- Use exactly these character IDs: ${cast.join(', ')} (panels list which IDs appear in them)
 - Each description should be vivid and detailed enough for image generation
 - Output ONLY a JSON array in this format:
 
-[
-  {
-    "id": "char_1",
-    "name": "Character Name",
-    "description": "Detailed 3-5 sentence visual description based on panel descriptions..."
-  },
-  {
-    "id": "char_2",
-    "name": "Character Name",
-    "description": "Detailed 3-5 sentence visual description based on panel descriptions..."
-  }
-]
+${JSON.stringify(cast.map(id => ({
+  id,
+  name: 'Character Name',
+  description: 'Detailed 3-5 sentence visual description based on panel descriptions...',
+})), null, 2)}
 
 Output ONLY the JSON array, no explanations, no markdown.
 `;
@@ -222,7 +233,8 @@ Output ONLY the JSON array, no explanations, no markdown.
             name: c.name || `Character ${index + 1}`,
             description: (c.description || '').trim()
           }))
-          .filter(c => c.description.length > 0 && c.name.length > 0);
+          .filter(c => c.description.length > 0 && c.name.length > 0)
+          .slice(0, characterCount);
       }
 
       if (characters.length === 0) {
@@ -244,7 +256,7 @@ Output ONLY the JSON array, no explanations, no markdown.
       return JSON.stringify({
         success: true,
         characterCount: characters.length,
-        model: 'gemini-2.5-flash-lite',
+        model: llmSettings.model,
         characters: characters
       }, null, 2);
 
@@ -262,7 +274,7 @@ Output ONLY the JSON array, no explanations, no markdown.
    */
   async saveCharactersToYaml(characters) {
     try {
-      const charPath = path.join(__dirname, '../../config/characters.yaml');
+      const charPath = this.project.charactersPath;
       
       // Load existing config
       let existingConfig = {};
@@ -299,7 +311,7 @@ Output ONLY the JSON array, no explanations, no markdown.
    */
   async updateComicYaml(characters) {
     try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
+      const comicPath = this.project.comicPath;
       
       // Load existing comic.yaml or create new structure
       let comicData = { characters: [], panels: [] };
@@ -324,6 +336,7 @@ Output ONLY the JSON array, no explanations, no markdown.
         
         return {
           id: char.id,
+          name: char.name,
           width: charConfig.image_specs?.width || 832,
           height: charConfig.image_specs?.height || 1248,
           description: char.description,
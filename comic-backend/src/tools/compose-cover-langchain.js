@@ -0,0 +1,379 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { createCanvas, loadImage } from 'canvas';
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'yaml';
+import { z } from 'zod';
+import { A4 } from '../../config/a4.js';
+import { createStorage } from '../providers/storageProviders.js';
+import { comicFont, registerComicFonts, traceRoundedRect } from '../utils/comicFonts.js';
+import { comicTitle, storeComposedImage } from '../utils/composedPages.js';
+import { MASTHEAD_FONT_STYLE, buildCoverLayout, defaultCoverDate } from '../utils/coverLayout.js';
+import { DEFAULT_FETCH_CONCURRENCY, fetchImages } from '../utils/imageFetcher.js';
+import { layoutPageIds, loadComicLayouts } from '../utils/layouts.js';
+import { fitPanelImage, panelFocalPoint } from '../utils/panelFit.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+
+registerComicFonts();
+
+const DEFAULT_MASTHEAD_COLOR = '#ffd400';
+const DEFAULT_ACCENT_COLOR = '#e4252b';
+const COVER_SETTINGS = [
+  'title',
+  'subtitle',
+  'issueNumber',
+  'price',
+  'date',
+  'credits',
+  'barcode',
+  'panelId',
+  'mastheadColor',
+  'accentColor',
+];
+
+/**
+ * Compose Cover Tool for LangChain
+ * Composes an A4 front cover over the clean panel1 art (without speech bubbles):
+ * masthead title, subtitle, issue number, price/date badge, creator credits and an
+ * optional barcode box, lettered with the comic fonts in config/font.
+ *
+ * The cover is recorded in comic.yaml (`cover`), so running the tool again keeps the
+ * previous settings, and the exports (PDF, CBZ) put it before the pages.
+ */
+export class ComposeCoverLangChainTool {
+  constructor(options = {}) {
+    this.name = 'compose_cover';
+    this.description =
+      'Composes a front cover over the panel1 art: logo-style masthead title, subtitle, issue number, price/date badge, creator credits and an optional barcode box. Settings not given are kept from the previous cover in comic.yaml. The cover comes first in PDF and CBZ exports (replacing a splash page of panel1 alone). Returns the cover URL.';
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.storage = createStorage(options.storage);
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
+  }
+
+  /**
+   * Set the callback that receives progress events (see utils/progress.js)
+   * @param {Function|null} onProgress - Progress callback
+   */
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
+  }
+
+  /**
+   * Get the tool definition for LangChain
+   */
+  getTool() {
+    return new DynamicStructuredTool({
+      name: this.name,
+      description: this.description,
+      schema: z.object({
+        title: z.string().optional().describe('Masthead title (default: the title of panel1, then the project name)'),
+        subtitle: z.string().optional().describe('Line under the masthead, e.g. the story title of this issue'),
+        issueNumber: z.union([z.number().int(), z.string()]).optional().describe('Issue number for the top-left box. Default: 1'),
+        price: z.string().optional().describe('Cover price for the badge, e.g. "$3.99"'),
+        date: z.string().optional().describe('Cover date for the badge. Default: the month the cover is drawn, e.g. "OCT 2026" (not recorded)'),
+        credits: z
+          .array(z.object({ role: z.string().optional(), name: z.string() }))
+          .optional()
+          .describe('Creator credits for the band at the bottom, e.g. [{ role: "Story", name: "Ana Ruiz" }]'),
+        barcode: z.boolean().optional().describe('Draw a barcode box in the bottom-right corner. Default: false'),
+        panelId: z.string().optional().describe('Panel whose art fills the cover. Default: panel1'),
+        mastheadColor: z.string().optional().describe(`Masthead fill at the top of the letters. Default: ${DEFAULT_MASTHEAD_COLOR}`),
+        accentColor: z
+          .string()
+          .optional()
+          .describe(`Masthead fill at the bottom of the letters and the badge color. Default: ${DEFAULT_ACCENT_COLOR}`),
+        upload: z
+          .boolean()
+          .optional()
+          .describe('Store the cover with the storage provider (Cloudinary or local). false: only write it to the project assets. Default: true'),
+      }),
+      func: async (options) => await this.execute(options),
+    });
+  }
+
+  loadComicData() {
+    try {
+      return yaml.parse(fs.readFileSync(this.project.comicPath, 'utf8')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Cover settings: the options, then the previous cover in comic.yaml, then defaults
+   * The date stays null unless one was given, so the cover shows the current month each time it is drawn
+   */
+  coverSettings(comicData, options = {}) {
+    const previous = comicData.cover || {};
+    const pick = key => options[key] ?? previous[key];
+    return {
+      title: pick('title') || comicTitle(comicData, this.project),
+      subtitle: pick('subtitle') || null,
+      issueNumber: pick('issueNumber') ?? 1,
+      price: pick('price') || null,
+      date: pick('date') || null,
+      credits: pick('credits') || [],
+      barcode: pick('barcode') ?? false,
+      panelId: pick('panelId') || 'panel1',
+      mastheadColor: pick('mastheadColor') || DEFAULT_MASTHEAD_COLOR,
+      accentColor: pick('accentColor') || DEFAULT_ACCENT_COLOR,
+    };
+  }
+
+  /**
+   * The page the cover replaces: page 1 when it is a splash of the cover panel alone
+   * @returns {number|null}
+   */
+  replacedPage(comicData, panelId) {
+    const layout = comicData.layout && loadComicLayouts(this.project.comicPath)[comicData.layout];
+    const [firstPage] = layoutPageIds(layout);
+    return firstPage?.length === 1 && firstPage[0] === panelId ? 1 : null;
+  }
+
+  /**
+   * Load the clean art of the cover panel (local file, download cache or network)
+   */
+  async loadCoverArt(comicPanel) {
+    if (!comicPanel?.cloudinaryUrl) {
+      throw new Error(`No image for ${comicPanel?.id || 'the cover panel'} in comic.yaml. Generate the panels first.`);
+    }
+    const { images, failed } = await fetchImages([{ id: comicPanel.id, url: comicPanel.cloudinaryUrl }], {
+      cacheDir: path.join(this.project.assetsDir, 'cache', 'images'),
+      concurrency: DEFAULT_FETCH_CONCURRENCY,
+      resolveLocalPath: url => this.storage.localPath?.(url) || null,
+    });
+    if (!images[comicPanel.id]) {
+      throw new Error(`Could not fetch ${comicPanel.id}: ${failed[comicPanel.id]}`);
+    }
+    return await loadImage(images[comicPanel.id]);
+  }
+
+  /**
+   * Darken the top of the art so the masthead reads on light skies
+   */
+  drawScrim(ctx, layout, width) {
+    const below = layout.subtitle || layout.masthead;
+    const bottom = below.y + below.height * 1.5;
+    const scrim = ctx.createLinearGradient(0, 0, 0, bottom);
+    scrim.addColorStop(0, 'rgba(0, 0, 0, 0.55)');
+    scrim.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = scrim;
+    ctx.fillRect(0, 0, width, bottom);
+  }
+
+  /**
+   * Masthead: bold italic capitals with a thick black outline, a drop shadow and a gradient fill
+   */
+  drawMasthead(ctx, masthead, cover) {
+    const centerX = masthead.x + masthead.width / 2;
+    ctx.font = comicFont(masthead.fontSize, MASTHEAD_FONT_STYLE);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.lineJoin = 'round';
+
+    masthead.lines.forEach((line, index) => {
+      const y = masthead.y + index * masthead.lineHeight;
+      const fill = ctx.createLinearGradient(0, y, 0, y + masthead.fontSize);
+      fill.addColorStop(0, cover.mastheadColor);
+      fill.addColorStop(1, cover.accentColor);
+
+      ctx.save();
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+      ctx.shadowOffsetX = masthead.fontSize * 0.04;
+      ctx.shadowOffsetY = masthead.fontSize * 0.04;
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = masthead.fontSize * 0.12;
+      ctx.strokeText(line, centerX, y);
+      ctx.restore();
+
+      ctx.fillStyle = fill;
+      ctx.fillText(line, centerX, y);
+    });
+  }
+
+  /**
+   * White text with a black outline (subtitle)
+   */
+  drawOutlinedText(ctx, { text, fontSize, x, y, width }) {
+    ctx.font = comicFont(fontSize, 'italic');
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = fontSize * 0.15;
+    ctx.strokeText(text, x + width / 2, y);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, x + width / 2, y);
+  }
+
+  /**
+   * Filled box with centred text (issue number, price/date badge)
+   */
+  drawLabel(ctx, box, background, color) {
+    ctx.fillStyle = background;
+    traceRoundedRect(ctx, box, box.height * 0.2);
+    ctx.fill();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 4;
+    ctx.stroke();
+
+    ctx.font = comicFont(box.fontSize, 'bold');
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = color;
+    ctx.fillText(box.text, box.x + box.width / 2, box.y + box.height / 2);
+  }
+
+  /**
+   * Credits band across the bottom of the cover
+   */
+  drawCredits(ctx, credits) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(credits.x, credits.y, credits.width, credits.height);
+
+    ctx.font = comicFont(credits.fontSize, 'bold');
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#ffffff';
+    const top = credits.y + (credits.height - credits.lineHeight * credits.lines.length) / 2;
+    credits.lines.forEach((line, index) => {
+      ctx.fillText(line, credits.x + credits.width / 2, top + index * credits.lineHeight + credits.fontSize * 0.15);
+    });
+  }
+
+  /**
+   * Barcode box: UPC-A bars (guard bars run longer) and the digits underneath
+   */
+  drawBarcode(ctx, barcode) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(barcode.x, barcode.y, barcode.width, barcode.height);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(barcode.x, barcode.y, barcode.width, barcode.height);
+
+    const padding = barcode.width * 0.08;
+    const digitSize = barcode.height * 0.14;
+    const moduleWidth = (barcode.width - padding * 2) / barcode.modules.length;
+    const barHeight = barcode.height - padding * 2 - digitSize;
+    const isGuard = index => index < 3 || (index >= 45 && index < 50) || index >= barcode.modules.length - 3;
+
+    ctx.fillStyle = '#000000';
+    [...barcode.modules].forEach((module, index) => {
+      if (module !== '1') return;
+      const height = isGuard(index) ? barHeight + digitSize / 2 : barHeight;
+      ctx.fillRect(barcode.x + padding + index * moduleWidth, barcode.y + padding, moduleWidth, height);
+    });
+
+    ctx.font = `${Math.round(digitSize)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(barcode.digits, barcode.x + barcode.width / 2, barcode.y + barcode.height - padding / 2);
+  }
+
+  /**
+   * Draw the cover: full-bleed art cropped around the characters, then the cover furniture
+   * @returns {Promise<Buffer>} PNG
+   */
+  async renderCover(comicPanel, cover) {
+    const art = await this.loadCoverArt(comicPanel);
+    const { width, height } = A4;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    const focus = panelFocalPoint(comicPanel, art);
+    const { source, target } = fitPanelImage(art, { x: 0, y: 0, width, height }, { fit: 'focus', focus });
+    ctx.drawImage(art, source.x, source.y, source.width, source.height, target.x, target.y, target.width, target.height);
+
+    const measure = (text, font) => {
+      ctx.font = font;
+      return ctx.measureText(text).width;
+    };
+    const layout = buildCoverLayout({ ...cover, date: cover.date || defaultCoverDate() }, { width, height }, measure);
+
+    this.drawScrim(ctx, layout, width);
+    this.drawMasthead(ctx, layout.masthead, cover);
+    if (layout.subtitle) this.drawOutlinedText(ctx, layout.subtitle);
+    if (layout.issue) this.drawLabel(ctx, layout.issue, '#000000', '#ffffff');
+    if (layout.badge) this.drawLabel(ctx, layout.badge, cover.accentColor, '#ffffff');
+    if (layout.credits) this.drawCredits(ctx, layout.credits);
+    if (layout.barcode) this.drawBarcode(ctx, layout.barcode);
+
+    return canvas.toBuffer('image/png');
+  }
+
+  /**
+   * Record the cover in comic.yaml for the next run and the exports
+   */
+  async saveCoverToComicYaml(cover) {
+    try {
+      const comicData = this.loadComicData();
+      comicData.cover = cover;
+      await fs.writeFile(this.project.comicPath, yaml.stringify(comicData, { indent: 2, lineWidth: 120, simpleKeys: false }));
+      console.log('✓ Saved the cover to comic.yaml');
+    } catch (error) {
+      console.warn('⚠️  Failed to save the cover to comic.yaml:', error.message);
+    }
+  }
+
+  /**
+   * Execute cover composition
+   * @param {Object} options - The cover settings from the schema, and upload
+   */
+  async execute(options = {}) {
+    try {
+      const comicData = this.loadComicData();
+      const cover = this.coverSettings(comicData, options);
+      if (!cover.title) {
+        return JSON.stringify({ success: false, error: 'No title for the masthead. Pass a title or give panel1 a title.' });
+      }
+      const comicPanel = (comicData.panels || []).find(panel => panel.id === cover.panelId);
+      if (!comicPanel) {
+        return JSON.stringify({ success: false, error: `Panel ${cover.panelId} not found in comic.yaml` });
+      }
+
+      console.log(`🎨 Composing the cover "${cover.title}" over ${cover.panelId}...`);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.GENERATION_STARTED, tool: this.name, kind: 'cover', id: 'cover' });
+
+      const stored = await storeComposedImage(await this.renderCover(comicPanel, cover), {
+        project: this.project,
+        storage: this.storage,
+        folder: 'cover',
+        publicId: 'cover',
+        upload: options.upload,
+      });
+      const replacesPage = this.replacedPage(comicData, cover.panelId);
+      const record = Object.fromEntries(
+        COVER_SETTINGS.filter(key => cover[key] !== null).map(key => [key, cover[key]])
+      );
+      await this.saveCoverToComicYaml({ ...record, url: stored.url, path: stored.path, ...(replacesPage && { replacesPage }) });
+
+      console.log(`✅ Cover: ${stored.url}`);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.UPLOAD_FINISHED, tool: this.name, id: 'cover', url: stored.url });
+
+      return JSON.stringify(
+        {
+          success: true,
+          url: stored.url,
+          path: stored.path,
+          uploaded: stored.uploaded,
+          replacesPage,
+          cover: record,
+        },
+        null,
+        2
+      );
+    } catch (error) {
+      console.error('❌ Cover composition failed:', error.message);
+      return JSON.stringify({ success: false, error: `Failed to compose the cover: ${error.message}` });
+    }
+  }
+}
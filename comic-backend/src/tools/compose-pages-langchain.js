@@ -1,5 +1,4 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
-import axios from 'axios';
 import { createCanvas, loadImage } from 'canvas';
 import fs from 'fs-extra';
 import path from 'path';
@@ -7,21 +6,60 @@ import { fileURLToPath } from 'url';
 import yaml from 'yaml';
 import { z } from 'zod';
 import { A4 } from '../../config/a4.js';
-import { uploadBuffer } from '../utils/cloudinary.js';
+import { WEBTOON } from '../../config/webtoon.js';
+import { createStorage } from '../providers/storageProviders.js';
+import { registerComicFonts, traceRoundedRect } from '../utils/comicFonts.js';
+import { comicTitle, storeComposedImage } from '../utils/composedPages.js';
+import { generateGridLayout } from '../utils/gridLayout.js';
+import { DEFAULT_FETCH_CONCURRENCY, fetchImages } from '../utils/imageFetcher.js';
+import { findLayoutByPageCount, layoutPageIds, layoutPanelIds, loadComicLayouts } from '../utils/layouts.js';
+import { DEFAULT_THEME, applyGutter, formatThemeText, loadThemes, pageNumberPlacement, resolveTheme } from '../utils/pageThemes.js';
 import { calculatePanelPosition } from '../utils/panelCalculator.js';
+import { DEFAULT_FIT, FIT_MODES, fitPanelImage, panelFocalPoint } from '../utils/panelFit.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+import { DEFAULT_SPREAD_GUTTER, calculateSpreadPosition, expandSpreads, splitSpreadPanel } from '../utils/spreads.js';
+import { layoutWebtoonStrip, splitWebtoonStrip } from '../utils/webtoonLayout.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Lettering font for page numbers and running headers (themes can use "ACME Secret Agent")
+registerComicFonts();
+
 /**
  * Compose Pages Tool for LangChain
- * Combines generated panel images into A4 comic pages and uploads to Cloudinary
+ * Combines generated panel images into A4 comic pages, or one vertical webtoon strip,
+ * and stores them (Cloudinary or local)
+ *
+ * Panels are read from local files when possible and otherwise downloaded in parallel
+ * through a cache (see utils/imageFetcher.js). Pages are written to the project's assets
+ * first; uploading them with the storage provider is optional, so composing works offline.
  */
 export class ComposePagesLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'compose_pages';
     this.description =
-      'Combines generated panel images into A4 comic pages using layouts from layouts.yaml. Automatically uses images with rendered text (textImageUrl) if available. Reads panel URLs from sourceMap (from Leonardo tool output) or comic.yaml. Returns Cloudinary URLs for composed pages.';
+      'Combines generated panel images into A4 comic pages using the layout recorded for the comic (from select_comic_layout or generate_panels), or with mode "webtoon" into a vertical scroll strip split into segments. Spread panels (spread: true in the layout) are drawn across two facing pages. Automatically uses images with rendered text (textImageUrl) if available. Reads panel URLs from sourceMap (from Leonardo tool output) or comic.yaml. Returns URLs for composed pages or segments.';
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.storage = createStorage(options.storage);
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
+  }
+
+  /**
+   * Set the callback that receives progress events (see utils/progress.js)
+   * @param {Function|null} onProgress - Progress callback
+   */
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
   }
 
   /**
@@ -36,39 +74,80 @@ export class ComposePagesLangChainTool {
           .string()
           .optional()
           .describe(
-            'JSON string mapping panel IDs to Cloudinary URLs (from Leonardo tool output). If not provided, tool will try to read from comic.yaml.'
+            'JSON string mapping panel IDs to image URLs (from Leonardo tool output). If not provided, tool will try to read from comic.yaml.'
           ),
         pageCount: z
           .number()
           .int()
           .optional()
-          .describe('Use 3 Page Layout'),
+          .describe('Optional: use the layout for this many pages instead of the one recorded in comic.yaml'),
         useTextImages: z
           .boolean()
           .optional()
           .describe('Use images with rendered text (textImageUrl) if available. Default: true'),
+        fit: z
+          .enum(FIT_MODES)
+          .optional()
+          .describe(
+            'Pages only: how images fill panels whose shape differs. "focus" (default): crop around the characters found by the vision tool; "cover": crop evenly; "contain": letterbox; "stretch". A `fit` on a layout panel wins'
+          ),
+        spreadGutter: z
+          .number()
+          .int()
+          .min(0)
+          .optional()
+          .describe(
+            `Pages only: px of art repeated on both sides of the fold of two-page spreads (hidden by the binding in print). Default: the layout's spreadGutter, then ${DEFAULT_SPREAD_GUTTER}`
+          ),
+        upload: z
+          .boolean()
+          .optional()
+          .describe('Store the composed pages with the storage provider (Cloudinary or local). false: only write them to the project assets. Default: true'),
+        concurrency: z
+          .number()
+          .int()
+          .min(1)
+          .max(16)
+          .optional()
+          .describe(`Panel images downloaded at once. Default: ${DEFAULT_FETCH_CONCURRENCY}`),
+        theme: z
+          .string()
+          .optional()
+          .describe(
+            `Pages only: page theme by name (gutter, borders, background, page numbers, header/footer). Default: comic.yaml \`theme\`, then "${DEFAULT_THEME}". Built in: ${Object.keys(loadThemes()).join(', ')}`
+          ),
+        mode: z
+          .enum(['pages', 'webtoon'])
+          .optional()
+          .describe('"pages" (default): A4 pages. "webtoon": one vertical strip for mobile scrolling, split into segments'),
+        width: z.number().int().min(320).max(2000).optional().describe(`Webtoon only: strip width in px. Default: ${WEBTOON.width}`),
+        gutter: z.number().int().min(0).optional().describe(`Webtoon only: space between panels in px. Default: ${WEBTOON.gutter}`),
+        beatGutter: z
+          .number()
+          .int()
+          .min(0)
+          .optional()
+          .describe(`Webtoon only: space after the last panel of each beat (layout page) in px. Default: ${WEBTOON.beatGutter}`),
+        fullBleed: z.boolean().optional().describe('Webtoon only: draw every panel edge to edge with no side margin'),
+        fullBleedPanels: z.array(z.string()).optional().describe('Webtoon only: panel IDs to draw edge to edge'),
+        maxSegmentHeight: z
+          .number()
+          .int()
+          .min(400)
+          .optional()
+          .describe(`Webtoon only: maximum height of each uploaded segment in px. Default: ${WEBTOON.maxSegmentHeight}`),
       }),
-      func: async ({ sourceMap, pageCount, useTextImages = true }) => {
-        return await this.execute(sourceMap, pageCount, useTextImages);
+      func: async ({ sourceMap, pageCount, useTextImages = true, ...options }) => {
+        return await this.execute(sourceMap, pageCount, useTextImages, options);
       },
     });
   }
 
   /**
-   * Load layouts.yaml
+   * Load layouts.yaml plus the generated layout recorded in comic.yaml
    */
   loadLayouts() {
-    try {
-      const layoutsPath = path.join(__dirname, '../../config/layouts.yaml');
-      if (fs.existsSync(layoutsPath)) {
-        const layoutsFile = fs.readFileSync(layoutsPath, 'utf8');
-        const parsed = yaml.parse(layoutsFile);
-        return parsed.layouts || {};
-      }
-    } catch (error) {
-      console.warn('⚠️  Failed to load layouts.yaml:', error.message);
-    }
-    return {};
+    return loadComicLayouts(this.project.comicPath);
   }
 
   /**
@@ -76,7 +155,7 @@ export class ComposePagesLangChainTool {
    */
   loadComicYaml() {
     try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
+      const comicPath = this.project.comicPath;
       if (fs.existsSync(comicPath)) {
         const comicFile = fs.readFileSync(comicPath, 'utf8');
         const parsed = yaml.parse(comicFile);
@@ -190,65 +269,66 @@ export class ComposePagesLangChainTool {
   }
 
   /**
-   * Match panel count to layout
+   * Resolve the layout to compose with:
+   * pageCount override → layout recorded in comic.yaml → layout with as many panels as comic.yaml
+   * → a generated layout for that many panels
    */
-  matchLayoutToPanelCount(panelCount, pageCountOverride) {
+  resolveLayout(pageCountOverride) {
     const layouts = this.loadLayouts();
-    
-    // If pageCount is provided, try to match directly
+
     if (pageCountOverride) {
-      const layoutKey = 
-        pageCountOverride === 3 ? 'three-page-story' :
-        pageCountOverride === 4 ? 'three-page-story' :
-        pageCountOverride === 5 ? 'three-page-story' :
-        pageCountOverride === 2 ? 'three-page-story' :
-        'three-page-story'; // default
-      
-      if (layouts[layoutKey]) {
-        return { layoutKey, layout: layouts[layoutKey] };
+      const match = findLayoutByPageCount(layouts, pageCountOverride);
+      if (!match) {
+        throw new Error(`No layout in layouts.yaml has ${pageCountOverride} pages`);
       }
+      return { ...match, source: 'pageCount' };
     }
 
-    // Auto-detect based on panel count
-    // Typical: 8 panels = 3 pages, 12 panels = 4 pages, 14 panels = 5 pages
-    let layoutKey;
-    if (panelCount <= 1) {
-      layoutKey = 'single-panel';
-    } else if (panelCount <= 8) {
-      layoutKey = 'three-page-story';
-    } else if (panelCount <= 12) {
-      layoutKey = 'three-page-story';
-    } else if (panelCount <= 14) {
-      layoutKey = 'three-page-story';
-    } else {
-      layoutKey = 'three-page-story'; // default
+    const comicData = this.loadComicYaml();
+    if (comicData.layout) {
+      if (!layouts[comicData.layout]) {
+        throw new Error(`Layout '${comicData.layout}' recorded in comic.yaml not found in layouts.yaml`);
+      }
+      return { layoutKey: comicData.layout, layout: layouts[comicData.layout], source: 'comic.yaml' };
     }
 
-    const layout = layouts[layoutKey];
-    if (!layout) {
-      throw new Error(`Layout '${layoutKey}' not found in layouts.yaml`);
+    // Comics generated before the layout was recorded: match on the number of panels
+    const panelCount = (comicData.panels || []).length;
+    const entry = Object.entries(layouts).find(([, layout]) => layoutPanelIds(layout).length === panelCount);
+    if (entry) {
+      return { layoutKey: entry[0], layout: entry[1], source: 'panel count' };
     }
-
-    return { layoutKey, layout };
+    if (panelCount === 0) {
+      throw new Error('No layout recorded in comic.yaml and no panels to lay out. Run select_comic_layout or pass pageCount');
+    }
+    return { ...generateGridLayout(panelCount), source: 'generated for panel count' };
   }
 
   /**
-   * Render a single page
+   * Compare the layout's panel IDs with the panel images we have
+   * @returns {Object} { missing: layout panels without an image, unplaced: panel images the layout has no slot for }
    */
-  async renderPage(pageNumber, pageLayout, panelUrls) {
-    // Create A4 canvas
-    const canvas = createCanvas(A4.width, A4.height);
-    const ctx = canvas.getContext('2d');
+  checkPanelCoverage(layout, panelUrls) {
+    const layoutIds = layoutPanelIds(layout);
+    const panelIds = Object.keys(panelUrls).filter(id => /^panel/i.test(id)); // sourceMap also holds characters
+    return {
+      missing: layoutIds.filter(id => !panelUrls[id]),
+      unplaced: panelIds.filter(id => !layoutIds.includes(id)),
+    };
+  }
 
+  /**
+   * Fill a canvas with a solid colour
+   */
+  fillBackground(ctx, width, height, bgColor = '#FFFFFF') {
     // Fill background using putImageData (fillRect doesn't work reliably in node-canvas)
-    const bgColor = A4.bg || '#FFFFFF';
     const hex = bgColor.replace('#', '');
     const r = parseInt(hex.substring(0, 2), 16);
     const g = parseInt(hex.substring(2, 4), 16);
     const b = parseInt(hex.substring(4, 6), 16);
     
     // Set background by directly writing pixel data
-    const imgData = ctx.createImageData(A4.width, A4.height);
+    const imgData = ctx.createImageData(width, height);
     for (let i = 0; i < imgData.data.length; i += 4) {
       imgData.data[i] = r;     // R
       imgData.data[i + 1] = g; // G
@@ -256,61 +336,447 @@ export class ComposePagesLangChainTool {
       imgData.data[i + 3] = 255; // A (fully opaque)
     }
     ctx.putImageData(imgData, 0, 0);
+  }
+
+  /**
+   * Draw a panel image into its slot with the panel's fit mode
+   * @param {Object} fitting - { fit, comicPanel } (comicPanel gives the focal point)
+   */
+  drawPanelImage(ctx, img, slot, fitting) {
+    const focus = panelFocalPoint(fitting.comicPanel, img);
+    const { source, target } = fitPanelImage(img, slot, { fit: fitting.fit, focus });
+    ctx.drawImage(img, source.x, source.y, source.width, source.height, target.x, target.y, target.width, target.height);
+  }
+
+  /**
+   * Trace the three outer sides of half a spread panel (the side at the spine stays open)
+   */
+  traceSpreadOutline(ctx, { x, y, width, height }, spreadPart) {
+    const [spineX, outerX] = spreadPart === 'left' ? [x + width, x] : [x, x + width];
+    ctx.beginPath();
+    ctx.moveTo(spineX, y);
+    ctx.lineTo(outerX, y);
+    ctx.lineTo(outerX, y + height);
+    ctx.lineTo(spineX, y + height);
+  }
+
+  /**
+   * Tile a texture image over the whole page
+   */
+  drawTexture(ctx, texture, width, height) {
+    for (let y = 0; y < height; y += texture.height) {
+      for (let x = 0; x < width; x += texture.width) {
+        ctx.drawImage(texture, x, y);
+      }
+    }
+  }
+
+  /**
+   * Draw a line of theme text centred vertically on y
+   * @param {Object} style - { font, color }
+   */
+  drawThemeText(ctx, text, x, y, align, style) {
+    if (!text) return;
+    ctx.fillStyle = style.color || '#000000';
+    ctx.font = style.font || 'bold 24px Arial';
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y);
+  }
+
+  /**
+   * Page number, running header and footer in the page margins
+   * @param {Object} options - { theme, title, totalPages }
+   */
+  drawPageText(ctx, pageNumber, config, options) {
+    const { theme } = options;
+    const values = { title: options.title || '', page: pageNumber, pages: options.totalPages || pageNumber };
+
+    const numberPlacement = pageNumberPlacement(theme.pageNumber.position, pageNumber, config);
+    if (numberPlacement) {
+      const text = formatThemeText(theme.pageNumber.format, values);
+      this.drawThemeText(ctx, text, numberPlacement.x, numberPlacement.y, numberPlacement.align, theme.pageNumber);
+    }
+
+    for (const [section, y] of [['header', config.margin / 2], ['footer', config.height - config.margin / 2]]) {
+      const running = theme[section];
+      if (!running?.text) continue;
+      const align = running.align || 'center';
+      const x = align === 'left' ? config.margin : align === 'right' ? config.width - config.margin : config.width / 2;
+      this.drawThemeText(ctx, formatThemeText(running.text, values), x, y, align, running);
+    }
+  }
+
+  /**
+   * Render a single page
+   * @param {Object} options - { fit: default fit mode, comicPanels: panels from comic.yaml,
+   *                             images: fetched panel images by ID, upload,
+   *                             theme: resolved page theme, texture: its loaded texture, title, totalPages }
+   */
+  async renderPage(pageNumber, pageLayout, panelUrls, options = {}) {
+    const images =
+      options.images || (await this.fetchPanelImages(pageLayout.map(panel => panel.id), panelUrls, options)).images;
+    const theme = options.theme || resolveTheme(DEFAULT_THEME, this.project);
+    const config = this.pageConfig(theme);
+
+    // Create A4 canvas with the theme background
+    const canvas = createCanvas(config.width, config.height);
+    const ctx = canvas.getContext('2d');
+    this.fillBackground(ctx, config.width, config.height, theme.background.color || A4.bg);
+    if (options.texture) {
+      this.drawTexture(ctx, options.texture, config.width, config.height);
+    }
 
     // Draw page border
-    ctx.strokeStyle = A4.borderColor;
-    ctx.lineWidth = A4.borderWidth;
-    ctx.strokeRect(A4.margin, A4.margin, A4.width - A4.margin * 2, A4.height - A4.margin * 2);
+    if (theme.pageBorder.width > 0) {
+      ctx.strokeStyle = theme.pageBorder.color;
+      ctx.lineWidth = theme.pageBorder.width;
+      ctx.strokeRect(config.margin, config.margin, config.width - config.margin * 2, config.height - config.margin * 2);
+    }
+
+    // Panel positions and sizes (offsetX comes from layouts.yaml), spaced by the theme gutter
+    const placed = this.placePanels(pageLayout, config, theme, options);
 
     // Render each panel on this page
-    for (const layoutPanel of pageLayout) {
+    for (const [index, layoutPanel] of pageLayout.entries()) {
       const panelId = layoutPanel.id;
-      const panelUrl = panelUrls[panelId];
-
-      if (!panelUrl) {
-        console.warn(`⚠️  No URL found for panel ${panelId}, skipping...`);
+      if (!images[panelId]) {
+        console.warn(`⚠️  No image for panel ${panelId}, skipping...`);
         continue;
       }
 
       try {
-        // Calculate panel position and size (offsetX comes from layouts.yaml)
-        const { x, y, width, height } = calculatePanelPosition(A4, layoutPanel);
-
-        // Load and draw panel image
-        const imageData = (await axios.get(panelUrl, { responseType: 'arraybuffer' })).data;
-        const img = await loadImage(Buffer.from(imageData));
-        ctx.drawImage(img, x, y, width, height);
-
-        // Draw panel border
-        ctx.strokeStyle = '#000';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x, y, width, height);
+        const { rect, target } = placed[index];
+        const spreadPart = layoutPanel.spreadPart;
+        const { radius = 0, width: borderWidth, color: borderColor } = theme.panelBorder;
+
+        // Load and draw panel image (clipped to rounded corners, or to this page's half of a spread)
+        const img = await loadImage(images[panelId]);
+        ctx.save();
+        try {
+          if (spreadPart || radius > 0) {
+            traceRoundedRect(ctx, rect, spreadPart ? 0 : radius);
+            ctx.clip();
+          }
+          this.drawPanelImage(ctx, img, target, {
+            fit: layoutPanel.fit || options.fit || DEFAULT_FIT,
+            comicPanel: (options.comicPanels || []).find(panel => panel.id === panelId),
+          });
+        } finally {
+          ctx.restore();
+        }
+
+        // Draw panel border (open at the spine for spreads)
+        if (borderWidth > 0) {
+          ctx.strokeStyle = borderColor;
+          ctx.lineWidth = borderWidth;
+          if (spreadPart) {
+            this.traceSpreadOutline(ctx, rect, spreadPart);
+          } else {
+            traceRoundedRect(ctx, rect, radius);
+          }
+          ctx.stroke();
+        }
       } catch (error) {
         console.error(`❌ Failed to render panel ${panelId}:`, error.message);
       }
     }
 
-    // Draw page number
-    ctx.fillStyle = '#666';
-    ctx.font = 'bold 24px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(`Page ${pageNumber}`, A4.width / 2, A4.height - 10);
+    this.drawPageText(ctx, pageNumber, config, { ...options, theme });
+
+    // Write the page locally, then store it (Cloudinary or local outputs/)
+    const stored = await this.storeImage(canvas.toBuffer('image/png'), 'pages', `page_${pageNumber}`, options.upload);
+    const spread = pageLayout.find(layoutPanel => layoutPanel.spreadPart)?.spreadPart;
+    return { page: pageNumber, ...stored, ...(spread && { spread }) };
+  }
+
+  /**
+   * Page config for a theme (A4 with the theme margin)
+   */
+  pageConfig(theme) {
+    return { ...A4, margin: theme.margin ?? A4.margin };
+  }
 
-    // Convert to buffer and upload to Cloudinary
-    const buffer = canvas.toBuffer('image/png');
-    const uploaded = await uploadBuffer(buffer, `page_${pageNumber}`, 'comic/pages', 'png');
+  /**
+   * Where each panel of a page goes: the panel rectangle, spaced by the theme gutter, and
+   * the target the image is fitted to. For half of a spread, the rectangle is the part on
+   * this page and the target spans the whole spread (see utils/spreads.js).
+   * @param {Object} options - { spreadGutter, spreadBands: { panelId: { y, height } } }
+   * @returns {Array} [{ rect, target }] in the order of pageLayout
+   */
+  placePanels(pageLayout, config, theme, options = {}) {
+    const half = layoutPanel =>
+      splitSpreadPanel(calculateSpreadPosition(config, layoutPanel), config, options.spreadGutter ?? DEFAULT_SPREAD_GUTTER)[
+        layoutPanel.spreadPart
+      ];
+    const placed = pageLayout.map(layoutPanel => ({
+      id: layoutPanel.id,
+      ...(layoutPanel.spreadPart ? half(layoutPanel).rect : calculatePanelPosition(config, layoutPanel)),
+    }));
+    const rects = Number.isFinite(theme.gutter) ? applyGutter(placed, theme.gutter) : placed;
+
+    return rects.map((rect, index) => {
+      const layoutPanel = pageLayout[index];
+      if (!layoutPanel.spreadPart) return { rect, target: rect };
+      // Both halves keep the same top and bottom, so the art lines up across the fold
+      const band = options.spreadBands?.[layoutPanel.id] || rect;
+      return {
+        rect: { ...rect, y: band.y, height: band.height },
+        target: { ...half(layoutPanel).target, y: band.y, height: band.height },
+      };
+    });
+  }
+
+  /**
+   * Vertical band of each spread panel that the theme gutter leaves free on both of its pages
+   * @returns {Object} { panelId: { y, height } }
+   */
+  spreadBands(pageLayouts, config, theme) {
+    const bands = {};
+    for (const pageLayout of Object.values(pageLayouts)) {
+      this.placePanels(pageLayout, config, theme).forEach(({ rect }, index) => {
+        const { id, spreadPart } = pageLayout[index];
+        if (!spreadPart) return;
+        const band = bands[id];
+        const top = Math.max(band ? band.y : -Infinity, rect.y);
+        const bottom = Math.min(band ? band.y + band.height : Infinity, rect.y + rect.height);
+        bands[id] = { y: top, height: bottom - top };
+      });
+    }
+    return bands;
+  }
+
+  /**
+   * Load a theme's background texture (a path relative to its themes file, or a URL)
+   * @returns {Promise<Object|null>} Loaded image, or null without a texture
+   */
+  async loadThemeTexture(theme) {
+    const texture = theme.background?.texture;
+    if (!texture) return null;
+    const source = /^(https?|file):\/\//.test(texture)
+      ? { id: 'texture', url: texture }
+      : { id: 'texture', url: texture, path: path.resolve(theme.baseDir || '.', texture) };
+    const { images, failed } = await fetchImages([source], { cacheDir: path.join(this.project.assetsDir, 'cache', 'images') });
+    if (!images.texture) {
+      throw new Error(`Could not load the texture of theme ${theme.key} (${texture}): ${failed.texture}`);
+    }
+    return await loadImage(images.texture);
+  }
 
+  /**
+   * Local files for panel URLs that comic.yaml knows one for (rendered text images)
+   * @returns {Array} [{ id, url, path? }]
+   */
+  panelSources(panelIds, panelUrls) {
+    const comicPanels = this.loadComicYaml().panels || [];
+    return panelIds.map(id => {
+      const url = panelUrls[id];
+      const comicPanel = comicPanels.find(panel => panel.id === id);
+      const filePath = comicPanel && url === comicPanel.textImageUrl ? comicPanel.textImagePath : null;
+      return { id, url, ...(filePath && { path: filePath }) };
+    });
+  }
+
+  /**
+   * Fetch panel images: local files, then the download cache, then the network (in parallel)
+   * @param {Object} options - { concurrency }
+   * @returns {Promise<Object>} { images: { id: Buffer }, stats: { local, cached, downloaded } }
+   */
+  async fetchPanelImages(panelIds, panelUrls, options = {}) {
+    const sources = this.panelSources(panelIds.filter(id => panelUrls[id]), panelUrls);
+    const { images, failed, stats } = await fetchImages(sources, {
+      cacheDir: path.join(this.project.assetsDir, 'cache', 'images'),
+      concurrency: options.concurrency || DEFAULT_FETCH_CONCURRENCY,
+      resolveLocalPath: url => this.storage.localPath?.(url) || null,
+    });
+    Object.entries(failed).forEach(([id, message]) => console.warn(`⚠️  Failed to fetch ${id}: ${message}`));
+    console.log(`📥 Panel images: ${stats.local} local, ${stats.cached} cached, ${stats.downloaded} downloaded`);
+    return { images, failed, stats };
+  }
+
+  /**
+   * Write a composed image to the project assets, then store it unless upload is false.
+   * A failed upload keeps the local file (its file:// URL is returned).
+   * @returns {Promise<Object>} { url, path, publicId?, uploaded }
+   */
+  async storeImage(buffer, folder, publicId, upload = true) {
+    return await storeComposedImage(buffer, { project: this.project, storage: this.storage, folder, publicId, upload });
+  }
+
+  /**
+   * Fetch and decode panel images for the webtoon strip
+   * @returns {Promise<Object>} { images: loaded images by panel ID, stats }
+   */
+  async loadPanelImages(panelIds, panelUrls, options = {}) {
+    const { images: buffers, failed, stats } = await this.fetchPanelImages(panelIds, panelUrls, options);
+    const missing = panelIds.filter(id => !buffers[id]);
+    if (missing.length > 0) {
+      throw new Error(`Could not fetch ${missing.join(', ')}: ${missing.map(id => failed[id] || 'no URL').join('; ')}`);
+    }
+    const images = {};
+    for (const panelId of panelIds) {
+      images[panelId] = await loadImage(buffers[panelId]);
+    }
+    return { images, stats };
+  }
+
+  /**
+   * Render one segment of the webtoon strip (panels crossing its edges are cut there)
+   */
+  async renderWebtoonSegment(segment, strip, images, config, upload = true) {
+    const canvas = createCanvas(strip.width, segment.height);
+    const ctx = canvas.getContext('2d');
+    this.fillBackground(ctx, strip.width, segment.height, config.bg);
+
+    const bottom = segment.top + segment.height;
+    for (const placement of strip.placements) {
+      if (placement.y >= bottom || placement.y + placement.height <= segment.top) continue;
+      const y = placement.y - segment.top;
+      ctx.drawImage(images[placement.id], placement.x, y, placement.width, placement.height);
+
+      if (!placement.fullBleed) {
+        ctx.strokeStyle = config.borderColor;
+        ctx.lineWidth = config.borderWidth;
+        ctx.strokeRect(placement.x, y, placement.width, placement.height);
+      }
+    }
+
+    const stored = await this.storeImage(canvas.toBuffer('image/png'), 'webtoon', `segment_${segment.segment}`, upload);
     return {
-      page: pageNumber,
-      url: uploaded.secure_url,
-      publicId: uploaded.public_id,
+      segment: segment.segment,
+      ...stored,
+      top: segment.top,
+      height: segment.height,
     };
   }
 
+  /**
+   * Compose a vertical webtoon strip. Panels follow the layout's reading order; each layout
+   * page is a beat and gets a wider gutter after it. Per-panel overrides come from
+   * comic.yaml (`webtoon: { gutterAfter, fullBleed }` on a panel).
+   */
+  async composeWebtoon(layoutKey, layout, panelUrls, options = {}) {
+    const config = { ...WEBTOON };
+    for (const key of ['width', 'gutter', 'beatGutter', 'maxSegmentHeight']) {
+      if (options[key] !== undefined && options[key] !== null) config[key] = options[key];
+    }
+    const fullBleedPanels = options.fullBleedPanels || [];
+    const comicPanels = this.loadComicYaml().panels || [];
+
+    const pageIds = layoutPageIds(layout);
+    const { images, stats } = await this.loadPanelImages(pageIds.flat(), panelUrls, options);
+    const panels = pageIds.flatMap(ids =>
+      ids.map((id, index) => {
+        const overrides = comicPanels.find(panel => panel.id === id)?.webtoon || {};
+        return {
+          id,
+          width: images[id].width,
+          height: images[id].height,
+          beatEnd: index === ids.length - 1,
+          fullBleed: overrides.fullBleed ?? (options.fullBleed || fullBleedPanels.includes(id)),
+          gutterAfter: overrides.gutterAfter,
+        };
+      })
+    );
+
+    const strip = layoutWebtoonStrip(panels, config);
+    const segments = splitWebtoonStrip(strip, config.maxSegmentHeight);
+    console.log(`📜 Webtoon strip ${strip.width}x${strip.height}px in ${segments.length} segments (max ${config.maxSegmentHeight}px)`);
+
+    const segmentResults = [];
+    for (const segment of segments) {
+      console.log(`🎨 Composing segment ${segment.segment}/${segments.length}...`);
+      reportProgress(this.onProgress, {
+        type: PROGRESS_EVENTS.GENERATION_STARTED,
+        tool: this.name,
+        kind: 'segment',
+        id: `segment${segment.segment}`,
+      });
+      const segmentResult = await this.renderWebtoonSegment(segment, strip, images, config, options.upload);
+      segmentResults.push(segmentResult);
+      console.log(`✅ Segment ${segment.segment}: ${segmentResult.url}`);
+      reportProgress(this.onProgress, {
+        type: PROGRESS_EVENTS.UPLOAD_FINISHED,
+        tool: this.name,
+        id: `segment${segment.segment}`,
+        url: segmentResult.url,
+      });
+    }
+
+    console.log(`✨ Successfully composed a webtoon strip in ${segmentResults.length} segments!`);
+    await this.saveWebtoonToComicYaml(layoutKey, strip, segmentResults);
+
+    return JSON.stringify(
+      {
+        success: true,
+        mode: 'webtoon',
+        layout: layoutKey,
+        width: strip.width,
+        height: strip.height,
+        totalSegments: segmentResults.length,
+        segments: segmentResults,
+        panelImages: stats,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Record the webtoon segments in comic.yaml (kept apart from the A4 `pages`)
+   */
+  async saveWebtoonToComicYaml(layoutKey, strip, segmentResults) {
+    try {
+      const comicData = this.loadComicYaml();
+      comicData.layout = comicData.layout || layoutKey;
+      comicData.webtoon = {
+        width: strip.width,
+        height: strip.height,
+        segments: segmentResults.map(({ segment, url, path: filePath, height }) => ({
+          segment,
+          url,
+          ...(filePath && { path: filePath }),
+          height,
+        })),
+      };
+      await fs.writeFile(
+        this.project.comicPath,
+        yaml.stringify(comicData, { indent: 2, lineWidth: 120, simpleKeys: false })
+      );
+      console.log(`✓ Saved ${segmentResults.length} webtoon segment URLs to comic.yaml`);
+    } catch (error) {
+      console.warn('⚠️  Failed to save webtoon segments to comic.yaml:', error.message);
+    }
+  }
+
+  /**
+   * Record the composed pages in comic.yaml so exports (PDF, CBZ) can find them
+   */
+  async savePagesToComicYaml(layoutKey, pageResults) {
+    try {
+      const comicData = this.loadComicYaml();
+      comicData.layout = comicData.layout || layoutKey;
+      comicData.pages = pageResults.map(({ page, url, path: filePath, spread }) => ({
+        page,
+        url,
+        ...(filePath && { path: filePath }),
+        ...(spread && { spread }),
+      }));
+      await fs.writeFile(
+        this.project.comicPath,
+        yaml.stringify(comicData, { indent: 2, lineWidth: 120, simpleKeys: false })
+      );
+      console.log(`✓ Saved ${pageResults.length} page URLs to comic.yaml`);
+    } catch (error) {
+      console.warn('⚠️  Failed to save pages to comic.yaml:', error.message);
+    }
+  }
+
   /**
    * Execute page composition
+   * @param {Object} options - { mode: 'pages' | 'webtoon', fit, theme, upload, concurrency, and the webtoon settings from the schema }
    */
-  async execute(sourceMapStr, pageCountOverride = null, useTextImages = true) {
+  async execute(sourceMapStr, pageCountOverride = null, useTextImages = true, options = {}) {
     try {
       // Get panel URLs (prioritize text images if available)
       const panelUrls = this.getPanelUrls(sourceMapStr, useTextImages);
@@ -319,7 +785,7 @@ export class ComposePagesLangChainTool {
         return JSON.stringify({
           success: false,
           error:
-            'No panel URLs found. Please provide sourceMap from Leonardo tool output, or ensure panels have been generated and uploaded to Cloudinary.',
+            'No panel URLs found. Please provide sourceMap from Leonardo tool output, or ensure panels have been generated and stored.',
           pages: [],
         });
       }
@@ -327,12 +793,50 @@ export class ComposePagesLangChainTool {
       const panelCount = Object.keys(panelUrls).length;
       console.log(`📄 Found ${panelCount} panels, composing pages...`);
 
-      // Match to layout
-      const { layoutKey, layout } = this.matchLayoutToPanelCount(panelCount, pageCountOverride);
-      console.log(`📐 Using layout: ${layoutKey}`);
+      const { layoutKey, layout, source } = this.resolveLayout(pageCountOverride);
+      console.log(`📐 Using layout: ${layoutKey} (from ${source})`);
+
+      // Every layout slot needs an image and every panel image needs a slot
+      const { missing, unplaced } = this.checkPanelCoverage(layout, panelUrls);
+      if (missing.length > 0 || unplaced.length > 0) {
+        const problems = [
+          missing.length > 0 && `no image for ${missing.join(', ')}`,
+          unplaced.length > 0 && `${unplaced.join(', ')} not in layout ${layoutKey}`,
+        ].filter(Boolean);
+        return JSON.stringify({
+          success: false,
+          error: `Panels do not match layout ${layoutKey}: ${problems.join('; ')}`,
+          layout: layoutKey,
+          missingPanels: missing,
+          unplacedPanels: unplaced,
+          pages: [],
+        });
+      }
+
+      if (options.mode === 'webtoon') {
+        return await this.composeWebtoon(layoutKey, layout, panelUrls, options);
+      }
 
       const totalPages = layout.pages || 3;
-      const pageLayouts = layout.layouts || {};
+      const pageLayouts = expandSpreads(layout);
+      const comicData = this.loadComicYaml();
+      const theme = resolveTheme(options.theme || comicData.theme || DEFAULT_THEME, this.project);
+      console.log(`🖌️  Page theme: ${theme.key}`);
+
+      const { images, stats } = await this.fetchPanelImages(layoutPanelIds(layout), panelUrls, options);
+      const renderOptions = {
+        // Fit: layout panel → compose option → layout → default
+        fit: options.fit || layout.fit || DEFAULT_FIT,
+        comicPanels: comicData.panels || [],
+        images,
+        upload: options.upload,
+        theme,
+        spreadGutter: options.spreadGutter ?? layout.spreadGutter ?? DEFAULT_SPREAD_GUTTER,
+        spreadBands: this.spreadBands(pageLayouts, this.pageConfig(theme), theme),
+        texture: await this.loadThemeTexture(theme),
+        title: comicTitle(comicData, this.project),
+        totalPages,
+      };
 
       if (!pageLayouts || Object.keys(pageLayouts).length === 0) {
         throw new Error(`No page layouts found in ${layoutKey}`);
@@ -350,19 +854,34 @@ export class ComposePagesLangChainTool {
         }
 
         console.log(`🎨 Composing page ${pageNum}/${totalPages}...`);
-        const pageResult = await this.renderPage(pageNum, pageLayout, panelUrls);
+        reportProgress(this.onProgress, {
+          type: PROGRESS_EVENTS.GENERATION_STARTED,
+          tool: this.name,
+          kind: 'page',
+          id: pageKey,
+        });
+        const pageResult = await this.renderPage(pageNum, pageLayout, panelUrls, renderOptions);
         pageResults.push(pageResult);
         console.log(`✅ Page ${pageNum}: ${pageResult.url}`);
+        reportProgress(this.onProgress, {
+          type: PROGRESS_EVENTS.UPLOAD_FINISHED,
+          tool: this.name,
+          id: pageKey,
+          url: pageResult.url,
+        });
       }
 
       console.log(`✨ Successfully composed ${pageResults.length} pages!`);
+      await this.savePagesToComicYaml(layoutKey, pageResults);
 
       return JSON.stringify(
         {
           success: true,
           layout: layoutKey,
+          theme: theme.key,
           totalPages: pageResults.length,
           pages: pageResults,
+          panelImages: stats,
         },
         null,
         2
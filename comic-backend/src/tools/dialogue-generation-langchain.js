@@ -1,10 +1,13 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'yaml';
 import { z } from 'zod';
+import { createChatModel, getLlmSettings } from '../providers/llmProviders.js';
+import { BUBBLE_STYLES, DEFAULT_BUBBLE_STYLE, normalizeBubbleStyle } from '../utils/bubbleShapes.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+import { MAX_SOUND_EFFECTS, cleanSoundEffects } from '../utils/soundEffects.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,12 +17,20 @@ const __dirname = path.dirname(__filename);
  * Uses Gemini to generate dialogue, narration, and titles based on character and panel descriptions.
  */
 export class DialogueGenerationLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'generate_dialogue';
     this.description =
-      'Uses Gemini to generate dialogue, narration, and titles for comic panels based on character descriptions and panel visuals. First page is a cover page with a title.';
+      'Uses Gemini to generate dialogue, narration, titles, and sound effects for comic panels based on character descriptions and panel visuals. First page is a cover page with a title.';
     
     this.config = this.loadDialogueConfig();
+    this.project = options.project || defaultProjectContext();
+  }
+
+  /** ───────────────────────────────────────────────
+   *  Point the tool at another project workspace
+   *  ─────────────────────────────────────────────── */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
   }
 
   /** ───────────────────────────────────────────────
@@ -54,7 +65,7 @@ export class DialogueGenerationLangChainTool {
    *  ─────────────────────────────────────────────── */
   loadComicData() {
     try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
+      const comicPath = this.project.comicPath;
       if (fs.existsSync(comicPath)) {
         const comicFile = fs.readFileSync(comicPath, 'utf8');
         const parsed = yaml.parse(comicFile);
@@ -101,15 +112,10 @@ export class DialogueGenerationLangChainTool {
         });
       }
 
-      console.log(`🧠  Calling Gemini to generate dialogue for ${panels.length} panels...`);
+      const llmSettings = getLlmSettings(this.name);
+      console.log(`🧠  Calling ${llmSettings.provider} (${llmSettings.model}) to generate dialogue for ${panels.length} panels...`);
 
-      const llm = new ChatGoogleGenerativeAI({
-        model: 'gemini-2.5-flash-lite',
-        apiKey: process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY,
-        temperature: 0.9,
-        topP: 0.95,
-        maxOutputTokens: 4096,
-      });
+      const llm = createChatModel(this.name);
 
       // Format character info for prompt
       const characterInfo = characters.map((char, idx) => 
@@ -150,7 +156,7 @@ ${storySequence}
 #### **COVER PAGE (panel1)**
 - Panel1 is the **COVER PAGE**
 - Generate a **dramatic title** (3–5 words) that captures the essence of the story.
-- NO dialogue or narration on the cover.
+- NO dialogue, narration or sound effects on the cover.
 - The title must set tone and theme.
 
 #### **SUBSEQUENT PANELS (panel2+)**
@@ -180,6 +186,24 @@ Follow these principles carefully to produce cinematic comic dialogue:
 
 ---
 
+### 🗯️ BUBBLE STYLES
+Give every dialogue line a "style" that matches how it is said:
+- **speech**: normal talk (default)
+- **thought**: unspoken inner thoughts
+- **shout**: shouting, screaming, sudden alarm
+- **whisper**: whispers and asides
+- **radio**: voices from a radio, phone, speaker or screen
+- **off-panel**: a character who speaks but is not visible in the panel
+
+---
+
+### 💥 SOUND EFFECTS
+1. Add sound effects ONLY where the panel shows something that makes a sound: impacts, explosions, doors, engines, footsteps, alarms.
+2. At most **${MAX_SOUND_EFFECTS} per panel**; most panels have none.
+3. Write them as onomatopoeia in capitals (e.g. "KRAKOOM", "SKREEE", "tap tap" → "TAP TAP"), 1–2 words.
+4. Give each an "intensity": "soft", "normal" or "loud".
+
+---
 
 ### ⚖️ BALANCE & PACING
 1. Some panels must remain **silent** for dramatic weight.
@@ -211,7 +235,7 @@ Panel 3:
 Panel 5:
 {
   "dialogue": [
-    {"speaker": "char_1", "text": "Hold on. I’m not leaving you here."}
+    {"speaker": "char_1", "text": "Hold on. I’m not leaving you here.", "style": "shout"}
   ]
 }
 
@@ -248,8 +272,9 @@ Each entry:
 {
   "panelId": "panelX",
   "title": "string or null",
-  "dialogue": [{"speaker": "char_id", "text": "short cinematic line"}],
-  "narration": "string or null"
+  "dialogue": [{"speaker": "char_id", "text": "short cinematic line", "style": "speech"}],
+  "narration": "string or null",
+  "soundEffects": [{"text": "KRAKOOM", "intensity": "loud"}]
 }
 
 ---
@@ -310,8 +335,9 @@ Output ONLY the JSON array.
             title: d.title || null,
             dialogue: Array.isArray(d.dialogue) ? d.dialogue.filter(line => 
               line && line.speaker && line.text
-            ) : [],
-            narration: d.narration || null
+            ).map(line => this.cleanDialogueLine(line)) : [],
+            narration: d.narration || null,
+            soundEffects: cleanSoundEffects(d.soundEffects)
           }));
 
         // Ensure panel1 has title and no dialogue
@@ -321,6 +347,7 @@ Output ONLY the JSON array.
           }
           dialogueData[0].dialogue = [];
           dialogueData[0].narration = null;
+          dialogueData[0].soundEffects = [];
         }
       }
 
@@ -342,7 +369,7 @@ Output ONLY the JSON array.
         {
           success: true,
           totalPanels: dialogueData.length,
-          model: 'gemini-2.5-flash-lite',
+          model: llmSettings.model,
           dialogue: dialogueData
         },
         null,
@@ -357,12 +384,24 @@ Output ONLY the JSON array.
     }
   }
 
+  /** ───────────────────────────────────────────────
+   *  Dialogue line with a known bubble style
+   *  (one of BUBBLE_STYLES; unknown styles become "speech")
+   *  ─────────────────────────────────────────────── */
+  cleanDialogueLine(line) {
+    const style = normalizeBubbleStyle(line.style);
+    if (line.style && !style) {
+      console.warn(`⚠️  Unknown bubble style "${line.style}", using ${DEFAULT_BUBBLE_STYLE} (styles: ${BUBBLE_STYLES.join(', ')})`);
+    }
+    return { ...line, style: style || DEFAULT_BUBBLE_STYLE };
+  }
+
   /** ───────────────────────────────────────────────
    *  Save dialogue to comic.yaml (merge with existing panels)
    *  ─────────────────────────────────────────────── */
   async saveDialogueToComicYaml(dialogueData) {
     try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
+      const comicPath = this.project.comicPath;
       
       // Load existing comic.yaml
       let comicData = { characters: [], panels: [] };
@@ -382,7 +421,8 @@ Output ONLY the JSON array.
               ...panel,
               title: dialogue.title || null,
               dialogue: dialogue.dialogue || [],
-              narration: dialogue.narration || null
+              narration: dialogue.narration || null,
+              soundEffects: dialogue.soundEffects || []
             };
           }
           
@@ -1,7 +1,6 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { HumanMessage } from "@langchain/core/messages";
 import { DynamicStructuredTool } from "@langchain/core/tools";
 import axios from "axios";
-import { v2 as cloudinary } from "cloudinary";
 import dotenv from "dotenv";
 import fs from "fs-extra";
 import path from "path";
@@ -9,7 +8,20 @@ import { Canvas, loadImage } from "skia-canvas";
 import { fileURLToPath } from "url";
 import yaml from "yaml";
 import { z } from "zod";
-import { drawBubbleFromPlacement } from "../utils/simpleTextRenderer.js";
+import { createChatModel, messageText } from "../providers/llmProviders.js";
+import { createStorage } from "../providers/storageProviders.js";
+import { normalizeBubbleStyle } from "../utils/bubbleShapes.js";
+import {
+  DEFAULT_PLACEMENT_STRATEGY,
+  PLACEMENT_STRATEGIES,
+  busynessGrid,
+  heuristicPlacements,
+} from "../utils/heuristicPlacement.js";
+import { resolvePlacementLayout } from "../utils/placementLayout.js";
+import { drawBubbleFromPlacement, fitTextElement } from "../utils/simpleTextRenderer.js";
+import { cleanSoundEffects, keepOffFaces, normalizeSfxPlacement } from "../utils/soundEffects.js";
+import { PROGRESS_EVENTS, reportProgress } from "../utils/progress.js";
+import { defaultProjectContext } from "../utils/projectStore.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,23 +29,27 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, "../../.env") });
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 export class DialoguePlacementVisionLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = "place_dialogue_with_vision";
     this.description =
-      "Uses Gemini Vision to analyze comic panel images and determine optimal dialogue bubble positions.";
+      "Uses Gemini Vision to analyze comic panel images and determine optimal dialogue bubble positions. Can also place text offline, without the vision model (strategy \"heuristic\").";
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.storage = createStorage(options.storage);
+  }
+
+  setProject(project) {
+    this.project = project || defaultProjectContext();
+  }
+
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
   }
 
   loadComicData() {
     try {
-      const comicPath = path.join(__dirname, "../../config/comic.yaml");
+      const comicPath = this.project.comicPath;
       if (fs.existsSync(comicPath)) {
         return yaml.parse(fs.readFileSync(comicPath, "utf8"));
       }
@@ -59,29 +75,52 @@ export class DialoguePlacementVisionLangChainTool {
         sourceMap: z.union([
           z.record(z.string()),
           z.string()
-        ]).optional()
+        ]).optional(),
+        strategy: z
+          .enum(PLACEMENT_STRATEGIES)
+          .optional()
+          .describe(
+            'How to place the text. "auto" (default): the vision model, falling back to heuristic placement for panels where it fails; "vision": the vision model only; "heuristic": offline, from the image\'s busyness, the panel\'s cameraAngle and the speaker order (no API key needed)'
+          )
       }),
-      func: async ({ panelId, sourceMap }) =>
-        await this.execute(panelId, sourceMap)
+      func: async ({ panelId, sourceMap, strategy }) =>
+        await this.execute(panelId, sourceMap, strategy)
     });
   }
 
-  async imageUrlToInlineData(url) {
+  async fetchImage(url) {
     const res = await axios.get(url, {
       responseType: "arraybuffer",
       timeout: 20000
     });
 
+    return {
+      mimeType: res.headers["content-type"] || "image/jpeg",
+      buffer: Buffer.from(res.data)
+    };
+  }
+
+  async imageUrlToInlineData(url) {
+    const { mimeType, buffer } = await this.fetchImage(url);
+
     return {
       inlineData: {
-        mimeType: res.headers["content-type"] || "image/jpeg",
-        data: Buffer.from(res.data).toString("base64")
+        mimeType,
+        data: buffer.toString("base64")
       }
     };
   }
 
-  async execute(panelId = null, sourceMap = null) {
+  async execute(panelId = null, sourceMap = null, strategy = DEFAULT_PLACEMENT_STRATEGY) {
     try {
+      if (!PLACEMENT_STRATEGIES.includes(strategy)) {
+        return JSON.stringify({
+          success: false,
+          error: `Unknown placement strategy "${strategy}". Use one of: ${PLACEMENT_STRATEGIES.join(", ")}`,
+          placements: []
+        });
+      }
+
       // Parse sourceMap if it's a string (JSON from Leonardo tool)
       if (typeof sourceMap === 'string') {
         try {
@@ -124,25 +163,19 @@ export class DialoguePlacementVisionLangChainTool {
         }
       }
 
-      // Filter panels that have any text content (title, dialogue, or narration)
+      // Filter panels that have any text content (title, dialogue, narration, or sound effects)
       analyze = analyze.filter((p) => 
-        p.title || (p.dialogue && p.dialogue.length > 0) || p.narration
+        p.title || (p.dialogue && p.dialogue.length > 0) || p.narration || cleanSoundEffects(p.soundEffects).length > 0
       );
       
       if (!analyze.length)
         return JSON.stringify({
           success: false,
-          error: "No panels with text content (title, dialogue, or narration).",
+          error: "No panels with text content (title, dialogue, narration, or sound effects).",
           placements: []
         });
 
-      // REAL MULTIMODAL GEMINI CLIENT
-      const genAI = new GoogleGenerativeAI(
-        process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY
-      );
-      const model = genAI.getGenerativeModel({
-        model: "gemini-2.0-flash"
-      });
+      const model = this.createVisionModel(strategy);
 
       const outputs = [];
 
@@ -154,27 +187,123 @@ export class DialoguePlacementVisionLangChainTool {
 
         if (!url) continue;
 
-        const inlineData = await this.imageUrlToInlineData(url);
+        reportProgress(this.onProgress, {
+          type: PROGRESS_EVENTS.GENERATION_STARTED,
+          tool: this.name,
+          kind: "placement",
+          id: panel.id,
+        });
 
-        // Build text content list
-        const textContent = [];
-        
-        if (panel.title) {
-          textContent.push(`TITLE: "${panel.title}"`);
-        }
-        
-        if (panel.dialogue && panel.dialogue.length > 0) {
-          textContent.push("\nDIALOGUE:");
-          panel.dialogue.forEach((d, i) => {
-            textContent.push(`${i + 1}. ${d.speaker}: "${d.text}"`);
-          });
-        }
-        
-        if (panel.narration) {
-          textContent.push(`\nNARRATION: "${panel.narration}"`);
+        const json = await this.placePanel(panel, url, strategy, model);
+
+        if (json?.placements) {
+          this.applyBubbleStyles(panel, json.placements);
+          json.placements = this.placeSoundEffects(panel, json.placements, json.characters);
+          outputs.push(json);
         }
+      }
+
+      // Render images with text
+      const renderedImages = await this.renderDialogueImages(analyze, outputs);
+      
+      // Save placements with Cloudinary URLs
+      await this.savePlacements(outputs, renderedImages);
+
+      const textFitIssues = renderedImages.flatMap((r) => r.textFitIssues || []);
+      const layoutFixes = renderedImages.flatMap((r) => r.layoutFixes || []);
+      if (textFitIssues.length > 0) {
+        console.warn(`⚠️  ${textFitIssues.length} text element(s) do not fit their space; shorten them and place again`);
+      }
+
+      return JSON.stringify(
+        {
+          success: true,
+          analyzedPanels: outputs.length,
+          placements: outputs,
+          renderedImages,
+          textFitIssues,
+          layoutFixes
+        },
+        null,
+        2
+      );
+    } catch (err) {
+      return JSON.stringify({
+        success: false,
+        error: err.message,
+        placements: []
+      });
+    }
+  }
+
+  /**
+   * Vision model for the strategy: none for "heuristic"; for "auto", none when it cannot be
+   * set up (no API key), so every panel is placed heuristically
+   */
+  createVisionModel(strategy) {
+    if (strategy === "heuristic") return null;
+    if (strategy === "vision") return createChatModel(this.name);
+    try {
+      return createChatModel(this.name);
+    } catch (err) {
+      console.warn(`⚠️  Vision model unavailable (${err.message}); using heuristic placement`);
+      return null;
+    }
+  }
+
+  /**
+   * Placements for one panel: from the vision model, from the heuristics, or ("auto") from the
+   * vision model with the heuristics as a fallback when it fails or returns nothing usable
+   * @returns {Promise<Object|null>} The vision tool's JSON ({ panelId, characters, placements, strategy })
+   */
+  async placePanel(panel, url, strategy, model) {
+    if (!model) return this.placeWithHeuristics(panel, url);
+    if (strategy === "vision") return this.placeWithVision(panel, url, model);
+
+    try {
+      const json = await this.placeWithVision(panel, url, model);
+      if (json?.placements) return json;
+      console.warn(`⚠️  No placements from the vision model for ${panel.id}; using heuristic placement`);
+    } catch (err) {
+      console.warn(`⚠️  Vision placement failed for ${panel.id} (${err.message}); using heuristic placement`);
+    }
+    return this.placeWithHeuristics(panel, url);
+  }
+
+  /**
+   * Ask the vision model where the panel's text should go
+   */
+  async placeWithVision(panel, url, model) {
+    const inlineData = await this.imageUrlToInlineData(url);
+
+    // Build text content list
+    const textContent = [];
+    
+    if (panel.title) {
+      textContent.push(`TITLE: "${panel.title}"`);
+    }
+    
+    if (panel.dialogue && panel.dialogue.length > 0) {
+      textContent.push("\nDIALOGUE:");
+      panel.dialogue.forEach((d, i) => {
+        const style = normalizeBubbleStyle(d.style);
+        textContent.push(`${i + 1}. ${d.speaker}${style && style !== "speech" ? ` (${style})` : ""}: "${d.text}"`);
+      });
+    }
+    
+    if (panel.narration) {
+      textContent.push(`\nNARRATION: "${panel.narration}"`);
+    }
+
+    const soundEffects = cleanSoundEffects(panel.soundEffects);
+    if (soundEffects.length > 0) {
+      textContent.push("\nSOUND EFFECTS:");
+      soundEffects.forEach((effect) => {
+        textContent.push(`- "${effect.text}" (${effect.intensity})`);
+      });
+    }
 
-        const prompt = `
+    const prompt = `
 You are a PROFESSIONAL COMIC BOOK LETTERER with expert visual analysis skills. Analyze this panel image and determine the OPTIMAL positions for all text elements.
 
 Panel ID: ${panel.id}
@@ -209,6 +338,7 @@ FOR NARRATION (if present):
   * Don't overlap with title (if present)
   * Common positions: corners (top-left, top-right, bottom-left, bottom-right)
 - X, Y = top-left corner of the narration box
+- space.width, space.height = size of the clear area the box may fill, from X, Y
 - Choose the position that has the LEAST visual interference
 
 FOR DIALOGUE (if present):
@@ -220,9 +350,21 @@ FOR DIALOGUE (if present):
   * Bubble can be above, beside, or below the speaker - choose based on available space
   * tail.x, tail.y = EXACT pixel coordinates of the speaker's mouth/chin
   * X, Y = top-left corner of the speech bubble
+  * space.width, space.height = size of the clear area the bubble may fill, from X, Y (the text is sized to fit it)
+- Lines marked (thought) are thought bubbles: tail.x, tail.y = the thinker's head
+- Lines marked (off-panel) come from a speaker outside the image: tail.x, tail.y = the point on the image edge nearest to where they are
+- Lines marked (shout) get a large burst: leave extra room around them
 - Maintain natural reading flow (generally left-to-right, top-to-bottom)
 - Keep adequate spacing between bubbles to avoid crowding
 
+FOR SOUND EFFECTS (if present):
+- Sound effects are large display lettering drawn straight onto the art (no bubble)
+- Place each one at the SOURCE of the sound (the explosion, the door, the impact) or along its motion
+- NEVER cover faces; avoid covering speech bubbles
+- X, Y = CENTER of the lettering
+- fontSize = letter height in px: about ${Math.round(Math.min(panel.width, panel.height) * 0.09)} for soft, ${Math.round(Math.min(panel.width, panel.height) * 0.14)} for normal, ${Math.round(Math.min(panel.width, panel.height) * 0.2)} for loud
+- rotation = degrees (-35 to 35), tilted to follow the action; 0 is level
+
 STEP 3: Determine reading order based on:
 - Natural eye flow through the composition
 - Left-to-right, top-to-bottom convention
@@ -235,6 +377,12 @@ Return ONLY this JSON structure (NO markdown, NO code blocks, NO explanations):
   "panelId": "${panel.id}",
   "panelWidth": ${panel.width},
   "panelHeight": ${panel.height},
+  "characters": [
+    {
+      "name": "CHARACTER_NAME",
+      "face": { "x": <number>, "y": <number> }
+    }
+  ],
   "placements": [
     {
       "type": "title",
@@ -246,6 +394,7 @@ Return ONLY this JSON structure (NO markdown, NO code blocks, NO explanations):
       "type": "narration",
       "text": "EXACT NARRATION TEXT",
       "position": { "x": <number>, "y": <number> },
+      "space": { "width": <number>, "height": <number> },
       "readingOrder": 2
     },
     {
@@ -253,70 +402,139 @@ Return ONLY this JSON structure (NO markdown, NO code blocks, NO explanations):
       "speaker": "CHARACTER_NAME",
       "text": "EXACT DIALOGUE TEXT",
       "position": { "x": <number>, "y": <number> },
+      "space": { "width": <number>, "height": <number> },
       "tail": { "x": <number>, "y": <number> },
       "speakerLocation": "brief description of speaker location in image",
       "readingOrder": 3
+    },
+    {
+      "type": "sfx",
+      "text": "EXACT SOUND EFFECT TEXT",
+      "position": { "x": <number>, "y": <number> },
+      "fontSize": <number>,
+      "rotation": <number>
     }
   ]
 }
 
 ✓ ALL coordinates must be NUMBERS (not strings)
-✓ Position x, y = TOP-LEFT corner of text element
+✓ characters lists EVERY visible character; face x, y = CENTER of their face (used to crop the panel on the page)
+✓ Position x, y = TOP-LEFT corner of text element (CENTER for sfx)
 ✓ Tail x, y = EXACT speaker mouth/chin location
 ✓ Text must be EXACT copy from TEXT CONTENT above
-✓ Type must be EXACTLY: "title", "narration", or "speech"
+✓ Type must be EXACTLY: "title", "narration", "speech", or "sfx"
 ✓ Reading order must be SEQUENTIAL integers starting from 1
 ✓ Title has NO tail or speaker fields
 ✓ Narration has NO tail or speaker fields
 ✓ Speech MUST have tail and speaker fields
+✓ Sfx MUST have fontSize and rotation, and NO tail, speaker or readingOrder
 ✓ Return ONLY the JSON object (no extra text)
 
 BEGIN ANALYSIS AND RETURN JSON:
         `;
 
-        const result = await model.generateContent([
-          { text: prompt },
-          inlineData
-        ]);
+    const result = await model.invoke([
+      new HumanMessage({
+        content: [
+          { type: "text", text: prompt },
+          {
+            type: "image_url",
+            image_url: `data:${inlineData.inlineData.mimeType};base64,${inlineData.inlineData.data}`
+          }
+        ]
+      })
+    ]);
 
-        const text = result.response.text();
+    const text = messageText(result.content);
 
-        let json = null;
-        try {
-          const match = text.match(/\{[\s\S]*\}/);
-          if (match) json = JSON.parse(match[0]);
-        } catch (_) {}
-
-        if (json?.placements) outputs.push(json);
-      }
+    let json = null;
+    try {
+      const match = text.match(/\{[\s\S]*\}/);
+      if (match) json = JSON.parse(match[0]);
+    } catch (_) {}
+    return json && { ...json, strategy: "vision" };
+  }
 
-      // Render images with text
-      const renderedImages = await this.renderDialogueImages(analyze, outputs);
-      
-      // Save placements with Cloudinary URLs
-      await this.savePlacements(outputs, renderedImages);
+  /**
+   * Place the panel's text offline, from the image's busyness, the camera angle and the speaker order
+   * (see utils/heuristicPlacement.js)
+   */
+  async placeWithHeuristics(panel, url) {
+    const { buffer } = await this.fetchImage(url);
+    const grid = await busynessGrid(buffer);
+    const frame = {
+      width: panel.width || grid.width,
+      height: panel.height || grid.height,
+    };
+    console.log(`🧭 Placing text on ${panel.id} heuristically (${panel.cameraAngle || "no camera angle"})`);
+    return { ...heuristicPlacements(panel, grid, frame), strategy: "heuristic" };
+  }
 
-      return JSON.stringify(
-        {
-          success: true,
-          analyzedPanels: outputs.length,
-          placements: outputs,
-          renderedImages
-        },
-        null,
-        2
-      );
-    } catch (err) {
-      return JSON.stringify({
-        success: false,
-        error: err.message,
-        placements: []
-      });
+  /**
+   * Copy each dialogue line's bubble style onto its speech placement
+   * (matched by text, else by order), so the renderer draws the right bubble
+   */
+  applyBubbleStyles(panel, placements) {
+    const lines = panel.dialogue || [];
+    const speech = placements.filter((p) => p.type === "speech");
+    const unmatched = new Set(lines.map((_, i) => i));
+
+    const styled = speech.map((placement) => {
+      const index = lines.findIndex((line, i) => unmatched.has(i) && line.text === placement.text);
+      if (index === -1) return placement;
+      unmatched.delete(index);
+      placement.style = normalizeBubbleStyle(lines[index].style) || placement.style;
+      return null;
+    });
+    // Placements whose text the model changed take the remaining lines in order
+    const remaining = [...unmatched];
+    for (const placement of styled.filter(Boolean)) {
+      const index = remaining.shift();
+      if (index === undefined) break;
+      placement.style = normalizeBubbleStyle(lines[index].style) || placement.style;
     }
+    return placements;
+  }
+
+  /**
+   * Size, angle and position the panel's sound effects: the model's placements are kept
+   * within sensible limits, effects it left out get a default spot, and none may cover a face
+   */
+  placeSoundEffects(panel, placements, characters = []) {
+    const effects = cleanSoundEffects(panel.soundEffects);
+    const frame = { width: panel.width, height: panel.height };
+    const faces = (characters || []).map((c) => c?.face).filter((f) => Number.isFinite(f?.x) && Number.isFinite(f?.y));
+    const others = placements.filter((p) => p.type !== "sfx");
+    if (effects.length === 0 || !(frame.width > 0 && frame.height > 0)) return others;
+
+    const placed = placements.filter((p) => p.type === "sfx");
+    const sfx = effects.map((effect, i) => {
+      const placement =
+        placed.find((p) => String(p.text).toUpperCase() === effect.text) ||
+        { text: effect.text, position: { x: frame.width * (i % 2 === 0 ? 0.3 : 0.7), y: frame.height * 0.3 } };
+      return keepOffFaces(normalizeSfxPlacement(placement, frame, effect), faces, frame);
+    });
+    return [...others, ...sfx];
+  }
+
+  /**
+   * Report text that did not fit its space even at the smallest font size
+   */
+  textFitIssue(panelId, placement, fit) {
+    const percent = Math.max(10, Math.round(fit.shortenBy * 100));
+    return {
+      panelId,
+      type: placement.type,
+      ...(placement.speaker && { speaker: placement.speaker }),
+      text: placement.text,
+      fontSize: fit.fontSize,
+      overflow: fit.overflow,
+      message: `${placement.type} "${placement.text}" in ${panelId} does not fit its space at ${fit.fontSize}px; shorten it by about ${percent}%`,
+    };
   }
 
   async savePlacements(list, renderedImages = []) {
-    const comicPath = path.join(__dirname, "../../config/comic.yaml");
+    const comicPath = this.project.comicPath;
     let comic = yaml.parse(fs.readFileSync(comicPath, "utf8"));
 
     // Preserve all existing data, only add/update text placements
@@ -331,11 +549,17 @@ BEGIN ANALYSIS AND RETURN JSON:
         // Add/update text placements
         if (found) {
           updated.textPlacements = found.placements;
+          // Faces let compose_pages crop around the characters (fit "focus")
+          if (Array.isArray(found.characters) && found.characters.length > 0) {
+            updated.characterPositions = found.characters;
+          }
         }
         
         // Add/update Cloudinary URL for rendered image with text
         if (rendered && rendered.cloudinaryUrl) {
           updated.textImageUrl = rendered.cloudinaryUrl;
+          // Local copy, read by compose_pages instead of downloading the image again
+          updated.textImagePath = rendered.outputPath;
         }
         
         return updated;
@@ -356,10 +580,10 @@ BEGIN ANALYSIS AND RETURN JSON:
   }
 
   /**
-   * Render dialogue on images, save to outputs folder, and upload to Cloudinary
+   * Render dialogue on images, save to outputs folder, and store them (Cloudinary or local)
    */
   async renderDialogueImages(panels, placements) {
-    const outputDir = path.join(__dirname, "../../outputs");
+    const outputDir = this.project.assetsDir;
     await fs.ensureDir(outputDir);
 
     const results = [];
@@ -386,9 +610,40 @@ BEGIN ANALYSIS AND RETURN JSON:
         // Draw original image
         ctx.drawImage(img, 0, 0);
 
-        // Draw each dialogue bubble
+        // Fit each text element to its space; the fitted size is saved with the placement
+        const textFitIssues = [];
+        const fits = new Map();
         for (const bubble of placement.placements) {
-          drawBubbleFromPlacement(ctx, bubble);
+          const fit = fitTextElement(ctx, bubble);
+          if (!fit) continue;
+          bubble.fontSize = fit.fontSize;
+          bubble.size = { width: Math.round(fit.width), height: Math.round(fit.height) };
+          fits.set(bubble, fit);
+          if (!fit.fits) textFitIssues.push(this.textFitIssue(panel.id, bubble, fit));
+        }
+
+        // Move the measured boxes apart, inside the panel and off the faces, and bend tails around them
+        const layout = resolvePlacementLayout(placement.placements, {
+          frame: { width: img.width, height: img.height },
+          characters: placement.characters,
+        });
+        placement.placements.forEach((bubble, i) => {
+          const laidOut = layout.placements[i];
+          if (fits.has(bubble)) fits.set(laidOut, fits.get(bubble));
+        });
+        placement.placements = layout.placements;
+        const layoutFixes = layout.fixes.map((fix) => ({ panelId: panel.id, ...fix }));
+        if (layoutFixes.length > 0) {
+          console.log(`📐 ${panel.id}: ${layoutFixes.length} layout fix(es) - ${layoutFixes.map((f) => f.type).join(", ")}`);
+        }
+
+        // Draw sound effects first, behind the bubbles, then each dialogue bubble
+        const ordered = [
+          ...placement.placements.filter((p) => p.type === "sfx"),
+          ...placement.placements.filter((p) => p.type !== "sfx"),
+        ];
+        for (const bubble of ordered) {
+          drawBubbleFromPlacement(ctx, bubble, fits.get(bubble));
         }
 
         // Save to outputs folder
@@ -399,26 +654,26 @@ BEGIN ANALYSIS AND RETURN JSON:
         const buffer = await canvas.toBuffer("image/png");
         await fs.writeFile(outputPath, buffer);
 
-        // Upload to Cloudinary
+        // Store rendered image (Cloudinary or local outputs/)
         let cloudinaryUrl = null;
         try {
-          console.log(`☁️  Uploading ${panel.id} to Cloudinary...`);
-          const uploadResult = await cloudinary.uploader.upload(
-            outputPath,
-            {
-              folder: "comic/panels_with_text",
-              public_id: `${panel.id}_with_text`,
-              overwrite: true,
-              resource_type: "image",
-            }
-          );
-          cloudinaryUrl = uploadResult.secure_url;
-          console.log(
-            `✓ Uploaded ${panel.id} to Cloudinary: ${cloudinaryUrl}`
-          );
+          console.log(`☁️  Storing ${panel.id} (${this.storage.name})...`);
+          const uploadResult = await this.storage.save(buffer, {
+            folder: `${this.project.cloudFolder}/panels_with_text`,
+            publicId: `${panel.id}_with_text`,
+            format: "png",
+          });
+          cloudinaryUrl = uploadResult.url;
+          console.log(`✓ Stored ${panel.id}: ${cloudinaryUrl}`);
+          reportProgress(this.onProgress, {
+            type: PROGRESS_EVENTS.UPLOAD_FINISHED,
+            tool: this.name,
+            id: panel.id,
+            url: cloudinaryUrl,
+          });
         } catch (uploadErr) {
           console.error(
-            `✗ Failed to upload ${panel.id} to Cloudinary:`,
+            `✗ Failed to store ${panel.id}:`,
             uploadErr.message || uploadErr
           );
           console.error("Upload error details:", uploadErr);
@@ -429,11 +684,19 @@ BEGIN ANALYSIS AND RETURN JSON:
           outputPath,
           cloudinaryUrl,
           bubbleCount: placement.placements.length,
+          ...(textFitIssues.length > 0 && { textFitIssues }),
+          ...(layoutFixes.length > 0 && { layoutFixes }),
         });
 
         console.log(`✓ Rendered ${panel.id} → ${outputPath}`);
       } catch (err) {
         console.error(`✗ Failed to render ${panel.id}:`, err.message);
+        reportProgress(this.onProgress, {
+          type: PROGRESS_EVENTS.FAILURE,
+          tool: this.name,
+          id: panel.id,
+          error: err.message,
+        });
         results.push({
           panelId: panel.id,
           error: err.message,
@@ -1,22 +1,27 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import yaml from 'yaml';
 import { z } from 'zod';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { BUBBLE_STYLES, normalizeBubbleStyle } from '../utils/bubbleShapes.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
 
 /**
  * Edit Panel Tool for LangChain
  * Allows editing specific fields of panels or characters in comic.yaml
  */
 export class EditPanelLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'edit_panel';
     this.description =
-      'Edit specific fields of a panel or character in comic.yaml. Can update description, dialogue, narration, title, or any other field.';
+      'Edit specific fields of a panel or character in comic.yaml. Can update description, dialogue, narration, title, or any other field. With lineIndex, edits one dialogue line (speaker, text or bubble style).';
+    this.project = options.project || defaultProjectContext();
+  }
+
+  /** ───────────────────────────────────────────────
+   *  Point the tool at another project workspace
+   *  ─────────────────────────────────────────────── */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
   }
 
   /** ───────────────────────────────────────────────
@@ -31,18 +36,29 @@ export class EditPanelLangChainTool {
         targetId: z.string().describe('ID of the panel or character to edit (e.g., "panel1", "char_1")'),
         field: z.string().describe('Field to edit (e.g., "description", "dialogue", "narration", "title", "soundEffects")'),
         value: z.union([z.string(), z.array(z.record(z.string(), z.string())), z.null()]).describe('New value for the field. Can be string, array of objects, or null'),
+        lineIndex: z
+          .number()
+          .int()
+          .min(0)
+          .optional()
+          .describe(`Dialogue line to edit (0-based): field is then a line field ("speaker", "text" or "style"). Bubble styles: ${BUBBLE_STYLES.join(', ')}`),
       }),
-      func: async ({ targetType, targetId, field, value }) =>
-        await this.execute(targetType, targetId, field, value),
+      func: async ({ targetType, targetId, field, value, lineIndex }) =>
+        await this.execute(targetType, targetId, field, value, lineIndex),
     });
   }
 
   /** ───────────────────────────────────────────────
    *  Execute: edit a specific field in comic.yaml
    *  ─────────────────────────────────────────────── */
-  async execute(targetType, targetId, field, value) {
+  async execute(targetType, targetId, field, value, lineIndex = undefined) {
     try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
+      const styleError = this.checkBubbleStyles(field, value, lineIndex);
+      if (styleError) {
+        return JSON.stringify({ success: false, error: styleError, availableStyles: BUBBLE_STYLES });
+      }
+
+      const comicPath = this.project.comicPath;
       
       // Load existing comic.yaml
       if (!fs.existsSync(comicPath)) {
@@ -83,11 +99,27 @@ export class EditPanelLangChainTool {
           });
         }
 
-        oldValue = comicData.panels[panelIndex][field];
-        comicData.panels[panelIndex][field] = value;
+        const panel = comicData.panels[panelIndex];
+        if (lineIndex !== undefined) {
+          const line = panel.dialogue?.[lineIndex];
+          if (!line) {
+            return JSON.stringify({
+              success: false,
+              error: `Panel "${targetId}" has no dialogue line ${lineIndex}`,
+              dialogueLines: (panel.dialogue || []).length,
+            });
+          }
+          oldValue = line[field];
+          line[field] = field === 'style' ? normalizeBubbleStyle(value) : value;
+          value = line[field];
+          if (field === 'style') this.restylePlacement(panel, line);
+        } else {
+          oldValue = panel[field];
+          panel[field] = value;
+        }
         found = true;
 
-        console.log(`✓ Updated ${targetId}.${field}`);
+        console.log(`✓ Updated ${targetId}.${lineIndex !== undefined ? `dialogue[${lineIndex}].` : ''}${field}`);
       } else if (targetType === 'character') {
         if (!comicData.characters || !Array.isArray(comicData.characters)) {
           return JSON.stringify({
@@ -134,9 +166,10 @@ export class EditPanelLangChainTool {
           targetType,
           targetId,
           field,
+          ...(lineIndex !== undefined && { lineIndex }),
           oldValue,
           newValue: value,
-          message: `Successfully updated ${targetId}.${field}`,
+          message: `Successfully updated ${targetId}.${lineIndex !== undefined ? `dialogue[${lineIndex}].` : ''}${field}`,
         },
         null,
         2
@@ -148,4 +181,29 @@ export class EditPanelLangChainTool {
       });
     }
   }
+
+  /** ───────────────────────────────────────────────
+   *  Error message for unknown bubble styles, or null
+   *  ─────────────────────────────────────────────── */
+  checkBubbleStyles(field, value, lineIndex) {
+    const styles =
+      lineIndex !== undefined && field === 'style'
+        ? [value]
+        : field === 'dialogue' && Array.isArray(value)
+          ? value.map(line => line.style).filter(style => style !== undefined)
+          : [];
+    const unknown = styles.filter(style => !normalizeBubbleStyle(style));
+    return unknown.length > 0
+      ? `Unknown bubble style "${unknown[0]}". Use one of: ${BUBBLE_STYLES.join(', ')}`
+      : null;
+  }
+
+  /** ───────────────────────────────────────────────
+   *  Keep the placed bubble of a restyled line in step,
+   *  so the next render draws the new style
+   *  ─────────────────────────────────────────────── */
+  restylePlacement(panel, line) {
+    const placement = (panel.textPlacements || []).find(p => p.type === 'speech' && p.text === line.text);
+    if (placement) placement.style = line.style;
+  }
 }
@@ -0,0 +1,174 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import fs from 'fs-extra';
+import JSZip from 'jszip';
+import path from 'path';
+import sharp from 'sharp';
+import yaml from 'yaml';
+import { z } from 'zod';
+import { createStorage } from '../providers/storageProviders.js';
+import { buildComicInfoXml, characterNames } from '../utils/comicInfo.js';
+import { comicTitle, joinSpreadImages, loadComposedPages, readPageImage, spreadPairs } from '../utils/composedPages.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+
+const IMAGE_EXTENSIONS = { png: 'png', jpeg: 'jpg', webp: 'webp', gif: 'gif' };
+
+/**
+ * Export CBZ Tool for LangChain
+ * Packages the pages composed by compose_pages into a CBZ comic archive
+ * (zero-padded page files in reading order plus ComicInfo.xml)
+ */
+export class ExportCbzLangChainTool {
+  constructor(options = {}) {
+    this.name = 'export_cbz';
+    this.description =
+      'Exports the composed comic pages (from compose_pages) as a CBZ archive for comic reader apps, with pages in reading order and a ComicInfo.xml (title, characters, summary, page count, cover page). Returns the CBZ URL.';
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.storage = createStorage(options.storage);
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
+  }
+
+  /**
+   * Set the callback that receives progress events (see utils/progress.js)
+   * @param {Function|null} onProgress - Progress callback
+   */
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
+  }
+
+  /**
+   * Get the tool definition for LangChain
+   */
+  getTool() {
+    return new DynamicStructuredTool({
+      name: this.name,
+      description: this.description,
+      schema: z.object({
+        title: z.string().optional().describe('Comic title (default: the title of panel1)'),
+        authors: z.array(z.string()).optional().describe('Writers for ComicInfo.xml'),
+      }),
+      func: async (options) => await this.execute(options),
+    });
+  }
+
+  loadComicData() {
+    try {
+      return yaml.parse(fs.readFileSync(this.project.comicPath, 'utf8')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Page image in a format comic readers open, with its archive extension
+   * @returns {Promise<Object>} { buffer, extension, width, height }
+   */
+  async preparePage(buffer) {
+    const { format, width, height } = await sharp(buffer).metadata();
+    if (IMAGE_EXTENSIONS[format]) {
+      return { buffer, extension: IMAGE_EXTENSIONS[format], width, height };
+    }
+    return { buffer: await sharp(buffer).png().toBuffer(), extension: 'png', width, height };
+  }
+
+  /**
+   * Execute CBZ export
+   * @param {Object} options - { title, authors }
+   */
+  async execute(options = {}) {
+    try {
+      const pages = loadComposedPages(this.project);
+      if (pages.length === 0) {
+        return JSON.stringify({
+          success: false,
+          error: 'No composed pages found in comic.yaml. Run compose_pages first.',
+        });
+      }
+
+      const comicData = this.loadComicData();
+      const title = options.title || comicTitle(comicData, this.project) || 'Comic';
+      console.log(`📚 Packaging ${pages.length} pages into a CBZ...`);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.GENERATION_STARTED, tool: this.name, kind: 'cbz', pages: pages.length });
+
+      // Zero-padded names so every reader sorts the pages in reading order
+      const exportDate = new Date();
+      const digits = Math.max(3, String(pages.length).length);
+      const zip = new JSZip();
+      // The two halves of a spread go into the archive as one double-page image
+      const spreads = new Map(spreadPairs(pages));
+      const rightHalves = new Set(spreads.values());
+      const pageInfo = [];
+      for (const [index, page] of pages.entries()) {
+        if (rightHalves.has(index)) continue;
+        const buffer = spreads.has(index)
+          ? (await joinSpreadImages(await readPageImage(page), await readPageImage(pages[spreads.get(index)]))).buffer
+          : await readPageImage(page);
+        const image = await this.preparePage(buffer);
+        const filename = `page_${String(pageInfo.length + 1).padStart(digits, '0')}.${image.extension}`;
+        zip.file(filename, image.buffer, { date: exportDate, compression: 'STORE' });
+        pageInfo.push({
+          filename,
+          type: index === 0 ? 'FrontCover' : 'Story',
+          width: image.width,
+          height: image.height,
+          size: image.buffer.length,
+          doublePage: spreads.has(index),
+        });
+      }
+
+      const comicInfo = buildComicInfoXml({
+        title,
+        series: this.project.name,
+        summary: comicData.story?.context,
+        genre: comicData.story?.genre,
+        writers: options.authors,
+        characters: characterNames(this.project, comicData.characters || []),
+        date: exportDate,
+        pages: pageInfo,
+      });
+      zip.file('ComicInfo.xml', comicInfo, { date: exportDate, compression: 'DEFLATE' });
+
+      const bytes = await zip.generateAsync({ type: 'nodebuffer', mimeType: 'application/vnd.comicbook+zip' });
+
+      // Keep a copy with the project, then store it like any other asset
+      const fileBase = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'comic';
+      const outputPath = path.join(this.project.assetsDir, 'exports', `${fileBase}.cbz`);
+      await fs.outputFile(outputPath, bytes);
+
+      const stored = await this.storage.save(bytes, {
+        folder: `${this.project.cloudFolder}/exports`,
+        publicId: fileBase,
+        format: 'cbz',
+      });
+      console.log(`✅ CBZ exported: ${stored.url}`);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.UPLOAD_FINISHED, tool: this.name, id: fileBase, url: stored.url });
+
+      return JSON.stringify(
+        {
+          success: true,
+          url: stored.url,
+          path: outputPath,
+          title,
+          pageCount: pageInfo.length,
+          files: [...pageInfo.map(page => page.filename), 'ComicInfo.xml'],
+        },
+        null,
+        2
+      );
+    } catch (error) {
+      console.error('❌ CBZ export failed:', error.message);
+      return JSON.stringify({
+        success: false,
+        error: `Failed to export CBZ: ${error.message}`,
+      });
+    }
+  }
+}
@@ -0,0 +1,154 @@
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'yaml';
+import { z } from 'zod';
+import { createStorage } from '../providers/storageProviders.js';
+import { facingPages, loadComposedPages, readPageImage, spreadPairs } from '../utils/composedPages.js';
+import { TRIM_SIZES, buildPrintPdf } from '../utils/pdfExport.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+
+/**
+ * Export PDF Tool for LangChain
+ * Turns the pages composed by compose_pages into a print-ready PDF
+ * (trim size, bleed, crop marks, 300 DPI art, embedded fonts, metadata)
+ */
+export class ExportPdfLangChainTool {
+  constructor(options = {}) {
+    this.name = 'export_pdf';
+    this.description =
+      'Exports the composed comic pages (from compose_pages) as a print-ready PDF: A4 or US comic (6.625x10.25in) trim size, bleed, crop marks, 300 DPI page art, embedded fonts and title/author metadata. Returns the PDF URL.';
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.storage = createStorage(options.storage);
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
+  }
+
+  /**
+   * Set the callback that receives progress events (see utils/progress.js)
+   * @param {Function|null} onProgress - Progress callback
+   */
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
+  }
+
+  /**
+   * Get the tool definition for LangChain
+   */
+  getTool() {
+    return new DynamicStructuredTool({
+      name: this.name,
+      description: this.description,
+      schema: z.object({
+        trimSize: z
+          .enum(Object.keys(TRIM_SIZES))
+          .optional()
+          .default('a4')
+          .describe('Final page size: "a4" or "us-comic" (6.625x10.25in)'),
+        bleedMm: z
+          .number()
+          .min(0)
+          .max(10)
+          .optional()
+          .describe('Bleed on each side in millimetres. Default: 3 for A4, 3.175 (1/8in) for US comic'),
+        cropMarks: z.boolean().optional().default(true).describe('Draw crop marks and a slug line'),
+        dpi: z.number().int().min(150).max(600).optional().default(300).describe('Resolution of the page art'),
+        title: z.string().optional().describe('Document title (default: project name or comic title)'),
+        authors: z.array(z.string()).optional().describe('Authors for the document metadata'),
+      }),
+      func: async (options) => await this.execute(options),
+    });
+  }
+
+  /**
+   * Title for the PDF: project name, then the first panel title
+   */
+  defaultTitle() {
+    if (this.project.name) return this.project.name;
+    try {
+      const comicData = yaml.parse(fs.readFileSync(this.project.comicPath, 'utf8')) || {};
+      return comicData.title || comicData.panels?.find(panel => panel.title)?.title || 'Comic';
+    } catch (error) {
+      return 'Comic';
+    }
+  }
+
+  /**
+   * Execute PDF export
+   * @param {Object} options - { trimSize, bleedMm, cropMarks, dpi, title, authors }
+   */
+  async execute(options = {}) {
+    try {
+      const pages = loadComposedPages(this.project);
+      if (pages.length === 0) {
+        return JSON.stringify({
+          success: false,
+          error: 'No composed pages found in comic.yaml. Run compose_pages first.',
+        });
+      }
+
+      const trimSize = options.trimSize || 'a4';
+      const title = options.title || this.defaultTitle();
+      console.log(`🖨️  Exporting ${pages.length} pages to PDF (${trimSize}, ${options.dpi || 300} DPI)...`);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.GENERATION_STARTED, tool: this.name, kind: 'pdf', pages: pages.length });
+
+      // Two-page spreads have to face each other: pad with a blank page where needed
+      const printPages = facingPages(pages);
+      const blanks = printPages.filter(page => page.blank).length;
+      const images = [];
+      for (const page of printPages) {
+        images.push(page.blank ? null : await readPageImage(page));
+      }
+
+      const pdf = await buildPrintPdf(images, { ...options, trimSize, title, spreads: spreadPairs(printPages) });
+      if (blanks > 0) {
+        pdf.warnings.push(`Added ${blanks} blank page(s) so two-page spreads face each other`);
+      }
+      pdf.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+      // Keep a copy with the project, then store it like any other asset
+      const fileBase = `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'comic'}-${trimSize}`;
+      const outputPath = path.join(this.project.assetsDir, 'exports', `${fileBase}.pdf`);
+      await fs.outputFile(outputPath, pdf.bytes);
+
+      const stored = await this.storage.save(Buffer.from(pdf.bytes), {
+        folder: `${this.project.cloudFolder}/exports`,
+        publicId: fileBase,
+        format: 'pdf',
+      });
+      console.log(`✅ PDF exported: ${stored.url}`);
+      reportProgress(this.onProgress, { type: PROGRESS_EVENTS.UPLOAD_FINISHED, tool: this.name, id: fileBase, url: stored.url });
+
+      return JSON.stringify(
+        {
+          success: true,
+          url: stored.url,
+          path: outputPath,
+          title,
+          pageCount: pdf.pageCount,
+          trimSize: pdf.trimSize,
+          bleedMm: pdf.bleedMm,
+          dpi: pdf.dpi,
+          spreads: pdf.spreads,
+          warnings: pdf.warnings,
+        },
+        null,
+        2
+      );
+    } catch (error) {
+      console.error('❌ PDF export failed:', error.message);
+      return JSON.stringify({
+        success: false,
+        error: `Failed to export PDF: ${error.message}`,
+      });
+    }
+  }
+}
@@ -1,23 +1,30 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import yaml from 'yaml';
 import { z } from 'zod';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { MAX_GRID_PANELS, generateGridLayout } from '../utils/gridLayout.js';
+import { findLayoutByPageCount, loadLayouts, recordLayout } from '../utils/layouts.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+import { layoutSpreads } from '../utils/spreads.js';
 
 /**
  * Layout Selection Tool for LangChain
  * Dynamically selects multi-page comic layout templates based on page count
  */
 export class LayoutSelectionLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'select_comic_layout';
-    this.description = 'Select the number of pages for your comic. Choose from 1-5 pages. Each layout represents a complete comic with cover and story pages. Default is 3 pages if not specified.';
+    this.description = `Select the number of pages for your comic. Choose from 1-5 pages. Each layout represents a complete comic with cover and story pages. Default is 3 pages if not specified. For any other size, pass panelCount (1-${MAX_GRID_PANELS}) and optional panelWeights to generate a layout. Pass layout to pick a layouts.yaml layout by key, e.g. "spread-story" for a double-page splash (a page count never picks a layout with spreads).`;
     this.defaultPageCount = 3;
+    this.layouts = loadLayouts();
     this.templates = this.loadLayoutTemplates();
+    this.project = options.project || defaultProjectContext();
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
   }
 
   /**
@@ -25,18 +32,7 @@ export class LayoutSelectionLangChainTool {
    * @returns {Array} Layout templates
    */
   loadLayoutTemplates() {
-    try {
-      const layoutsPath = path.join(__dirname, '../../config/layouts.yaml');
-      if (fs.existsSync(layoutsPath)) {
-        const layoutsConfig = fs.readFileSync(layoutsPath, 'utf8');
-        const parsed = yaml.parse(layoutsConfig);
-        return Object.values(parsed.layouts || {});
-      }
-    } catch (error) {
-      console.warn('Failed to load layout templates:', error.message);
-    }
-    
-    return [];
+    return Object.values(this.layouts);
   }
 
   /**
@@ -52,21 +48,88 @@ export class LayoutSelectionLangChainTool {
           .min(1)
           .max(5)
           .optional()
-          .describe('Number of pages for the comic (1-5). Default is 3 if not specified.')
+          .describe('Number of pages for the comic (1-5). Default is 3 if not specified.'),
+        panelCount: z.number()
+          .int()
+          .min(1)
+          .max(MAX_GRID_PANELS)
+          .optional()
+          .describe(`Generate a layout for exactly this many panels (1-${MAX_GRID_PANELS}) instead of a page preset`),
+        panelWeights: z.array(z.number().positive())
+          .optional()
+          .describe('With panelCount: importance of each panel in order (default 1); heavier panels get more space'),
+        layout: z.string()
+          .optional()
+          .describe('Select this layouts.yaml layout by key instead of a page count, e.g. "spread-story" for a double-page splash')
       }),
-      func: async ({ pageCount }) => {
-        return await this.execute(pageCount);
+      func: async ({ pageCount, panelCount, panelWeights, layout }) => {
+        return await this.execute(pageCount, { panelCount, panelWeights, layout });
       }
     });
   }
 
   /**
-   * Execute layout selection
+   * Generate a layout for a panel count and record it (with its grid) in comic.yaml
+   * @param {Object} options - { panelCount, panelWeights }
+   * @returns {Promise<string>} JSON string of the generated layout
+   */
+  async generateLayout({ panelCount, panelWeights }) {
+    const { layoutKey, layout } = generateGridLayout(panelCount, { weights: panelWeights });
+    await recordLayout(this.project.comicPath, layoutKey, layout.grid);
+
+    return JSON.stringify({
+      success: true,
+      pageCount: layout.pages,
+      panelCount,
+      panelsPerPage: layout.panels_per_page,
+      layout: layoutKey,
+      layoutName: layout.name,
+      grid: layout.grid,
+      message: `Generated a ${layout.pages}-page layout for ${panelCount} panels. Pass layout "${layoutKey}" to generate_panels to use it.`
+    });
+  }
+
+  /**
+   * Select a layouts.yaml layout by key and record it in comic.yaml
+   * @param {string} layoutKey - Layout key, e.g. 'spread-story'
+   * @returns {Promise<string>} JSON string of the selected layout
+   */
+  async selectLayoutByKey(layoutKey) {
+    const layout = this.layouts[layoutKey];
+    if (!layout) {
+      return JSON.stringify({
+        success: false,
+        error: `Layout "${layoutKey}" not found. Available layouts: ${Object.keys(this.layouts).join(', ')}`
+      });
+    }
+    await recordLayout(this.project.comicPath, layoutKey);
+
+    const spreads = layoutSpreads(layout).map(spread => `${spread.id} (${spread.left}-${spread.right})`);
+    return JSON.stringify({
+      success: true,
+      pageCount: layout.pages,
+      layout: layoutKey,
+      layoutName: layout.name,
+      ...(spreads.length > 0 && { spreads }),
+      message: `Selected the ${layout.pages}-page "${layout.name}" layout. Pass layout "${layoutKey}" to generate_panels to use it.`
+    });
+  }
+
+  /**
+   * Execute layout selection and record it in comic.yaml
    * @param {number} pageCount - Number of pages (1-5), default is 3
+   * @param {Object} options - { layout } to select a layout by key, or { panelCount, panelWeights } to generate one
    * @returns {Promise<string>} JSON string of selected layout
    */
-  async execute(pageCount = null) {
+  async execute(pageCount = null, options = {}) {
     try {
+      if (options.layout) {
+        return await this.selectLayoutByKey(options.layout);
+      }
+      if (options.panelCount) {
+        return await this.generateLayout(options);
+      }
+
       // Use default if no page count specified
       const pages = pageCount || this.defaultPageCount;
       
@@ -79,8 +142,9 @@ export class LayoutSelectionLangChainTool {
         });
       }
 
-      // Select layout based on page count
-      const selectedLayout = this.templates.find(layout => layout.pages === pages);
+      // Select layout based on page count (layouts with spreads are only selected by key)
+      const match = findLayoutByPageCount(this.layouts, pages);
+      const selectedLayout = match?.layout;
 
       if (!selectedLayout) {
         return JSON.stringify({
@@ -94,10 +158,14 @@ export class LayoutSelectionLangChainTool {
         });
       }
 
+      // Record the choice so panel generation and page composition use the same layout
+      await recordLayout(this.project.comicPath, match.layoutKey);
+
       // Return simplified result
       const result = {
         success: true,
         pageCount: pages,
+        layout: match.layoutKey,
         layoutName: selectedLayout.name,
         message: `Selected ${pages}-page comic layout successfully`
       };
@@ -1,32 +1,42 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
-import axios from 'axios';
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import yaml from 'yaml';
 import { z } from 'zod';
-import { LEONARDO } from '../../config/leonardo.js';
-import { uploadBuffer } from '../utils/cloudinary.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const API_KEY = process.env.LEONARDO_API_KEY;
-const HEADERS = {
-  accept: 'application/json',
-  'content-type': 'application/json',
-  authorization: `Bearer ${API_KEY}`,
-};
+import { createImageProvider } from '../providers/imageProviders.js';
+import { createStorage } from '../providers/storageProviders.js';
+import { panelCharacterIds, panelRefNumber, selectContextImages } from '../utils/cast.js';
+import { generateAndStoreImage, loadComicImages, pauseBetweenGenerations, saveImageUrls } from '../utils/imageGeneration.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
 
 /**
  * Leonardo AI Image Generation Tool for LangChain
- * Generates character and panel images using Leonardo AI and uploads to Cloudinary
+ * Generates character and panel images with the configured image provider
+ * (Leonardo AI by default, see src/providers) and stores them with the configured storage provider
  */
 export class LeonardoImageGenerationLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'generate_leonardo_images';
     this.description =
-      'Generates images for characters and/or panels from comic.yaml using Leonardo AI and uploads them to Cloudinary. Can generate characters, panels, both, or a specific panel. Automatically uses context images for visual consistency. Returns Cloudinary URLs and generation summary.';
+      'Generates images for characters and/or panels from comic.yaml using Leonardo AI and stores them (Cloudinary or local storage). Can generate characters, panels, both, or a specific panel. Automatically uses context images for visual consistency. Returns image URLs and generation summary.';
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.imageProvider = createImageProvider(options.imageProvider); // Provider name or instance; IMAGE_PROVIDER env by default
+    this.storage = createStorage(options.storage); // Cloudinary or local outputs/, see providers/storageProviders.js
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
+  }
+
+  /**
+   * Set the callback that receives progress events (see utils/progress.js)
+   * @param {Function|null} onProgress - Progress callback
+   */
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
   }
 
   /**
@@ -56,147 +66,10 @@ export class LeonardoImageGenerationLangChainTool {
   }
 
   /**
-   * Load comic.yaml
-   */
-  loadComicYaml() {
-    try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
-      if (fs.existsSync(comicPath)) {
-        const comicFile = fs.readFileSync(comicPath, 'utf8');
-        const parsed = yaml.parse(comicFile);
-        return parsed || { characters: [], panels: [] };
-      }
-    } catch (error) {
-      console.warn('⚠️  Failed to load comic.yaml:', error.message);
-    }
-    return { characters: [], panels: [] };
-  }
-
-  /**
-   * Save generated image URLs back to comic.yaml
-   */
-  async saveUrlsToComicYaml(results, comicData) {
-    try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
-      
-      // Update character URLs
-      if (results.characters && results.characters.length > 0) {
-        results.characters.forEach(charResult => {
-          if (!charResult.error && charResult.url) {
-            const char = comicData.characters.find(c => c.id === charResult.id);
-            if (char) {
-              char.cloudinaryUrl = charResult.url;
-            }
-          }
-        });
-      }
-      
-      // Update panel URLs
-      if (results.panels && results.panels.length > 0) {
-        results.panels.forEach(panelResult => {
-          if (!panelResult.error && panelResult.url) {
-            const panel = comicData.panels.find(p => p.id === panelResult.id);
-            if (panel) {
-              panel.cloudinaryUrl = panelResult.url;
-            }
-          }
-        });
-      }
-      
-      // Write back to comic.yaml
-      await fs.writeFile(
-        comicPath,
-        yaml.stringify(comicData, {
-          indent: 2,
-          lineWidth: 120,
-          simpleKeys: false
-        })
-      );
-      
-      console.log('💾 Saved image URLs to comic.yaml');
-    } catch (error) {
-      console.error('⚠️  Failed to save URLs to comic.yaml:', error.message);
-    }
-  }
-
-  /**
-   * Generate a single image using Leonardo AI
+   * Image provider, storage and progress reporting for generateAndStoreImage
    */
-  async generateImage({ prompt, imageNum, seed, width, height, contextImages, folder, prefix }) {
-    const body = {
-      prompt,
-      modelId: LEONARDO.MODEL_ID,
-      styleUUID: LEONARDO.STYLE_UUID,
-      width,
-      height,
-      num_images: 1,
-      enhancePrompt: true,
-      seed,
-      contrastRatio: 0.5,
-      ...(contextImages && contextImages.length > 0 && { contextImages }),
-    };
-
-    console.log(`🎨 [${prefix} ${imageNum}] Starting generation with ${contextImages?.length || 0} context images...`);
-    
-    const res = await axios.post(`${LEONARDO.API_URL}/generations`, body, { headers: HEADERS });
-    const genId = res.data.sdGenerationJob.generationId;
-
-    console.log(`🕓 [${prefix} ${imageNum}] Generation ID: ${genId}`);
-    
-    // Wait for generation to complete (polling) - reduced time per poll
-    let imageUrl = null;
-    let leonardoImageId = null;
-    let attempts = 0;
-    const maxAttempts = 40; // 40 attempts * 3 seconds = 2 minutes max
-    const pollInterval = 3000; // Reduced from 5000 to 3000ms
-
-    while (attempts < maxAttempts) {
-      await new Promise((r) => setTimeout(r, pollInterval));
-      attempts++;
-
-      try {
-        const fetchRes = await axios.get(`${LEONARDO.API_URL}/generations/${genId}`, {
-          headers: HEADERS,
-        });
-        const status = fetchRes.data.generations_by_pk?.status;
-        const generatedImages = fetchRes.data.generations_by_pk?.generated_images;
-
-        if (status === 'COMPLETE' && generatedImages && generatedImages.length > 0) {
-          const img = generatedImages[0];
-          imageUrl = img.url;
-          leonardoImageId = img.id;
-          console.log(`✓ [${prefix} ${imageNum}] Generation complete (${attempts * pollInterval / 1000}s)`);
-          break;
-        } else if (status === 'FAILED') {
-          throw new Error(`Generation failed for ${prefix} ${imageNum}`);
-        } else if (attempts % 5 === 0) {
-          // Progress update every 15 seconds
-          console.log(`⏳ [${prefix} ${imageNum}] Still generating... (${attempts * pollInterval / 1000}s elapsed)`);
-        }
-      } catch (error) {
-        if (attempts >= maxAttempts) {
-          throw new Error(`Timeout after ${maxAttempts * pollInterval / 1000}s: ${error.message}`);
-        }
-        // Continue polling on transient errors
-      }
-    }
-
-    if (!imageUrl || !leonardoImageId) {
-      throw new Error(`No image returned for ${prefix} ${imageNum} after ${maxAttempts * pollInterval / 1000}s`);
-    }
-
-    // Download image and upload to Cloudinary
-    const imageData = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-    const buffer = Buffer.from(imageData.data);
-    const publicId = `${prefix}_${imageNum}`;
-    const uploaded = await uploadBuffer(buffer, publicId, folder);
-    console.log(`☁️ [${prefix} ${imageNum}] Uploaded → ${uploaded.secure_url}`);
-
-    return {
-      number: imageNum,
-      leonardoId: leonardoImageId,
-      cloudinaryUrl: uploaded.secure_url,
-    };
+  imageServices() {
+    return { provider: this.imageProvider, storage: this.storage, tool: this.name, onProgress: this.onProgress };
   }
 
   /**
@@ -204,7 +77,7 @@ export class LeonardoImageGenerationLangChainTool {
    */
   async execute(generateType = 'both', specificPanel = null) {
     try {
-      const comicData = this.loadComicYaml();
+      const comicData = loadComicImages(this.project.comicPath);
       const { characters = [], panels = [] } = comicData;
 
       if (characters.length === 0 && panels.length === 0) {
@@ -220,9 +93,15 @@ export class LeonardoImageGenerationLangChainTool {
         panels: [],
       };
 
-      // Context map to track generated images for use in panels
+      // Context map to track generated images for use in panels.
+      // Start from characters generated earlier by the same provider, so panel-only runs keep them.
       const contextMap = {};
-      const sourceMap = {}; // Maps character/panel IDs to Cloudinary URLs
+      const sourceMap = {}; // Maps character/panel IDs to image URLs
+      characters.forEach((char, i) => {
+        if (char.imageId && char.imageProvider === this.imageProvider.name) {
+          contextMap[char.id || `char_${i + 1}`] = { id: char.imageId };
+        }
+      });
 
       // If specific panel requested, skip to regeneration tool
       if (specificPanel && generateType === 'panels') {
@@ -245,33 +124,40 @@ export class LeonardoImageGenerationLangChainTool {
             const charId = char.id || `char_${i + 1}`;
 
             try {
-              const generated = await this.generateImage({
+              const generated = await generateAndStoreImage({
+                id: charId,
                 prompt: char.prompt || char.description,
                 imageNum: i + 1,
                 seed: 17000 + i * 17,
                 width: char.width || 832,
                 height: char.height || 1248,
                 contextImages: [], // Characters typically don't use context
-                folder: 'comic/characters',
+                folder: `${this.project.cloudFolder}/characters`,
                 prefix: 'character',
-              });
+              }, this.imageServices());
 
               // Store for context mapping (panels will reference these)
-              contextMap[charId] = { type: 'GENERATED', id: generated.leonardoId };
+              contextMap[charId] = { id: generated.imageId };
               sourceMap[charId] = generated.cloudinaryUrl;
 
               results.characters.push({
                 id: charId,
-                leonardoId: generated.leonardoId,
+                imageId: generated.imageId,
                 url: generated.cloudinaryUrl,
               });
 
               // Small delay between generations
               if (i < characters.length - 1) {
-                await new Promise((r) => setTimeout(r, 2000));
+                await pauseBetweenGenerations(this.imageProvider, 2000);
               }
             } catch (error) {
               console.error(`❌ Failed to generate character ${charId}:`, error.message);
+              reportProgress(this.onProgress, {
+                type: PROGRESS_EVENTS.FAILURE,
+                tool: this.name,
+                id: charId,
+                error: error.message,
+              });
               results.characters.push({
                 id: charId,
                 error: error.message,
@@ -293,77 +179,58 @@ export class LeonardoImageGenerationLangChainTool {
             const panelId = panel.id || `panel${i + 1}`;
 
             try {
-              // Build context images array from panel's contextImages
-              let contextImages = [];
-              if (panel.contextImages && Array.isArray(panel.contextImages)) {
-                contextImages = panel.contextImages
-                  .map((key) => {
-                    // Check if it's a character reference
-                    if (contextMap[key]) {
-                      return contextMap[key];
-                    }
-                    // Check if it's a previous panel reference (e.g., "panel_1", "panel1")
-                    const panelMatch = key.match(/panel[_\s]?(\d+)/i);
-                    if (panelMatch) {
-                      const panelNum = parseInt(panelMatch[1]) - 1; // Convert to 0-based index
-                      if (panelNum >= 0 && panelNum < i) {
-                        // Reference to a previous panel
-                        const prevPanel = results.panels[panelNum];
-                        if (prevPanel && prevPanel.leonardoId) {
-                          return { type: 'GENERATED', id: prevPanel.leonardoId };
-                        }
-                      }
-                    }
-                    return null;
-                  })
-                  .filter(Boolean);
-              }
+              // Previous panel first (continuity), then the characters in this panel, then other
+              // referenced panels, up to the provider's context image limit
+              const contextImages = selectContextImages(panel, i, (ref) => {
+                if (contextMap[ref]) return contextMap[ref];
+                const panelNum = panelRefNumber(ref);
+                const prevPanel = panelNum && panelNum <= i ? results.panels[panelNum - 1] : null;
+                return prevPanel?.imageId ? { id: prevPanel.imageId } : null;
+              });
 
-              // CRITICAL: Always use previous panel as context for consistency
-              if (i > 0) {
-                const prevPanel = results.panels[i - 1];
-                if (prevPanel && prevPanel.leonardoId) {
-                  // Add previous panel at the beginning for priority
-                  contextImages.unshift({ type: 'GENERATED', id: prevPanel.leonardoId });
-                }
-              }
-              
-              // Limit to 4 context images max
-              if (contextImages.length > 4) {
-                contextImages = contextImages.slice(0, 4);
+              const missingCharacters = panelCharacterIds(panel).filter(id => !contextMap[id]);
+              if (missingCharacters.length > 0) {
+                console.log(`📸 [panel ${i + 1}] No ${this.imageProvider.name} image yet for ${missingCharacters.join(', ')}`);
               }
 
               console.log(`📸 [panel ${i + 1}] Using ${contextImages.length} context images for consistency`);
 
-              const generated = await this.generateImage({
+              const generated = await generateAndStoreImage({
+                id: panelId,
                 prompt: panel.prompt || panel.description,
                 imageNum: i + 1,
                 seed: 18000 + i * 23,
                 width: panel.width || 832,
                 height: panel.height || 1248,
                 contextImages,
-                folder: 'comic/panels',
+                folder: `${this.project.cloudFolder}/panels`,
                 prefix: 'panel',
-              });
+              }, this.imageServices());
 
               // Store for future panel references
-              contextMap[`panel_${i + 1}`] = { type: 'GENERATED', id: generated.leonardoId };
-              contextMap[panelId] = { type: 'GENERATED', id: generated.leonardoId };
+              contextMap[`panel_${i + 1}`] = { id: generated.imageId };
+              contextMap[panelId] = { id: generated.imageId };
               sourceMap[panelId] = generated.cloudinaryUrl;
 
               results.panels.push({
                 id: panelId,
-                leonardoId: generated.leonardoId,
+                imageId: generated.imageId,
                 url: generated.cloudinaryUrl,
               });
 
               // Reduced delay between generations (from 15s to 8s)
               if (i < panels.length - 1) {
-                console.log(`⏳ Waiting 8s before next panel...`);
-                await new Promise((r) => setTimeout(r, 8000));
+                if (this.imageProvider.rateLimited) console.log(`⏳ Waiting 8s before next panel...`);
+                await pauseBetweenGenerations(this.imageProvider, 8000);
               }
             } catch (error) {
               console.error(`❌ Failed to generate panel ${panelId}:`, error.message);
+              reportProgress(this.onProgress, {
+                type: PROGRESS_EVENTS.FAILURE,
+                tool: this.name,
+                id: panelId,
+                error: error.message,
+              });
               results.panels.push({
                 id: panelId,
                 error: error.message,
@@ -396,14 +263,14 @@ export class LeonardoImageGenerationLangChainTool {
       ]);
 
       // Save URLs back to comic.yaml
-      await this.saveUrlsToComicYaml(results, comicData);
+      await saveImageUrls(this.project.comicPath, results, comicData, this.imageProvider.name);
 
       return JSON.stringify(
         {
           success: true,
           generateType,
           results,
-          sourceMap, // Map of all IDs to Cloudinary URLs
+          sourceMap, // Map of all IDs to image URLs
           summary: {
             totalPanels: panels.length,
             successfulPanels,
@@ -418,7 +285,7 @@ export class LeonardoImageGenerationLangChainTool {
         2
       );
     } catch (error) {
-      console.error('❌ Leonardo image generation failed:', error.message);
+      console.error('❌ Image generation failed:', error.message);
       return JSON.stringify({
         success: false,
         error: `Failed to generate images: ${error.message}`,
@@ -1,10 +1,15 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'yaml';
 import { z } from 'zod';
+import { createChatModel, getLlmSettings } from '../providers/llmProviders.js';
+import { MAX_CAST_SIZE, MAX_CONTEXT_IMAGES, MIN_CAST_SIZE, castIds, clampCastSize, contextRefsForPanel } from '../utils/cast.js';
+import { MAX_GRID_PANELS, generateGridLayout } from '../utils/gridLayout.js';
+import { findLayoutByPageCount, loadComicLayouts, loadLayouts } from '../utils/layouts.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
+import { isSpreadPanel, layoutSpreads, spreadImageSize } from '../utils/spreads.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,12 +19,20 @@ const __dirname = path.dirname(__filename);
  * Uses Gemini to generate full panel descriptions, camera angles, and context images.
  */
 export class PanelGenerationLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'generate_panels';
     this.description =
-      'Uses Gemini to generate detailed panel descriptions, camera angles, and context images for each panel in a comic layout.';
+      'Uses Gemini to generate detailed panel descriptions, camera angles, the characters in each panel, and context images for each panel in a comic layout. castSize sets how many characters the story has (1-6). panelCount (with optional panelWeights) generates a layout for any number of panels instead of using a 1-5 page preset.';
 
     this.config = this.loadPanelConfig();
+    this.project = options.project || defaultProjectContext();
+  }
+
+  /** ───────────────────────────────────────────────
+   *  Point the tool at another project workspace
+   *  ─────────────────────────────────────────────── */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
   }
 
   /** ───────────────────────────────────────────────
@@ -44,26 +57,59 @@ export class PanelGenerationLangChainTool {
   }
 
   /** ───────────────────────────────────────────────
-   *  Load layouts.yaml
+   *  Default cast size (character_config.default_count in characters.yaml)
    *  ─────────────────────────────────────────────── */
-  loadLayouts() {
+  loadDefaultCastSize() {
     try {
-      const layoutsPath = path.join(__dirname, '../../config/layouts.yaml');
-      if (fs.existsSync(layoutsPath)) {
-        const layoutsFile = fs.readFileSync(layoutsPath, 'utf8');
-        const parsed = yaml.parse(layoutsFile);
-        return parsed.layouts || {};
+      const configPath = path.join(__dirname, '../../config/characters.yaml');
+      if (fs.existsSync(configPath)) {
+        const parsed = yaml.parse(fs.readFileSync(configPath, 'utf8'));
+        return clampCastSize(parsed?.character_config?.default_count);
       }
     } catch (error) {
-      console.warn('⚠️  Failed to load layouts:', error.message);
+      console.warn('⚠️  Failed to load character config:', error.message);
     }
-    return {};
+    return 2;
+  }
+
+  /** ───────────────────────────────────────────────
+   *  Load layouts.yaml
+   *  ─────────────────────────────────────────────── */
+  loadLayouts() {
+    return loadLayouts();
+  }
+
+  /** ───────────────────────────────────────────────
+   *  Pick the layout to generate panels for
+   *  A layout key wins (layouts.yaml, or the generated layout select_comic_layout recorded in
+   *  comic.yaml), a panel count gets a generated layout; otherwise the preset for the page count
+   *  Returns { layoutKey, layout } or null
+   *  ─────────────────────────────────────────────── */
+  resolveLayout(pageCount, options = {}) {
+    if (options.layout) {
+      const layout = loadComicLayouts(this.project.comicPath)[options.layout];
+      return layout ? { layoutKey: options.layout, layout } : null;
+    }
+    if (options.panelCount) {
+      return generateGridLayout(options.panelCount, { weights: options.panelWeights });
+    }
+    return findLayoutByPageCount(this.loadLayouts(), pageCount);
   }
 
   /** ───────────────────────────────────────────────
    *  Get hardcoded camera angles for each page layout
+   *  Generated layouts with more panels than the preset
+   *  repeat its angles after the establishing shot
    *  ─────────────────────────────────────────────── */
-  getHardcodedCameraAngles(pageCount) {
+  getHardcodedCameraAngles(pageCount, panelCount = 0) {
+    const preset = this.presetCameraAngles(pageCount);
+    const repeated = preset.slice(1);
+    return Array.from({ length: Math.max(preset.length, panelCount) }, (_, i) =>
+      i < preset.length ? preset[i] : repeated[(i - 1) % repeated.length]
+    );
+  }
+
+  presetCameraAngles(pageCount) {
     const cameraAngleMap = {
       3: [
         'establishing-shot',  // panel1
@@ -121,47 +167,70 @@ export class PanelGenerationLangChainTool {
         storyContext: z.string().describe('Brief story or plot for panel generation'),
         genre: z.string().optional().describe('Comic genre (sci-fi, fantasy, etc.)'),
         pageCount: z.number().int().min(1).max(5).default(3),
+        panelCount: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_GRID_PANELS)
+          .optional()
+          .describe(`Generate a layout for exactly this many panels (1-${MAX_GRID_PANELS}) instead of using the pageCount preset`),
+        panelWeights: z
+          .array(z.number().positive())
+          .optional()
+          .describe('With panelCount: importance of each panel in order (default 1); heavier panels get more space'),
+        layout: z
+          .string()
+          .optional()
+          .describe('Use this layout by key instead of the pageCount preset: a layouts.yaml key such as "spread-story", or the key select_comic_layout returned'),
+        castSize: z
+          .number()
+          .int()
+          .min(MIN_CAST_SIZE)
+          .max(MAX_CAST_SIZE)
+          .optional()
+          .describe('Number of characters in the story (1 for a solo story, up to 6 for an ensemble). Defaults to characters.yaml default_count'),
       }),
-      func: async ({ storyContext, genre, pageCount }) =>
-        await this.execute(storyContext, genre, pageCount),
+      func: async ({ storyContext, genre, pageCount, castSize, panelCount, panelWeights, layout }) =>
+        await this.execute(storyContext, genre, pageCount, castSize, { panelCount, panelWeights, layout }),
     });
   }
 
   /** ───────────────────────────────────────────────
    *  Execute: call Gemini to generate panel data
    *  ─────────────────────────────────────────────── */
-  async execute(storyContext = '', genre = '', pageCount = 3) {
+  async execute(storyContext = '', genre = '', pageCount = 3, castSize = null, options = {}) {
     try {
-      const layouts = this.loadLayouts();
-      const layoutKey =
-        pageCount === 3
-          ? 'three-page-story'
-          : pageCount === 4
-          ? 'four-page-story'
-          : 'five-page-story';
-      const selectedLayout = layouts[layoutKey];
+      castSize = clampCastSize(castSize ?? this.loadDefaultCastSize());
+      const cast = castIds(castSize);
+
+      const match = this.resolveLayout(pageCount, options);
+      const layoutKey = match?.layoutKey;
+      const selectedLayout = match?.layout;
 
       if (!selectedLayout) {
         return JSON.stringify({
           success: false,
-          error: `Layout not found for ${pageCount} pages`,
+          error: options.layout
+            ? `Layout "${options.layout}" not found. Available layouts: ${Object.keys(loadComicLayouts(this.project.comicPath)).join(', ')}`
+            : `Layout not found for ${pageCount} pages`,
           panels: [],
         });
       }
+      if (options.layout || options.panelCount) {
+        pageCount = selectedLayout.pages;
+      }
 
-      const panelsPerPage = selectedLayout.panels_per_page || [];
+      const panelsPerPage = [].concat(selectedLayout.panels_per_page || []);
       const totalPanels = panelsPerPage.reduce((sum, c) => sum + c, 0);
 
-      // Get hardcoded camera angles for this layout
-      const cameraAngles = this.getHardcodedCameraAngles(pageCount);
+      // Get hardcoded camera angles for this layout (one per panel in the layout)
+      const cameraAngles = this.getHardcodedCameraAngles(pageCount, totalPanels).slice(0, totalPanels);
+      const spreads = layoutSpreads(selectedLayout);
 
-      console.log(`🧠  Calling Gemini to generate ${totalPanels} panels...`);
+      const llmSettings = getLlmSettings(this.name);
+      console.log(`🧠  Calling ${llmSettings.provider} (${llmSettings.model}) to generate ${totalPanels} panels with ${castSize} character(s)...`);
 
-      const llm = new ChatGoogleGenerativeAI({
-        model: 'gemini-2.5-flash-lite',
-        apiKey: process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY,
-        temperature: 0.9, // Higher temperature for more creative, detailed descriptions
-      });
+      const llm = createChatModel(this.name);
 
       const prompt = `
 You are an expert Comic Panel Creator and Visual Storyteller. Create highly detailed, cinematic panel descriptions that bring the story to life.
@@ -171,7 +240,9 @@ STORY CONTEXT:
 Genre: ${genre || 'general fiction'}
 Layout: ${pageCount}-page comic with ${totalPanels} total panels
 Panels per page: ${panelsPerPage.join(', ')}
-
+Cast: exactly ${castSize} character(s), referred to as ${cast.join(', ')}
+${spreads.length > 0 ? `Double-page spreads: ${spreads.map(spread => `${spread.id} (${spread.left}-${spread.right})`).join(', ')} - a wide panoramic splash across two facing pages; keep faces and key action away from the centre, where the pages fold
+` : ''}
 INSTRUCTIONS FOR EACH PANEL:
 Create a vivid, detailed description (3-5 sentences) that includes:
 
@@ -212,25 +283,32 @@ ${cameraAngles.map((angle, idx) => `panel${idx + 1}: ${angle}`).join('\n')}
 **DO NOT choose or invent camera angles. Use ONLY the angles listed above in the exact order shown.**
 **Each panel MUST use the camera angle assigned to it. This is non-negotiable.**
 
+CHARACTERS - The story has exactly ${castSize} character(s): ${cast.join(', ')}
+- "characters" lists the IDs of the characters visible in the panel, using ONLY: ${cast.join(', ')}
+- Use [] for panels with nobody in them (scenery, objects, inserts)
+- Refer to characters in descriptions by role and appearance; their designs are created later from your panels
+${castSize > 1 ? `- Every character must appear in at least one panel
+` : ''}
 CONTEXT IMAGES - For visual continuity and consistency:
 **CRITICAL RULES:**
-1. **panel1 MUST include both characters**: ["char_1", "char_2"] - this is mandatory
+1. **panel1 introduces the scene**: its contextImages are the characters visible in it
 2. **Subsequent panels** (panel2, panel3, etc.) should reference:
    - Previous generated panels: "panel_1", "panel_2", "panel_3", etc. (for visual continuity)
-   - Characters as needed: "char_1", "char_2"
+   - The characters visible in the panel (the same IDs as in "characters")
    - Include the most relevant previous panel(s) to maintain visual flow
-   - No more than 4 context images per panel
+   - No more than ${MAX_CONTEXT_IMAGES} context images per panel
 3. **Context images reference previously generated panels** to ensure consistent art style and visual continuity
 
 OUTPUT FORMAT - Return ONLY valid JSON array:
 Each panel must follow this structure, using the camera angle assigned to it:
 
-**panel1 example (MUST have char_1 and char_2):**
+**panel1 example:**
 {
   "panelid": "panel1",
   "description": "A detailed 3-5 sentence description with all visual elements, atmosphere, lighting, character details, and cinematic qualities.",
   "cameraAngle": "${cameraAngles[0]}",
-  "contextImages": ["char_1", "char_2"]
+  "characters": ${JSON.stringify(cast.slice(0, 2))},
+  "contextImages": ${JSON.stringify(cast.slice(0, 2))}
 }
 
 **panel2+ example (reference previous panels):**
@@ -238,6 +316,7 @@ Each panel must follow this structure, using the camera angle assigned to it:
   "panelid": "panel2",
   "description": "Another detailed description...",
   "cameraAngle": "${cameraAngles[1]}",
+  "characters": ["char_1"],
   "contextImages": ["panel_1", "char_1"]
 }
 
@@ -249,7 +328,7 @@ CRITICAL REQUIREMENTS:
 ✓ Include specific lighting, colors, textures, and atmosphere
 ✓ Describe character emotions, expressions, and body language clearly
 ✓ **MANDATORY: Use the exact camera angle assigned to each panel (listed above) - DO NOT change them**
-✓ **MANDATORY: panel1 contextImages MUST be ["char_1", "char_2"] - no exceptions**
+✓ **MANDATORY: "characters" only uses the cast IDs: ${cast.join(', ')}**
 ✓ **panel2+ should include previous panel references (e.g., ["panel_1", "char_1"]) for visual continuity**
 ✓ Build narrative flow between panels
 ✓ Make descriptions vivid enough that an artist could draw them
@@ -305,27 +384,29 @@ CRITICAL REQUIREMENTS:
         panels = panels
           .filter(p => p && typeof p === 'object')
           .map((p, index) => {
-            let contextImages = Array.isArray(p.contextImages) ? p.contextImages : [];
-            
-            // Enforce panel1 must have char_1 and char_2
-            if (index === 0) {
-              // Ensure char_1 and char_2 are present (don't duplicate if already there)
-              if (!contextImages.includes('char_1')) contextImages.push('char_1');
-              if (!contextImages.includes('char_2')) contextImages.push('char_2');
-            } else {
-              // For subsequent panels, reference the immediately previous panel
-              const prevPanelRef = `panel_${index}`; // panel_1 for panel2, panel_2 for panel3, etc.
-              if (!contextImages.some(img => img === prevPanelRef)) {
-                // Add reference to previous panel at the beginning for priority
-                contextImages.unshift(prevPanelRef);
-              }
+            // Keep only characters that belong to the cast; older replies only list them in contextImages
+            const listed = Array.isArray(p.characters)
+              ? p.characters
+              : (Array.isArray(p.contextImages) ? p.contextImages : []);
+            let characters = [...new Set(listed.map(String))].filter(id => cast.includes(id));
+
+            // panel1 introduces the cast when the model didn't say who is in it
+            if (index === 0 && characters.length === 0 && !Array.isArray(p.characters)) {
+              characters = cast.slice(0, MAX_CONTEXT_IMAGES);
             }
-            
+
+            // Previous panel first, then the characters in this panel, then other panel references
+            const contextImages = contextRefsForPanel(
+              { characters, contextImages: Array.isArray(p.contextImages) ? p.contextImages : [] },
+              index
+            );
+
             return {
               panelid: p.panelid || `panel_${index + 1}`,
               description: (p.description || '').trim(),
               // Force correct camera angle based on position
               cameraAngle: cameraAngles[index] || p.cameraAngle || 'medium-shot',
+              characters,
               contextImages: contextImages
             };
           })
@@ -336,9 +417,10 @@ CRITICAL REQUIREMENTS:
           console.warn(`⚠️  Panel count mismatch: expected ${cameraAngles.length}, got ${panels.length}`);
         }
         
-        // Log context images for panel1
-        if (panels[0] && (!panels[0].contextImages.includes('char_1') || !panels[0].contextImages.includes('char_2'))) {
-          console.warn('⚠️  panel1 missing char_1 or char_2, enforcing...');
+        // Warn about cast members that never appear
+        const missing = cast.filter(id => !panels.some(p => p.characters.includes(id)));
+        if (missing.length > 0) {
+          console.warn(`⚠️  Characters not shown in any panel: ${missing.join(', ')}`);
         }
       }
 
@@ -349,7 +431,7 @@ CRITICAL REQUIREMENTS:
 
       // Save to comic.yaml (characters + panels with full data)
       if (panels.length > 0) {
-        await this.saveComicYaml(panels, pageCount);
+        await this.saveComicYaml(panels, selectedLayout, layoutKey, { context: storyContext, genre });
         // Clean panels.yaml to remove panels data (keep only config)
         await this.cleanPanelsYaml();
       } else {
@@ -366,12 +448,15 @@ CRITICAL REQUIREMENTS:
       const formattedOutput = {
         success: true,
         totalPanels,
-        model: 'gemini-2.5-flash-lite',
+        layout: layoutKey,
+        castSize,
+        model: llmSettings.model,
         summary: `Generated ${panels.length} panels successfully!`,
         panels: panels.map((panel, idx) => ({
           id: panel.panelid,
           angle: panel.cameraAngle,
           description: panel.description,
+          characters: panel.characters.join(', '),
           context: panel.contextImages.join(', ')
         }))
       };
@@ -387,16 +472,10 @@ CRITICAL REQUIREMENTS:
   }
 
   /** ───────────────────────────────────────────────
-   *  Get panel dimensions from layouts.yaml
+   *  Get panel dimensions from the selected layout
    *  ─────────────────────────────────────────────── */
-  getPanelDimensions(panelId, pageCount) {
+  getPanelDimensions(panelId, selectedLayout) {
     try {
-      const layouts = this.loadLayouts();
-      const layoutKey = pageCount === 3 ? 'three-page-story' :
-                        pageCount === 4 ? 'four-page-story' :
-                        'five-page-story';
-      const selectedLayout = layouts[layoutKey];
-      
       if (!selectedLayout || !selectedLayout.layouts) {
         return { width: 832, height: 1248 }; // Default fallback
       }
@@ -405,6 +484,10 @@ CRITICAL REQUIREMENTS:
       for (const [pageKey, pagePanels] of Object.entries(selectedLayout.layouts)) {
         if (Array.isArray(pagePanels)) {
           const panel = pagePanels.find(p => p.id === panelId);
+          // Spreads without an image size get a wide one in the shape of the spread
+          if (panel && isSpreadPanel(panel) && !(panel.width && panel.height)) {
+            return spreadImageSize(panel);
+          }
           if (panel) {
             return {
               width: panel.width || 832,
@@ -424,21 +507,24 @@ CRITICAL REQUIREMENTS:
   /** ───────────────────────────────────────────────
    *  Generate prompt from panel description and camera angle
    *  ─────────────────────────────────────────────── */
-  generatePanelPrompt(description, cameraAngle) {
+  generatePanelPrompt(description, cameraAngle, spread = false) {
     const fixedElements = this.config.fixed_prompt_elements.join(', ');
-    return `${description}, ${cameraAngle} camera angle, ${fixedElements}`;
+    const framing = spread ? ', wide panoramic double-page splash, subjects away from the centre' : '';
+    return `${description}, ${cameraAngle} camera angle${framing}, ${fixedElements}`;
   }
 
   /** ───────────────────────────────────────────────
-   *  Save to comic.yaml (characters + panels with full data)
+   *  Save to comic.yaml (layout + story + characters + panels with full data)
    *  PRESERVES existing dialogue, narration, title, and soundEffects
+   *  Generated layouts are saved with their grid (layoutGrid)
    *  ─────────────────────────────────────────────── */
-  async saveComicYaml(panels, pageCount) {
+  async saveComicYaml(panels, selectedLayout, layoutKey, story = {}) {
     try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
+      const comicPath = this.project.comicPath;
       
       // Load existing comic.yaml to preserve dialogue data
       let existingPanels = [];
+      let existingStory = null;
       try {
         if (fs.existsSync(comicPath)) {
           const comicFile = fs.readFileSync(comicPath, 'utf8');
@@ -446,6 +532,7 @@ CRITICAL REQUIREMENTS:
           if (parsed.panels && Array.isArray(parsed.panels)) {
             existingPanels = parsed.panels;
           }
+          existingStory = parsed.story || null;
         }
       } catch (e) {
         console.warn('Could not load existing comic.yaml:', e.message);
@@ -460,7 +547,7 @@ CRITICAL REQUIREMENTS:
       
       // First try to load from characters.yaml
       try {
-        const charPath = path.join(__dirname, '../../config/characters.yaml');
+        const charPath = this.project.charactersPath;
         if (fs.existsSync(charPath)) {
           const charFile = fs.readFileSync(charPath, 'utf8');
           const parsed = yaml.parse(charFile);
@@ -483,7 +570,7 @@ CRITICAL REQUIREMENTS:
       // If no characters found, try to load from existing comic.yaml
       if (characters.length === 0) {
         try {
-          const comicPath = path.join(__dirname, '../../config/comic.yaml');
+          const comicPath = this.project.comicPath;
           if (fs.existsSync(comicPath)) {
             const comicFile = fs.readFileSync(comicPath, 'utf8');
             const parsed = yaml.parse(comicFile);
@@ -515,6 +602,7 @@ CRITICAL REQUIREMENTS:
         // If character already has prompt/width/height (from comic.yaml), preserve them
         return {
           id: charId,
+          name: char.name,
           width: char.width || charConfig.image_specs.width || 832,
           height: char.height || charConfig.image_specs.height || 1248,
           description: description,
@@ -526,13 +614,14 @@ CRITICAL REQUIREMENTS:
       // Format panels with: id, width, height, description, contextImages, prompt
       // PRESERVE dialogue, narration, title, soundEffects from existing panels
       const formattedPanels = panels.map((panel) => {
-        const dimensions = this.getPanelDimensions(panel.panelid, pageCount);
-        const prompt = this.generatePanelPrompt(panel.description, panel.cameraAngle);
+        const dimensions = this.getPanelDimensions(panel.panelid, selectedLayout);
+        const spread = layoutSpreads(selectedLayout).some(entry => entry.id === panel.panelid);
+        const prompt = this.generatePanelPrompt(panel.description, panel.cameraAngle, spread);
         
-        // Limit context images to max 4
+        // Limit context images to what the image provider accepts
         let contextImages = Array.isArray(panel.contextImages) ? panel.contextImages : [];
-        if (contextImages.length > 4) {
-          contextImages = contextImages.slice(0, 4);
+        if (contextImages.length > MAX_CONTEXT_IMAGES) {
+          contextImages = contextImages.slice(0, MAX_CONTEXT_IMAGES);
         }
         
         // Find existing panel data to preserve dialogue
@@ -543,6 +632,7 @@ CRITICAL REQUIREMENTS:
           width: dimensions.width,
           height: dimensions.height,
           description: panel.description,
+          characters: panel.characters || [],
           contextImages: contextImages,
           prompt: prompt
         };
@@ -562,7 +652,11 @@ CRITICAL REQUIREMENTS:
         return formattedPanel;
       });
 
+      // The story prompt is kept for exports (e.g. the ComicInfo.xml summary)
       const comicData = {
+        layout: layoutKey,
+        ...(selectedLayout?.grid && !this.loadLayouts()[layoutKey] && { layoutGrid: selectedLayout.grid }),
+        ...(story.context ? { story: { context: story.context, genre: story.genre || '' } } : existingStory && { story: existingStory }),
         characters: formattedCharacters,
         panels: formattedPanels
       };
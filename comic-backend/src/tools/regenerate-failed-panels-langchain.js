@@ -1,32 +1,41 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
-import axios from 'axios';
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import yaml from 'yaml';
 import { z } from 'zod';
-import { LEONARDO } from '../../config/leonardo.js';
-import { uploadBuffer } from '../utils/cloudinary.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const API_KEY = process.env.LEONARDO_API_KEY;
-const HEADERS = {
-  accept: 'application/json',
-  'content-type': 'application/json',
-  authorization: `Bearer ${API_KEY}`,
-};
+import { createImageProvider } from '../providers/imageProviders.js';
+import { createStorage } from '../providers/storageProviders.js';
+import { panelRefNumber, selectContextImages } from '../utils/cast.js';
+import { generateAndStoreImage, loadComicImages, pauseBetweenGenerations, saveImageUrls } from '../utils/imageGeneration.js';
+import { PROGRESS_EVENTS, reportProgress } from '../utils/progress.js';
+import { defaultProjectContext } from '../utils/projectStore.js';
 
 /**
  * Regenerate Failed Panels Tool for LangChain
- * Regenerates specific failed panels from comic.yaml using Leonardo AI
+ * Regenerates specific failed panels from comic.yaml using the configured image provider
  */
 export class RegenerateFailedPanelsLangChainTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'regenerate_failed_panels';
     this.description =
       'Regenerates specific failed panel images from comic.yaml. Provide a single panel ID or comma-separated list of panel IDs to regenerate (e.g., "panel4" or "panel4,panel7,panel9"). Uses the panel prompt from comic.yaml and attempts generation with different seeds.';
+    this.project = options.project || defaultProjectContext();
+    this.onProgress = options.onProgress || null;
+    this.imageProvider = createImageProvider(options.imageProvider); // Provider name or instance; IMAGE_PROVIDER env by default
+    this.storage = createStorage(options.storage); // Cloudinary or local outputs/, see providers/storageProviders.js
+  }
+
+  /**
+   * Point the tool at another project workspace
+   * @param {Object} project - Project context from ProjectStore.open()
+   */
+  setProject(project) {
+    this.project = project || defaultProjectContext();
+  }
+
+  /**
+   * Set the callback that receives progress events (see utils/progress.js)
+   * @param {Function|null} onProgress - Progress callback
+   */
+  setProgressHandler(onProgress) {
+    this.onProgress = onProgress || null;
   }
 
   /**
@@ -48,133 +57,10 @@ export class RegenerateFailedPanelsLangChainTool {
   }
 
   /**
-   * Load comic.yaml
-   */
-  loadComicYaml() {
-    try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
-      if (fs.existsSync(comicPath)) {
-        const comicFile = fs.readFileSync(comicPath, 'utf8');
-        const parsed = yaml.parse(comicFile);
-        return parsed || { characters: [], panels: [] };
-      }
-    } catch (error) {
-      console.warn('⚠️  Failed to load comic.yaml:', error.message);
-    }
-    return { characters: [], panels: [] };
-  }
-
-  /**
-   * Save generated image URLs back to comic.yaml
-   */
-  async saveUrlsToComicYaml(results, comicData) {
-    try {
-      const comicPath = path.join(__dirname, '../../config/comic.yaml');
-      
-      // Update panel URLs
-      if (results.panels && results.panels.length > 0) {
-        results.panels.forEach(panelResult => {
-          if (!panelResult.error && panelResult.url) {
-            const panel = comicData.panels.find(p => p.id === panelResult.id);
-            if (panel) {
-              panel.cloudinaryUrl = panelResult.url;
-            }
-          }
-        });
-      }
-      
-      // Write back to comic.yaml
-      await fs.writeFile(
-        comicPath,
-        yaml.stringify(comicData, {
-          indent: 2,
-          lineWidth: 120,
-          simpleKeys: false
-        })
-      );
-      
-      console.log('💾 Saved regenerated panel URLs to comic.yaml');
-    } catch (error) {
-      console.error('⚠️  Failed to save URLs to comic.yaml:', error.message);
-    }
-  }
-
-  /**
-   * Generate a single image using Leonardo AI
+   * Image provider, storage and progress reporting for generateAndStoreImage
    */
-  async generateImage({ prompt, imageNum, seed, width, height, contextImages, folder, prefix }) {
-    const body = {
-      prompt,
-      modelId: LEONARDO.MODEL_ID,
-      styleUUID: LEONARDO.STYLE_UUID,
-      width,
-      height,
-      num_images: 1,
-      enhancePrompt: true,
-      seed,
-      contrastRatio: 0.5,
-      ...(contextImages && contextImages.length > 0 && { contextImages }),
-    };
-
-    console.log(`🎨 [${prefix} ${imageNum}] Starting generation with ${contextImages?.length || 0} context images...`);
-    
-    const res = await axios.post(`${LEONARDO.API_URL}/generations`, body, { headers: HEADERS });
-    const genId = res.data.sdGenerationJob.generationId;
-
-    console.log(`🕓 [${prefix} ${imageNum}] Generation ID: ${genId}`);
-    
-    // Wait for generation to complete (polling)
-    let imageUrl = null;
-    let leonardoImageId = null;
-    let attempts = 0;
-    const maxAttempts = 40;
-    const pollInterval = 3000;
-
-    while (attempts < maxAttempts) {
-      await new Promise((r) => setTimeout(r, pollInterval));
-      attempts++;
-
-      try {
-        const fetchRes = await axios.get(`${LEONARDO.API_URL}/generations/${genId}`, {
-          headers: HEADERS,
-        });
-        const status = fetchRes.data.generations_by_pk?.status;
-        const generatedImages = fetchRes.data.generations_by_pk?.generated_images;
-
-        if (status === 'COMPLETE' && generatedImages && generatedImages.length > 0) {
-          const img = generatedImages[0];
-          imageUrl = img.url;
-          leonardoImageId = img.id;
-          console.log(`✓ [${prefix} ${imageNum}] Generation complete (${attempts * pollInterval / 1000}s)`);
-          break;
-        } else if (status === 'FAILED') {
-          throw new Error(`Generation failed for ${prefix} ${imageNum}`);
-        } else if (attempts % 5 === 0) {
-          console.log(`⏳ [${prefix} ${imageNum}] Still generating... (${attempts * pollInterval / 1000}s elapsed)`);
-        }
-      } catch (error) {
-        if (attempts >= maxAttempts) {
-          throw new Error(`Timeout after ${maxAttempts * pollInterval / 1000}s: ${error.message}`);
-        }
-      }
-    }
-
-    if (!imageUrl || !leonardoImageId) {
-      throw new Error(`No image returned for ${prefix} ${imageNum} after ${maxAttempts * pollInterval / 1000}s`);
-    }
-
-    // Download image and upload to Cloudinary
-    const imageData = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-    const buffer = Buffer.from(imageData.data);
-    const publicId = `${prefix}_${imageNum}`;
-    const uploaded = await uploadBuffer(buffer, publicId, folder);
-    console.log(`☁️ [${prefix} ${imageNum}] Uploaded → ${uploaded.secure_url}`);
-
-    return {
-      number: imageNum,
-      leonardoId: leonardoImageId,
-      cloudinaryUrl: uploaded.secure_url,
-    };
+  imageServices() {
+    return { provider: this.imageProvider, storage: this.storage, tool: this.name, onProgress: this.onProgress };
   }
 
   /**
@@ -182,8 +68,8 @@ export class RegenerateFailedPanelsLangChainTool {
    */
   async execute(panelIds = '') {
     try {
-      const comicData = this.loadComicYaml();
-      const { panels = [] } = comicData;
+      const comicData = loadComicImages(this.project.comicPath);
+      const { characters = [], panels = [] } = comicData;
 
       if (panels.length === 0) {
         return JSON.stringify({
@@ -230,32 +116,39 @@ export class RegenerateFailedPanelsLangChainTool {
         try {
           console.log(`\n🎯 Regenerating panel: ${panelId}`);
           
-          // Use context from previous panel if available
-          let contextImages = [];
-          if (panelIndex > 0) {
-            const prevPanel = panels[panelIndex - 1];
-            if (prevPanel && prevPanel.cloudinaryUrl) {
-              console.log(`📸 Note: Previous panel (${prevPanel.id}) exists but Leonardo API requires Leonardo IDs for context`);
-            }
+          // Previous panel and the panel's characters as context, when the same provider generated them
+          const usable = (item) => item?.imageId && item.imageProvider === this.imageProvider.name;
+          const contextImages = selectContextImages(panel, panelIndex, (ref) => {
+            const panelNum = panelRefNumber(ref);
+            const item = panelNum
+              ? panels[panelNum - 1]
+              : characters.find((char, i) => (char.id || `char_${i + 1}`) === ref);
+            return usable(item) ? { id: item.imageId } : null;
+          });
+          if (contextImages.length > 0) {
+            console.log(`📸 Using ${contextImages.length} context images for consistency`);
+          } else if (panelIndex > 0 && panels[panelIndex - 1]?.cloudinaryUrl) {
+            console.log(`📸 Note: Previous panel (${panels[panelIndex - 1].id}) has no ${this.imageProvider.name} image ID to use as context`);
           }
 
           // Use a randomized seed for regeneration
           const randomSeed = 18000 + panelIndex * 23 + Math.floor(Math.random() * 10000);
 
-          const generated = await this.generateImage({
+          const generated = await generateAndStoreImage({
+            id: panelId,
             prompt: panel.prompt || panel.description,
             imageNum: panelIndex + 1,
             seed: randomSeed,
             width: panel.width || 832,
             height: panel.height || 1248,
             contextImages,
-            folder: 'comic/panels',
+            folder: `${this.project.cloudFolder}/panels`,
             prefix: 'panel',
-          });
+          }, this.imageServices());
 
           results.panels.push({
             id: panelId,
-            leonardoId: generated.leonardoId,
+            imageId: generated.imageId,
             url: generated.cloudinaryUrl,
             regenerated: true,
           });
@@ -266,11 +159,17 @@ export class RegenerateFailedPanelsLangChainTool {
 
           // Delay between panels
           if (panelIdList.indexOf(panelId) < panelIdList.length - 1) {
-            console.log(`⏳ Waiting 5s before next panel...`);
-            await new Promise((r) => setTimeout(r, 5000));
+            if (this.imageProvider.rateLimited) console.log(`⏳ Waiting 5s before next panel...`);
+            await pauseBetweenGenerations(this.imageProvider, 5000);
           }
         } catch (error) {
           console.error(`❌ Failed to regenerate panel ${panelId}:`, error.message);
+          reportProgress(this.onProgress, {
+            type: PROGRESS_EVENTS.FAILURE,
+            tool: this.name,
+            id: panelId,
+            error: error.message,
+          });
           results.panels.push({
             id: panelId,
             error: error.message,
@@ -280,7 +179,7 @@ export class RegenerateFailedPanelsLangChainTool {
       }
 
       // Save URLs back to comic.yaml
-      await this.saveUrlsToComicYaml(results, comicData);
+      await saveImageUrls(this.project.comicPath, results, comicData, this.imageProvider.name);
 
       const successfulPanels = results.panels.filter(p => !p.error).length;
       const failedPanels = results.panels.filter(p => p.error);
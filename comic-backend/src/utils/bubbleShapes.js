@@ -0,0 +1,290 @@
+/**
+ * Speech bubble shapes
+ * Outline and tail of each bubble style, as path commands that simpleTextRenderer.js traces,
+ * so the shapes can be worked out (and tested) without a canvas:
+ *
+ *   speech     ellipse with a pointed tail (default)
+ *   thought    cloud with a trail of shrinking circles towards the thinker
+ *   shout      jagged burst with a sharp tail
+ *   whisper    ellipse with a dashed outline
+ *   radio      rounded box with a zig-zag tail (phones, radios, screens)
+ *   off-panel  ellipse whose tail runs to the frame edge (speaker outside the panel)
+ *
+ * Path commands: ['M', x, y], ['L', x, y], ['Q', cx, cy, x, y], ['E', cx, cy, rx, ry] (a whole ellipse), ['Z'].
+ * Boxes are { x, y, width, height } in panel pixels, x/y being the top-left corner like placement positions.
+ */
+
+export const BUBBLE_STYLE_SETTINGS = {
+  speech: { shape: 'ellipse', tail: 'wedge', tailSpread: 0.22 },
+  thought: { shape: 'cloud', tail: 'circles' },
+  shout: { shape: 'burst', tail: 'wedge', tailSpread: 0.12, lineWidth: 6, fontStyle: 'bold' },
+  whisper: { shape: 'ellipse', tail: 'wedge', tailSpread: 0.22, dash: [14, 10], fontStyle: 'italic' },
+  radio: { shape: 'box', tail: 'zigzag' },
+  'off-panel': { shape: 'ellipse', tail: 'edge', tailSpread: 0.18 },
+};
+
+export const BUBBLE_STYLES = Object.keys(BUBBLE_STYLE_SETTINGS);
+export const DEFAULT_BUBBLE_STYLE = 'speech';
+
+const DEFAULT_LINE_WIDTH = 4.5;
+
+// Names an LLM (or a person) is likely to use for a style
+const STYLE_ALIASES = {
+  normal: 'speech',
+  think: 'thought',
+  thinking: 'thought',
+  shouting: 'shout',
+  yell: 'shout',
+  scream: 'shout',
+  whispering: 'whisper',
+  electronic: 'radio',
+  phone: 'radio',
+  offpanel: 'off-panel',
+  offscreen: 'off-panel',
+  'off-screen': 'off-panel',
+};
+
+/**
+ * Bubble style from a dialogue line's `style`
+ * @returns {string|null} One of BUBBLE_STYLES, or null when the style is unknown
+ */
+export function normalizeBubbleStyle(style) {
+  if (typeof style !== 'string') return null;
+  const key = style.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (BUBBLE_STYLE_SETTINGS[key]) return key;
+  return STYLE_ALIASES[key] || STYLE_ALIASES[key.replace(/-/g, '')] || null;
+}
+
+/**
+ * Drawing settings of a style
+ * @returns {Object} { shape, tail, tailSpread?, lineWidth, dash, fontStyle }
+ */
+export function bubbleStyleSettings(style) {
+  const settings = BUBBLE_STYLE_SETTINGS[normalizeBubbleStyle(style) || DEFAULT_BUBBLE_STYLE];
+  return { lineWidth: DEFAULT_LINE_WIDTH, dash: [], fontStyle: '', ...settings };
+}
+
+/**
+ * Bubble size that holds a block of text
+ * @param {string} style - Bubble style
+ * @param {number} textWidth - Widest line in px
+ * @param {number} textHeight - Height of all lines in px
+ * @returns {Object} { width, height }
+ */
+export function bubbleSize(style, textWidth, textHeight) {
+  const { shape } = bubbleStyleSettings(style);
+  if (shape === 'box') {
+    return { width: textWidth + 48, height: textHeight + 41 };
+  }
+  // A text block fits in an ellipse √2 times its size; clouds and bursts bite into that
+  const scale = { ellipse: 1, cloud: 1.15, burst: 1.35 }[shape];
+  return {
+    width: Math.round((textWidth * Math.SQRT2 + 24) * scale),
+    height: Math.round((textHeight * Math.SQRT2 + 18) * scale),
+  };
+}
+
+function ellipseOf(box) {
+  return { cx: box.x + box.width / 2, cy: box.y + box.height / 2, rx: box.width / 2, ry: box.height / 2 };
+}
+
+function pointOnEllipse({ cx, cy, rx, ry }, angle, scale = 1) {
+  return { x: cx + Math.cos(angle) * rx * scale, y: cy + Math.sin(angle) * ry * scale };
+}
+
+function cloudOutline(box) {
+  const ellipse = ellipseOf(box);
+  const depth = Math.min(box.width, box.height) * 0.12;
+  const puffs = Math.max(8, Math.round((Math.PI * (ellipse.rx + ellipse.ry)) / 90));
+  const inner = { ...ellipse, rx: ellipse.rx - depth, ry: ellipse.ry - depth };
+  const step = (Math.PI * 2) / puffs;
+  const start = pointOnEllipse(inner, 0);
+  const path = [['M', start.x, start.y]];
+  for (let i = 0; i < puffs; i++) {
+    // Control points on the box's ellipse keep every puff inside the box
+    const control = pointOnEllipse(ellipse, (i + 0.5) * step);
+    const end = pointOnEllipse(inner, (i + 1) * step);
+    path.push(['Q', control.x, control.y, end.x, end.y]);
+  }
+  path.push(['Z']);
+  return path;
+}
+
+function burstOutline(box) {
+  const ellipse = ellipseOf(box);
+  const spikes = Math.max(12, Math.round((Math.PI * (ellipse.rx + ellipse.ry)) / 70));
+  const path = [];
+  for (let i = 0; i < spikes * 2; i++) {
+    // Spikes of three lengths, in a fixed order, so the burst looks hand-drawn but renders the same every time
+    const scale = i % 2 === 0 ? 1 - ((i / 2) % 3) * 0.06 : 0.72;
+    const point = pointOnEllipse(ellipse, (i * Math.PI) / spikes, scale);
+    path.push([i === 0 ? 'M' : 'L', point.x, point.y]);
+  }
+  path.push(['Z']);
+  return path;
+}
+
+function boxOutline({ x, y, width, height }, radius = 15) {
+  return [
+    ['M', x + radius, y],
+    ['L', x + width - radius, y],
+    ['Q', x + width, y, x + width, y + radius],
+    ['L', x + width, y + height - radius],
+    ['Q', x + width, y + height, x + width - radius, y + height],
+    ['L', x + radius, y + height],
+    ['Q', x, y + height, x, y + height - radius],
+    ['L', x, y + radius],
+    ['Q', x, y, x + radius, y],
+    ['Z'],
+  ];
+}
+
+/**
+ * Outline of a bubble
+ * @returns {Array} Path commands (see top of file)
+ */
+export function bubbleOutline(style, box) {
+  const { shape } = bubbleStyleSettings(style);
+  if (shape === 'cloud') return cloudOutline(box);
+  if (shape === 'burst') return burstOutline(box);
+  if (shape === 'box') return boxOutline(box);
+  const { cx, cy, rx, ry } = ellipseOf(box);
+  return [['E', cx, cy, rx, ry]];
+}
+
+/**
+ * Where a ray from (x, y) in direction (dx, dy) leaves the frame
+ */
+function frameExit(x, y, dx, dy, frame) {
+  const hits = [
+    dx > 0 ? (frame.width - x) / dx : dx < 0 ? -x / dx : Infinity,
+    dy > 0 ? (frame.height - y) / dy : dy < 0 ? -y / dy : Infinity,
+  ];
+  const t = Math.max(0, Math.min(...hits));
+  return { x: x + dx * t, y: y + dy * t };
+}
+
+/**
+ * Tip of an off-panel tail: the frame edge in the direction of the speaker,
+ * or the nearest frame edge when the speaker's position is unknown
+ */
+function offPanelTip(box, target, frame) {
+  const { cx, cy } = ellipseOf(box);
+  if (target && (target.x !== cx || target.y !== cy)) {
+    return frameExit(cx, cy, target.x - cx, target.y - cy, frame);
+  }
+  const edges = [
+    { distance: cx, tip: { x: 0, y: cy } },
+    { distance: frame.width - cx, tip: { x: frame.width, y: cy } },
+    { distance: cy, tip: { x: cx, y: 0 } },
+    { distance: frame.height - cy, tip: { x: cx, y: frame.height } },
+  ];
+  return edges.reduce((best, edge) => (edge.distance < best.distance ? edge : best)).tip;
+}
+
+/**
+ * Tail curve from the bubble to the tip: a quadratic through the control point `bend`
+ * (a straight line without one)
+ * @returns {Object} { at(t) => { x, y }, normal(t) => unit { x, y }, length }
+ */
+function tailCurve(start, bend, tip) {
+  const control = bend || { x: (start.x + tip.x) / 2, y: (start.y + tip.y) / 2 };
+  const at = t => ({
+    x: (1 - t) ** 2 * start.x + 2 * (1 - t) * t * control.x + t * t * tip.x,
+    y: (1 - t) ** 2 * start.y + 2 * (1 - t) * t * control.y + t * t * tip.y,
+  });
+  const normal = t => {
+    const dx = 2 * (1 - t) * (control.x - start.x) + 2 * t * (tip.x - control.x);
+    const dy = 2 * (1 - t) * (control.y - start.y) + 2 * t * (tip.y - control.y);
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: -dy / length, y: dx / length };
+  };
+  let length = 0;
+  for (let i = 1, previous = start; i <= 16; i++) {
+    const point = at(i / 16);
+    length += Math.hypot(point.x - previous.x, point.y - previous.y);
+    previous = point;
+  }
+  return { at, normal, length };
+}
+
+function wedgeTail(ellipse, angle, spread, tip, bend) {
+  // The base is inside the bubble, so the bubble's fill hides the join
+  const a = pointOnEllipse(ellipse, angle - spread, 0.8);
+  const b = pointOnEllipse(ellipse, angle + spread, 0.8);
+  if (bend) {
+    return [['M', a.x, a.y], ['Q', bend.x, bend.y, tip.x, tip.y], ['Q', bend.x, bend.y, b.x, b.y], ['Z']];
+  }
+  return [['M', a.x, a.y], ['L', tip.x, tip.y], ['L', b.x, b.y], ['Z']];
+}
+
+function zigzagTail(ellipse, angle, tip, bend) {
+  const curve = tailCurve(pointOnEllipse(ellipse, angle, 0.8), bend, tip);
+  const steps = 4;
+  const left = [];
+  const right = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    // Zig-zag from the bubble to the tip, tapering to a point
+    const swing = i === 0 || i === steps ? 0 : (i % 2 === 0 ? 1 : -1) * Math.min(14, curve.length * 0.08);
+    const halfWidth = 10 * (1 - t);
+    const point = curve.at(t);
+    const n = curve.normal(t);
+    left.push({ x: point.x + n.x * (swing + halfWidth), y: point.y + n.y * (swing + halfWidth) });
+    right.push({ x: point.x + n.x * (swing - halfWidth), y: point.y + n.y * (swing - halfWidth) });
+  }
+  const points = [...left, ...right.reverse().slice(1)];
+  return [...points.map((point, i) => [i === 0 ? 'M' : 'L', point.x, point.y]), ['Z']];
+}
+
+function thoughtCircles(ellipse, angle, tip, bend) {
+  const curve = tailCurve(pointOnEllipse(ellipse, angle), bend, tip);
+  const reach = Math.min(0.85, 180 / curve.length);
+  return [0.2, 0.55, 0.9].map((t, i) => ({ ...curve.at(t * reach), r: [16, 11, 7][i] }));
+}
+
+/**
+ * Tail of a bubble, pointing at the speaker
+ * @param {string} style - Bubble style
+ * @param {Object} box - Bubble box
+ * @param {Object|null} target - { x, y } of the speaker's mouth (placement `tail`); an optional
+ *   `bend: { x, y }` curves the tail through that control point (see utils/placementLayout.js)
+ * @param {Object} frame - { width, height } of the panel, for off-panel tails
+ * @returns {Object|null} { tip, path?: path commands, circles?: [{ x, y, r }] }, or null without a tail
+ */
+export function bubbleTail(style, box, target, frame) {
+  const settings = bubbleStyleSettings(style);
+  const ellipse = ellipseOf(box);
+  const tip = settings.tail === 'edge' ? offPanelTip(box, target, frame) : target;
+  if (!tip || !Number.isFinite(tip.x) || !Number.isFinite(tip.y)) return null;
+
+  // No tail for a speaker inside the bubble
+  const nx = (tip.x - ellipse.cx) / ellipse.rx;
+  const ny = (tip.y - ellipse.cy) / ellipse.ry;
+  if (nx * nx + ny * ny <= 1) return null;
+
+  // A bent tail leaves the bubble towards its control point
+  const bend = Number.isFinite(target?.bend?.x) && Number.isFinite(target?.bend?.y) ? target.bend : null;
+  const aim = bend || tip;
+  const angle = Math.atan2((aim.y - ellipse.cy) / ellipse.ry, (aim.x - ellipse.cx) / ellipse.rx);
+
+  if (settings.tail === 'circles') return { tip, circles: thoughtCircles(ellipse, angle, tip, bend) };
+  if (settings.tail === 'zigzag') return { tip, path: zigzagTail(ellipse, angle, tip, bend) };
+  return { tip, path: wedgeTail(ellipse, angle, settings.tailSpread, tip, bend) };
+}
+
+/**
+ * Points of a path (anchors and control points), e.g. to check it stays in a box
+ * @returns {Array} [{ x, y }]
+ */
+export function pathPoints(path) {
+  return path.flatMap(([op, ...args]) => {
+    if (op === 'E') {
+      const [cx, cy, rx, ry] = args;
+      return [{ x: cx - rx, y: cy }, { x: cx + rx, y: cy }, { x: cx, y: cy - ry }, { x: cx, y: cy + ry }];
+    }
+    const points = [];
+    for (let i = 0; i + 1 < args.length; i += 2) points.push({ x: args[i], y: args[i + 1] });
+    return points;
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * Cast helpers
+ * Characters are identified as char_1 … char_N. Each panel lists the characters that
+ * appear in it (`characters`) and references earlier images in `contextImages`
+ * (character IDs and previous panels as panel_N).
+ */
+
+export const MIN_CAST_SIZE = 1;
+export const MAX_CAST_SIZE = 6;
+export const MAX_CONTEXT_IMAGES = 4; // Leonardo accepts at most 4 context images per generation
+
+const CHARACTER_REF = /^char_(\d+)$/;
+const PANEL_REF = /^panel[_\s]?(\d+)$/i;
+
+/**
+ * Cast size clamped to 1–6; anything that is not a number gives the fallback
+ */
+export function clampCastSize(value, fallback = 2) {
+  const size = Math.round(Number(value));
+  if (!Number.isFinite(size)) return clampCastSize(fallback, 2);
+  return Math.min(MAX_CAST_SIZE, Math.max(MIN_CAST_SIZE, size));
+}
+
+/**
+ * Character IDs for a cast: castIds(3) → ['char_1', 'char_2', 'char_3']
+ */
+export function castIds(castSize) {
+  return Array.from({ length: castSize }, (_, i) => `char_${i + 1}`);
+}
+
+export function isCharacterRef(ref) {
+  return CHARACTER_REF.test(String(ref));
+}
+
+/**
+ * 1-based panel number of a panel reference ("panel_2", "panel2"), or null
+ */
+export function panelRefNumber(ref) {
+  const match = String(ref).match(PANEL_REF);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Characters appearing in a panel: its `characters` list, or the character
+ * references in its contextImages for panels saved before that field existed
+ */
+export function panelCharacterIds(panel) {
+  const ids = Array.isArray(panel?.characters)
+    ? panel.characters
+    : (panel?.contextImages || []).filter(isCharacterRef);
+  return [...new Set(ids.map(String).filter(isCharacterRef))];
+}
+
+/**
+ * Cast size implied by the panels (highest char_N they mention), 0 if none
+ */
+export function castSizeFromPanels(panels = []) {
+  return panels
+    .flatMap(panel => [...panelCharacterIds(panel), ...(panel.contextImages || []).filter(isCharacterRef)])
+    .reduce((max, ref) => Math.max(max, parseInt(String(ref).match(CHARACTER_REF)[1], 10)), 0);
+}
+
+/**
+ * Context image references for a panel, most important first:
+ * the previous panel (continuity), the characters in the panel, then any other
+ * panels it references. Duplicates are dropped and the list is capped.
+ * @param {Object} panel - Panel with `characters` and/or `contextImages`
+ * @param {number} index - 0-based panel position
+ * @returns {string[]} e.g. ['panel_2', 'char_1', 'char_3']
+ */
+export function contextRefsForPanel(panel, index, limit = MAX_CONTEXT_IMAGES) {
+  const refs = [
+    ...(index > 0 ? [`panel_${index}`] : []),
+    ...panelCharacterIds(panel),
+    ...(panel.contextImages || []).filter(ref => {
+      const number = panelRefNumber(ref);
+      return number !== null && number <= index;
+    }).map(ref => `panel_${panelRefNumber(ref)}`),
+  ];
+  return [...new Set(refs)].slice(0, limit);
+}
+
+/**
+ * Resolve a panel's context references to provider images ({ id }), keeping the
+ * priority order of contextRefsForPanel and skipping references with no image yet
+ * @param {Object} panel - Panel from comic.yaml
+ * @param {number} index - 0-based panel position
+ * @param {Function} resolve - Maps 'char_2' / 'panel_1' to { id } or null
+ */
+export function selectContextImages(panel, index, resolve) {
+  const images = [];
+  for (const ref of contextRefsForPanel(panel, index, Infinity)) {
+    const image = resolve(ref);
+    if (image?.id && !images.some(existing => existing.id === image.id)) {
+      images.push(image);
+    }
+    if (images.length === MAX_CONTEXT_IMAGES) break;
+  }
+  return images;
+}
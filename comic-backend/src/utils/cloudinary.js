@@ -10,14 +10,15 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-export async function uploadBuffer(buffer, publicId, folder = "comic/panels", format = "jpg") {
+export async function uploadBuffer(buffer, publicId, folder = "comic/panels", format = "jpg", resourceType = "image") {
   return new Promise((resolve, reject) => {
     const stream = cloudinary.uploader.upload_stream(
       {
         folder,
-        public_id: publicId,
-        resource_type: "image",
-        format,
+        // Raw files (archives) keep their extension in the public ID instead of a format
+        public_id: resourceType === "raw" ? `${publicId}.${format}` : publicId,
+        resource_type: resourceType,
+        ...(resourceType !== "raw" && { format }),
         overwrite: true,
       },
       (err, result) => (err ? reject(err) : resolve(result))
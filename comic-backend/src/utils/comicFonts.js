@@ -0,0 +1,62 @@
+/**
+ * Comic fonts and shared shapes for node-canvas drawing (compose_pages, compose_cover)
+ * Registers the ACME Secret Agent lettering font from config/font under one family name.
+ */
+
+import { registerFont } from 'canvas';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const COMIC_FONT_FAMILY = 'ACME Secret Agent';
+
+const FONT_DIR = path.join(__dirname, '../../config/font');
+let registered = false;
+
+/**
+ * Register the comic fonts (once; must run before the first canvas is created)
+ */
+export function registerComicFonts() {
+  if (registered) return;
+  registered = true;
+  try {
+    registerFont(path.join(FONT_DIR, 'ACMESecretAgentBB_Reg.otf'), { family: COMIC_FONT_FAMILY });
+    registerFont(path.join(FONT_DIR, 'ACMESecretAgentBB_Ital.otf'), { family: COMIC_FONT_FAMILY, style: 'italic' });
+    registerFont(path.join(FONT_DIR, 'ACMESecretAgentBB_BoldItal.otf'), {
+      family: COMIC_FONT_FAMILY,
+      weight: 'bold',
+      style: 'italic',
+    });
+  } catch (error) {
+    console.warn('⚠️  Could not load comic fonts:', error.message);
+  }
+}
+
+/**
+ * CSS font string in the comic family
+ * @param {number} size - Size in px
+ * @param {string} style - e.g. 'bold italic', 'italic' or ''
+ */
+export function comicFont(size, style = '') {
+  return `${style ? `${style} ` : ''}${Math.round(size)}px "${COMIC_FONT_FAMILY}"`;
+}
+
+/**
+ * Trace a rectangle, with rounded corners when radius > 0
+ */
+export function traceRoundedRect(ctx, { x, y, width, height }, radius = 0) {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.beginPath();
+  if (r <= 0) {
+    ctx.rect(x, y, width, height);
+    return;
+  }
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
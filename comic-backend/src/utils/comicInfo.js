@@ -0,0 +1,93 @@
+/**
+ * ComicInfo.xml
+ * Metadata file read by comic readers (Komga, Kavita, ComicRack, ...) from the root of a
+ * CBZ archive. Elements are written in the order of the ComicInfo v2.0 schema.
+ */
+
+import fs from 'fs-extra';
+import yaml from 'yaml';
+
+/**
+ * Escape text for XML element content and attributes
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Character names by ID: names from characters.yaml, then any name kept in comic.yaml
+ * @param {Object} project - Project context
+ * @param {Array} characters - Characters from comic.yaml
+ * @returns {string[]} Names in cast order (the ID when a character has no name)
+ */
+export function characterNames(project, characters = []) {
+  let named = [];
+  try {
+    if (fs.existsSync(project.charactersPath)) {
+      named = yaml.parse(fs.readFileSync(project.charactersPath, 'utf8'))?.characters || [];
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to read character names from characters.yaml:', error.message);
+  }
+
+  return characters.map(character => {
+    const name = named.find(entry => entry.id === character.id)?.name || character.name;
+    return name && name !== character.id ? name : character.id;
+  });
+}
+
+/**
+ * Build ComicInfo.xml
+ * @param {Object} info
+ * @param {string} info.title - Comic title
+ * @param {string} info.series - Series (project) name
+ * @param {string} info.summary - Story summary
+ * @param {string} info.genre - Genre
+ * @param {string[]} info.writers - Authors
+ * @param {string[]} info.characters - Character names
+ * @param {Date} info.date - Publication date (default now)
+ * @param {Array} info.pages - [{ type, width, height, size, doublePage }] in archive order
+ * @returns {string} XML document
+ */
+export function buildComicInfoXml(info) {
+  const date = info.date || new Date();
+  const element = (name, value) =>
+    value === undefined || value === null || value === '' ? null : `  <${name}>${escapeXml(value)}</${name}>`;
+
+  const pages = (info.pages || []).map((page, index) => {
+    const attributes = [
+      `Image="${index}"`,
+      page.type && `Type="${escapeXml(page.type)}"`,
+      page.doublePage && 'DoublePage="true"',
+      page.size && `ImageSize="${page.size}"`,
+      page.width && `ImageWidth="${page.width}"`,
+      page.height && `ImageHeight="${page.height}"`,
+    ].filter(Boolean);
+    return `    <Page ${attributes.join(' ')} />`;
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    element('Title', info.title),
+    element('Series', info.series),
+    element('Summary', info.summary),
+    element('Year', date.getFullYear()),
+    element('Month', date.getMonth() + 1),
+    element('Day', date.getDate()),
+    element('Writer', (info.writers || []).join(', ')),
+    element('Genre', info.genre),
+    element('PageCount', pages.length),
+    element('LanguageISO', 'en'),
+    element('Manga', 'No'),
+    element('Characters', (info.characters || []).join(', ')),
+    pages.length > 0 ? ['  <Pages>', ...pages, '  </Pages>'].join('\n') : null,
+    '</ComicInfo>',
+  ];
+  return `${lines.filter(line => line !== null).join('\n')}\n`;
+}
@@ -0,0 +1,130 @@
+/**
+ * Composed pages
+ * compose_pages records the pages it produced in comic.yaml:
+ *
+ *   pages:
+ *     - { page: 1, url: https://..., path: /abs/outputs/... }   # path only with local storage
+ *     - { page: 2, url: ..., spread: left }                       # halves of a two-page spread
+ *     - { page: 3, url: ..., spread: right }
+ *
+ * compose_cover records the cover next to them (`cover: { url, path, replacesPage?, ... }`).
+ * Exports (PDF, CBZ) read them back from here, the cover first.
+ *
+ * The compose tools store their images (pages, webtoon segments, the cover) with storeComposedImage.
+ */
+
+import axios from 'axios';
+import fs from 'fs-extra';
+import path from 'path';
+import sharp from 'sharp';
+import { pathToFileURL } from 'url';
+import yaml from 'yaml';
+
+/**
+ * Title of a comic: panel1's title, then the first panel title, then the project name
+ * @param {Object} comicData - Parsed comic.yaml
+ * @param {Object} project - Project context
+ * @returns {string} The title, or '' when there is none
+ */
+export function comicTitle(comicData, project) {
+  const panels = comicData?.panels || [];
+  return panels.find(panel => panel.id === 'panel1')?.title || panels.find(panel => panel.title)?.title || project?.name || '';
+}
+
+/**
+ * Write a composed image to the project assets as <folder>/<publicId>.png, then store it unless upload is false.
+ * A failed upload keeps the local file (its file:// URL is returned).
+ * @param {Buffer} buffer - PNG
+ * @param {Object} options - { project, storage, folder, publicId, upload }
+ * @returns {Promise<Object>} { url, path, publicId?, uploaded }
+ */
+export async function storeComposedImage(buffer, { project, storage, folder, publicId, upload = true }) {
+  const localPath = path.join(project.assetsDir, folder, `${publicId}.png`);
+  await fs.outputFile(localPath, buffer);
+  const local = { url: pathToFileURL(localPath).href, path: localPath, uploaded: false };
+  if (upload === false) return local;
+
+  try {
+    const stored = await storage.save(buffer, { folder: `${project.cloudFolder}/${folder}`, publicId, format: 'png' });
+    return { url: stored.url, path: localPath, publicId: stored.publicId, uploaded: true };
+  } catch (error) {
+    console.warn(`⚠️  Failed to store ${folder}/${publicId} (${storage.name}), keeping the local file:`, error.message);
+    return local;
+  }
+}
+
+/**
+ * Pages recorded for a project, in page order. A composed cover comes first as page 0
+ * and takes the place of the splash page it replaces.
+ * @param {Object} project - Project context
+ * @returns {Array} [{ page, url, path?, cover? }]
+ */
+export function loadComposedPages(project) {
+  if (!fs.existsSync(project.comicPath)) return [];
+  const comicData = yaml.parse(fs.readFileSync(project.comicPath, 'utf8')) || {};
+  const cover = comicData.cover;
+  const hasCover = Boolean(cover && (cover.url || cover.path));
+  const pages = (comicData.pages || [])
+    .filter(page => page && (page.url || page.path))
+    .filter(page => !(hasCover && page.page === cover.replacesPage))
+    .sort((a, b) => a.page - b.page);
+  if (!hasCover) return pages;
+  return [{ page: 0, url: cover.url, ...(cover.path && { path: cover.path }), cover: true }, ...pages];
+}
+
+/**
+ * Image bytes of a composed page: the local file when there is one, otherwise the URL
+ * @param {Object} page - { page, url, path? }
+ * @returns {Promise<Buffer>}
+ */
+export async function readPageImage(page) {
+  if (page.path && (await fs.pathExists(page.path))) {
+    return fs.readFile(page.path);
+  }
+  if (page.url?.startsWith('file://')) {
+    return fs.readFile(new URL(page.url));
+  }
+  const response = await axios.get(page.url, { responseType: 'arraybuffer' });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Pages in facing order for print, where the first page is a right-hand page: a blank page
+ * goes in wherever the left half of a spread would otherwise land on a right-hand page
+ * @param {Array} pages - From loadComposedPages
+ * @returns {Array} The pages, with { blank: true } entries inserted
+ */
+export function facingPages(pages) {
+  const ordered = [];
+  for (const page of pages) {
+    if (page.spread === 'left' && ordered.length % 2 === 0) ordered.push({ blank: true });
+    ordered.push(page);
+  }
+  return ordered;
+}
+
+/**
+ * Positions of the two halves of each spread in a page list
+ * @returns {Array} [[leftIndex, rightIndex], ...]
+ */
+export function spreadPairs(pages) {
+  return pages.flatMap((page, index) =>
+    page.spread === 'left' && pages[index + 1]?.spread === 'right' ? [[index, index + 1]] : []
+  );
+}
+
+/**
+ * The two halves of a spread as one double-width PNG (the right half scaled to the left's height)
+ * @returns {Promise<Object>} { buffer, width, height }
+ */
+export async function joinSpreadImages(leftBuffer, rightBuffer) {
+  const left = await sharp(leftBuffer).flatten({ background: '#ffffff' }).png().toBuffer();
+  const { width: leftWidth, height } = await sharp(left).metadata();
+  const right = await sharp(rightBuffer).flatten({ background: '#ffffff' }).resize({ height }).png().toBuffer();
+  const { width: rightWidth } = await sharp(right).metadata();
+  const buffer = await sharp({ create: { width: leftWidth + rightWidth, height, channels: 3, background: '#ffffff' } })
+    .composite([{ input: left, left: 0, top: 0 }, { input: right, left: leftWidth, top: 0 }])
+    .png()
+    .toBuffer();
+  return { buffer, width: leftWidth + rightWidth, height };
+}
@@ -0,0 +1,191 @@
+/**
+ * Cover layout
+ * Where compose_cover puts the cover furniture on an A4 cover, from top to bottom:
+ *
+ *   issue box (top left)              price/date badge (top right)
+ *   MASTHEAD (one or two lines, as large as fits)
+ *   subtitle
+ *   ... panel1 art ...
+ *                                     barcode box (bottom right)
+ *   credits band (bottom)
+ *
+ * Text is sized with a measure(text, font) callback, so layouts can be worked out (and tested) without drawing.
+ */
+
+import { comicFont } from './comicFonts.js';
+
+export const MASTHEAD_FONT_STYLE = 'bold italic';
+export const DEFAULT_COVER_DATE_FORMAT = { month: 'short', year: 'numeric' };
+
+const MASTHEAD_MAX_SIZE = 420;
+const MASTHEAD_MIN_SIZE = 120;
+const CREDITS_MAX_SIZE = 56;
+const CREDITS_MIN_SIZE = 30;
+const CREDIT_SEPARATOR = '  •  ';
+
+// UPC-A digit patterns (left-hand odd parity; right-hand digits are the complement)
+const UPC_LEFT = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+
+/**
+ * Largest font size (step 2px) at which every line fits the width
+ * @returns {number|null} Size, or null when even minSize is too wide
+ */
+function fitFontSize(lines, maxWidth, style, maxSize, minSize, measure) {
+  for (let size = maxSize; size >= minSize; size -= 2) {
+    if (lines.every(line => measure(line, comicFont(size, style)) <= maxWidth)) return size;
+  }
+  return null;
+}
+
+/**
+ * Split words into two lines at the break that makes the longer line shortest
+ */
+function splitInTwo(text, measure, font) {
+  const words = text.split(/\s+/);
+  let best = [text];
+  let bestWidth = Infinity;
+  for (let i = 1; i < words.length; i++) {
+    const lines = [words.slice(0, i).join(' '), words.slice(i).join(' ')];
+    const width = Math.max(...lines.map(line => measure(line, font)));
+    if (width < bestWidth) {
+      best = lines;
+      bestWidth = width;
+    }
+  }
+  return best;
+}
+
+/**
+ * Masthead lines and size: one line when it can be set large, else two balanced lines
+ */
+function fitMasthead(title, maxWidth, measure) {
+  const text = title.toUpperCase().trim();
+  const oneLine = fitFontSize([text], maxWidth, MASTHEAD_FONT_STYLE, MASTHEAD_MAX_SIZE, MASTHEAD_MIN_SIZE, measure);
+  if (oneLine >= MASTHEAD_MAX_SIZE * 0.6 || !/\s/.test(text)) {
+    return { lines: [text], fontSize: oneLine || MASTHEAD_MIN_SIZE };
+  }
+  const lines = splitInTwo(text, measure, comicFont(MASTHEAD_MAX_SIZE, MASTHEAD_FONT_STYLE));
+  const twoLines = fitFontSize(lines, maxWidth, MASTHEAD_FONT_STYLE, MASTHEAD_MAX_SIZE, MASTHEAD_MIN_SIZE, measure);
+  return (twoLines || 0) > (oneLine || 0)
+    ? { lines, fontSize: twoLines }
+    : { lines: [text], fontSize: oneLine || MASTHEAD_MIN_SIZE };
+}
+
+/**
+ * Credits as one line, or two when one line would be smaller than the minimum size
+ */
+function fitCredits(credits, maxWidth, measure) {
+  const parts = credits.map(({ role, name }) => (role ? `${role.toUpperCase()} ${name}` : name));
+  const oneLine = [parts.join(CREDIT_SEPARATOR)];
+  const size = fitFontSize(oneLine, maxWidth, 'bold', CREDITS_MAX_SIZE, CREDITS_MIN_SIZE, measure);
+  if (size || parts.length < 2) return { lines: oneLine, fontSize: size || CREDITS_MIN_SIZE };
+
+  const half = Math.ceil(parts.length / 2);
+  const lines = [parts.slice(0, half).join(CREDIT_SEPARATOR), parts.slice(half).join(CREDIT_SEPARATOR)];
+  return { lines, fontSize: fitFontSize(lines, maxWidth, 'bold', CREDITS_MAX_SIZE, CREDITS_MIN_SIZE, measure) || CREDITS_MIN_SIZE };
+}
+
+/**
+ * UPC-A bars for a barcode box (11 digits plus the check digit)
+ * @param {string} digits - Digits; padded or cut to 11
+ * @returns {Object} { digits: 12-digit string, modules: '0'/'1' string of 95 bar modules }
+ */
+export function upcBarcode(digits) {
+  const body = String(digits).replace(/\D/g, '').padStart(11, '0').slice(-11);
+  const odd = [...body].filter((_, i) => i % 2 === 0).reduce((sum, d) => sum + Number(d), 0);
+  const even = [...body].filter((_, i) => i % 2 === 1).reduce((sum, d) => sum + Number(d), 0);
+  const all = body + String((10 - ((odd * 3 + even) % 10)) % 10);
+
+  const left = [...all.slice(0, 6)].map(d => UPC_LEFT[d]).join('');
+  const right = [...all.slice(6)].map(d => UPC_LEFT[d].replace(/[01]/g, bit => (bit === '0' ? '1' : '0'))).join('');
+  return { digits: all, modules: `101${left}01010${right}101` };
+}
+
+/**
+ * Barcode digits for a comic: a fixed prefix, a number from the title, and the issue number
+ */
+export function coverBarcodeDigits(title, issueNumber) {
+  let hash = 0;
+  for (const char of String(title)) hash = (hash * 31 + char.charCodeAt(0)) % 100000;
+  const issue = String(issueNumber ?? '').replace(/\D/g, '') || '1';
+  return `7${String(hash).padStart(5, '0')}${issue.padStart(5, '0').slice(-5)}`;
+}
+
+/**
+ * Cover furniture boxes for one cover
+ * @param {Object} cover - { title, subtitle?, issueNumber?, price?, date?, credits?: [{ role, name }], barcode? }
+ * @param {Object} config - Page config { width, height }
+ * @param {Function} measure - (text, font) => width in px
+ * @returns {Object} { masthead, subtitle?, issue?, badge?, credits?, barcode? } with x, y, width, height in px
+ */
+export function buildCoverLayout(cover, config, measure) {
+  const { width, height } = config;
+  const margin = Math.round(width * 0.05);
+  const contentWidth = width - margin * 2;
+  const stripHeight = Math.round(height * 0.04);
+  const layout = {};
+
+  const hasTopStrip = cover.issueNumber != null || cover.price || cover.date;
+  let y = margin + (hasTopStrip ? stripHeight + Math.round(height * 0.01) : 0);
+
+  if (cover.issueNumber != null) {
+    const text = `No. ${cover.issueNumber}`;
+    const fontSize = Math.round(stripHeight * 0.6);
+    const boxWidth = measure(text, comicFont(fontSize, 'bold')) + stripHeight;
+    layout.issue = { text, fontSize, x: margin, y: margin, width: boxWidth, height: stripHeight };
+  }
+
+  const badgeText = [cover.price, cover.date].filter(Boolean).join(' · ');
+  if (badgeText) {
+    const fontSize = Math.round(stripHeight * 0.5);
+    const boxWidth = measure(badgeText, comicFont(fontSize, 'bold')) + stripHeight;
+    layout.badge = { text: badgeText, fontSize, x: width - margin - boxWidth, y: margin, width: boxWidth, height: stripHeight };
+  }
+
+  const masthead = fitMasthead(cover.title, contentWidth, measure);
+  const lineHeight = Math.round(masthead.fontSize * 0.95);
+  layout.masthead = {
+    ...masthead,
+    lineHeight,
+    x: margin,
+    y,
+    width: contentWidth,
+    height: lineHeight * masthead.lines.length,
+  };
+  y += layout.masthead.height + Math.round(height * 0.005);
+
+  if (cover.subtitle) {
+    const size = fitFontSize([cover.subtitle], contentWidth, 'italic', Math.round(masthead.fontSize * 0.4), 36, measure) || 36;
+    layout.subtitle = { text: cover.subtitle, fontSize: size, x: margin, y, width: contentWidth, height: Math.round(size * 1.2) };
+  }
+
+  let bottom = height;
+  if (cover.credits?.length) {
+    const credits = fitCredits(cover.credits, contentWidth, measure);
+    const lineHeight = Math.round(credits.fontSize * 1.3);
+    const bandHeight = lineHeight * credits.lines.length + margin;
+    layout.credits = { ...credits, lineHeight, x: 0, y: height - bandHeight, width, height: bandHeight };
+    bottom = layout.credits.y;
+  }
+
+  if (cover.barcode) {
+    const boxWidth = Math.round(width * 0.16);
+    const boxHeight = Math.round(boxWidth * 0.62);
+    layout.barcode = {
+      ...upcBarcode(typeof cover.barcode === 'string' ? cover.barcode : coverBarcodeDigits(cover.title, cover.issueNumber)),
+      x: width - margin - boxWidth,
+      y: bottom - margin - boxHeight,
+      width: boxWidth,
+      height: boxHeight,
+    };
+  }
+
+  return layout;
+}
+
+/**
+ * Default cover date, e.g. "OCT 2026"
+ */
+export function defaultCoverDate(date = new Date()) {
+  return date.toLocaleDateString('en-US', DEFAULT_COVER_DATE_FORMAT).toUpperCase();
+}
@@ -0,0 +1,191 @@
+/**
+ * Grid layouts
+ * A compact row/column syntax for page layouts, compiled into the same panel entries
+ * (y, h, size, align, offsetX) that calculatePanelPosition reads from layouts.yaml.
+ *
+ * One string per page; rows are separated by "/", each row is "height: widths":
+ *
+ *   grid:
+ *     page1: "1"                     # one splash panel
+ *     page2: "2: 1 1 / 1: 1 2 1"     # a tall row of two, then a short row of three
+ *
+ * Heights and widths are relative (a missing height is 1). Panels are numbered panel1,
+ * panel2, ... in reading order across pages. `gutter` (space between panels) and `padding`
+ * (space inside the page margin) are in px on the A4 page.
+ */
+
+import { A4 } from '../../config/a4.js';
+
+export const DEFAULT_GRID_GUTTER = 60;
+export const DEFAULT_GRID_PADDING = 60;
+export const MAX_GRID_PANELS = 40;
+
+const IMAGE_LONG_SIDE = 1248; // Generated panel images keep the presets' long side
+const IMAGE_MIN_SIDE = 512;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+/**
+ * Parse one page of the grid syntax
+ * @param {string} spec - e.g. "2: 1 1 / 1: 1 2 1"
+ * @returns {Array} Rows: [{ height, widths: [...] }]
+ */
+export function parseGridPage(spec) {
+  const rows = String(spec ?? '')
+    .split('/')
+    .map(row => row.trim())
+    .filter(Boolean);
+  if (rows.length === 0) {
+    throw new Error(`Grid page "${spec}" has no rows`);
+  }
+
+  return rows.map(row => {
+    const [heightPart, widthPart] = row.includes(':') ? row.split(':') : ['1', row];
+    const height = Number(heightPart);
+    const widths = widthPart.trim().split(/\s+/).map(Number);
+    if (!(height > 0) || widths.length === 0 || widths.some(width => !(width > 0))) {
+      throw new Error(`Invalid grid row "${row}": use "height: width width ..." with positive numbers`);
+    }
+    return { height, widths };
+  });
+}
+
+/**
+ * Image size for a panel of this aspect ratio (multiples of 8, long side 1248)
+ */
+export function panelImageSize(ratio) {
+  const toEight = value => Math.max(IMAGE_MIN_SIDE, Math.round(value / 8) * 8);
+  return ratio >= 1
+    ? { width: IMAGE_LONG_SIDE, height: toEight(IMAGE_LONG_SIDE / ratio) }
+    : { width: toEight(IMAGE_LONG_SIDE * ratio), height: IMAGE_LONG_SIDE };
+}
+
+/**
+ * Compile a grid layout into a regular layout
+ * @param {Object} definition - { name, template, gutter, padding, grid: { page1: "...", ... } }
+ * @param {Object} config - Page config (default A4)
+ * @returns {Object} The definition plus pages, panels_per_page and layouts
+ */
+export function compileGridLayout(definition, config = A4) {
+  const gutter = definition.gutter ?? DEFAULT_GRID_GUTTER;
+  const padding = definition.padding ?? DEFAULT_GRID_PADDING;
+  const usableW = config.width - config.margin * 2;
+  const usableH = config.height - config.margin * 2;
+  const innerW = usableW - padding * 2;
+  const innerH = usableH - padding * 2;
+
+  const pageKeys = Object.keys(definition.grid || {}).sort(
+    (a, b) => parseInt(a.replace('page', ''), 10) - parseInt(b.replace('page', ''), 10)
+  );
+  if (pageKeys.length === 0) {
+    throw new Error('Grid layout has no pages');
+  }
+
+  let panelNumber = 0;
+  const layouts = {};
+  for (const pageKey of pageKeys) {
+    const rows = parseGridPage(definition.grid[pageKey]);
+    const totalHeight = rows.reduce((sum, row) => sum + row.height, 0);
+    const rowSpace = innerH - gutter * (rows.length - 1);
+
+    let y = config.margin + padding;
+    layouts[pageKey] = rows.flatMap(row => {
+      const rowHeight = (rowSpace * row.height) / totalHeight;
+      const totalWidth = row.widths.reduce((sum, width) => sum + width, 0);
+      const columnSpace = innerW - gutter * (row.widths.length - 1);
+
+      let x = config.margin + padding;
+      const panels = row.widths.map(share => {
+        const panelWidth = (columnSpace * share) / totalWidth;
+        // `size` carries the exact on-page aspect ratio; width/height are the image to generate
+        const panel = {
+          id: `panel${++panelNumber}`,
+          size: `${Math.round(panelWidth)}x${Math.round(rowHeight)}`,
+          ...panelImageSize(panelWidth / rowHeight),
+          y: round((y - config.margin) / usableH),
+          h: round(rowHeight / usableH),
+          align: 'left',
+          offsetX: round((x - config.margin) / usableW),
+        };
+        x += panelWidth + gutter;
+        return panel;
+      });
+      y += rowHeight + gutter;
+      return panels;
+    });
+  }
+
+  return {
+    ...definition,
+    pages: pageKeys.length,
+    panels_per_page: pageKeys.map(pageKey => layouts[pageKey].length),
+    layouts,
+  };
+}
+
+/**
+ * Propose a layout for any number of panels.
+ * Panels fill pages in order until a page holds `pageCapacity` units of weight (or
+ * `maxPanelsPerPage` panels). On a page, a panel at least 1.75x the average weight gets a
+ * row of its own and the others share rows two at a time (three on crowded pages).
+ * Row heights and panel widths follow the weights, so panel area grows with importance.
+ * @param {number} panelCount - Number of panels (1-40)
+ * @param {Object} options - { weights: number per panel (default 1), pageCapacity (4), maxPanelsPerPage (6) }
+ * @returns {Object} { layoutKey, layout } with layout.grid holding the proposal in grid syntax
+ */
+export function generateGridLayout(panelCount, options = {}) {
+  const count = Math.round(Number(panelCount));
+  if (!(count >= 1 && count <= MAX_GRID_PANELS)) {
+    throw new Error(`Panel count must be between 1 and ${MAX_GRID_PANELS}. Got: ${panelCount}`);
+  }
+  const pageCapacity = options.pageCapacity || 4;
+  const maxPanelsPerPage = options.maxPanelsPerPage || 6;
+
+  const raw = Array.from({ length: count }, (_, i) => {
+    const weight = Number(options.weights?.[i]);
+    return weight > 0 ? weight : 1;
+  });
+  const mean = raw.reduce((sum, weight) => sum + weight, 0) / count;
+  const weights = raw.map(weight => weight / mean);
+
+  // Fill pages in reading order
+  const pages = [];
+  let page = [];
+  let load = 0;
+  weights.forEach(weight => {
+    if (page.length > 0 && (load + weight > pageCapacity + 0.01 || page.length >= maxPanelsPerPage)) {
+      pages.push(page);
+      page = [];
+      load = 0;
+    }
+    page.push(weight);
+    load += weight;
+  });
+  pages.push(page);
+
+  const format = value => String(round(value, 2));
+  const grid = {};
+  pages.forEach((pageWeights, index) => {
+    const perRow = pageWeights.length > 4 ? 3 : 2;
+    const rows = [];
+    for (const weight of pageWeights) {
+      const last = rows[rows.length - 1];
+      if (weight >= 1.75 || pageWeights.length === 1) {
+        rows.push({ solo: true, weights: [weight] });
+      } else if (last && !last.solo && last.weights.length < perRow) {
+        last.weights.push(weight);
+      } else {
+        rows.push({ solo: false, weights: [weight] });
+      }
+    }
+    grid[`page${index + 1}`] = rows
+      .map(row => `${format(row.weights.reduce((sum, weight) => sum + weight, 0))}: ${row.weights.map(format).join(' ')}`)
+      .join(' / ');
+  });
+
+  const layoutKey = `auto-${count}-panels`;
+  return {
+    layoutKey,
+    layout: compileGridLayout({ name: `Auto Layout (${count} panels)`, template: 'story', grid }),
+  };
+}
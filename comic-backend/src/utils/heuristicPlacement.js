@@ -0,0 +1,321 @@
+/**
+ * Heuristic dialogue placement
+ * Places a panel's text without a vision model, in the same shape the vision tool returns
+ * ({ characters, placements }), so fitting, layout and rendering carry on as usual:
+ *
+ *   - the image is scored for busyness (edge density on a coarse grid, worked out locally with sharp),
+ *     and text goes where the art is quietest
+ *   - speakers stand left to right in the order they first speak, at a height set by the panel's
+ *     cameraAngle (faces the vision tool found earlier, in `characterPositions`, are used instead when present)
+ *   - title, then narration (in the top-left corner, below any title), then dialogue are placed in
+ *     reading order: each later element below, or to the right of, the ones before it. When a crowded
+ *     panel leaves no room for that, readingOrder is renumbered from where the elements ended up
+ *   - speech tails point at the speaker's estimated mouth
+ *
+ * Sound effects are left out: the vision tool's placeSoundEffects gives them their default spots.
+ */
+
+import sharp from 'sharp';
+import { normalizeBubbleStyle } from './bubbleShapes.js';
+
+export const PLACEMENT_STRATEGIES = ['auto', 'vision', 'heuristic'];
+export const DEFAULT_PLACEMENT_STRATEGY = 'auto';
+
+// Where faces sit for each camera angle: height of the face centre, and how far apart speakers stand (fractions of the panel)
+export const CAMERA_FRAMING = {
+  'close-up': { faceY: 0.38, spread: 0.5 },
+  'medium-shot': { faceY: 0.3, spread: 0.6 },
+  'two-shot': { faceY: 0.32, spread: 0.5 },
+  'over-shoulder': { faceY: 0.3, spread: 0.55 },
+  'low-angle': { faceY: 0.28, spread: 0.5 },
+  'high-angle': { faceY: 0.5, spread: 0.5 },
+  'dutch-angle': { faceY: 0.33, spread: 0.55 },
+  'wide-shot': { faceY: 0.5, spread: 0.6 },
+  'establishing-shot': { faceY: 0.62, spread: 0.5 },
+  'bird-eye-view': { faceY: 0.55, spread: 0.4 },
+};
+const DEFAULT_CAMERA_ANGLE = 'medium-shot';
+
+const GRID_COLUMNS = 24;
+const SAMPLES_PER_CELL = 4;
+const EDGE_MARGIN = 10;
+const REGION_GAP = 12;
+const TITLE_Y = 30;
+const TITLE_BAND = 0.1; // of the panel's height, kept clear below a title
+const MOUTH_DROP = 0.06; // mouth below the face centre, as a fraction of the panel's shorter side
+const FACE_RADIUS_FRACTION = 0.1; // of the panel's shorter side, kept clear of text
+// Space given to each element, as fractions of the panel's width and height
+const REGION_SIZE = { speech: { width: 0.38, height: 0.14 }, narration: { width: 0.55, height: 0.1 } };
+// How much distance from the speaker, and from the top-left corner (per panel diagonal), weigh against busyness
+const SPEAKER_WEIGHT = 1.2;
+const CORNER_WEIGHT = { x: 0.6, y: 2 };
+// Smaller regions tried before giving up the reading order
+const REGION_SCALES = [1, 0.75, 0.5];
+const BELOW_SPEAKER_PENALTY = 0.15;
+
+/**
+ * Busyness of an image on a coarse grid: the mean edge strength (brightness change to the
+ * right and below) of each cell, scaled so the busiest cell is 1
+ * @param {Buffer} buffer - Image file contents
+ * @param {Object} options - cols: grid columns (rows follow the image's aspect ratio)
+ * @returns {Promise<Object>} { cols, rows, cells, width, height } - cells is row-major, 0 (flat) to 1 (busiest);
+ *   width and height are the image's
+ */
+export async function busynessGrid(buffer, { cols = GRID_COLUMNS } = {}) {
+  const { width, height } = await sharp(buffer).metadata();
+  const rows = Math.max(1, Math.round((cols * height) / width));
+  const sampleWidth = cols * SAMPLES_PER_CELL;
+  const sampleHeight = rows * SAMPLES_PER_CELL;
+  const pixels = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(sampleWidth, sampleHeight, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  const cells = new Array(cols * rows).fill(0);
+  for (let y = 0; y < sampleHeight; y++) {
+    for (let x = 0; x < sampleWidth; x++) {
+      const value = pixels[y * sampleWidth + x];
+      const right = x + 1 < sampleWidth ? pixels[y * sampleWidth + x + 1] : value;
+      const below = y + 1 < sampleHeight ? pixels[(y + 1) * sampleWidth + x] : value;
+      const cell = Math.floor(y / SAMPLES_PER_CELL) * cols + Math.floor(x / SAMPLES_PER_CELL);
+      cells[cell] += Math.abs(right - value) + Math.abs(below - value);
+    }
+  }
+  const busiest = Math.max(...cells);
+  return { cols, rows, cells: cells.map(cell => (busiest > 0 ? cell / busiest : 0)), width, height };
+}
+
+/**
+ * Mean busyness of the grid cells under a box
+ */
+export function regionBusyness(grid, box, frame) {
+  const cellWidth = frame.width / grid.cols;
+  const cellHeight = frame.height / grid.rows;
+  const left = Math.max(0, Math.floor(box.x / cellWidth));
+  const right = Math.min(grid.cols, Math.ceil((box.x + box.width) / cellWidth));
+  const top = Math.max(0, Math.floor(box.y / cellHeight));
+  const bottom = Math.min(grid.rows, Math.ceil((box.y + box.height) / cellHeight));
+  let total = 0;
+  let count = 0;
+  for (let row = top; row < bottom; row++) {
+    for (let col = left; col < right; col++) {
+      total += grid.cells[row * grid.cols + col];
+      count++;
+    }
+  }
+  return count > 0 ? total / count : 1;
+}
+
+/**
+ * Where each speaker's face and mouth are likely to be
+ * Speakers stand left to right in the order they first speak; the camera angle sets how high
+ * their faces are and how far apart. Faces the vision tool found earlier win.
+ * @param {Object} panel - comic.yaml panel: { dialogue, cameraAngle, characterPositions? }
+ * @param {Object} frame - { width, height } of the panel
+ * @returns {Array} [{ name, face: { x, y }, mouth: { x, y } }]
+ */
+export function speakerPositions(panel, frame) {
+  const speakers = [...new Set((panel.dialogue || []).map(line => line.speaker).filter(Boolean))];
+  const framing = CAMERA_FRAMING[panel.cameraAngle] || CAMERA_FRAMING[DEFAULT_CAMERA_ANGLE];
+  const known = panel.characterPositions || [];
+  const drop = Math.min(frame.width, frame.height) * MOUTH_DROP;
+
+  return speakers.map((name, i) => {
+    const found = known.find(character => character?.name === name)?.face;
+    const face =
+      Number.isFinite(found?.x) && Number.isFinite(found?.y)
+        ? { x: found.x, y: found.y }
+        : {
+            x: Math.round(frame.width * (0.5 + framing.spread * ((i + 0.5) / speakers.length - 0.5))),
+            y: Math.round(frame.height * framing.faceY),
+          };
+    return { name, face, mouth: { x: face.x, y: Math.round(face.y + drop) } };
+  });
+}
+
+function overlaps(a, b, gap = 0) {
+  return a.x < b.x + b.width + gap && b.x < a.x + a.width + gap && a.y < b.y + b.height + gap && b.y < a.y + a.height + gap;
+}
+
+/**
+ * Whether box a would be read before box b: wholly above it, or higher and wholly to its left
+ */
+function readsBefore(a, b) {
+  return a.y + a.height <= b.y || (a.y < b.y && a.x + a.width <= b.x);
+}
+
+/**
+ * Boxes of a size on the grid's steps, inside the panel's margins
+ * Sizes are at least 1px; a panel too small for the margins gets one centred box
+ */
+function candidateBoxes(size, frame, grid) {
+  const stepX = frame.width / grid.cols;
+  const stepY = frame.height / grid.rows;
+  const width = Math.round(Math.max(1, Math.min(size.width, frame.width - EDGE_MARGIN * 2)));
+  const height = Math.round(Math.max(1, Math.min(size.height, frame.height - EDGE_MARGIN * 2)));
+  const boxes = [];
+  for (let y = EDGE_MARGIN; y + height <= frame.height - EDGE_MARGIN; y += stepY) {
+    for (let x = EDGE_MARGIN; x + width <= frame.width - EDGE_MARGIN; x += stepX) {
+      boxes.push({ x: Math.round(x), y: Math.round(y), width, height });
+    }
+  }
+  if (boxes.length === 0) {
+    return [{ x: Math.max(0, Math.round((frame.width - width) / 2)), y: Math.max(0, Math.round((frame.height - height) / 2)), width, height }];
+  }
+  // Flush against the right and bottom edges too
+  return [
+    ...boxes,
+    ...boxes.map(box => ({ ...box, x: Math.round(frame.width - EDGE_MARGIN - width) })),
+    ...boxes.map(box => ({ ...box, y: Math.round(frame.height - EDGE_MARGIN - height) })),
+  ];
+}
+
+/**
+ * Quietest box of a size, scored by busyness plus the caller's preference
+ * Boxes over taken regions or faces are skipped; so are boxes that would read before a taken region.
+ * Smaller boxes are tried before the reading order is given up, and overlapping only when nothing else is left.
+ * @returns {Object} { box, inOrder } - inOrder is false when the box had to break the reading order
+ */
+function bestRegion(size, frame, grid, taken, faces, preference) {
+  const clear = box => !taken.some(other => overlaps(box, other, REGION_GAP)) && !faces.some(face => overlaps(box, face));
+  const inOrder = box => !taken.some(other => readsBefore(box, other));
+  const pick = boxes =>
+    boxes.reduce(
+      (best, box) => {
+        const score = regionBusyness(grid, box, frame) + preference(box);
+        return score < best.score ? { box, score } : best;
+      },
+      { box: null, score: Infinity }
+    ).box;
+  const scaled = REGION_SCALES.map(scale =>
+    candidateBoxes({ width: size.width * scale, height: size.height * scale }, frame, grid)
+  );
+
+  for (const candidates of scaled) {
+    const box = pick(candidates.filter(candidate => clear(candidate) && inOrder(candidate)));
+    if (box) return { box, inOrder: true };
+  }
+  for (const candidates of scaled) {
+    const box = pick(candidates.filter(clear));
+    if (box) return { box, inOrder: false };
+  }
+  return { box: pick(scaled[0]), inOrder: false };
+}
+
+/**
+ * Indices of boxes in reading order: rows top to bottom, left to right within a row
+ * (a box starting above the middle of the row's first box is in that row)
+ */
+function readingSequence(boxes) {
+  const byTop = boxes.map((box, index) => ({ box, index })).sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x);
+  const rows = [];
+  for (const entry of byTop) {
+    const row = rows[rows.length - 1];
+    if (row && entry.box.y < row[0].box.y + row[0].box.height / 2) row.push(entry);
+    else rows.push([entry]);
+  }
+  return rows.flatMap(row => row.sort((a, b) => a.box.x - b.box.x).map(({ index }) => index));
+}
+
+/**
+ * Place a panel's title, narration and dialogue
+ * @param {Object} panel - comic.yaml panel: { id, title?, narration?, dialogue?, cameraAngle?, characterPositions? }
+ * @param {Object} grid - busynessGrid of the panel's image
+ * @param {Object} frame - { width, height } of the panel
+ * @returns {Object} { panelId, panelWidth, panelHeight, characters, placements } - the vision tool's JSON shape
+ */
+export function heuristicPlacements(panel, grid, frame) {
+  const diagonal = Math.hypot(frame.width, frame.height);
+  const speakers = speakerPositions(panel, frame);
+  // Characters the vision tool found earlier who do not speak here still keep their faces clear
+  const onlookers = (panel.characterPositions || []).filter(
+    character =>
+      Number.isFinite(character?.face?.x) &&
+      Number.isFinite(character?.face?.y) &&
+      !speakers.some(({ name }) => name === character.name)
+  );
+  const characters = [
+    ...speakers.map(({ name, face }) => ({ name, face })),
+    ...onlookers.map(({ name, face }) => ({ name, face })),
+  ];
+  const faceRadius = Math.min(frame.width, frame.height) * FACE_RADIUS_FRACTION;
+  const faces = characters.map(({ face }) => ({
+    x: face.x - faceRadius,
+    y: face.y - faceRadius,
+    width: faceRadius * 2,
+    height: faceRadius * 2,
+  }));
+  const sizeOf = type => ({
+    width: frame.width * REGION_SIZE[type].width,
+    height: frame.height * REGION_SIZE[type].height,
+  });
+
+  const placements = [];
+  const taken = [];
+  let relaxed = false;
+  const place = (placement, box, inOrder = true) => {
+    placements.push({ ...placement, readingOrder: placements.length + 1 });
+    taken.push(box);
+    relaxed = relaxed || !inOrder;
+  };
+
+  if (panel.title) {
+    place(
+      { type: 'title', text: panel.title, position: { x: Math.floor(frame.width / 2), y: TITLE_Y } },
+      { x: 0, y: 0, width: frame.width, height: frame.height * TITLE_BAND }
+    );
+  }
+
+  if (panel.narration) {
+    // Captions sit in the top-left corner (below the title), where reading starts
+    const topLeft = box => (CORNER_WEIGHT.x * box.x + CORNER_WEIGHT.y * box.y) / diagonal;
+    const { box, inOrder } = bestRegion(sizeOf('narration'), frame, grid, taken, faces, topLeft);
+    place(
+      { type: 'narration', text: panel.narration, position: { x: box.x, y: box.y }, space: { width: box.width, height: box.height } },
+      box,
+      inOrder
+    );
+  }
+
+  for (const line of panel.dialogue || []) {
+    const speaker = speakers.find(({ name }) => name === line.speaker);
+    const mouth = speaker?.mouth || { x: frame.width / 2, y: frame.height * CAMERA_FRAMING[DEFAULT_CAMERA_ANGLE].faceY };
+    // Near the speaker, and preferably above them so the tail points down
+    const preference = box => {
+      const centre = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+      const distance = Math.hypot(centre.x - mouth.x, centre.y - mouth.y) / diagonal;
+      return SPEAKER_WEIGHT * distance + (centre.y > mouth.y ? BELOW_SPEAKER_PENALTY : 0);
+    };
+    const { box, inOrder } = bestRegion(sizeOf('speech'), frame, grid, taken, faces, preference);
+    place(
+      {
+        type: 'speech',
+        speaker: line.speaker,
+        text: line.text,
+        ...(normalizeBubbleStyle(line.style) && { style: normalizeBubbleStyle(line.style) }),
+        position: { x: box.x, y: box.y },
+        space: { width: box.width, height: box.height },
+        tail: { ...mouth },
+      },
+      box,
+      inOrder
+    );
+  }
+
+  // Number the elements in the order they are actually read when some could not keep theirs
+  if (relaxed) {
+    readingSequence(taken).forEach((index, i) => {
+      placements[index].readingOrder = i + 1;
+    });
+  }
+
+  return {
+    panelId: panel.id,
+    panelWidth: frame.width,
+    panelHeight: frame.height,
+    characters,
+    placements,
+  };
+}
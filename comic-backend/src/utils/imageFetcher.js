@@ -0,0 +1,142 @@
+/**
+ * Image fetching for page composition
+ * Panel images are read from local files whenever there is one (a known path, a file://
+ * URL, or a URL of the local storage provider). Remote images are downloaded a few at a
+ * time into a content-addressed cache under the project's assets, so a panel is only
+ * downloaded once:
+ *
+ *   assets/cache/images/index.json    { "<url>": "<sha256>" }
+ *   assets/cache/images/<sha256>      image bytes (identical images are stored once)
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_FETCH_CONCURRENCY = 4;
+
+/**
+ * Map over items with at most `limit` calls running at once (results keep the item order)
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Downloaded images by URL, stored under the hash of their content
+ */
+export class ImageCache {
+  constructor(dir) {
+    this.dir = dir;
+    this.indexPath = path.join(dir, 'index.json');
+    this.index = null;
+  }
+
+  async loadIndex() {
+    if (!this.index) {
+      this.index = (await fs.pathExists(this.indexPath)) ? await fs.readJson(this.indexPath).catch(() => ({})) : {};
+    }
+    return this.index;
+  }
+
+  /**
+   * Cached bytes for a URL, or null
+   */
+  async get(url) {
+    const hash = (await this.loadIndex())[url];
+    const filePath = hash && path.join(this.dir, hash);
+    return filePath && (await fs.pathExists(filePath)) ? fs.readFile(filePath) : null;
+  }
+
+  /**
+   * Cache the bytes of a URL (call save() to keep the index)
+   * @returns {Promise<string>} Content hash
+   */
+  async put(url, buffer) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const filePath = path.join(this.dir, hash);
+    if (!(await fs.pathExists(filePath))) {
+      await fs.outputFile(filePath, buffer);
+    }
+    (await this.loadIndex())[url] = hash;
+    return hash;
+  }
+
+  async save() {
+    if (this.index) {
+      await fs.outputJson(this.indexPath, this.index, { spaces: 2 });
+    }
+  }
+}
+
+/**
+ * Local file for an image, if there is one
+ * @param {Object} source - { url, path }
+ * @param {Function} resolveLocalPath - url → path or null (e.g. storage.localPath)
+ */
+async function localFile(source, resolveLocalPath) {
+  const candidates = [
+    source.path,
+    source.url?.startsWith('file://') ? fileURLToPath(source.url) : null,
+    resolveLocalPath?.(source.url),
+  ];
+  for (const candidate of candidates) {
+    if (candidate && (await fs.pathExists(candidate))) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Fetch images: local files first, then the cache, then the network (in parallel)
+ * @param {Array} sources - [{ id, url, path? }]
+ * @param {Object} options
+ * @param {string} options.cacheDir - Download cache directory (no cache when omitted)
+ * @param {number} options.concurrency - Downloads at once (default 4)
+ * @param {Function} options.resolveLocalPath - url → local path or null
+ * @returns {Promise<Object>} { images: { id: Buffer }, failed: { id: message }, stats: { local, cached, downloaded } }
+ */
+export async function fetchImages(sources, options = {}) {
+  const cache = options.cacheDir ? new ImageCache(options.cacheDir) : null;
+  const stats = { local: 0, cached: 0, downloaded: 0 };
+  const images = {};
+  const failed = {};
+
+  await mapWithConcurrency(sources, options.concurrency || DEFAULT_FETCH_CONCURRENCY, async source => {
+    try {
+      const filePath = await localFile(source, options.resolveLocalPath);
+      if (filePath) {
+        images[source.id] = await fs.readFile(filePath);
+        stats.local++;
+        return;
+      }
+
+      const cached = cache && (await cache.get(source.url));
+      if (cached) {
+        images[source.id] = cached;
+        stats.cached++;
+        return;
+      }
+
+      const response = await axios.get(source.url, { responseType: 'arraybuffer', timeout: 30000 });
+      images[source.id] = Buffer.from(response.data);
+      stats.downloaded++;
+      if (cache) await cache.put(source.url, images[source.id]);
+    } catch (error) {
+      failed[source.id] = error.message;
+    }
+  });
+
+  if (cache) await cache.save();
+  return { images, failed, stats };
+}
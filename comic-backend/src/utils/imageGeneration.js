@@ -0,0 +1,130 @@
+/**
+ * Image generation
+ * The generate-and-store step shared by generate_leonardo_images and regenerate_failed_panels:
+ * the image provider's generate() loop (see providers/imageProvider.js), then the storage provider,
+ * with progress events for both. Generated images are recorded on their character or panel in
+ * comic.yaml (cloudinaryUrl, plus imageId and imageProvider so later runs can use them as context).
+ */
+
+import fs from 'fs-extra';
+import yaml from 'yaml';
+import { JOB_STATUS } from '../providers/imageProvider.js';
+import { PROGRESS_EVENTS, reportProgress } from './progress.js';
+
+/**
+ * Generate a single image with the image provider and store it (Cloudinary or local)
+ * @param {Object} request - { id, prompt, imageNum, seed, width, height, contextImages, folder, prefix }
+ * @param {Object} services - { provider, storage, tool: tool name for progress events, onProgress }
+ * @returns {Promise<Object>} { number, imageId, cloudinaryUrl }
+ */
+export async function generateAndStoreImage(request, { provider, storage, tool, onProgress = null }) {
+  const { id, prompt, imageNum, seed, width, height, contextImages, folder, prefix } = request;
+  console.log(`🎨 [${prefix} ${imageNum}] Starting ${provider.name} generation with ${contextImages?.length || 0} context images...`);
+  reportProgress(onProgress, {
+    type: PROGRESS_EVENTS.GENERATION_STARTED,
+    tool,
+    kind: prefix,
+    id,
+    provider: provider.name,
+    contextImages: contextImages?.length || 0,
+  });
+
+  const generated = await provider.generate(
+    { prompt, seed, width, height, contextImages: contextImages || [] },
+    {
+      onSubmitted: (job) => console.log(`🕓 [${prefix} ${imageNum}] Generation ID: ${job.id}`),
+      onStatus: ({ status, elapsedSeconds }) => {
+        reportProgress(onProgress, {
+          type: PROGRESS_EVENTS.POLL_STATUS,
+          tool,
+          id,
+          status,
+          elapsedSeconds,
+        });
+        if (status === JOB_STATUS.PENDING && elapsedSeconds > 0 && elapsedSeconds % 15 === 0) {
+          console.log(`⏳ [${prefix} ${imageNum}] Still generating... (${elapsedSeconds}s elapsed)`);
+        }
+      },
+    }
+  );
+  console.log(`✓ [${prefix} ${imageNum}] Generation complete (${generated.elapsedSeconds}s)`);
+
+  const publicId = `${prefix}_${imageNum}`;
+  const uploaded = await storage.save(generated.buffer, { folder, publicId, format: 'jpg' });
+  console.log(`☁️ [${prefix} ${imageNum}] Stored (${storage.name}) → ${uploaded.url}`);
+  reportProgress(onProgress, {
+    type: PROGRESS_EVENTS.UPLOAD_FINISHED,
+    tool,
+    id,
+    url: uploaded.url,
+  });
+
+  return {
+    number: imageNum,
+    imageId: generated.imageId,
+    cloudinaryUrl: uploaded.url,
+  };
+}
+
+/**
+ * Pause between generations to stay under the provider's rate limits
+ */
+export async function pauseBetweenGenerations(provider, ms) {
+  if (provider.rateLimited) {
+    await new Promise((r) => setTimeout(r, ms));
+  }
+}
+
+/**
+ * Load comic.yaml, or an empty comic when it is missing or unreadable
+ * @returns {Object} { characters, panels, ... }
+ */
+export function loadComicImages(comicPath) {
+  try {
+    if (fs.existsSync(comicPath)) {
+      const parsed = yaml.parse(fs.readFileSync(comicPath, 'utf8'));
+      return parsed || { characters: [], panels: [] };
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to load comic.yaml:', error.message);
+  }
+  return { characters: [], panels: [] };
+}
+
+/**
+ * Record generated images on their characters and panels and write comic.yaml
+ * @param {string} comicPath - comic.yaml path
+ * @param {Object} results - { characters?: [{ id, url, imageId, error? }], panels?: [...] }
+ * @param {Object} comicData - comic.yaml contents from loadComicImages
+ * @param {string} providerName - Image provider that generated them
+ */
+export async function saveImageUrls(comicPath, results, comicData, providerName) {
+  try {
+    const record = (items = [], entries = []) => {
+      items.forEach(result => {
+        if (result.error || !result.url) return;
+        const entry = entries.find(item => item.id === result.id);
+        if (entry) {
+          entry.cloudinaryUrl = result.url;
+          entry.imageId = result.imageId; // Provider image ID, reused as context on regeneration
+          entry.imageProvider = providerName;
+        }
+      });
+    };
+    record(results.characters, comicData.characters || []);
+    record(results.panels, comicData.panels || []);
+
+    await fs.writeFile(
+      comicPath,
+      yaml.stringify(comicData, {
+        indent: 2,
+        lineWidth: 120,
+        simpleKeys: false
+      })
+    );
+
+    console.log('💾 Saved image URLs to comic.yaml');
+  } catch (error) {
+    console.error('⚠️  Failed to save URLs to comic.yaml:', error.message);
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Layout validator
+ * Computes every panel rectangle of a layout on the A4 page (with calculatePanelPosition,
+ * exactly as compose_pages draws it) and reports:
+ *
+ *   error    invalid-grid       a grid-syntax layout that does not parse
+ *   error    invalid-panel      missing id, malformed size, y/h that are not numbers, unknown fit mode
+ *   error    invalid-spread     a spread panel not on an even page with a next page, or not crossing the spine
+ *   error    duplicate-id       the same panel ID twice in a layout
+ *   error    page-count         `pages` does not match the page lists
+ *   error    panels-per-page    `panels_per_page` does not match the page lists
+ *   error    out-of-bounds      a panel reaches outside the page margins
+ *   error    overlap            two panels on a page overlap
+ *   warning  gutter             two neighbouring panels are closer than the minimum gutter
+ */
+
+import { A4 } from '../../config/a4.js';
+import { calculatePanelPosition } from './panelCalculator.js';
+import { FIT_MODES } from './panelFit.js';
+import { calculateSpreadPosition, expandSpreads, layoutSpreads, splitSpreadPanel } from './spreads.js';
+
+export const DEFAULT_MIN_GUTTER = 40; // px on the A4 page (about 3.4 mm at 300 DPI)
+
+const EPSILON = 0.5; // px; ignore rounding in the hand-written fractions
+const SIZE_PATTERN = /^\d+x\d+$/;
+
+function pageNumber(pageKey) {
+  return parseInt(String(pageKey).replace('page', ''), 10);
+}
+
+/**
+ * Problems with a panel definition that would make its rectangle meaningless
+ */
+function panelDefinitionProblems(panel) {
+  const problems = [];
+  if (!panel || typeof panel.id !== 'string' || panel.id.trim() === '') problems.push('has no id');
+  if (!SIZE_PATTERN.test(String(panel?.size))) problems.push(`size "${panel?.size}" is not WIDTHxHEIGHT`);
+  if (!Number.isFinite(panel?.y)) problems.push('y is not a number');
+  if (!Number.isFinite(panel?.h) || panel.h <= 0) problems.push('h is not a positive number');
+  if (panel?.offsetX !== undefined && !Number.isFinite(panel.offsetX)) problems.push('offsetX is not a number');
+  if (panel?.align !== undefined && !['left', 'right', 'center'].includes(panel.align)) {
+    problems.push(`align "${panel.align}" is not left, right or center`);
+  }
+  if (panel?.fit !== undefined && !FIT_MODES.includes(panel.fit)) {
+    problems.push(`fit "${panel.fit}" is not ${FIT_MODES.join(', ')}`);
+  }
+  if (panel?.spread !== undefined && typeof panel.spread !== 'boolean') problems.push('spread is not true or false');
+  return problems;
+}
+
+/**
+ * Panel rectangles of a layout, by page. A spread panel appears on both of its pages
+ * (marked with `spread: 'left'` or `'right'`), each time with the part on that page.
+ * @param {Object} layout - Layout from layouts.yaml
+ * @param {Object} config - Page config (default A4)
+ * @returns {Object} { page1: [{ id, x, y, width, height, spread? }], ... } (invalid panels are left out)
+ */
+export function panelRects(layout, config = A4) {
+  const rects = {};
+  for (const [pageKey, panels] of Object.entries(expandSpreads(layout))) {
+    rects[pageKey] = panels
+      .filter(panel => panelDefinitionProblems(panel).length === 0)
+      .map(panel =>
+        panel.spreadPart
+          ? { id: panel.id, ...splitSpreadPanel(calculateSpreadPosition(config, panel), config)[panel.spreadPart].rect, spread: panel.spreadPart }
+          : { id: panel.id, ...calculatePanelPosition(config, panel) }
+      );
+  }
+  return rects;
+}
+
+/**
+ * Space between two rectangles that sit side by side or one above the other;
+ * null for diagonal neighbours, negative when they overlap
+ */
+function gutterBetween(a, b) {
+  const gapX = Math.max(a.x, b.x) - Math.min(a.x + a.width, b.x + b.width);
+  const gapY = Math.max(a.y, b.y) - Math.min(a.y + a.height, b.y + b.height);
+  if (gapX > 0 && gapY > 0) return null;
+  return Math.max(gapX, gapY);
+}
+
+/**
+ * Validate one layout
+ * @param {string} layoutKey - Layout key ('three-page-story')
+ * @param {Object} layout - Layout from layouts.yaml
+ * @param {Object} options - { config (default A4), minGutter (default 40px) }
+ * @returns {Array} Issues: [{ layout, page, panels, type, severity, message }]
+ */
+export function validateLayout(layoutKey, layout, options = {}) {
+  const config = options.config || A4;
+  const minGutter = options.minGutter ?? DEFAULT_MIN_GUTTER;
+  const issues = [];
+  const report = (severity, type, page, panels, message) =>
+    issues.push({ layout: layoutKey, page, panels, type, severity, message });
+
+  if (layout?.gridError) {
+    report('error', 'invalid-grid', null, [], layout.gridError);
+    return issues;
+  }
+  if (layout?.fit !== undefined && !FIT_MODES.includes(layout.fit)) {
+    report('error', 'invalid-panel', null, [], `fit "${layout.fit}" is not ${FIT_MODES.join(', ')}`);
+  }
+  if (layout?.spreadGutter !== undefined && !(Number.isFinite(layout.spreadGutter) && layout.spreadGutter >= 0)) {
+    report('error', 'invalid-spread', null, [], `spreadGutter "${layout.spreadGutter}" is not a number of px`);
+  }
+
+  const pageKeys = Object.keys(layout?.layouts || {}).sort((a, b) => pageNumber(a) - pageNumber(b));
+  if (pageKeys.length === 0) {
+    report('error', 'page-count', null, [], 'has no page layouts');
+    return issues;
+  }
+
+  // Page lists and counts
+  if (layout.pages !== undefined && layout.pages !== pageKeys.length) {
+    report('error', 'page-count', null, [], `declares ${layout.pages} pages but lists ${pageKeys.length} (${pageKeys.join(', ')})`);
+  }
+  pageKeys.forEach((pageKey, index) => {
+    if (pageKey !== `page${index + 1}`) {
+      report('error', 'page-count', pageKey, [], `page keys should run page1…page${pageKeys.length}; found ${pageKey}`);
+    }
+  });
+
+  const counts = pageKeys.map(pageKey => (Array.isArray(layout.layouts[pageKey]) ? layout.layouts[pageKey].length : 0));
+  if (layout.panels_per_page !== undefined) {
+    const expected = Array.isArray(layout.panels_per_page)
+      ? layout.panels_per_page
+      : pageKeys.map(() => layout.panels_per_page);
+    if (expected.length !== pageKeys.length) {
+      report('error', 'panels-per-page', null, [], `panels_per_page has ${expected.length} entries for ${pageKeys.length} pages`);
+    }
+    pageKeys.forEach((pageKey, index) => {
+      if (expected[index] !== undefined && Number(expected[index]) !== counts[index]) {
+        report('error', 'panels-per-page', pageKey, [], `panels_per_page says ${expected[index]} panels but the page lists ${counts[index]}`);
+      }
+    });
+  }
+
+  // Panel definitions and IDs
+  const seen = new Map();
+  for (const pageKey of pageKeys) {
+    const panels = Array.isArray(layout.layouts[pageKey]) ? layout.layouts[pageKey] : [];
+    panels.forEach((panel, index) => {
+      const problems = panelDefinitionProblems(panel);
+      if (problems.length > 0) {
+        report('error', 'invalid-panel', pageKey, [panel?.id || `#${index + 1}`], `panel ${panel?.id || `#${index + 1}`} ${problems.join(', ')}`);
+      }
+      if (panel?.id) {
+        if (seen.has(panel.id)) {
+          report('error', 'duplicate-id', pageKey, [panel.id], `panel ID ${panel.id} is already used on ${seen.get(panel.id)}`);
+        } else {
+          seen.set(panel.id, pageKey);
+        }
+      }
+    });
+  }
+
+  // Spreads: on a left-hand page, with a facing page, across the spine
+  for (const spread of layoutSpreads(layout)) {
+    const problems = [];
+    if (pageNumber(spread.left) % 2 !== 0) problems.push(`starts on ${spread.left}, a right-hand page (spreads start on an even page)`);
+    if (!pageKeys.includes(spread.right)) problems.push(`has no facing ${spread.right}`);
+    if (panelDefinitionProblems(spread.panel).length === 0) {
+      const rect = calculateSpreadPosition(config, spread.panel);
+      if (rect.x >= config.width || rect.x + rect.width <= config.width) problems.push('does not cross the spine');
+      if (
+        rect.x < config.margin - EPSILON ||
+        rect.x + rect.width > config.width * 2 - config.margin + EPSILON ||
+        rect.y < config.margin - EPSILON ||
+        rect.y + rect.height > config.height - config.margin + EPSILON
+      ) {
+        problems.push('reaches past the page margins');
+      }
+      if (rect.width - (layout.spreadGutter || 0) * 2 <= 0) problems.push('is narrower than the spread gutter');
+    }
+    if (problems.length > 0) {
+      report('error', 'invalid-spread', spread.left, [spread.id], `spread panel ${spread.id} ${problems.join(', ')}`);
+    }
+  }
+
+  // Geometry on the page (spread halves run to the spine, so their spine side has no margin)
+  const rects = panelRects(layout, config);
+  const bounds = { left: config.margin, top: config.margin, right: config.width - config.margin, bottom: config.height - config.margin };
+  for (const pageKey of pageKeys) {
+    const pageRects = rects[pageKey] || [];
+
+    for (const rect of pageRects.filter(rect => !rect.spread)) {
+      const outside = [
+        rect.x < bounds.left - EPSILON && `${Math.round(bounds.left - rect.x)}px past the left margin`,
+        rect.y < bounds.top - EPSILON && `${Math.round(bounds.top - rect.y)}px past the top margin`,
+        rect.x + rect.width > bounds.right + EPSILON && `${Math.round(rect.x + rect.width - bounds.right)}px past the right margin`,
+        rect.y + rect.height > bounds.bottom + EPSILON && `${Math.round(rect.y + rect.height - bounds.bottom)}px past the bottom margin`,
+      ].filter(Boolean);
+      if (outside.length > 0) {
+        report('error', 'out-of-bounds', pageKey, [rect.id], `panel ${rect.id} is off the page: ${outside.join(', ')}`);
+      }
+    }
+
+    for (let i = 0; i < pageRects.length; i++) {
+      for (let j = i + 1; j < pageRects.length; j++) {
+        const [a, b] = [pageRects[i], pageRects[j]];
+        const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (overlapX > EPSILON && overlapY > EPSILON) {
+          report('error', 'overlap', pageKey, [a.id, b.id], `panels ${a.id} and ${b.id} overlap by ${Math.round(overlapX)}x${Math.round(overlapY)}px`);
+          continue;
+        }
+
+        const gutter = gutterBetween(a, b);
+        if (gutter !== null && gutter < minGutter - EPSILON) {
+          report('warning', 'gutter', pageKey, [a.id, b.id], `panels ${a.id} and ${b.id} are ${Math.max(0, Math.round(gutter))}px apart (minimum gutter ${minGutter}px)`);
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate every layout
+ * @param {Object} layouts - Layouts by key (from loadLayouts)
+ * @param {Object} options - { config, minGutter }
+ * @returns {Object} { valid, issues, errors, warnings }
+ */
+export function validateLayouts(layouts, options = {}) {
+  const issues = Object.entries(layouts || {}).flatMap(([layoutKey, layout]) => validateLayout(layoutKey, layout, options));
+  const errors = issues.filter(issue => issue.severity === 'error');
+  return { valid: errors.length === 0, issues, errors, warnings: issues.filter(issue => issue.severity === 'warning') };
+}
+
+/**
+ * One-line description of an issue: "four-page-story page4: panels panel11 and panel12 overlap ..."
+ */
+export function formatLayoutIssue(issue) {
+  return `${issue.layout}${issue.page ? ` ${issue.page}` : ''}: ${issue.message}`;
+}
@@ -0,0 +1,177 @@
+/**
+ * Layout helpers
+ * Read page layouts from config/layouts.yaml and the layout recorded for a comic.
+ *
+ * The layout a comic uses is recorded as the top-level `layout` key of its comic.yaml
+ * (written by select_comic_layout and generate_panels) so later steps such as
+ * compose_pages use the same one.
+ *
+ * Layouts are validated when they are loaded (see layoutValidator.js); problems are
+ * logged once per version of the file.
+ *
+ * Layouts written in the grid syntax (`grid:`, see gridLayout.js) are compiled on load.
+ * A comic can also use a generated layout that is not in layouts.yaml: its grid is
+ * recorded next to the key as `layoutGrid` in comic.yaml.
+ *
+ * A page count picks a layout without double-page spreads. Spread layouts (such as
+ * `spread-story`) are only used when asked for by key: the `layout` option of
+ * select_comic_layout and generate_panels, or --layout in the pipeline.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'yaml';
+import { compileGridLayout } from './gridLayout.js';
+import { formatLayoutIssue, validateLayouts } from './layoutValidator.js';
+import { layoutSpreads } from './spreads.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const LAYOUTS_PATH = path.join(__dirname, '../../config/layouts.yaml');
+
+const reportedVersions = new Set(); // `${path}:${mtime}` of layout files already validated
+
+/**
+ * Log validation problems the first time a version of a layouts file is loaded
+ */
+function reportLayoutIssues(layoutsPath, layouts) {
+  const version = `${layoutsPath}:${fs.statSync(layoutsPath).mtimeMs}`;
+  if (reportedVersions.has(version)) return;
+  reportedVersions.add(version);
+
+  const { errors, warnings } = validateLayouts(layouts);
+  errors.forEach(issue => console.error(`❌ Layout error: ${formatLayoutIssue(issue)}`));
+  warnings.forEach(issue => console.warn(`⚠️  Layout warning: ${formatLayoutIssue(issue)}`));
+  if (errors.length > 0) {
+    console.error(`❌ ${path.basename(layoutsPath)} has ${errors.length} layout errors. Check it with: langchain-agent layouts validate`);
+  }
+}
+
+/**
+ * Load every layout from layouts.yaml (validated on first load)
+ * @param {string} layoutsPath - Layouts file (default config/layouts.yaml)
+ * @returns {Object} Layouts by key ('three-page-story', ...)
+ */
+export function loadLayouts(layoutsPath = LAYOUTS_PATH) {
+  try {
+    if (fs.existsSync(layoutsPath)) {
+      const layouts = readLayoutsFile(layoutsPath);
+      reportLayoutIssues(layoutsPath, layouts);
+      return layouts;
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to load layouts.yaml:', error.message);
+  }
+  return {};
+}
+
+/**
+ * Compile the grid-syntax layouts; a grid that does not parse keeps its `gridError`
+ * (reported by the validator) and has no pages
+ */
+function compileLayouts(layouts) {
+  return Object.fromEntries(
+    Object.entries(layouts).map(([layoutKey, layout]) => {
+      if (!layout?.grid || layout.layouts) return [layoutKey, layout];
+      try {
+        return [layoutKey, compileGridLayout(layout)];
+      } catch (error) {
+        return [layoutKey, { ...layout, gridError: error.message }];
+      }
+    })
+  );
+}
+
+/**
+ * Parse a layouts file without validating it (throws when it cannot be read)
+ */
+export function readLayoutsFile(layoutsPath = LAYOUTS_PATH) {
+  return compileLayouts(yaml.parse(fs.readFileSync(layoutsPath, 'utf8'))?.layouts || {});
+}
+
+/**
+ * Layouts available to a comic: layouts.yaml plus the generated layout recorded in its comic.yaml
+ */
+export function loadComicLayouts(comicPath) {
+  const layouts = loadLayouts();
+  try {
+    if (fs.existsSync(comicPath)) {
+      const comicData = yaml.parse(fs.readFileSync(comicPath, 'utf8')) || {};
+      if (comicData.layout && comicData.layoutGrid && !layouts[comicData.layout]) {
+        layouts[comicData.layout] = compileGridLayout({
+          name: comicData.layout,
+          template: 'story',
+          grid: comicData.layoutGrid,
+        });
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to load the layout recorded in comic.yaml:', error.message);
+  }
+  return layouts;
+}
+
+/**
+ * Find the layout for a page count, preferring one without double-page spreads
+ * @returns {Object|null} { layoutKey, layout } or null
+ */
+export function findLayoutByPageCount(layouts, pageCount) {
+  const matches = Object.entries(layouts).filter(([, layout]) => layout.pages === Number(pageCount));
+  const entry = matches.find(([, layout]) => layoutSpreads(layout).length === 0) || matches[0];
+  return entry ? { layoutKey: entry[0], layout: entry[1] } : null;
+}
+
+/**
+ * Panel IDs of a layout grouped by page, in page order: [['panel1'], ['panel2', 'panel3'], ...]
+ */
+export function layoutPageIds(layout) {
+  return Object.keys(layout?.layouts || {})
+    .sort((a, b) => parseInt(a.replace('page', ''), 10) - parseInt(b.replace('page', ''), 10))
+    .map(pageKey => (Array.isArray(layout.layouts[pageKey]) ? layout.layouts[pageKey] : []).map(panel => panel.id));
+}
+
+/**
+ * Panel IDs of a layout in page order
+ */
+export function layoutPanelIds(layout) {
+  return layoutPageIds(layout).flat();
+}
+
+/**
+ * Layout key recorded in a comic.yaml, or null
+ */
+export function readRecordedLayout(comicPath) {
+  try {
+    if (fs.existsSync(comicPath)) {
+      return yaml.parse(fs.readFileSync(comicPath, 'utf8'))?.layout || null;
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to read layout from comic.yaml:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Record the layout a comic uses in its comic.yaml (keeps everything else)
+ * @param {string} comicPath - comic.yaml path
+ * @param {string} layoutKey - Layout key
+ * @param {Object|null} grid - Grid of a generated layout that is not in layouts.yaml
+ */
+export async function recordLayout(comicPath, layoutKey, grid = null) {
+  let comicData = {};
+  if (fs.existsSync(comicPath)) {
+    comicData = yaml.parse(fs.readFileSync(comicPath, 'utf8')) || {};
+  }
+  // Keep `layout` first so it is easy to spot in the file
+  const { layout, layoutGrid, ...rest } = comicData;
+  await fs.outputFile(
+    comicPath,
+    yaml.stringify(
+      { layout: layoutKey, ...(grid && { layoutGrid: grid }), ...rest },
+      { indent: 2, lineWidth: 120, simpleKeys: false }
+    ),
+    'utf8'
+  );
+}
@@ -0,0 +1,158 @@
+/**
+ * Page themes
+ * Named page styles for compose_pages: margin, gutter, background, page and panel
+ * borders, page numbers and a running header/footer. Built-in themes live in
+ * config/themes.yaml; a project can add or override themes in its own themes.yaml.
+ * Missing settings come from the `classic` theme (the original look).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const THEMES_PATH = path.join(__dirname, '../../config/themes.yaml');
+export const DEFAULT_THEME = 'classic';
+export const PAGE_NUMBER_POSITIONS = [
+  'bottom-center',
+  'bottom-left',
+  'bottom-right',
+  'bottom-outside',
+  'top-center',
+  'top-left',
+  'top-right',
+  'top-outside',
+  'none',
+];
+
+const SECTIONS = ['background', 'pageBorder', 'panelBorder', 'pageNumber'];
+const NEIGHBOUR_RANGE = 300; // px; panels further apart than this are not neighbours
+
+/**
+ * Themes from one file, each remembering its directory (textures are relative to it)
+ */
+function readThemesFile(themesPath) {
+  if (!fs.existsSync(themesPath)) return {};
+  const themes = yaml.parse(fs.readFileSync(themesPath, 'utf8'))?.themes || {};
+  const baseDir = path.dirname(themesPath);
+  return Object.fromEntries(Object.entries(themes).map(([key, theme]) => [key, { ...theme, baseDir }]));
+}
+
+/**
+ * Every theme available to a project: config/themes.yaml, then the project's themes.yaml
+ * @param {Object} project - Project context (optional)
+ * @returns {Object} Themes by name
+ */
+export function loadThemes(project = null) {
+  const themes = readThemesFile(THEMES_PATH);
+  const projectThemesPath = project?.dir && path.join(project.dir, 'themes.yaml');
+  if (projectThemesPath && path.resolve(projectThemesPath) !== path.resolve(THEMES_PATH)) {
+    try {
+      Object.assign(themes, readThemesFile(projectThemesPath));
+    } catch (error) {
+      console.warn(`⚠️  Failed to load ${projectThemesPath}:`, error.message);
+    }
+  }
+  return themes;
+}
+
+/**
+ * A theme by name, completed with the classic settings
+ * @param {string} name - Theme name (default 'classic')
+ * @param {Object} project - Project context (optional)
+ * @returns {Object} { key, name, margin, gutter, background, pageBorder, panelBorder, pageNumber, header, footer, baseDir }
+ */
+export function resolveTheme(name = DEFAULT_THEME, project = null) {
+  const themes = loadThemes(project);
+  const theme = themes[name];
+  if (!theme) {
+    throw new Error(`Unknown theme "${name}". Available themes: ${Object.keys(themes).join(', ')}`);
+  }
+
+  const base = themes[DEFAULT_THEME] || {};
+  const resolved = { ...base, header: null, footer: null, ...theme, key: name };
+  for (const section of SECTIONS) {
+    resolved[section] = { ...base[section], ...theme[section] };
+  }
+  if (!PAGE_NUMBER_POSITIONS.includes(resolved.pageNumber.position)) {
+    throw new Error(`Theme "${name}": page number position must be one of ${PAGE_NUMBER_POSITIONS.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Fill in "{title}", "{page}" and "{pages}"
+ */
+export function formatThemeText(template, values) {
+  return String(template ?? '').replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match).toString());
+}
+
+/**
+ * Where to draw the page number (outside = right on odd pages, left on even pages)
+ * @param {string} position - One of PAGE_NUMBER_POSITIONS
+ * @param {number} pageNumber - Page number
+ * @param {Object} config - Page config { width, height, margin }
+ * @returns {Object|null} { x, y, align } with y in the middle of the margin, or null for 'none'
+ */
+export function pageNumberPlacement(position, pageNumber, config) {
+  if (position === 'none') return null;
+  const [edge, side] = position.split('-');
+  const horizontal = side === 'outside' ? (pageNumber % 2 === 1 ? 'right' : 'left') : side;
+  const inset = Math.max(config.margin, 40);
+  return {
+    x: horizontal === 'left' ? inset : horizontal === 'right' ? config.width - inset : config.width / 2,
+    y: edge === 'top' ? config.margin / 2 : config.height - config.margin / 2,
+    align: horizontal,
+  };
+}
+
+/**
+ * Nearest panel facing one side of a rectangle, as the gap to it
+ */
+function nearestGap(rect, others, side) {
+  let nearest = null;
+  for (const other of others) {
+    const horizontal = side === 'left' || side === 'right';
+    const overlap = horizontal
+      ? Math.min(rect.y + rect.height, other.y + other.height) - Math.max(rect.y, other.y)
+      : Math.min(rect.x + rect.width, other.x + other.width) - Math.max(rect.x, other.x);
+    if (overlap <= 1) continue;
+
+    const gap = {
+      left: rect.x - (other.x + other.width),
+      right: other.x - (rect.x + rect.width),
+      top: rect.y - (other.y + other.height),
+      bottom: other.y - (rect.y + rect.height),
+    }[side];
+    if (gap >= -1 && gap <= NEIGHBOUR_RANGE && (nearest === null || gap < nearest)) nearest = gap;
+  }
+  return nearest;
+}
+
+/**
+ * Move the facing edges of neighbouring panels so they are `gutter` px apart
+ * (outer edges stay where the layout put them)
+ * @param {Array} rects - [{ id, x, y, width, height }] on one page
+ * @param {number} gutter - Space between neighbouring panels in px
+ * @returns {Array} Adjusted rectangles
+ */
+export function applyGutter(rects, gutter) {
+  return rects.map(rect => {
+    const others = rects.filter(other => other !== rect);
+    const shift = side => {
+      const gap = nearestGap(rect, others, side);
+      return gap === null ? 0 : (gutter - gap) / 2;
+    };
+    const [left, right, top, bottom] = ['left', 'right', 'top', 'bottom'].map(shift);
+    return {
+      ...rect,
+      x: rect.x + left,
+      y: rect.y + top,
+      width: Math.max(1, rect.width - left - right),
+      height: Math.max(1, rect.height - top - bottom),
+    };
+  });
+}
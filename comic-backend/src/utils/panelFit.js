@@ -0,0 +1,100 @@
+/**
+ * Panel fitting
+ * How a panel image is drawn into its layout slot when their aspect ratios differ:
+ *
+ *   focus    fill the slot, cropping around the panel's focal point (default; centred when unknown)
+ *   cover    fill the slot, cropping evenly from both sides
+ *   contain  show the whole image, letterboxed inside the slot
+ *   stretch  scale to the slot regardless of aspect ratio
+ */
+
+export const FIT_MODES = ['focus', 'cover', 'contain', 'stretch'];
+export const DEFAULT_FIT = 'focus';
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+/**
+ * Centre of the points as fractions of the image (the middle of their bounding box,
+ * so every point stays in view when the crop is wide enough)
+ */
+function boxCentre(points, width, height) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  return {
+    x: clamp01((Math.min(...xs) + Math.max(...xs)) / 2 / width),
+    y: clamp01((Math.min(...ys) + Math.max(...ys)) / 2 / height),
+  };
+}
+
+const isPoint = point => Number.isFinite(point?.x) && Number.isFinite(point?.y);
+
+/**
+ * Focal point of a panel image, as fractions of its width and height:
+ * explicit `focus` → faces found by the vision tool (`characterPositions`) → speech tail points
+ * @param {Object} comicPanel - Panel from comic.yaml
+ * @param {Object} imageSize - { width, height } the vision coordinates refer to (default: the panel's width/height)
+ * @returns {Object|null} { x, y, source } or null when nothing is known
+ */
+export function panelFocalPoint(comicPanel, imageSize = {}) {
+  if (!comicPanel) return null;
+  if (isPoint(comicPanel.focus)) {
+    return { x: clamp01(comicPanel.focus.x), y: clamp01(comicPanel.focus.y), source: 'focus' };
+  }
+
+  const width = comicPanel.width || imageSize.width;
+  const height = comicPanel.height || imageSize.height;
+  if (!(width > 0 && height > 0)) return null;
+
+  const faces = (comicPanel.characterPositions || []).map(character => character?.face).filter(isPoint);
+  if (faces.length > 0) {
+    return { ...boxCentre(faces, width, height), source: 'characters' };
+  }
+
+  const tails = (comicPanel.textPlacements || [])
+    .filter(placement => placement?.type === 'speech')
+    .map(placement => placement.tail)
+    .filter(isPoint);
+  if (tails.length > 0) {
+    return { ...boxCentre(tails, width, height), source: 'speech tails' };
+  }
+  return null;
+}
+
+/**
+ * Source and target rectangles for drawing an image into a slot
+ * (for ctx.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh))
+ * @param {Object} image - { width, height } of the image
+ * @param {Object} slot - { x, y, width, height } on the page
+ * @param {Object} options - { fit (see FIT_MODES), focus: { x, y } as fractions }
+ * @returns {Object} { source: { x, y, width, height }, target: { x, y, width, height } }
+ */
+export function fitPanelImage(image, slot, options = {}) {
+  const fit = options.fit || DEFAULT_FIT;
+  if (!FIT_MODES.includes(fit)) {
+    throw new Error(`Unknown fit mode "${fit}". Use one of: ${FIT_MODES.join(', ')}`);
+  }
+  const whole = { x: 0, y: 0, width: image.width, height: image.height };
+  if (fit === 'stretch') {
+    return { source: whole, target: { ...slot } };
+  }
+
+  const imageRatio = image.width / image.height;
+  const slotRatio = slot.width / slot.height;
+
+  if (fit === 'contain') {
+    const width = imageRatio > slotRatio ? slot.width : slot.height * imageRatio;
+    const height = imageRatio > slotRatio ? slot.width / imageRatio : slot.height;
+    return {
+      source: whole,
+      target: { x: slot.x + (slot.width - width) / 2, y: slot.y + (slot.height - height) / 2, width, height },
+    };
+  }
+
+  // cover / focus: the largest part of the image with the slot's aspect ratio
+  const width = imageRatio > slotRatio ? image.height * slotRatio : image.width;
+  const height = imageRatio > slotRatio ? image.height : image.width / slotRatio;
+  const focus = fit === 'focus' && isPoint(options.focus) ? options.focus : { x: 0.5, y: 0.5 };
+  const x = Math.min(image.width - width, Math.max(0, focus.x * image.width - width / 2));
+  const y = Math.min(image.height - height, Math.max(0, focus.y * image.height - height / 2));
+  return { source: { x, y, width, height }, target: { ...slot } };
+}
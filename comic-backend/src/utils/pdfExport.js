@@ -0,0 +1,210 @@
+/**
+ * Print-ready PDF export
+ * Builds a multi-page PDF from composed page images with pdf-lib:
+ *
+ *   MediaBox  trim + bleed + slug (room for crop marks and the slug line)
+ *   BleedBox  trim + bleed        page art is scaled to cover this box
+ *   TrimBox   final cut size
+ *
+ * Page art is resampled to the target DPI over the bleed box, so printers get
+ * exactly e.g. 300 DPI. The two halves of a spread are joined and cut again across the
+ * fold, so each half bleeds into the art of its facing page instead of losing the edge at
+ * the spine; PDFs with spreads open two pages at a time. Text drawn in the PDF (slug lines) uses the embedded lettering
+ * font from config/font, so nothing depends on the printer's fonts.
+ */
+
+import fontkit from '@pdf-lib/fontkit';
+import fs from 'fs-extra';
+import path from 'path';
+import { PDFDocument, PDFName, cmyk } from 'pdf-lib';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { joinSpreadImages } from './composedPages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const POINTS_PER_INCH = 72;
+const MM_PER_INCH = 25.4;
+
+export const LETTERING_FONT_PATH = path.join(__dirname, '../../config/font/ACMESecretAgentBB_Reg.otf');
+
+/**
+ * Trim sizes in points, with the bleed printers usually ask for
+ */
+export const TRIM_SIZES = {
+  a4: { name: 'A4', width: (210 / MM_PER_INCH) * POINTS_PER_INCH, height: (297 / MM_PER_INCH) * POINTS_PER_INCH, bleedMm: 3 },
+  'us-comic': { name: 'US comic 6.625x10.25in', width: 6.625 * POINTS_PER_INCH, height: 10.25 * POINTS_PER_INCH, bleedMm: 3.175 },
+};
+
+const CROP_MARK_LENGTH = 18; // 0.25in
+const CROP_MARK_GAP = 3; // Keep marks clear of the bleed
+const SLUG_SPACE = 12; // Room for the slug line beyond the marks
+
+export const mmToPoints = (mm) => (mm / MM_PER_INCH) * POINTS_PER_INCH;
+
+/**
+ * Resample a page to exactly cover the bleed box at the target DPI
+ * @returns {Promise<Object>} { jpeg, effectiveDpi }
+ */
+async function preparePageImage(buffer, widthPt, heightPt, dpi) {
+  const targetWidth = Math.round((widthPt / POINTS_PER_INCH) * dpi);
+  const targetHeight = Math.round((heightPt / POINTS_PER_INCH) * dpi);
+  const { width, height } = await sharp(buffer).metadata();
+  const scale = Math.max(targetWidth / width, targetHeight / height);
+
+  const jpeg = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .resize(targetWidth, targetHeight, { fit: 'cover', position: 'centre' })
+    .withMetadata({ density: dpi })
+    .jpeg({ quality: 92, chromaSubsampling: '4:4:4' })
+    .toBuffer();
+
+  return { jpeg, effectiveDpi: Math.round(dpi / scale) };
+}
+
+/**
+ * Join the halves of a spread and cut the two bleed boxes out of it: outer edges get
+ * bleed as usual, and at the fold each page runs on into its facing page's art
+ * @returns {Promise<Array>} [left, right], each { jpeg, effectiveDpi }
+ */
+async function prepareSpreadImages(leftBuffer, rightBuffer, trim, bleed, dpi) {
+  const toPixels = points => Math.round((points / POINTS_PER_INCH) * dpi);
+  const joined = await joinSpreadImages(leftBuffer, rightBuffer);
+
+  const spreadWidth = toPixels(trim.width * 2 + bleed * 2);
+  const spreadHeight = toPixels(trim.height + bleed * 2);
+  const resampled = await sharp(joined.buffer).resize(spreadWidth, spreadHeight, { fit: 'cover', position: 'centre' }).png().toBuffer();
+  const effectiveDpi = Math.round(dpi / Math.max(spreadWidth / joined.width, spreadHeight / joined.height));
+
+  const pageWidth = toPixels(trim.width + bleed * 2);
+  return Promise.all(
+    [0, spreadWidth - pageWidth].map(async offset => ({
+      jpeg: await sharp(resampled)
+        .extract({ left: offset, top: 0, width: pageWidth, height: spreadHeight })
+        .withMetadata({ density: dpi })
+        .jpeg({ quality: 92, chromaSubsampling: '4:4:4' })
+        .toBuffer(),
+      effectiveDpi,
+    }))
+  );
+}
+
+/**
+ * Draw crop marks at the four trim corners, outside the bleed
+ */
+function drawCropMarks(page, trimBox, bleed) {
+  const color = cmyk(1, 1, 1, 1); // Registration: shows on every plate
+  const offset = bleed + CROP_MARK_GAP;
+  const { x, y, width, height } = trimBox;
+  const line = (start, end) => page.drawLine({ start, end, thickness: 0.25, color });
+
+  for (const cornerX of [x, x + width]) {
+    for (const cornerY of [y, y + height]) {
+      const dirX = cornerX === x ? -1 : 1;
+      const dirY = cornerY === y ? -1 : 1;
+      // Horizontal mark in line with the trim edge, then the vertical one
+      line({ x: cornerX + dirX * offset, y: cornerY }, { x: cornerX + dirX * (offset + CROP_MARK_LENGTH), y: cornerY });
+      line({ x: cornerX, y: cornerY + dirY * offset }, { x: cornerX, y: cornerY + dirY * (offset + CROP_MARK_LENGTH) });
+    }
+  }
+}
+
+/**
+ * Build a print-ready PDF
+ * @param {Array} pageImages - Composed pages in reading order (PNG or JPEG buffers; null for a blank page)
+ * @param {Object} options
+ * @param {string} options.trimSize - 'a4' or 'us-comic'
+ * @param {number} options.bleedMm - Bleed on each side (default: usual bleed for the trim size)
+ * @param {boolean} options.cropMarks - Draw crop marks and a slug line (default true)
+ * @param {number} options.dpi - Resolution of the page art (default 300)
+ * @param {string} options.title - Document title
+ * @param {string[]} options.authors - Document authors
+ * @param {Date} options.creationDate - Defaults to now
+ * @param {Array} options.spreads - [[leftIndex, rightIndex]] pages that are the two halves of a spread
+ * @returns {Promise<Object>} { bytes, pageCount, trimSize, bleedMm, dpi, spreads, warnings }
+ */
+export async function buildPrintPdf(pageImages, options = {}) {
+  const trimKey = options.trimSize || 'a4';
+  const trim = TRIM_SIZES[trimKey];
+  if (!trim) {
+    throw new Error(`Unknown trim size "${trimKey}". Use one of: ${Object.keys(TRIM_SIZES).join(', ')}`);
+  }
+  if (pageImages.length === 0) {
+    throw new Error('No pages to export');
+  }
+
+  const bleedMm = options.bleedMm ?? trim.bleedMm;
+  const bleed = mmToPoints(bleedMm);
+  const cropMarks = options.cropMarks !== false;
+  const dpi = options.dpi || 300;
+  const title = options.title || 'Comic';
+  const authors = options.authors || [];
+  const creationDate = options.creationDate || new Date();
+
+  const margin = bleed + (cropMarks ? CROP_MARK_GAP + CROP_MARK_LENGTH + SLUG_SPACE : 0);
+  const trimBox = { x: margin, y: margin, width: trim.width, height: trim.height };
+  const bleedBox = { x: margin - bleed, y: margin - bleed, width: trim.width + 2 * bleed, height: trim.height + 2 * bleed };
+
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  const font = await pdf.embedFont(await fs.readFile(LETTERING_FONT_PATH), { subset: true });
+
+  pdf.setTitle(title, { showInWindowTitleBar: true });
+  if (authors.length > 0) pdf.setAuthor(authors.join(', '));
+  pdf.setSubject(`${title} (${trim.name}, ${bleedMm}mm bleed)`);
+  pdf.setKeywords(['comic', trimKey, `${dpi}dpi`]);
+  pdf.setCreator('Comic Generation Agent');
+  pdf.setProducer('pdf-lib');
+  pdf.setCreationDate(creationDate);
+  pdf.setModificationDate(creationDate);
+
+  // Spread halves are prepared together; viewers then show facing pages side by side
+  const spreads = options.spreads || [];
+  const spreadImages = new Map();
+  for (const [leftIndex, rightIndex] of spreads) {
+    const [left, right] = await prepareSpreadImages(pageImages[leftIndex], pageImages[rightIndex], trim, bleed, dpi);
+    spreadImages.set(leftIndex, left).set(rightIndex, right);
+  }
+  if (spreads.length > 0) {
+    pdf.catalog.set(PDFName.of('PageLayout'), PDFName.of('TwoPageRight'));
+  }
+
+  const warnings = [];
+  for (let i = 0; i < pageImages.length; i++) {
+    const page = pdf.addPage([trim.width + 2 * margin, trim.height + 2 * margin]);
+    page.setBleedBox(bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height);
+    page.setTrimBox(trimBox.x, trimBox.y, trimBox.width, trimBox.height);
+
+    if (pageImages[i]) {
+      const { jpeg, effectiveDpi } =
+        spreadImages.get(i) || (await preparePageImage(pageImages[i], bleedBox.width, bleedBox.height, dpi));
+      if (effectiveDpi < dpi * 0.9) {
+        warnings.push(`Page ${i + 1} was upscaled: the source is only ${effectiveDpi} DPI at this trim size`);
+      }
+      const image = await pdf.embedJpg(jpeg);
+      page.drawImage(image, bleedBox);
+    }
+
+    if (cropMarks) {
+      drawCropMarks(page, trimBox, bleed);
+      page.drawText(`${title} - page ${i + 1}/${pageImages.length} - ${trim.name} - bleed ${bleedMm}mm - ${dpi} DPI`, {
+        x: trimBox.x,
+        y: 4,
+        size: 6,
+        font,
+        color: cmyk(0, 0, 0, 1),
+      });
+    }
+  }
+
+  return {
+    bytes: await pdf.save(),
+    pageCount: pageImages.length,
+    trimSize: trimKey,
+    bleedMm,
+    dpi,
+    spreads: spreads.length,
+    warnings,
+  };
+}
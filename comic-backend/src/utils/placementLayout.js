@@ -0,0 +1,233 @@
+/**
+ * Placement layout
+ * A deterministic clean-up of the vision tool's text placements, run once every bubble, caption
+ * and title has been fitted (so each has a measured `size`):
+ *
+ *   1. boxes are clamped inside the panel
+ *   2. in reading order, a box that overlaps one placed before it, or covers a character's face,
+ *      moves to the nearest clear spot - below or right of the earlier boxes when it can, so the
+ *      reading order still reads
+ *   3. a speech tail that would cross another bubble is bent around it (tail.bend, see utils/bubbleShapes.js)
+ *
+ * Every change is recorded as a fix, type being one of LAYOUT_FIX_TYPES: { type, from, to } positions for a
+ * box that moved (or, for 'unresolved', could not find a clear spot), { type, tip, bend } for a bent tail.
+ * Sound effects are left alone: they are kept off faces by utils/soundEffects.js and drawn behind the bubbles.
+ */
+
+import { bubbleTail } from './bubbleShapes.js';
+
+export const LAYOUT_FIX_TYPES = ['clamped', 'separated', 'moved-off-face', 'tail-rerouted', 'unresolved'];
+
+const EDGE_MARGIN = 10;
+const BUBBLE_GAP = 12;
+const SEARCH_STEP = 16;
+const FACE_RADIUS_FRACTION = 0.1; // of the panel's shorter side, when a character has no face box
+const TAIL_SAMPLES = 24;
+
+const round = point => ({ x: Math.round(point.x), y: Math.round(point.y) });
+
+/**
+ * Box a fitted placement covers: { x, y, width, height }
+ * Titles are centred on position.x; everything else has position at its top-left corner
+ * @param {Object} placement - { type, position, size: { width, height } }
+ */
+export function elementBox(placement) {
+  const { position, size } = placement;
+  const x = placement.type === 'title' ? position.x - size.width / 2 : position.x;
+  return { x, y: position.y, width: size.width, height: size.height };
+}
+
+/**
+ * Placement position that puts the element at a box (the inverse of elementBox)
+ */
+export function positionForBox(placement, box) {
+  const x = placement.type === 'title' ? box.x + box.width / 2 : box.x;
+  return round({ x, y: box.y });
+}
+
+/**
+ * Boxes the text should stay off: each character's face box, or a square around the face centre
+ * @param {Array} characters - The vision tool's characters: [{ name, face: { x, y }, box? }]
+ */
+export function faceBoxes(characters, frame) {
+  const radius = Math.min(frame.width, frame.height) * FACE_RADIUS_FRACTION;
+  return (characters || []).flatMap(character => {
+    const { box, face } = character || {};
+    if (box && [box.x, box.y, box.width, box.height].every(Number.isFinite)) {
+      return [{ x: box.x, y: box.y, width: box.width, height: box.height }];
+    }
+    if (Number.isFinite(face?.x) && Number.isFinite(face?.y)) {
+      return [{ x: face.x - radius, y: face.y - radius, width: radius * 2, height: radius * 2 }];
+    }
+    return [];
+  });
+}
+
+function overlaps(a, b, gap = 0) {
+  return a.x < b.x + b.width + gap && b.x < a.x + a.width + gap && a.y < b.y + b.height + gap && b.y < a.y + a.height + gap;
+}
+
+function clampBox(box, frame) {
+  const clampAxis = (start, length, limit) =>
+    length + EDGE_MARGIN * 2 >= limit ? EDGE_MARGIN : Math.min(Math.max(start, EDGE_MARGIN), limit - EDGE_MARGIN - length);
+  return { ...box, x: clampAxis(box.x, box.width, frame.width), y: clampAxis(box.y, box.height, frame.height) };
+}
+
+/**
+ * Whether box a would be read before box b: wholly above it, or higher and wholly to its left
+ */
+function readsBefore(a, b) {
+  return a.y + a.height <= b.y || (a.y < b.y && a.x + a.width <= b.x);
+}
+
+/**
+ * Nearest clamped spot around a box that passes the check, searching rings outwards
+ */
+function nearestClearBox(box, frame, isClear) {
+  const rings = Math.ceil(Math.max(frame.width, frame.height) / SEARCH_STEP);
+  for (let ring = 1; ring <= rings; ring++) {
+    const count = ring * 8;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      const candidate = clampBox(
+        { ...box, x: box.x + Math.cos(angle) * ring * SEARCH_STEP, y: box.y + Math.sin(angle) * ring * SEARCH_STEP },
+        frame
+      );
+      if (isClear(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Settle one box against the boxes placed before it and the faces
+ * Tries, in turn: clear of everything in reading order, clear of everything, clear of the other text only
+ * @returns {Object} { box, type } - type is the fix applied, or null when the box could stay
+ */
+function settleBox(box, frame, placed, faces) {
+  const hitsText = candidate => placed.some(other => overlaps(candidate, other, BUBBLE_GAP));
+  const hitsFace = candidate => faces.some(face => overlaps(candidate, face));
+  const inOrder = candidate => !placed.some(other => readsBefore(candidate, other));
+  if (!hitsText(box) && !hitsFace(box)) return { box, type: null };
+
+  const type = hitsText(box) ? 'separated' : 'moved-off-face';
+  const attempts = [
+    candidate => !hitsText(candidate) && !hitsFace(candidate) && inOrder(candidate),
+    candidate => !hitsText(candidate) && !hitsFace(candidate),
+    candidate => !hitsText(candidate),
+  ];
+  for (const isClear of attempts) {
+    const found = nearestClearBox(box, frame, isClear);
+    if (found) return { box: found, type };
+  }
+  return { box, type: 'unresolved' };
+}
+
+/**
+ * Whether a tail would cross another box, or leave the panel
+ */
+function tailCrosses(start, bend, tip, own, others, frame) {
+  const control = bend || { x: (start.x + tip.x) / 2, y: (start.y + tip.y) / 2 };
+  for (let i = 1; i < TAIL_SAMPLES; i++) {
+    const t = i / TAIL_SAMPLES;
+    const point = {
+      x: (1 - t) ** 2 * start.x + 2 * (1 - t) * t * control.x + t * t * tip.x,
+      y: (1 - t) ** 2 * start.y + 2 * (1 - t) * t * control.y + t * t * tip.y,
+    };
+    if (point.x < 0 || point.y < 0 || point.x > frame.width || point.y > frame.height) return true;
+    const dot = { ...point, width: 0, height: 0 };
+    // The part of the tail inside its own bubble is hidden by the bubble's fill
+    if (overlaps(dot, own)) continue;
+    if (others.some(other => overlaps(dot, other))) return true;
+  }
+  return false;
+}
+
+/**
+ * Bend a tail around the bubbles it would cross
+ * The curve's midpoint is pushed sideways, further each try, alternating sides
+ * @returns {Object|null} The control point { x, y }, or null when the straight tail is clear or no bend clears it
+ */
+function rerouteTail(placement, box, others, frame) {
+  const tail = bubbleTail(placement.style, box, placement.tail, frame);
+  if (!tail) return null;
+  const start = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  const { tip } = tail;
+  if (!tailCrosses(start, null, tip, box, others, frame)) return null;
+
+  const length = Math.hypot(tip.x - start.x, tip.y - start.y);
+  if (length === 0) return null;
+  const normal = { x: -(tip.y - start.y) / length, y: (tip.x - start.x) / length };
+  const middle = { x: (start.x + tip.x) / 2, y: (start.y + tip.y) / 2 };
+  for (const offset of [0.25, 0.5, 0.75, 1]) {
+    for (const side of [1, -1]) {
+      const through = {
+        x: middle.x + normal.x * offset * length * side,
+        y: middle.y + normal.y * offset * length * side,
+      };
+      // A quadratic passes through `through` at its midpoint when the control point is twice as far out
+      const bend = round({ x: 2 * through.x - middle.x, y: 2 * through.y - middle.y });
+      if (!tailCrosses(start, bend, tip, box, others, frame)) return bend;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lay out a panel's fitted text placements
+ * @param {Array} placements - Vision tool placements; those with a `size` ({ width, height }, set when the text
+ *   was fitted) are laid out, the rest (sound effects, unfitted text) pass through unchanged
+ * @param {Object} options - frame: { width, height } of the panel; characters: the vision tool's characters
+ *   ([{ name, face: { x, y }, box? }])
+ * @returns {Object} { placements, fixes } - placements in their original order, each laid-out one with its
+ *   own `fixes`; fixes: every fix applied, with the placement's text
+ */
+export function resolvePlacementLayout(placements, { frame, characters = [] }) {
+  const faces = faceBoxes(characters, frame);
+  const result = placements.map(placement => ({ ...placement }));
+  const laidOut = result
+    .map((placement, index) => ({ placement, index }))
+    .filter(({ placement }) => placement.type !== 'sfx' && placement.size && placement.position)
+    .sort(
+      (a, b) =>
+        (a.placement.readingOrder ?? Infinity) - (b.placement.readingOrder ?? Infinity) || a.index - b.index
+    );
+
+  const fixes = [];
+  const record = (placement, fix) => {
+    placement.fixes = [...(placement.fixes || []), fix];
+    fixes.push({ ...fix, text: placement.text });
+  };
+
+  // Clamp to the panel, then settle each box against those read before it
+  const placed = [];
+  for (const { placement } of laidOut) {
+    const original = placement.position;
+    const given = elementBox(placement);
+    const clamped = clampBox(given, frame);
+    if (clamped.x !== given.x || clamped.y !== given.y) {
+      record(placement, { type: 'clamped', from: round(original), to: positionForBox(placement, clamped) });
+    }
+
+    const { box, type } = settleBox(clamped, frame, placed, faces);
+    if (type) {
+      record(placement, { type, from: positionForBox(placement, clamped), to: positionForBox(placement, box) });
+    }
+    placement.position = positionForBox(placement, box);
+    placed.push(box);
+  }
+
+  // Bend speech tails around the other bubbles, now that every box is settled
+  laidOut.forEach(({ placement }, i) => {
+    if (placement.type !== 'speech' || !placement.tail) return;
+    const box = placed[i];
+    const others = placed.filter((_, j) => j !== i);
+    // A bend from an earlier layout is worked out again
+    const { bend: _, ...tail } = placement.tail;
+    const bend = rerouteTail({ ...placement, tail }, box, others, frame);
+    placement.tail = bend ? { ...tail, bend } : tail;
+    if (bend) record(placement, { type: 'tail-rerouted', tip: round(tail), bend });
+  });
+
+  return { placements: result, fixes };
+}
@@ -0,0 +1,36 @@
+/**
+ * Progress reporting for long-running tool runs
+ *
+ * Tools receive an optional onProgress callback and report plain event objects:
+ *   { type: 'tool_started',        tool }
+ *   { type: 'generation_started',  tool, kind, id }
+ *   { type: 'poll_status',         tool, id, status, elapsedSeconds }
+ *   { type: 'upload_finished',     tool, id, url }
+ *   { type: 'failure',             tool, id?, error }
+ *   { type: 'tool_finished',       tool, success }
+ */
+
+export const PROGRESS_EVENTS = {
+  TOOL_STARTED: 'tool_started',
+  GENERATION_STARTED: 'generation_started',
+  POLL_STATUS: 'poll_status',
+  UPLOAD_FINISHED: 'upload_finished',
+  FAILURE: 'failure',
+  TOOL_FINISHED: 'tool_finished',
+};
+
+/**
+ * Send a progress event to the callback, if there is one.
+ * A failing callback must never break the tool run, so errors are only logged.
+ * @param {Function|null} onProgress - Progress callback
+ * @param {Object} event - Event with at least a `type`
+ */
+export function reportProgress(onProgress, event) {
+  if (typeof onProgress !== 'function') return;
+
+  try {
+    onProgress({ ...event, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.warn('⚠️  Progress handler failed:', error.message);
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Project Store - one workspace directory per comic
+ *
+ * Layout on disk:
+ *   projects/<id>/project.json     metadata (id, name, timestamps)
+ *   projects/<id>/comic.yaml       characters, panels, dialogue, placements
+ *   projects/<id>/characters.yaml  character_config + generated characters
+ *   projects/<id>/assets/          rendered images (panels with text, pages)
+ *   projects/<id>/pipeline.json    checkpoint of the last full pipeline run
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_DIR = path.join(__dirname, '../../config');
+const DEFAULT_PROJECTS_DIR = path.join(__dirname, '../../projects');
+const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * Build the file paths for a project directory
+ * @param {string} id - Project ID
+ * @param {string} dir - Project directory
+ * @returns {Object} Project context { id, dir, comicPath, charactersPath, assetsDir, pipelinePath, cloudFolder }
+ */
+function buildContext(id, dir) {
+  return {
+    id,
+    dir,
+    comicPath: path.join(dir, 'comic.yaml'),
+    charactersPath: path.join(dir, 'characters.yaml'),
+    assetsDir: path.join(dir, 'assets'),
+    pipelinePath: path.join(dir, 'pipeline.json'),
+    cloudFolder: `comic/projects/${id}`,
+  };
+}
+
+/**
+ * Legacy context pointing at the shared config/comic.yaml.
+ * Used when a tool is created without a project.
+ */
+export function defaultProjectContext() {
+  return {
+    id: null,
+    dir: CONFIG_DIR,
+    comicPath: path.join(CONFIG_DIR, 'comic.yaml'),
+    charactersPath: path.join(CONFIG_DIR, 'characters.yaml'),
+    assetsDir: path.join(__dirname, '../../outputs'),
+    pipelinePath: path.join(__dirname, '../../outputs/pipeline.json'),
+    cloudFolder: 'comic',
+  };
+}
+
+/**
+ * Turn a project name into a URL-safe slug
+ */
+function slugify(name) {
+  return (name || 'comic')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 40) || 'comic';
+}
+
+export class ProjectStore {
+  constructor(rootDir = process.env.COMIC_PROJECTS_DIR || DEFAULT_PROJECTS_DIR) {
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Resolve the directory for a project ID, rejecting anything that could escape rootDir
+   */
+  getProjectDir(id) {
+    if (typeof id !== 'string' || !PROJECT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid project ID: ${id}`);
+    }
+    return path.join(this.rootDir, id);
+  }
+
+  exists(id) {
+    try {
+      return fs.existsSync(path.join(this.getProjectDir(id), 'project.json'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a new empty project
+   * @param {string} name - Human readable project name
+   * @returns {Promise<Object>} Project metadata
+   */
+  async create(name = 'Untitled Comic') {
+    let id = `${slugify(name)}-${crypto.randomBytes(3).toString('hex')}`;
+    while (this.exists(id)) {
+      id = `${slugify(name)}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    const dir = this.getProjectDir(id);
+    const context = buildContext(id, dir);
+    await fs.ensureDir(context.assetsDir);
+
+    const now = new Date().toISOString();
+    const meta = { id, name, createdAt: now, updatedAt: now };
+    await fs.writeJson(path.join(dir, 'project.json'), meta, { spaces: 2 });
+
+    console.log(`✓ Created project ${id}`);
+    return meta;
+  }
+
+  /**
+   * List all projects, most recently updated first
+   * @returns {Promise<Array>} Project metadata list
+   */
+  async list() {
+    if (!fs.existsSync(this.rootDir)) {
+      return [];
+    }
+
+    const entries = await fs.readdir(this.rootDir);
+    const projects = [];
+    for (const entry of entries) {
+      const metaPath = path.join(this.rootDir, entry, 'project.json');
+      if (!fs.existsSync(metaPath)) continue;
+      try {
+        projects.push(await fs.readJson(metaPath));
+      } catch (error) {
+        console.warn(`⚠️  Failed to read project ${entry}:`, error.message);
+      }
+    }
+
+    return projects.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  /**
+   * Read project metadata
+   */
+  async get(id) {
+    if (!this.exists(id)) {
+      throw new Error(`Project "${id}" not found`);
+    }
+    return fs.readJson(path.join(this.getProjectDir(id), 'project.json'));
+  }
+
+  /**
+   * Open a project and return the context the tools work against
+   * @param {string} id - Project ID
+   * @returns {Promise<Object>} Project context with metadata
+   */
+  async open(id) {
+    const meta = await this.get(id);
+    const context = buildContext(id, this.getProjectDir(id));
+    await fs.ensureDir(context.assetsDir);
+    return { ...context, name: meta.name };
+  }
+
+  /**
+   * Bump updatedAt after a tool wrote to the project
+   */
+  async touch(id) {
+    const meta = await this.get(id);
+    meta.updatedAt = new Date().toISOString();
+    await fs.writeJson(path.join(this.getProjectDir(id), 'project.json'), meta, { spaces: 2 });
+    return meta;
+  }
+
+  /**
+   * Copy a project (data and assets) under a new ID
+   * @param {string} id - Source project ID
+   * @param {string} name - Optional name for the copy
+   * @returns {Promise<Object>} Metadata of the new project
+   */
+  async duplicate(id, name = null) {
+    const source = await this.get(id);
+    const copy = await this.create(name || `${source.name} (copy)`);
+    const sourceDir = this.getProjectDir(id);
+    const targetDir = this.getProjectDir(copy.id);
+
+    await fs.copy(sourceDir, targetDir, {
+      overwrite: true,
+      filter: (src) => path.basename(src) !== 'project.json',
+    });
+
+    console.log(`✓ Duplicated project ${id} → ${copy.id}`);
+    return copy;
+  }
+
+  /**
+   * Delete a project and everything in it
+   */
+  async delete(id) {
+    if (!this.exists(id)) {
+      throw new Error(`Project "${id}" not found`);
+    }
+    await fs.remove(this.getProjectDir(id));
+    console.log(`✓ Deleted project ${id}`);
+    return { id, deleted: true };
+  }
+}
@@ -6,6 +6,16 @@
 import path from "path";
 import { FontLibrary } from "skia-canvas";
 import { fileURLToPath } from "url";
+import {
+  DEFAULT_BUBBLE_STYLE,
+  bubbleOutline,
+  bubbleSize,
+  bubbleStyleSettings,
+  bubbleTail,
+  normalizeBubbleStyle,
+} from "./bubbleShapes.js";
+import { DEFAULT_SFX_COLORS, DEFAULT_SFX_SKEW, SFX_FONT_STYLE } from "./soundEffects.js";
+import { TEXT_FIT_DEFAULTS, fitText, placementSpace } from "./textFit.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,269 +31,318 @@ try {
   console.warn("⚠️ Could not load comic fonts:", err.message);
 }
 
+// Narration box padding around the text
+const NARRATION_PADDING_X = 20;
+const NARRATION_PADDING_Y = 15;
+
+const speechFont = (fontStyle) => (size) => `${fontStyle} ${size}px "ACME Secret Agent", "Comic Sans MS", cursive`.trim();
+const titleFont = (size) => `bold ${size}px "ACME Secret Agent", "Impact", "Arial Black", sans-serif`;
+const narrationFont = (size) => `italic ${size}px Georgia, "Times New Roman", serif`;
+
+/**
+ * Fit a text element's text to the space it was placed in, without drawing it
+ * Handles: speech bubbles, titles and narration boxes (sound effects are not fitted)
+ * @returns {Object|undefined} The fitText result (see utils/textFit.js) - fits, fontSize, lines, width, height, ...
+ */
+export function fitTextElement(ctx, element) {
+  if (element.type === "title") {
+    return fitTitle(ctx, element);
+  } else if (element.type === "narration") {
+    return fitNarration(ctx, element);
+  } else if (element.type === "sfx") {
+    return undefined;
+  } else {
+    return fitSpeechBubble(ctx, element);
+  }
+}
+
 /**
  * Draw text element from placement data with professional comic styling
- * Handles: speech bubbles, titles, and narration boxes
+ * Handles: speech bubbles, titles, narration boxes and sound effects
+ * @param {Object} fit - fitTextElement's result, when the element was fitted (and maybe moved) beforehand
+ * @returns {Object|undefined} For text that is fitted (speech, title, narration): the
+ *   fitText result (see utils/textFit.js) - fits, fontSize, lines, width, height, ...
  */
-export function drawBubbleFromPlacement(ctx, element) {
+export function drawBubbleFromPlacement(ctx, element, fit = fitTextElement(ctx, element)) {
   // Route to appropriate renderer based on type
   if (element.type === "title") {
-    return drawTitleFromPlacement(ctx, element);
+    return drawTitleFromPlacement(ctx, element, fit);
   } else if (element.type === "narration") {
-    return drawNarrationFromPlacement(ctx, element);
+    return drawNarrationFromPlacement(ctx, element, fit);
+  } else if (element.type === "sfx") {
+    return drawSoundEffectFromPlacement(ctx, element);
   } else {
-    return drawSpeechBubbleFromPlacement(ctx, element);
+    return drawSpeechBubbleFromPlacement(ctx, element, fit);
+  }
+}
+
+/**
+ * measure(text, fontSize) callback for utils/textFit.js, measuring with the context in a font
+ * @param {Function} font - fontSize => CSS font string
+ */
+function measureWith(ctx, font) {
+  return (text, fontSize) => {
+    ctx.font = font(fontSize);
+    return ctx.measureText(text).width;
+  };
+}
+
+/**
+ * Trace path commands from utils/bubbleShapes.js
+ */
+function tracePath(ctx, path) {
+  ctx.beginPath();
+  for (const [op, ...args] of path) {
+    if (op === "M") ctx.moveTo(...args);
+    else if (op === "L") ctx.lineTo(...args);
+    else if (op === "Q") ctx.quadraticCurveTo(...args);
+    else if (op === "E") ctx.ellipse(...args, 0, 0, Math.PI * 2);
+    else if (op === "Z") ctx.closePath();
   }
 }
 
 /**
- * Draw speech bubble from placement data
+ * Frame a placement's space is cut to: the panel, i.e. the canvas unless the placement says otherwise
+ */
+function frameOf(ctx, element) {
+  return element.frame || { width: ctx.canvas.width, height: ctx.canvas.height };
+}
+
+/**
+ * Largest size (within bounds) whose balanced lines fit the space the vision tool found for a bubble
+ */
+function fitSpeechBubble(ctx, bubble) {
+  const style = normalizeBubbleStyle(bubble.style) || DEFAULT_BUBBLE_STYLE;
+  const space = placementSpace(bubble, frameOf(ctx, bubble));
+  ctx.save();
+  ctx.letterSpacing = "0.5px";
+  const fit = fitText(
+    bubble.text,
+    {
+      ...TEXT_FIT_DEFAULTS.speech,
+      maxWidth: space.width,
+      maxHeight: space.height,
+      sizeOf: (width, height) => bubbleSize(style, width, height),
+    },
+    measureWith(ctx, speechFont(bubbleStyleSettings(style).fontStyle))
+  );
+  ctx.restore();
+  return fit;
+}
+
+/**
+ * Draw speech bubble from placement data, in the placement's bubble `style`
+ * (speech, thought, shout, whisper, radio or off-panel - see utils/bubbleShapes.js)
  */
-function drawSpeechBubbleFromPlacement(ctx, bubble) {
-  const { position, text, tail } = bubble;
+function drawSpeechBubbleFromPlacement(ctx, bubble, fit) {
+  const { position, tail } = bubble;
   const { x, y } = position;
+  const style = normalizeBubbleStyle(bubble.style) || DEFAULT_BUBBLE_STYLE;
+  const settings = bubbleStyleSettings(style);
+  const frame = frameOf(ctx, bubble);
 
   ctx.save();
 
-  // Professional comic bubble styling
-  const radius = 15;
-  const strokeWidth = 4.5;
-  const paddingX = 24;
-  const paddingY = 18;
-  const fontSize = 36;
-
-  // Set font for measuring
-  ctx.font = `${fontSize}px "ACME Secret Agent", "Comic Sans MS", cursive`;
-
-  // Smart word wrapping - auto-calculate optimal width
-  const words = text.split(" ");
-  const lines = [];
-  let currentLine = "";
-  const maxLineWidth = 280; // Max width for readability
-
-  for (const word of words) {
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-    const metrics = ctx.measureText(testLine);
-
-    if (metrics.width > maxLineWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = word;
-    } else {
-      currentLine = testLine;
-    }
-  }
-  if (currentLine) lines.push(currentLine);
+  const { fontSize, lines, textHeight } = fit;
+  ctx.letterSpacing = "0.5px";
+  ctx.font = speechFont(settings.fontStyle)(fontSize);
 
-  // Calculate actual bubble dimensions based on text
-  let maxTextWidth = 0;
-  lines.forEach((line) => {
-    const metrics = ctx.measureText(line);
-    if (metrics.width > maxTextWidth) maxTextWidth = metrics.width;
-  });
+  const lineHeight = fontSize * TEXT_FIT_DEFAULTS.speech.lineHeight;
+  const box = { x, y, width: fit.width, height: fit.height };
+  const outline = bubbleOutline(style, box);
+  const tailShape = bubbleTail(style, box, tail, frame);
 
-  const bubbleWidth = maxTextWidth + paddingX * 2;
-  const lineHeight = fontSize * 1.3;
-  const bubbleHeight = lines.length * lineHeight + paddingY * 2 + 5;
-
-  // Calculate tail attachment point based on actual tail position
-  let tailBaseX = x + bubbleWidth / 2;
-  let tailBaseY = y + bubbleHeight;
-  let tailDirection = "down";
-
-  if (tail) {
-    // Determine which side of bubble is closest to tail target
-    const dx = tail.x - (x + bubbleWidth / 2);
-    const dy = tail.y - (y + bubbleHeight / 2);
-
-    // Find closest edge
-    if (Math.abs(dy) > Math.abs(dx)) {
-      // Top or bottom
-      if (dy > 0) {
-        tailDirection = "down";
-        tailBaseX = x + bubbleWidth / 2 + Math.max(-40, Math.min(40, dx * 0.3));
-        tailBaseY = y + bubbleHeight;
-      } else {
-        tailDirection = "up";
-        tailBaseX = x + bubbleWidth / 2 + Math.max(-40, Math.min(40, dx * 0.3));
-        tailBaseY = y;
-      }
-    } else {
-      // Left or right
-      if (dx > 0) {
-        tailDirection = "right";
-        tailBaseX = x + bubbleWidth;
-        tailBaseY = y + bubbleHeight / 2 + Math.max(-30, Math.min(30, dy * 0.3));
-      } else {
-        tailDirection = "left";
-        tailBaseX = x;
-        tailBaseY = y + bubbleHeight / 2 + Math.max(-30, Math.min(30, dy * 0.3));
-      }
-    }
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  ctx.strokeStyle = "#000000";
+  ctx.fillStyle = "#FFFFFF";
+
+  // Stroke the tail and the bubble, then fill both over the strokes:
+  // the outline runs around the joined shape with no line across the tail's base
+  ctx.lineWidth = settings.lineWidth * 2;
+  ctx.setLineDash(settings.dash);
+  if (tailShape?.path) {
+    tracePath(ctx, tailShape.path);
+    ctx.stroke();
+  }
+  tracePath(ctx, outline);
+  ctx.stroke();
+  if (tailShape?.path) {
+    tracePath(ctx, tailShape.path);
+    ctx.fill();
   }
+  tracePath(ctx, outline);
+  ctx.fill();
 
-  // Draw tail first (behind bubble) with better shape
-  if (tail) {
+  // Thought bubbles trail off in separate circles
+  ctx.lineWidth = settings.lineWidth;
+  for (const circle of tailShape?.circles || []) {
     ctx.beginPath();
-
-    const tailWidth = 20;
-
-    if (tailDirection === "down") {
-      ctx.moveTo(tailBaseX - tailWidth, tailBaseY - 2);
-      ctx.lineTo(tail.x, tail.y);
-      ctx.lineTo(tailBaseX + tailWidth, tailBaseY - 2);
-      ctx.lineTo(tailBaseX, tailBaseY - 2);
-    } else if (tailDirection === "up") {
-      ctx.moveTo(tailBaseX - tailWidth, tailBaseY + 2);
-      ctx.lineTo(tail.x, tail.y);
-      ctx.lineTo(tailBaseX + tailWidth, tailBaseY + 2);
-      ctx.lineTo(tailBaseX, tailBaseY + 2);
-    } else if (tailDirection === "left") {
-      ctx.moveTo(tailBaseX + 2, tailBaseY - tailWidth);
-      ctx.lineTo(tail.x, tail.y);
-      ctx.lineTo(tailBaseX + 2, tailBaseY + tailWidth);
-      ctx.lineTo(tailBaseX + 2, tailBaseY);
-    } else if (tailDirection === "right") {
-      ctx.moveTo(tailBaseX - 2, tailBaseY - tailWidth);
-      ctx.lineTo(tail.x, tail.y);
-      ctx.lineTo(tailBaseX - 2, tailBaseY + tailWidth);
-      ctx.lineTo(tailBaseX - 2, tailBaseY);
-    }
-
-    ctx.closePath();
-    ctx.fillStyle = "#FFFFFF";
+    ctx.arc(circle.x, circle.y, circle.r, 0, Math.PI * 2);
     ctx.fill();
-    ctx.strokeStyle = "#000000";
-    ctx.lineWidth = strokeWidth;
-    ctx.lineJoin = "round";
-    ctx.lineCap = "round";
     ctx.stroke();
   }
-
-  // Draw rounded rectangle bubble
-  ctx.beginPath();
-  ctx.moveTo(x + radius, y);
-  ctx.lineTo(x + bubbleWidth - radius, y);
-  ctx.arcTo(x + bubbleWidth, y, x + bubbleWidth, y + radius, radius);
-  ctx.lineTo(x + bubbleWidth, y + bubbleHeight - radius);
-  ctx.arcTo(
-    x + bubbleWidth,
-    y + bubbleHeight,
-    x + bubbleWidth - radius,
-    y + bubbleHeight,
-    radius
-  );
-  ctx.lineTo(x + radius, y + bubbleHeight);
-  ctx.arcTo(x, y + bubbleHeight, x, y + bubbleHeight - radius, radius);
-  ctx.lineTo(x, y + radius);
-  ctx.arcTo(x, y, x + radius, y, radius);
-  ctx.closePath();
-
-  // Fill and stroke bubble
-  ctx.fillStyle = "#FFFFFF";
-  ctx.fill();
-  ctx.strokeStyle = "#000000";
-  ctx.lineWidth = strokeWidth;
-  ctx.lineJoin = "round";
-  ctx.lineCap = "round";
-  ctx.stroke();
+  ctx.setLineDash([]);
 
   // Draw text
   ctx.fillStyle = "#000000";
   ctx.textAlign = "center";
   ctx.textBaseline = "top";
-  ctx.letterSpacing = "0.5px";
 
-  const startY = y + paddingY;
+  const startY = box.y + (box.height - textHeight) / 2;
 
   lines.forEach((line, i) => {
     const yPos = startY + i * lineHeight;
-    ctx.fillText(line, x + bubbleWidth / 2, yPos);
+    ctx.fillText(line, box.x + box.width / 2, yPos);
   });
 
+  ctx.restore();
+  return fit;
+}
+
+/**
+ * Draw sound effect from placement data - Large skewed display lettering with a
+ * gradient fill, a thick outline and a drop shadow, rotated around its centre
+ * (position is the centre; see utils/soundEffects.js)
+ */
+function drawSoundEffectFromPlacement(ctx, sfx) {
+  const { position, text, fontSize } = sfx;
+  const colors = Array.isArray(sfx.colors) && sfx.colors.length >= 2 ? sfx.colors : DEFAULT_SFX_COLORS;
+
+  ctx.save();
+
+  ctx.translate(position.x, position.y);
+  ctx.rotate(((sfx.rotation || 0) * Math.PI) / 180);
+  ctx.transform(1, 0, sfx.skew ?? DEFAULT_SFX_SKEW, 1, 0, 0);
+
+  ctx.font = `${SFX_FONT_STYLE} ${fontSize}px "ACME Secret Agent", "Impact", "Arial Black", sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.letterSpacing = `${Math.round(fontSize * 0.04)}px`;
+  ctx.lineJoin = "round";
+
+  // Drop shadow
+  ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+  ctx.fillText(text, fontSize * 0.06, fontSize * 0.06);
+
+  // Thick black outline, then a thin white rim inside it
+  ctx.strokeStyle = "#000000";
+  ctx.lineWidth = Math.max(6, fontSize * 0.16);
+  ctx.strokeText(text, 0, 0);
+  ctx.strokeStyle = "#FFFFFF";
+  ctx.lineWidth = Math.max(2, fontSize * 0.05);
+  ctx.strokeText(text, 0, 0);
+
+  // Top-to-bottom gradient fill
+  const gradient = ctx.createLinearGradient(0, -fontSize / 2, 0, fontSize / 2);
+  colors.forEach((color, i) => gradient.addColorStop(i / (colors.length - 1), color));
+  ctx.fillStyle = gradient;
+  ctx.fillText(text, 0, 0);
+
   ctx.restore();
 }
 
+/**
+ * Title size: as large as fits across the panel
+ */
+function fitTitle(ctx, titleElement) {
+  const space = placementSpace(titleElement, frameOf(ctx, titleElement));
+  ctx.save();
+  ctx.letterSpacing = "2px";
+  const fit = fitText(
+    titleElement.text,
+    { ...TEXT_FIT_DEFAULTS.title, maxWidth: space.width, maxHeight: space.height },
+    measureWith(ctx, titleFont)
+  );
+  ctx.restore();
+  return fit;
+}
+
 /**
  * Draw title from placement data - Large, centered, no box
  */
-function drawTitleFromPlacement(ctx, titleElement) {
-  const { position, text } = titleElement;
+function drawTitleFromPlacement(ctx, titleElement, fit) {
+  const { position } = titleElement;
   const { x, y } = position;
 
   ctx.save();
 
-  const fontSize = 64;
   const strokeWidth = 6;
 
   // Set font - bold for titles
-  ctx.font = `bold ${fontSize}px "ACME Secret Agent", "Impact", "Arial Black", sans-serif`;
+  const lineHeight = fit.fontSize * TEXT_FIT_DEFAULTS.title.lineHeight;
+  ctx.letterSpacing = "2px";
+  ctx.font = titleFont(fit.fontSize);
   ctx.textAlign = "center";
   ctx.textBaseline = "top";
-  ctx.letterSpacing = "2px";
 
   // X position is already the center point from VLM
   const centerX = x;
 
-  // Draw text with white outline for readability
-  ctx.strokeStyle = "#FFFFFF";
-  ctx.lineWidth = strokeWidth;
-  ctx.lineJoin = "round";
-  ctx.strokeText(text, centerX, y);
+  fit.lines.forEach((line, i) => {
+    const yPos = y + i * lineHeight;
 
-  // Draw black text on top
-  ctx.fillStyle = "#000000";
-  ctx.fillText(text, centerX, y);
+    // Draw text with white outline for readability
+    ctx.strokeStyle = "#FFFFFF";
+    ctx.lineWidth = strokeWidth;
+    ctx.lineJoin = "round";
+    ctx.strokeText(line, centerX, yPos);
+
+    // Draw black text on top
+    ctx.fillStyle = "#000000";
+    ctx.fillText(line, centerX, yPos);
+  });
 
   ctx.restore();
+  return fit;
+}
+
+/**
+ * Narration size: sized to the space the vision tool found
+ */
+function fitNarration(ctx, narrationElement) {
+  const space = placementSpace(narrationElement, frameOf(ctx, narrationElement));
+  ctx.save();
+  ctx.letterSpacing = "0.3px";
+  const fit = fitText(
+    narrationElement.text,
+    {
+      ...TEXT_FIT_DEFAULTS.narration,
+      maxWidth: space.width,
+      maxHeight: space.height,
+      sizeOf: (width, height) => ({
+        width: width + NARRATION_PADDING_X * 2,
+        height: height + NARRATION_PADDING_Y * 2,
+      }),
+    },
+    measureWith(ctx, narrationFont)
+  );
+  ctx.restore();
+  return fit;
 }
 
 /**
  * Draw narration box from placement data - Parchment style with serif font
  */
-function drawNarrationFromPlacement(ctx, narrationElement) {
-  const { position, text } = narrationElement;
+function drawNarrationFromPlacement(ctx, narrationElement, fit) {
+  const { position } = narrationElement;
   const { x, y } = position;
 
   ctx.save();
 
-  const fontSize = 32;
   const strokeWidth = 3;
-  const paddingX = 20;
-  const paddingY = 15;
-  const maxLineWidth = 600;
+  const paddingX = NARRATION_PADDING_X;
+  const paddingY = NARRATION_PADDING_Y;
   const cornerRadius = 8; // Less rounded than speech bubbles
 
   // Set font - italic serif for narration
-  ctx.font = `italic ${fontSize}px Georgia, "Times New Roman", serif`;
-
-  // Word wrapping
-  const words = text.split(" ");
-  const lines = [];
-  let currentLine = "";
-
-  for (const word of words) {
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-    const metrics = ctx.measureText(testLine);
-
-    if (metrics.width > maxLineWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = word;
-    } else {
-      currentLine = testLine;
-    }
-  }
-  if (currentLine) lines.push(currentLine);
-
-  // Calculate box dimensions
-  let maxTextWidth = 0;
-  lines.forEach((line) => {
-    const metrics = ctx.measureText(line);
-    if (metrics.width > maxTextWidth) maxTextWidth = metrics.width;
-  });
+  const { fontSize, lines } = fit;
+  ctx.letterSpacing = "0.3px";
+  ctx.font = narrationFont(fontSize);
 
-  const boxWidth = maxTextWidth + paddingX * 2;
-  const lineHeight = fontSize * 1.35;
-  const boxHeight = lines.length * lineHeight + paddingY * 2;
+  const boxWidth = fit.width;
+  const lineHeight = fontSize * TEXT_FIT_DEFAULTS.narration.lineHeight;
+  const boxHeight = fit.height;
 
   // Draw rounded rectangle with less rounded corners
   ctx.beginPath();
@@ -318,7 +377,6 @@ function drawNarrationFromPlacement(ctx, narrationElement) {
   ctx.fillStyle = "#000000";
   ctx.textAlign = "left";
   ctx.textBaseline = "top";
-  ctx.letterSpacing = "0.3px";
 
   const startY = y + paddingY;
 
@@ -328,4 +386,5 @@ function drawNarrationFromPlacement(ctx, narrationElement) {
   });
 
   ctx.restore();
+  return fit;
 }
@@ -0,0 +1,149 @@
+/**
+ * Sound effects (SFX)
+ * A panel's `soundEffects` in comic.yaml are display lettering drawn straight onto the art:
+ *
+ *   soundEffects:
+ *     - text: KRAKOOM
+ *       intensity: loud        # soft | normal | loud: how big the vision tool should set it
+ *
+ * The vision tool places each one as an "sfx" text placement with its centre, font size and rotation:
+ *
+ *   { type: "sfx", text: "KRAKOOM", position: { x, y }, fontSize: 160, rotation: -12 }
+ *
+ * This module cleans generated effects, keeps placements within sensible sizes and angles,
+ * and moves them off the characters' faces. Text width comes from a measure(text, fontSize)
+ * callback (or an estimate), so placements can be checked without a canvas.
+ */
+
+export const SFX_FONT_STYLE = 'bold italic';
+export const SFX_INTENSITIES = ['soft', 'normal', 'loud'];
+export const MAX_SOUND_EFFECTS = 2;
+export const DEFAULT_SFX_SKEW = -0.2;
+export const DEFAULT_SFX_COLORS = ['#FFE94D', '#FF8A1F', '#E02418'];
+
+const MAX_ROTATION = 35;
+const MIN_FONT_SIZE = 48;
+const MAX_FONT_FRACTION = 0.35; // of the panel's shorter side
+const FONT_FRACTION_BY_INTENSITY = { soft: 0.09, normal: 0.14, loud: 0.2 };
+const FACE_RADIUS_FRACTION = 0.1; // of the panel's shorter side
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Generated sound effects in the comic.yaml shape: [{ text, intensity }]
+ * Accepts strings or objects; text is upper-cased, blanks are dropped, at most MAX_SOUND_EFFECTS are kept
+ */
+export function cleanSoundEffects(effects) {
+  if (!Array.isArray(effects)) return [];
+  return effects
+    .map(effect => (typeof effect === 'string' ? { text: effect } : effect))
+    .filter(effect => effect && typeof effect.text === 'string' && effect.text.trim())
+    .slice(0, MAX_SOUND_EFFECTS)
+    .map(effect => ({
+      text: effect.text.trim().toUpperCase(),
+      intensity: SFX_INTENSITIES.includes(effect.intensity) ? effect.intensity : 'normal',
+    }));
+}
+
+/**
+ * Width of SFX lettering when no canvas is at hand (the display font is wide)
+ */
+export function estimateSfxWidth(text, fontSize) {
+  return text.length * fontSize * 0.62;
+}
+
+/**
+ * Bounding box of a placed effect, rotation included
+ * @param {Object} placement - { text, position: { x, y } (centre), fontSize, rotation (degrees), skew }
+ * @param {Function} measure - Optional (text, fontSize) => width in px
+ * @returns {Object} { x, y, width, height }
+ */
+export function sfxBounds(placement, measure = estimateSfxWidth) {
+  const { fontSize, position } = placement;
+  // Skewing slants the lettering sideways by skew × height
+  const width = measure(placement.text, fontSize) + Math.abs(placement.skew ?? DEFAULT_SFX_SKEW) * fontSize;
+  const height = fontSize;
+  const angle = ((placement.rotation || 0) * Math.PI) / 180;
+  const boundsWidth = Math.abs(width * Math.cos(angle)) + Math.abs(height * Math.sin(angle));
+  const boundsHeight = Math.abs(width * Math.sin(angle)) + Math.abs(height * Math.cos(angle));
+  return {
+    x: position.x - boundsWidth / 2,
+    y: position.y - boundsHeight / 2,
+    width: boundsWidth,
+    height: boundsHeight,
+  };
+}
+
+/**
+ * An sfx placement with a usable size, rotation and skew
+ * @param {Object} placement - From the vision tool
+ * @param {Object} frame - { width, height } of the panel
+ * @param {Object} effect - The comic.yaml effect it places ({ intensity }), if known
+ */
+export function normalizeSfxPlacement(placement, frame, effect = {}) {
+  const shortSide = Math.min(frame.width, frame.height);
+  const fallbackSize = shortSide * FONT_FRACTION_BY_INTENSITY[effect.intensity || 'normal'];
+  const fontSize = Number(placement.fontSize) > 0 ? Number(placement.fontSize) : fallbackSize;
+  const rotation = Number(placement.rotation) || 0;
+  const position = placement.position || {};
+  return {
+    ...placement,
+    type: 'sfx',
+    text: String(placement.text || effect.text || '').toUpperCase(),
+    position: {
+      x: Number.isFinite(position.x) ? position.x : frame.width / 2,
+      y: Number.isFinite(position.y) ? position.y : frame.height / 3,
+    },
+    fontSize: Math.round(clamp(fontSize, MIN_FONT_SIZE, Math.max(MIN_FONT_SIZE, shortSide * MAX_FONT_FRACTION))),
+    rotation: clamp(rotation, -MAX_ROTATION, MAX_ROTATION),
+    skew: Number.isFinite(placement.skew) ? clamp(placement.skew, -0.5, 0.5) : DEFAULT_SFX_SKEW,
+  };
+}
+
+function overlapsFace(bounds, face, radius) {
+  const nearestX = clamp(face.x, bounds.x, bounds.x + bounds.width);
+  const nearestY = clamp(face.y, bounds.y, bounds.y + bounds.height);
+  return Math.hypot(face.x - nearestX, face.y - nearestY) < radius;
+}
+
+function withinFrame(bounds, frame) {
+  return bounds.x >= 0 && bounds.y >= 0 && bounds.x + bounds.width <= frame.width && bounds.y + bounds.height <= frame.height;
+}
+
+/**
+ * Move an effect off the characters' faces
+ * Tries positions in rings around the vision tool's choice (nearest first) and takes the first
+ * that clears every face and stays in the panel. When none does, the effect is shrunk and tried again.
+ * @param {Object} placement - Normalized sfx placement
+ * @param {Array} faces - [{ x, y }] face centres (the vision tool's characters[].face)
+ * @param {Object} frame - { width, height } of the panel
+ * @param {Function} measure - Optional (text, fontSize) => width in px
+ * @returns {Object} The placement, with `movedOffFaces: true` when it had to move
+ */
+export function keepOffFaces(placement, faces, frame, measure = estimateSfxWidth) {
+  const radius = Math.min(frame.width, frame.height) * FACE_RADIUS_FRACTION;
+  const clear = candidate => {
+    const bounds = sfxBounds(candidate, measure);
+    return withinFrame(bounds, frame) && !faces.some(face => overlapsFace(bounds, face, radius));
+  };
+  if (faces.length === 0 || clear(placement)) return placement;
+
+  const step = Math.min(frame.width, frame.height) / 12;
+  for (let fontSize = placement.fontSize; fontSize >= MIN_FONT_SIZE; fontSize = Math.round(fontSize * 0.8)) {
+    for (let ring = 0; ring <= 12; ring++) {
+      for (let i = 0; i < Math.max(1, ring * 8); i++) {
+        const angle = (i / Math.max(1, ring * 8)) * Math.PI * 2;
+        const candidate = {
+          ...placement,
+          fontSize,
+          position: {
+            x: Math.round(placement.position.x + Math.cos(angle) * ring * step),
+            y: Math.round(placement.position.y + Math.sin(angle) * ring * step),
+          },
+        };
+        if (clear(candidate)) return { ...candidate, movedOffFaces: true };
+      }
+    }
+  }
+  return placement;
+}
@@ -0,0 +1,103 @@
+/**
+ * Two-page spreads
+ * A layout panel with `spread: true` spans two facing pages. It is listed on the left-hand
+ * page (an even page: page 1 is a right-hand page, like in a printed comic) and continues
+ * on the next page:
+ *
+ *   page2:
+ *     [{ id: "panel2", spread: true, size: "4920x2080", width: 1248, height: 528, y: 0, h: 0.6 }]
+ *   page3:
+ *     [{ id: "panel3", ... }]          # the right page lays out the rest below the spread
+ *
+ * y and h are fractions of the page as usual; align, offsetX and the width (from `size`)
+ * are measured across both pages, from the left page's outer margin to the right page's
+ * outer margin, with no margin at the spine.
+ *
+ * `spreadGutter` (layout setting, px) is the art the binding hides at the spine of each
+ * page in print. That much art is repeated on both sides of the fold, so nothing is lost.
+ */
+
+import { panelImageSize } from './gridLayout.js';
+import { calculatePanelPosition } from './panelCalculator.js';
+
+export const DEFAULT_SPREAD_GUTTER = 0;
+
+export const isSpreadPanel = panel => panel?.spread === true;
+
+function pageNumber(pageKey) {
+  return parseInt(String(pageKey).replace('page', ''), 10);
+}
+
+/**
+ * Rectangle of a spread panel on the two facing pages side by side
+ * (x runs from 0 on the left page to 2 * config.width on the right page)
+ * @returns {Object} { x, y, width, height }
+ */
+export function calculateSpreadPosition(config, layoutPanel) {
+  return calculatePanelPosition({ ...config, width: config.width * 2 }, layoutPanel);
+}
+
+/**
+ * The two halves of a spread panel
+ * @param {Object} rect - Spread rectangle from calculateSpreadPosition
+ * @param {Object} config - Page config { width }
+ * @param {number} spreadGutter - px hidden by the binding on each side of the fold
+ * @returns {Object} { left, right }, each { rect, target } in page coordinates: rect is the
+ *   part of the panel on that page, target is where the whole image is drawn (clipped to rect)
+ */
+export function splitSpreadPanel(rect, config, spreadGutter = DEFAULT_SPREAD_GUTTER) {
+  const spine = config.width;
+  const gutter = Math.max(0, spreadGutter);
+  const target = { x: rect.x, y: rect.y, width: rect.width - gutter * 2, height: rect.height };
+  return {
+    left: {
+      rect: { x: rect.x, y: rect.y, width: spine - rect.x, height: rect.height },
+      target,
+    },
+    right: {
+      rect: { x: 0, y: rect.y, width: rect.x + rect.width - spine, height: rect.height },
+      // Shifted past the fold so the art the binding hides on the left page shows again here
+      target: { ...target, x: target.x - spine + gutter * 2 },
+    },
+  };
+}
+
+/**
+ * Spreads of a layout
+ * @returns {Array} [{ id, left: 'page2', right: 'page3', panel }]
+ */
+export function layoutSpreads(layout) {
+  return Object.entries(layout?.layouts || {}).flatMap(([pageKey, panels]) =>
+    (Array.isArray(panels) ? panels : [])
+      .filter(isSpreadPanel)
+      .map(panel => ({ id: panel.id, left: pageKey, right: `page${pageNumber(pageKey) + 1}`, panel }))
+  );
+}
+
+/**
+ * Page layouts with each spread panel on both of its pages, marked with `spreadPart`
+ * ('left' or 'right'); the right half is drawn first on its page
+ * @returns {Object} { page1: [...], page2: [...] }
+ */
+export function expandSpreads(layout) {
+  const pages = Object.fromEntries(
+    Object.entries(layout?.layouts || {}).map(([pageKey, panels]) => [
+      pageKey,
+      (Array.isArray(panels) ? panels : []).map(panel => (isSpreadPanel(panel) ? { ...panel, spreadPart: 'left' } : panel)),
+    ])
+  );
+  for (const spread of layoutSpreads(layout)) {
+    if (pages[spread.right]) {
+      pages[spread.right] = [{ ...spread.panel, spreadPart: 'right' }, ...pages[spread.right]];
+    }
+  }
+  return pages;
+}
+
+/**
+ * Image size to generate for a spread panel without width/height: its on-spread shape
+ */
+export function spreadImageSize(layoutPanel) {
+  const [width, height] = String(layoutPanel.size).split('x').map(Number);
+  return panelImageSize(width / height);
+}
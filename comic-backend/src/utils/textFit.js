@@ -0,0 +1,235 @@
+/**
+ * Text fitting
+ * Sets a block of lettering as large as it can go (between a minimum and a maximum font size)
+ * inside the space a bubble, caption or title has on the panel:
+ *
+ *   - lines are balanced rather than filled greedily: speech is set in a lozenge (short first
+ *     and last lines, long middle lines) to sit well in an oval balloon, captions and titles as an even block
+ *   - a word too long for a line is hyphenated
+ *   - when the text does not fit even at the minimum size, the result says so (fits: false)
+ *     and by how much, so the caller can ask for shorter dialogue
+ *
+ * Text is measured with a measure(text, fontSize) callback, so fitting works (and is tested) without a canvas.
+ */
+
+export const TEXT_FIT_DEFAULTS = {
+  speech: { minFontSize: 24, maxFontSize: 44, lineHeight: 1.3, maxLineEm: 9, shape: 'lozenge' },
+  narration: { minFontSize: 22, maxFontSize: 40, lineHeight: 1.35, maxLineEm: 18, shape: 'block' },
+  title: { minFontSize: 36, maxFontSize: 80, lineHeight: 1.1, maxLineEm: 30, shape: 'block' },
+};
+
+const FONT_SIZE_STEP = 2;
+const EDGE_MARGIN = 10;
+const LOZENGE_ASPECT = 1.8; // width / height of a comfortable speech balloon
+const MIN_HYPHEN_PART = 2;
+
+/**
+ * Room a placement has on the panel: the space the vision tool reported
+ * (`space: { width, height }` from its position), cut to the panel edges
+ * @param {Object} placement - { type, position, space? }
+ * @param {Object} frame - { width, height } of the panel
+ * @returns {Object} { width, height }
+ */
+export function placementSpace(placement, frame) {
+  const { x, y } = placement.position;
+  const reported = placement.space || {};
+  // Titles are centred on x
+  const edgeWidth =
+    placement.type === 'title' ? Math.min(x, frame.width - x) * 2 - EDGE_MARGIN * 2 : frame.width - x - EDGE_MARGIN;
+  const edgeHeight = frame.height - y - EDGE_MARGIN;
+  return {
+    width: Math.max(0, Math.min(Number(reported.width) || Infinity, edgeWidth)),
+    height: Math.max(0, Math.min(Number(reported.height) || Infinity, edgeHeight)),
+  };
+}
+
+const isVowel = char => /[aeiouy]/i.test(char);
+
+/**
+ * Split a word that is wider than maxWidth into hyphenated parts
+ * Each break is as late as fits, moved back a letter or two to fall between a vowel and a consonant when it can
+ * @returns {Array} Parts; all but the last end with "-"
+ */
+export function hyphenate(word, maxWidth, measure, fontSize) {
+  const parts = [];
+  let rest = word;
+  while (rest.length > MIN_HYPHEN_PART * 2 && measure(rest, fontSize) > maxWidth) {
+    let cut = MIN_HYPHEN_PART;
+    for (let k = rest.length - MIN_HYPHEN_PART; k >= MIN_HYPHEN_PART; k--) {
+      if (measure(`${rest.slice(0, k)}-`, fontSize) <= maxWidth) {
+        cut = k;
+        break;
+      }
+    }
+    for (let k = cut; k > Math.max(MIN_HYPHEN_PART, cut - 3); k--) {
+      if (isVowel(rest[k - 1]) && !isVowel(rest[k])) {
+        cut = k;
+        break;
+      }
+    }
+    parts.push(`${rest.slice(0, cut)}-`);
+    rest = rest.slice(cut);
+  }
+  return [...parts, rest];
+}
+
+/**
+ * Relative line widths of an n-line lozenge: widest in the middle, narrower at the top and bottom
+ */
+function lozengeProfile(n) {
+  return Array.from({ length: n }, (_, i) => {
+    const c = (2 * i + 1) / n - 1;
+    return Math.sqrt(1 - 0.7 * c * c);
+  });
+}
+
+/**
+ * Break tokens into exactly n lines no wider than maxLineWidth, as close to the shape as possible
+ * @returns {Object|null} { lines, widths, cost }, or null when n lines cannot hold the tokens
+ */
+function balanceLines(tokens, n, maxLineWidth, shape, lineWidth) {
+  const count = tokens.length;
+  if (n > count) return null;
+  const profile = shape === 'lozenge' ? lozengeProfile(n) : Array(n).fill(1);
+  const total = lineWidth(0, count);
+  const target = total / profile.reduce((sum, p) => sum + p, 0);
+
+  // best[k][i]: cheapest way to set the first i tokens on k lines
+  const best = Array.from({ length: n + 1 }, () => Array(count + 1).fill(Infinity));
+  const from = Array.from({ length: n + 1 }, () => Array(count + 1).fill(-1));
+  best[0][0] = 0;
+  for (let k = 1; k <= n; k++) {
+    for (let i = k; i <= count - (n - k); i++) {
+      for (let j = k - 1; j < i; j++) {
+        if (best[k - 1][j] === Infinity) continue;
+        const width = lineWidth(j, i);
+        // A single token wider than the line (a short word in a tiny space) still gets a line of its own
+        if (width > maxLineWidth && i - j > 1) continue;
+        const cost = best[k - 1][j] + (width - target * profile[k - 1]) ** 2;
+        if (cost < best[k][i]) {
+          best[k][i] = cost;
+          from[k][i] = j;
+        }
+      }
+    }
+  }
+  if (best[n][count] === Infinity) return null;
+
+  const ranges = [];
+  for (let k = n, i = count; k > 0; i = from[k][i], k--) ranges.unshift([from[k][i], i]);
+  return {
+    lines: ranges.map(([j, i]) => tokens.slice(j, i).join(' ')),
+    widths: ranges.map(([j, i]) => lineWidth(j, i)),
+    cost: best[n][count] / (target * target * n || 1),
+  };
+}
+
+/**
+ * Widest text line whose box (from sizeOf) is no wider than maxWidth
+ */
+function innerWidth(maxWidth, lineHeightPx, sizeOf) {
+  if (sizeOf(0, lineHeightPx).width > maxWidth) return 0;
+  let low = 0;
+  let high = maxWidth;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (sizeOf(mid, lineHeightPx).width <= maxWidth) low = mid;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Best lines for one font size
+ * @returns {Object|null} { fontSize, lines, textWidth, textHeight, width, height, fits }
+ */
+function layoutAtSize(words, fontSize, settings, measure) {
+  const { maxWidth, maxHeight, sizeOf, shape } = settings;
+  const lineHeightPx = fontSize * settings.lineHeight;
+  const room = innerWidth(maxWidth, lineHeightPx, sizeOf);
+  const maxLineWidth = Math.min(settings.maxLineEm * fontSize, room > 0 ? room : Infinity);
+
+  const tokens = words.flatMap(word => hyphenate(word, maxLineWidth, measure, fontSize));
+  const cache = new Map();
+  const lineWidth = (j, i) => {
+    const key = `${j}:${i}`;
+    if (!cache.has(key)) cache.set(key, measure(tokens.slice(j, i).join(' '), fontSize));
+    return cache.get(key);
+  };
+
+  let bestFit = null;
+  let closest = null;
+  for (let n = 1; n <= tokens.length; n++) {
+    const balanced = balanceLines(tokens, n, maxLineWidth, shape, lineWidth);
+    if (!balanced) continue;
+    const textWidth = Math.max(...balanced.widths);
+    const textHeight = n * lineHeightPx;
+    const box = sizeOf(textWidth, textHeight);
+    const layout = { fontSize, lines: balanced.lines, textWidth, textHeight, width: box.width, height: box.height };
+    const overflow = Math.max(0, box.width - maxWidth) + Math.max(0, box.height - maxHeight);
+
+    if (overflow === 0) {
+      // Lozenges look best near a balloon's usual proportions; blocks on as few lines as fit
+      const score =
+        shape === 'lozenge' ? Math.abs(Math.log(box.width / box.height / LOZENGE_ASPECT)) + balanced.cost : n + balanced.cost;
+      if (!bestFit || score < bestFit.score) bestFit = { ...layout, score };
+    } else if (!closest || overflow < closest.overflow) {
+      closest = { ...layout, overflow };
+    }
+    // More lines only make the block taller
+    if (box.height > maxHeight && (bestFit || closest)) break;
+  }
+  if (bestFit) {
+    const { score, ...layout } = bestFit;
+    return { ...layout, fits: true };
+  }
+  if (!closest) return null;
+  const { overflow, ...layout } = closest;
+  return { ...layout, fits: false };
+}
+
+/**
+ * Fit text into a space
+ * @param {string} text - Text to set
+ * @param {Object} options - TEXT_FIT_DEFAULTS settings (minFontSize, maxFontSize, lineHeight, maxLineEm, shape), plus
+ *   maxWidth, maxHeight: the space in px; sizeOf(textWidth, textHeight) => { width, height } of the box around the text
+ * @param {Function} measure - (text, fontSize) => width in px
+ * @returns {Object} { fits, fontSize, lines, textWidth, textHeight, width, height, overflow?: { width, height }, shortenBy? }
+ *   When the text does not fit, the lines are set at the minimum size, and shortenBy is roughly
+ *   the fraction of the text to cut (0-1)
+ */
+export function fitText(text, options, measure) {
+  const settings = {
+    ...TEXT_FIT_DEFAULTS.speech,
+    sizeOf: (width, height) => ({ width, height }),
+    maxWidth: Infinity,
+    maxHeight: Infinity,
+    ...options,
+  };
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    const box = settings.sizeOf(0, 0);
+    return { fits: true, fontSize: settings.maxFontSize, lines: [], textWidth: 0, textHeight: 0, ...box };
+  }
+
+  let smallest = null;
+  for (let fontSize = settings.maxFontSize; fontSize >= settings.minFontSize; fontSize -= FONT_SIZE_STEP) {
+    const layout = layoutAtSize(words, fontSize, settings, measure);
+    if (layout?.fits) return layout;
+    if (layout) smallest = layout;
+  }
+  smallest = smallest || layoutAtSize(words, settings.minFontSize, { ...settings, maxWidth: Infinity, maxHeight: Infinity }, measure);
+
+  const overflow = {
+    width: Math.max(0, Math.round(smallest.width - settings.maxWidth)),
+    height: Math.max(0, Math.round(smallest.height - settings.maxHeight)),
+  };
+  const area = smallest.width * smallest.height;
+  const room = Math.min(smallest.width, settings.maxWidth) * Math.min(smallest.height, settings.maxHeight);
+  return {
+    ...smallest,
+    fits: false,
+    overflow,
+    shortenBy: area > 0 ? Math.min(1, Math.round((1 - room / area) * 100) / 100) : 0,
+  };
+}
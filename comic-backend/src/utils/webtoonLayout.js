@@ -0,0 +1,64 @@
+/**
+ * Webtoon strip layout
+ * Stacks panels top to bottom in one tall strip and splits it into segments
+ * that fit a platform's upload limit.
+ */
+
+/**
+ * Place panels in a vertical strip
+ * @param {Array} panels - [{ id, width, height, beatEnd, fullBleed, gutterAfter }] in reading order;
+ *                         width/height are the image size (only the aspect ratio is used)
+ * @param {Object} config - { width, margin, gutter, beatGutter } (see config/webtoon.js)
+ * @returns {Object} { width, height, placements: [{ id, x, y, width, height, fullBleed }] }
+ */
+export function layoutWebtoonStrip(panels, config) {
+  const placements = [];
+  let y = config.margin;
+
+  panels.forEach((panel, index) => {
+    const fullBleed = Boolean(panel.fullBleed);
+    const x = fullBleed ? 0 : config.margin;
+    const width = fullBleed ? config.width : config.width - config.margin * 2;
+    const height = Math.round((panel.height / panel.width) * width);
+    placements.push({ id: panel.id, x, y, width, height, fullBleed });
+
+    y += height;
+    if (index < panels.length - 1) {
+      y += panel.gutterAfter ?? (panel.beatEnd ? config.beatGutter : config.gutter);
+    }
+  });
+
+  return { width: config.width, height: y + config.margin, placements };
+}
+
+/**
+ * Split a strip into segments no taller than maxHeight.
+ * Cuts go in the middle of the gutter closest to the limit, so panels stay whole;
+ * a panel taller than the limit is cut where the limit falls.
+ * @param {Object} strip - Result of layoutWebtoonStrip
+ * @param {number} maxHeight - Maximum segment height in px
+ * @returns {Array} [{ segment, top, height }]
+ */
+export function splitWebtoonStrip(strip, maxHeight) {
+  const sorted = [...strip.placements].sort((a, b) => a.y - b.y);
+  const cuts = sorted
+    .slice(1)
+    .map((placement, index) => {
+      const previousBottom = sorted[index].y + sorted[index].height;
+      return Math.round((previousBottom + placement.y) / 2);
+    })
+    .filter(cut => cut > 0 && cut < strip.height);
+
+  const segments = [];
+  let top = 0;
+  while (top < strip.height) {
+    let bottom = Math.min(top + maxHeight, strip.height);
+    if (bottom < strip.height) {
+      const cut = cuts.filter(candidate => candidate > top && candidate <= bottom).pop();
+      if (cut) bottom = cut;
+    }
+    segments.push({ segment: segments.length + 1, top, height: bottom - top });
+    top = bottom;
+  }
+  return segments;
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+import { AIMessage } from '@langchain/core/messages';
+import { LangChainComicAgent } from '../src/core/langchain-agent.js';
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+
+/**
+ * Model stand-in that replays a fixed list of replies and records what it was sent
+ */
+function scriptedModel(replies) {
+  const calls = [];
+  return {
+    calls,
+    async invoke(messages) {
+      calls.push([...messages]);
+      return replies.shift() || new AIMessage('Done.');
+    },
+  };
+}
+
+async function testAgentLoop() {
+  console.log('🧪 Testing multi-step agent loop (no network)...');
+
+  const agent = new LangChainComicAgent({ maxSteps: 4 });
+  agent.panelTool = { invoke: async () => JSON.stringify({ success: true, panels: [] }) };
+  agent.characterTool = { invoke: async () => JSON.stringify({ success: false, error: 'No panels found' }) };
+  agent.layoutTool = { invoke: async () => JSON.stringify({ success: true, pageCount: 3 }) };
+
+  // Two chained rounds (two parallel calls, then one), then a final answer
+  agent.llm = scriptedModel([
+    new AIMessage({ content: '', tool_calls: [
+      { id: 'call_1', name: 'select_comic_layout', args: { pageCount: 3 } },
+      { id: 'call_2', name: 'generate_panels', args: { story: 'sci-fi' } },
+    ] }),
+    new AIMessage({ content: '', tool_calls: [{ id: 'call_3', name: 'generate_characters', args: {} }] }),
+    new AIMessage('Panels are ready, characters failed.'),
+  ]);
+
+  const result = await agent.run('make a 3-page sci-fi comic');
+  console.log('✅ Response:', result.response);
+  console.log('✅ Steps:', result.steps, 'stoppedAtMaxSteps:', result.stoppedAtMaxSteps);
+  console.table(result.trace.map(({ step, tool, toolCallId, success, error }) => ({ step, tool, toolCallId, success, error })));
+
+  const toolMessages = agent.llm.calls[2].filter(message => message.tool_call_id);
+  const ids = toolMessages.map(message => message.tool_call_id).join(',');
+  if (ids !== 'call_1,call_2,call_3') {
+    throw new Error(`Expected one ToolMessage per call, got ${ids}`);
+  }
+  console.log('✅ ToolMessage IDs:', ids);
+
+  // A model that never stops calling tools is cut off at maxSteps
+  agent.llm = scriptedModel(Array.from({ length: 10 }, (_, i) => new AIMessage({
+    content: '',
+    tool_calls: [{ id: `loop_${i}`, name: 'select_comic_layout', args: {} }],
+  })));
+  agent.baseModel = { invoke: async () => new AIMessage('Stopped after too many steps.') };
+
+  const capped = await agent.run('keep going', { maxSteps: 2 });
+  if (!capped.stoppedAtMaxSteps || capped.trace.length !== 2) {
+    throw new Error('Expected the loop to stop after 2 steps');
+  }
+  console.log('✅ Max steps guard:', capped.response);
+}
+
+testAgentLoop().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
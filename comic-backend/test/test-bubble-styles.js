@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { DialogueGenerationLangChainTool } from '../src/tools/dialogue-generation-langchain.js';
+import { DialoguePlacementVisionLangChainTool } from '../src/tools/dialogue-placement-vision-langchain.js';
+import { EditPanelLangChainTool } from '../src/tools/edit-panel-langchain.js';
+import {
+  BUBBLE_STYLES,
+  bubbleOutline,
+  bubbleSize,
+  bubbleTail,
+  normalizeBubbleStyle,
+  pathPoints,
+} from '../src/utils/bubbleShapes.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const frame = { width: 832, height: 1248 };
+const inside = (point, box) =>
+  point.x >= box.x - 0.01 && point.x <= box.x + box.width + 0.01 && point.y >= box.y - 0.01 && point.y <= box.y + box.height + 0.01;
+
+function testShapes() {
+  console.log('🧪 Testing bubble shapes...');
+
+  for (const style of BUBBLE_STYLES) {
+    const box = { x: 100, y: 80, ...bubbleSize(style, 280, 94) };
+    assert(box.width > 280 && box.height > 94, `${style} bubble should hold its text`);
+    const outline = bubbleOutline(style, box);
+    assert(pathPoints(outline).every(point => inside(point, box)), `${style} outline leaves its box`);
+  }
+
+  const box = { x: 100, y: 80, width: 400, height: 160 };
+  assert(bubbleOutline('speech', box)[0][0] === 'E', 'Speech bubbles are ellipses');
+  assert(bubbleOutline('radio', box).some(([op]) => op === 'Q'), 'Radio bubbles are rounded boxes');
+
+  // Bursts alternate between spikes and notches
+  const burst = pathPoints(bubbleOutline('shout', box)).map(point => Math.hypot((point.x - 300) / 200, (point.y - 160) / 80));
+  assert(burst.some(r => r > 0.9) && burst.some(r => r < 0.75), 'Shout bubbles are jagged');
+
+  const mouth = { x: 420, y: 600 };
+  const speech = bubbleTail('speech', box, mouth, frame);
+  assert(speech.path[1][1] === mouth.x && speech.path[1][2] === mouth.y, 'Speech tails end at the mouth');
+  assert(bubbleTail('speech', box, { x: 300, y: 160 }, frame) === null, 'No tail for a speaker inside the bubble');
+  assert(bubbleTail('speech', box, null, frame) === null, 'No tail without a speaker');
+
+  const thought = bubbleTail('thought', box, mouth, frame);
+  assert(!thought.path && thought.circles.length === 3, 'Thought bubbles trail off in circles');
+  assert(thought.circles[0].r > thought.circles[2].r, 'Circles shrink towards the thinker');
+  assert(thought.circles.every(circle => circle.y > 240 && circle.y < mouth.y), 'Circles run from the bubble towards the thinker');
+
+  const radio = bubbleTail('radio', box, mouth, frame);
+  const zigzag = pathPoints(radio.path);
+  assert(zigzag.some(point => point.x === mouth.x && point.y === mouth.y), 'Radio tails end at the speaker');
+  assert(zigzag.length > 6, 'Radio tails zig-zag');
+
+  // Off-panel tails run to the frame edge in the speaker's direction, or to the nearest edge
+  const offRight = bubbleTail('off-panel', box, { x: 700, y: 160 }, frame);
+  assert(offRight.tip.x === frame.width && Math.abs(offRight.tip.y - 160) < 0.01, `Tail to the right edge: ${JSON.stringify(offRight.tip)}`);
+  const offNearest = bubbleTail('off-panel', box, null, frame);
+  assert(offNearest.tip.y === 0, `Tail to the nearest (top) edge: ${JSON.stringify(offNearest.tip)}`);
+  console.log('✅ Shapes:', BUBBLE_STYLES.join(', '));
+
+  assert(normalizeBubbleStyle('Off Panel') === 'off-panel' && normalizeBubbleStyle('shouting') === 'shout', 'Aliases');
+  assert(normalizeBubbleStyle('sparkly') === null, 'Unknown styles');
+}
+
+function testDialogueStyles() {
+  console.log('🧪 Testing dialogue styles...');
+
+  const generator = new DialogueGenerationLangChainTool();
+  assert(generator.cleanDialogueLine({ speaker: 'char_1', text: 'Hi' }).style === 'speech', 'Default style');
+  assert(generator.cleanDialogueLine({ speaker: 'char_1', text: 'RUN!', style: 'Shout' }).style === 'shout', 'Styles are normalized');
+
+  const placer = new DialoguePlacementVisionLangChainTool();
+  const panel = {
+    dialogue: [
+      { speaker: 'char_1', text: 'Did you hear that?', style: 'whisper' },
+      { speaker: 'char_2', text: 'Base to team, come in.', style: 'radio' },
+    ],
+  };
+  const placements = placer.applyBubbleStyles(panel, [
+    { type: 'narration', text: 'Night.' },
+    { type: 'speech', text: 'Base to team... come in.' },
+    { type: 'speech', text: 'Did you hear that?' },
+  ]);
+  assert(placements[2].style === 'whisper', 'Matched by text');
+  assert(placements[1].style === 'radio', 'Reworded lines are matched in order');
+  assert(!placements[0].style, 'Narration has no bubble style');
+  console.log('✅ Placement styles:', placements.map(p => p.style || p.type).join(', '));
+}
+
+async function testEditStyle() {
+  console.log('🧪 Testing edit_panel styles...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-bubbles-'));
+  try {
+    const store = new ProjectStore(rootDir);
+    const project = await store.open((await store.create('Bubbles')).id);
+    const panels = [
+      {
+        id: 'panel2',
+        dialogue: [{ speaker: 'char_1', text: 'Quiet now.', style: 'speech' }],
+        textPlacements: [{ type: 'speech', text: 'Quiet now.', position: { x: 10, y: 10 }, tail: { x: 100, y: 300 } }],
+      },
+    ];
+    fs.writeFileSync(project.comicPath, yaml.stringify({ characters: [], panels }));
+    const tool = new EditPanelLangChainTool({ project });
+
+    const result = JSON.parse(await tool.execute('panel', 'panel2', 'style', 'Whisper', 0));
+    const saved = yaml.parse(fs.readFileSync(project.comicPath, 'utf8')).panels[0];
+    assert(result.success && result.oldValue === 'speech' && result.newValue === 'whisper', result.error);
+    assert(saved.dialogue[0].style === 'whisper' && saved.textPlacements[0].style === 'whisper', JSON.stringify(saved));
+
+    const unknown = JSON.parse(await tool.execute('panel', 'panel2', 'style', 'sparkly', 0));
+    assert(!unknown.success && unknown.availableStyles.includes('thought'), 'Unknown styles are refused');
+    const badLine = JSON.parse(await tool.execute('panel', 'panel2', 'style', 'shout', 3));
+    assert(!badLine.success && badLine.error.includes('line 3'), 'Missing lines are reported');
+    const badArray = JSON.parse(
+      await tool.execute('panel', 'panel2', 'dialogue', [{ speaker: 'char_1', text: 'Hm', style: 'loud' }])
+    );
+    assert(!badArray.success && badArray.error.includes('"loud"'), 'Styles in a whole dialogue array are checked');
+    console.log('✅ Restyled:', `${result.oldValue} → ${saved.dialogue[0].style}`);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+try {
+  testShapes();
+  testDialogueStyles();
+  await testEditStyle();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import JSZip from 'jszip';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import yaml from 'yaml';
+import { createExportTool } from '../src/core/exports.js';
+import { LocalStorage } from '../src/providers/localStorage.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function testCbzExport() {
+  console.log('🧪 Testing CBZ export (no network)...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-cbz-'));
+  const store = new ProjectStore(rootDir);
+  try {
+    const project = await store.open((await store.create('Space Bakery')).id);
+
+    // Eleven pages so a naive page_1/page_10 ordering would break
+    const pages = [];
+    for (let page = 11; page >= 1; page--) {
+      const file = path.join(project.assetsDir, `page_${page}.png`);
+      await sharp({ create: { width: 200, height: 283, channels: 3, background: '#cccccc' } }).png().toFile(file);
+      pages.push({ page, url: `file://${file}`, path: file });
+    }
+    fs.writeFileSync(
+      project.comicPath,
+      yaml.stringify({
+        layout: 'three-page-story',
+        story: { context: 'A robot learns to bake <croissants> & cookies', genre: 'sci-fi' },
+        characters: [{ id: 'char_1' }, { id: 'char_2', name: 'Elara Meadow' }],
+        panels: [{ id: 'panel2', title: 'Not this one' }, { id: 'panel1', title: 'Rise of the Dough' }],
+        pages,
+      })
+    );
+    fs.writeFileSync(project.charactersPath, yaml.stringify({ characters: [{ id: 'char_1', name: 'Bolt' }] }));
+
+    const storage = new LocalStorage({ dir: path.join(rootDir, 'outputs'), baseUrl: 'http://localhost:8000/outputs' });
+    const result = JSON.parse(await createExportTool('cbz', { project, storage }).execute({ authors: ['Ada'] }));
+    assert(result.success, result.error);
+    assert(result.path.endsWith('rise-of-the-dough.cbz'), `Unexpected file ${result.path}`);
+    console.log('✅ Exported:', result.url);
+
+    const zip = await JSZip.loadAsync(await fs.readFile(result.path));
+    const images = Object.keys(zip.files).filter(name => name.endsWith('.png'));
+    assert(images.length === 11, `Expected 11 pages, got ${images.length}`);
+    assert(images[0] === 'page_001.png' && [...images].sort()[10] === 'page_011.png', 'Pages should be zero-padded');
+    console.log('✅ Pages:', images[0], '…', images[images.length - 1]);
+
+    const xml = await zip.file('ComicInfo.xml').async('string');
+    assert(xml.includes('<Title>Rise of the Dough</Title>'), 'Title should come from panel1');
+    assert(xml.includes('<Summary>A robot learns to bake &lt;croissants&gt; &amp; cookies</Summary>'), 'Summary missing or not escaped');
+    assert(xml.includes('<Characters>Bolt, Elara Meadow</Characters>'), 'Character names missing');
+    assert(xml.includes('<PageCount>11</PageCount>'), 'Page count missing');
+    assert(xml.includes('<Page Image="0" Type="FrontCover"'), 'Cover page type missing');
+    assert(xml.includes('<Writer>Ada</Writer>') && xml.includes('<Genre>sci-fi</Genre>'), 'Writer/genre missing');
+    console.log('✅ ComicInfo.xml:\n' + xml.split('\n').slice(2, 12).join('\n'));
+
+    const unknown = (() => {
+      try {
+        createExportTool('cbr', { project, storage });
+      } catch (error) {
+        return error;
+      }
+    })();
+    assert(unknown instanceof Error, 'Unknown formats should be rejected');
+    console.log('✅ Unknown format:', unknown.message);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testCbzExport().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
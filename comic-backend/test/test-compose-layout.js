@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { ComposePagesLangChainTool } from '../src/tools/compose-pages-langchain.js';
+import { LayoutSelectionLangChainTool } from '../src/tools/layout-selection-langchain.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function writeComic(project, panelCount, extra = {}) {
+  const panels = Array.from({ length: panelCount }, (_, i) => ({
+    id: `panel${i + 1}`,
+    description: `Panel ${i + 1}`,
+    cloudinaryUrl: `file://panel${i + 1}.jpg`,
+  }));
+  fs.writeFileSync(project.comicPath, yaml.stringify({ ...extra, characters: [], panels }));
+}
+
+async function testComposeLayout() {
+  console.log('🧪 Testing compose_pages layout selection (no rendering)...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-compose-'));
+  const store = new ProjectStore(rootDir);
+  try {
+    const project = await store.open((await store.create('Layouts')).id);
+    const compose = new ComposePagesLangChainTool({ project });
+    // Only the layout logic is under test: skip drawing and uploading
+    const rendered = [];
+    compose.renderPage = async (pageNumber, pageLayout) => {
+      rendered.push(...pageLayout.map(panel => panel.id));
+      return { page: pageNumber, url: `file://page${pageNumber}.png` };
+    };
+
+    // select_comic_layout records the layout, compose_pages uses it
+    writeComic(project, 12);
+    const selected = JSON.parse(await new LayoutSelectionLangChainTool({ project }).execute(4));
+    assert(selected.layout === 'four-page-story', `Unexpected layout: ${selected.layout}`);
+    const fourPages = JSON.parse(await compose.execute());
+    assert(fourPages.success && fourPages.layout === 'four-page-story' && fourPages.totalPages === 4, fourPages.error);
+    assert(rendered.length === 12, `Expected 12 panels placed, got ${rendered.length}`);
+    console.log('✅ Recorded layout:', fourPages.layout, fourPages.totalPages, 'pages,', rendered.length, 'panels');
+
+    // A missing image is an explicit error
+    const comic = yaml.parse(fs.readFileSync(project.comicPath, 'utf8'));
+    delete comic.panels[6].cloudinaryUrl;
+    fs.writeFileSync(project.comicPath, yaml.stringify(comic));
+    const missing = JSON.parse(await compose.execute());
+    assert(!missing.success && missing.missingPanels.join() === 'panel7', 'panel7 should be reported missing');
+    console.log('✅ Missing panel:', missing.error);
+
+    // Panels the layout has no slot for are not dropped silently
+    writeComic(project, 14, { layout: 'four-page-story' });
+    const extra = JSON.parse(await compose.execute());
+    assert(!extra.success && extra.unplacedPanels.join() === 'panel13,panel14', 'panel13 and panel14 should be reported');
+    console.log('✅ Unplaced panels:', extra.error);
+
+    // Older comics without a recorded layout match on panel count
+    writeComic(project, 14);
+    const fivePages = JSON.parse(await compose.execute());
+    assert(fivePages.success && fivePages.layout === 'five-page-story', fivePages.error);
+    console.log('✅ Inferred layout:', fivePages.layout);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testComposeLayout().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
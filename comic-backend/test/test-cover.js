@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { A4 } from '../config/a4.js';
+import { ComposeCoverLangChainTool } from '../src/tools/compose-cover-langchain.js';
+import { buildCoverLayout, upcBarcode } from '../src/utils/coverLayout.js';
+import { loadComposedPages } from '../src/utils/composedPages.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Monospaced stand-in for ctx.measureText: 0.6em per character
+const measure = (text, font) => text.length * parseInt(font.match(/(\d+)px/)[1], 10) * 0.6;
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+function testCoverLayout() {
+  console.log('🧪 Testing cover layout...');
+
+  const cover = {
+    title: 'Midnight Bakery',
+    subtitle: 'The Last Loaf',
+    issueNumber: 3,
+    price: '$3.99',
+    date: 'OCT 2026',
+    credits: [{ role: 'Story', name: 'Ada' }, { role: 'Art', name: 'Grace' }],
+    barcode: true,
+  };
+  const layout = buildCoverLayout(cover, A4, measure);
+  const boxes = Object.entries(layout);
+  for (const [name, box] of boxes) {
+    assert(box.x >= 0 && box.y >= 0 && box.x + box.width <= A4.width && box.y + box.height <= A4.height, `${name} is off the cover`);
+  }
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      assert(!overlaps(boxes[i][1], boxes[j][1]), `${boxes[i][0]} overlaps ${boxes[j][0]}`);
+    }
+  }
+  assert(layout.masthead.lines.join(' ') === 'MIDNIGHT BAKERY', 'The masthead is set in capitals');
+  assert(layout.issue.text === 'No. 3' && layout.badge.text === '$3.99 · OCT 2026', 'Issue box and badge text');
+  assert(layout.credits.lines.length === 1 && layout.credits.lines[0] === 'STORY Ada  •  ART Grace', 'Credits on one line');
+  console.log('✅ Cover boxes:', boxes.map(([name]) => name).join(', '), `| masthead ${layout.masthead.fontSize}px`);
+
+  // A long title is set on two lines when that makes it larger
+  const long = buildCoverLayout({ title: 'The Extraordinary Adventures Of Captain Crumb' }, A4, measure);
+  assert(long.masthead.lines.length === 2, `Expected two lines, got ${JSON.stringify(long.masthead.lines)}`);
+  assert(long.masthead.lines.every(line => measure(line, `bold italic ${long.masthead.fontSize}px x`) <= long.masthead.width), 'Lines fit');
+  assert(!long.issue && !long.credits && !long.barcode, 'Only the furniture asked for is laid out');
+
+  // Many credits wrap onto two lines
+  const names = ['Story', 'Pencils', 'Inks', 'Colors', 'Letters', 'Editor', 'Cover'].map(role => ({ role, name: 'Alexandra Montgomery' }));
+  const crowded = buildCoverLayout({ title: 'Dawn', credits: names }, A4, measure);
+  assert(crowded.credits.lines.length === 2, 'Long credits wrap');
+  console.log('✅ Long title:', long.masthead.lines.join(' / '), `| credits on ${crowded.credits.lines.length} lines`);
+
+  const barcode = upcBarcode('03600029145');
+  assert(barcode.digits === '036000291452' && barcode.modules.length === 95, `UPC-A check digit: ${barcode.digits}`);
+  console.log('✅ Barcode:', barcode.digits);
+}
+
+async function testComposeCover() {
+  console.log('🧪 Testing compose_cover...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-cover-'));
+  const store = new ProjectStore(rootDir);
+  try {
+    const project = await store.open((await store.create('Cover')).id);
+    const panels = Array.from({ length: 5 }, (_, i) => ({ id: `panel${i + 1}`, cloudinaryUrl: `file://panel${i + 1}.jpg` }));
+    panels[0].title = 'Midnight Bakery';
+    const pages = [1, 2].map(page => ({ page, url: `file:///pages/page_${page}.png` }));
+    fs.writeFileSync(project.comicPath, yaml.stringify({ layout: 'two-page-story', characters: [], panels, pages }));
+
+    // Drawing needs the canvas; the settings and the comic.yaml record do not
+    const tool = new ComposeCoverLangChainTool({ project });
+    const drawn = [];
+    tool.renderCover = async (comicPanel, cover) => {
+      drawn.push({ comicPanel, cover });
+      return Buffer.from('cover');
+    };
+
+    const result = JSON.parse(
+      await tool.execute({ issueNumber: 3, price: '$3.99', credits: [{ role: 'Story', name: 'Ada' }], barcode: true, upload: false })
+    );
+    assert(result.success && !result.uploaded, result.error);
+    assert(drawn[0].comicPanel.id === 'panel1' && drawn[0].cover.title === 'Midnight Bakery', 'Cover over panel1 with its title');
+    assert(result.replacesPage === 1, 'The panel1 splash page is replaced');
+    assert((await fs.readFile(result.path, 'utf8')) === 'cover' && result.path.endsWith(path.join('assets', 'cover', 'cover.png')), 'Cover file');
+    console.log('✅ Cover:', result.path);
+
+    // Settings not passed are kept from the previous cover
+    const again = JSON.parse(await tool.execute({ subtitle: 'The Last Loaf', upload: false }));
+    const saved = yaml.parse(fs.readFileSync(project.comicPath, 'utf8')).cover;
+    assert(again.success && saved.issueNumber === 3 && saved.price === '$3.99' && saved.subtitle === 'The Last Loaf', 'Previous settings kept');
+    assert(saved.barcode === true && saved.credits[0].name === 'Ada' && saved.url.startsWith('file://'), JSON.stringify(saved));
+    assert(!('date' in saved) && drawn[1].cover.date === null, 'The default date is not recorded, so it stays current');
+    console.log('✅ Recorded in comic.yaml:', JSON.stringify({ issueNumber: saved.issueNumber, subtitle: saved.subtitle }));
+
+    // A date the user gives is kept
+    await tool.execute({ date: 'WINTER 1999', upload: false });
+    await tool.execute({ upload: false });
+    assert(yaml.parse(fs.readFileSync(project.comicPath, 'utf8')).cover.date === 'WINTER 1999' && drawn[3].cover.date === 'WINTER 1999', 'Given dates are recorded');
+
+    // Exports read the cover first, in place of the splash page
+    const composed = loadComposedPages(project);
+    assert(composed.length === 2 && composed[0].cover && composed[0].page === 0 && composed[1].page === 2, JSON.stringify(composed));
+    console.log('✅ Export pages:', composed.map(page => (page.cover ? 'cover' : page.page)).join(', '));
+
+    const missing = JSON.parse(await tool.execute({ panelId: 'panel9' }));
+    assert(!missing.success && missing.error.includes('panel9'), 'Unknown panels should fail');
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+try {
+  testCoverLayout();
+  await testComposeCover();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { A4 } from '../config/a4.js';
+import { ComposePagesLangChainTool } from '../src/tools/compose-pages-langchain.js';
+import { LayoutSelectionLangChainTool } from '../src/tools/layout-selection-langchain.js';
+import { PanelGenerationLangChainTool } from '../src/tools/panel-generation-langchain.js';
+import { compileGridLayout, generateGridLayout, parseGridPage } from '../src/utils/gridLayout.js';
+import { formatLayoutIssue, panelRects, validateLayout } from '../src/utils/layoutValidator.js';
+import { layoutPanelIds, loadComicLayouts } from '../src/utils/layouts.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const near = (a, b) => Math.abs(a - b) <= 2;
+
+function testGridSyntax() {
+  console.log('🧪 Testing the grid layout syntax...');
+
+  const rows = parseGridPage('2: 1 1 / 1 2 1');
+  assert(rows.length === 2 && rows[0].height === 2 && rows[1].height === 1, 'Row heights default to 1');
+  assert(rows[1].widths.join() === '1,2,1', `Unexpected widths: ${rows[1].widths}`);
+  for (const bad of ['', '2: ', '0: 1', '1: 1 x']) {
+    let threw = false;
+    try {
+      parseGridPage(bad);
+    } catch (error) {
+      threw = true;
+    }
+    assert(threw, `"${bad}" should not parse`);
+  }
+  console.log('✅ parseGridPage');
+
+  // Rectangles land exactly where the grid puts them
+  const layout = compileGridLayout({ gutter: 60, padding: 60, grid: { page1: '1: 1 / 1: 1 3', page2: '1' } });
+  assert(layout.pages === 2 && layout.panels_per_page.join() === '3,1', 'Pages and panels_per_page are derived');
+  assert(layoutPanelIds(layout).join() === 'panel1,panel2,panel3,panel4', 'Panels are numbered across pages');
+
+  const [top, left, right] = panelRects(layout).page1;
+  const innerLeft = A4.margin + 60;
+  const innerWidth = A4.width - A4.margin * 2 - 120;
+  const rowHeight = (A4.height - A4.margin * 2 - 120 - 60) / 2;
+  assert(near(top.x, innerLeft) && near(top.width, innerWidth) && near(top.height, rowHeight), `Wide panel at ${JSON.stringify(top)}`);
+  assert(near(left.y, top.y + rowHeight + 60), 'Second row starts one gutter below the first');
+  assert(near(left.width, (innerWidth - 60) / 4) && near(right.width, ((innerWidth - 60) * 3) / 4), 'Widths follow 1:3');
+  assert(near(right.x, left.x + left.width + 60), 'Panels in a row are one gutter apart');
+  assert(validateLayout('grid', layout).length === 0, 'Compiled grid should validate clean');
+  console.log('✅ compileGridLayout:', JSON.stringify(right));
+}
+
+function testGeneratedLayouts() {
+  console.log('🧪 Testing generated layouts...');
+
+  for (const [count, weights] of [[1], [7, [3, 1, 1, 1, 2, 1, 1]], [20], [40]]) {
+    const { layoutKey, layout } = generateGridLayout(count, { weights });
+    const issues = validateLayout(layoutKey, layout);
+    assert(issues.length === 0, `${layoutKey}: ${issues.map(formatLayoutIssue).join('; ')}`);
+    assert(layoutPanelIds(layout).length === count, `${layoutKey} should have ${count} panels`);
+    console.log(`✅ ${layoutKey}: ${layout.pages} pages (${layout.panels_per_page.join(', ')})`);
+  }
+
+  // The important panel gets more of the page
+  const { layout } = generateGridLayout(7, { weights: [3, 1, 1, 1, 2, 1, 1] });
+  const areas = Object.fromEntries(
+    Object.values(panelRects(layout)).flat().map(rect => [rect.id, rect.width * rect.height])
+  );
+  assert(areas.panel1 > areas.panel2 * 2, 'panel1 (weight 3) should be much larger than panel2');
+  assert(areas.panel5 > areas.panel6, 'panel5 (weight 2) should be larger than panel6');
+
+  let threw = false;
+  try {
+    generateGridLayout(41);
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'More than 40 panels should be refused');
+  console.log('✅ Weights and limits respected');
+}
+
+async function testGeneratedLayoutInProject() {
+  console.log('🧪 Testing a generated layout from selection to composition...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-grid-'));
+  const store = new ProjectStore(rootDir);
+  try {
+    const project = await store.open((await store.create('Grid')).id);
+    const panels = Array.from({ length: 7 }, (_, i) => ({ id: `panel${i + 1}`, cloudinaryUrl: `file://panel${i + 1}.jpg` }));
+    fs.writeFileSync(project.comicPath, yaml.stringify({ characters: [], panels }));
+
+    const selected = JSON.parse(await new LayoutSelectionLangChainTool({ project }).execute(null, { panelCount: 7 }));
+    assert(selected.success && selected.layout === 'auto-7-panels' && selected.panelCount === 7, selected.error);
+    const comic = yaml.parse(fs.readFileSync(project.comicPath, 'utf8'));
+    assert(comic.layout === 'auto-7-panels' && comic.layoutGrid?.page1, 'The grid should be recorded in comic.yaml');
+    assert(loadComicLayouts(project.comicPath)['auto-7-panels'], 'loadComicLayouts should include the recorded grid');
+    console.log('✅ Recorded:', comic.layout, JSON.stringify(comic.layoutGrid));
+
+    // generate_panels reuses the weighted grid recorded by select_comic_layout
+    const weights = [1, 1, 3, 1, 1, 1, 1];
+    const weighted = JSON.parse(await new LayoutSelectionLangChainTool({ project }).execute(null, { panelCount: 7, panelWeights: weights }));
+    assert(weighted.message.includes('layout "auto-7-panels"'), weighted.message);
+    const recordedGrid = yaml.parse(fs.readFileSync(project.comicPath, 'utf8')).layoutGrid;
+    const reused = new PanelGenerationLangChainTool({ project }).resolveLayout(3, { layout: weighted.layout });
+    assert(JSON.stringify(reused.layout.grid) === JSON.stringify(recordedGrid), `Expected the recorded grid, got ${JSON.stringify(reused.layout.grid)}`);
+    assert(JSON.stringify(recordedGrid) !== JSON.stringify(generateGridLayout(7).layout.grid), 'The weights should change the grid');
+    console.log('✅ Reused by generate_panels:', JSON.stringify(reused.layout.grid));
+
+    const compose = new ComposePagesLangChainTool({ project });
+    const rendered = [];
+    compose.renderPage = async (pageNumber, pageLayout) => {
+      rendered.push(...pageLayout.map(panel => panel.id));
+      return { page: pageNumber, url: `file://page${pageNumber}.png` };
+    };
+    const composed = JSON.parse(await compose.execute());
+    assert(composed.success && composed.layout === 'auto-7-panels', composed.error);
+    assert(rendered.length === 7, `Expected 7 panels placed, got ${rendered.length}`);
+    console.log('✅ Composed', composed.totalPages, 'pages with', composed.layout);
+
+    // Without a recorded layout, an unusual panel count gets a generated one
+    fs.writeFileSync(project.comicPath, yaml.stringify({ characters: [], panels }));
+    rendered.length = 0;
+    const inferred = JSON.parse(await compose.execute());
+    assert(inferred.success && inferred.layout === 'auto-7-panels' && rendered.length === 7, inferred.error);
+    console.log('✅ Generated on compose:', inferred.layout);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+try {
+  testGridSyntax();
+  testGeneratedLayouts();
+  await testGeneratedLayoutInProject();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+import sharp from 'sharp';
+import { DialoguePlacementVisionLangChainTool } from '../src/tools/dialogue-placement-vision-langchain.js';
+import { busynessGrid, heuristicPlacements, regionBusyness, speakerPositions } from '../src/utils/heuristicPlacement.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const frame = { width: 832, height: 1248 };
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+const regionOf = placement => ({ ...placement.position, ...placement.space });
+
+// Flat sky across the top, busy stripes below it and down the left edge
+async function testImage() {
+  const stripes = Array.from({ length: 26 }, (_, i) => `<rect x="0" y="${i * 48}" width="832" height="24" fill="#222"/>`).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="832" height="1248">
+    <rect width="832" height="1248" fill="#fff"/>
+    <g clip-path="url(#busy)">${stripes}</g>
+    <clipPath id="busy"><rect x="0" y="700" width="832" height="548"/><rect x="0" y="0" width="120" height="1248"/></clipPath>
+  </svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+const panel = {
+  id: 'panel2',
+  ...frame,
+  cameraAngle: 'establishing-shot',
+  title: 'THE RELIC',
+  narration: 'Later, at the outpost...',
+  dialogue: [
+    { speaker: 'char_1', text: 'Did you hear that?' },
+    { speaker: 'char_2', text: 'Stay close.', style: 'whisper' },
+  ],
+};
+
+async function testBusyness() {
+  console.log('🧪 Testing image busyness...');
+  const grid = await busynessGrid(await testImage());
+  assert(grid.cols === 24 && grid.rows === 36 && grid.width === 832 && grid.height === 1248, JSON.stringify({ ...grid, cells: [] }));
+  const sky = regionBusyness(grid, { x: 300, y: 50, width: 400, height: 300 }, frame);
+  const ground = regionBusyness(grid, { x: 300, y: 850, width: 400, height: 300 }, frame);
+  assert(sky < 0.05 && ground > 0.5, `Sky ${sky}, ground ${ground}`);
+  console.log('✅ Busyness:', `sky ${sky.toFixed(2)}, ground ${ground.toFixed(2)}`);
+  return grid;
+}
+
+function testSpeakers() {
+  console.log('🧪 Testing speaker positions...');
+  const [first, second] = speakerPositions(panel, frame);
+  assert(first.name === 'char_1' && second.name === 'char_2', 'Speakers in the order they first speak');
+  assert(first.face.x < second.face.x && first.mouth.y > first.face.y, JSON.stringify({ first, second }));
+
+  const medium = speakerPositions({ ...panel, cameraAngle: 'medium-shot' }, frame);
+  assert(first.face.y > medium[0].face.y, 'Faces sit lower in a wide establishing shot');
+  const found = speakerPositions({ ...panel, characterPositions: [{ name: 'char_2', face: { x: 100, y: 200 } }] }, frame);
+  assert(found[1].face.x === 100 && found[1].face.y === 200, 'Faces found by the vision tool win');
+  console.log('✅ Speakers:', JSON.stringify(first.mouth), JSON.stringify(second.mouth));
+}
+
+function testPlacements(grid) {
+  console.log('🧪 Testing heuristic placements...');
+  const result = heuristicPlacements(panel, grid, frame);
+  const { placements, characters } = result;
+  assert(result.panelId === 'panel2' && characters.length === 2, JSON.stringify(characters));
+  assert(placements.map(p => p.type).join() === 'title,narration,speech,speech', placements.map(p => p.type).join());
+  assert(placements.every((p, i) => p.readingOrder === i + 1), 'Sequential reading order');
+  assert(placements[0].position.x === 416 && placements[0].position.y === 30, 'Title centred at the top');
+
+  const speech = placements.filter(p => p.type === 'speech');
+  const mouths = Object.fromEntries(speakerPositions(panel, frame).map(s => [s.name, s.mouth]));
+  assert(speech.every(p => p.tail.x === mouths[p.speaker].x && p.tail.y === mouths[p.speaker].y), 'Tails point at the speakers');
+  assert(speech[1].style === 'whisper' && !speech[0].style, 'Bubble styles are kept');
+
+  // In the quiet sky, apart from each other, in reading order
+  const regions = placements.slice(1).map(regionOf);
+  assert(regions.every(region => regionBusyness(grid, region, frame) < 0.2), JSON.stringify(regions));
+  assert(regions.every((a, i) => regions.every((b, j) => i === j || !overlaps(a, b))), 'No overlapping regions');
+  for (let i = 1; i < regions.length; i++) {
+    const [earlier, later] = [regions[i - 1], regions[i]];
+    assert(later.y + later.height > earlier.y && !(later.y < earlier.y && later.x + later.width <= earlier.x), `Out of order: ${JSON.stringify(regions)}`);
+  }
+  console.log('✅ Placed:', regions.map(r => `(${r.x}, ${r.y})`).join(' → '));
+}
+
+async function testUniformImage() {
+  console.log('🧪 Testing heuristic placements on a flat image...');
+  const flat = await sharp({ create: { ...frame, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  const grid = await busynessGrid(flat);
+
+  // 16 lines do not fit in reading order: readingOrder is renumbered from the positions
+  for (const lines of [2, 8, 16]) {
+    const crowded = {
+      ...panel,
+      cameraAngle: 'medium-shot',
+      dialogue: Array.from({ length: lines }, (_, i) => ({ speaker: `char_${(i % 2) + 1}`, text: `Line ${i + 1}` })),
+    };
+    const { placements } = heuristicPlacements(crowded, grid, frame);
+    const [, narration] = placements;
+    assert(narration.position.x === 10 && narration.position.y < frame.height * 0.25, `Caption top-left, below the title: ${JSON.stringify(narration.position)}`);
+
+    // readingOrder follows the positions: each element is below, or to the right of, the one read before it
+    const read = [...placements].sort((a, b) => a.readingOrder - b.readingOrder);
+    assert(read.map(p => p.readingOrder).join() === placements.map((_, i) => i + 1).join(), 'readingOrder runs 1..n');
+    const regions = read.slice(1).map(regionOf);
+    for (let i = 1; i < regions.length; i++) {
+      const [earlier, later] = [regions[i - 1], regions[i]];
+      assert(!(later.y + later.height <= earlier.y) && !(later.y < earlier.y && later.x + later.width <= earlier.x), `Out of order: ${JSON.stringify(regions)}`);
+    }
+    if (lines <= 8) {
+      assert(regions.every((a, i) => regions.every((b, j) => i === j || !overlaps(a, b))), `Overlapping regions with ${lines} lines`);
+    }
+    console.log(`✅ ${lines} lines:`, regions.map(r => `(${r.x}, ${r.y})`).join(' → '));
+  }
+
+  // Panels smaller than the margins still get a usable space
+  const tiny = heuristicPlacements(panel, grid, { width: 15, height: 15 });
+  assert(tiny.placements.slice(1).every(p => p.space.width >= 1 && p.space.height >= 1), JSON.stringify(tiny.placements));
+}
+
+async function testTool() {
+  console.log('🧪 Testing placement strategies on the tool...');
+  const tool = new DialoguePlacementVisionLangChainTool();
+  const image = await testImage();
+  tool.fetchImage = async () => ({ mimeType: 'image/png', buffer: image });
+
+  assert(tool.createVisionModel('heuristic') === null, 'No model for heuristic placement');
+  const offline = await tool.placePanel(panel, 'https://example.com/panel2.png', 'heuristic', null);
+  assert(offline.strategy === 'heuristic' && offline.placements.length === 4, JSON.stringify(offline));
+
+  // "auto" falls back when the vision model fails; "vision" does not
+  const failing = { invoke: async () => { throw new Error('API key not valid'); } };
+  const fallback = await tool.placePanel(panel, 'https://example.com/panel2.png', 'auto', failing);
+  assert(fallback.strategy === 'heuristic' && fallback.placements.length === 4, 'auto falls back to heuristics');
+  const empty = { invoke: async () => ({ content: 'Sorry, I cannot see the image.' }) };
+  assert((await tool.placePanel(panel, 'https://example.com/panel2.png', 'auto', empty)).strategy === 'heuristic', 'Unusable answers fall back too');
+  let failed = false;
+  await tool.placePanel(panel, 'https://example.com/panel2.png', 'vision', failing).catch(() => (failed = true));
+  assert(failed, 'vision does not fall back');
+
+  const unknown = JSON.parse(await tool.execute(null, null, 'psychic'));
+  assert(!unknown.success && unknown.error.includes('auto, vision, heuristic'), unknown.error);
+  console.log('✅ Strategies: heuristic, auto fallback, vision errors');
+}
+
+try {
+  const grid = await testBusyness();
+  testSpeakers();
+  testPlacements(grid);
+  await testUniformImage();
+  await testTool();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
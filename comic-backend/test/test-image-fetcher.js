@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import yaml from 'yaml';
+import { LocalStorage } from '../src/providers/localStorage.js';
+import { ComposePagesLangChainTool } from '../src/tools/compose-pages-langchain.js';
+import { fetchImages } from '../src/utils/imageFetcher.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Image server that counts requests and how many run at once
+ */
+async function startServer() {
+  const stats = { requests: 0, active: 0, maxActive: 0 };
+  const server = http.createServer((req, res) => {
+    stats.requests++;
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    setTimeout(() => {
+      stats.active--;
+      // /same/* all serve the same bytes
+      const body = req.url.startsWith('/same/') ? 'same image' : `image ${req.url}`;
+      res.writeHead(req.url.includes('missing') ? 404 : 200, { 'Content-Type': 'image/png' });
+      res.end(body);
+    }, 50);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, stats, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function testFetchImages(rootDir) {
+  console.log('🧪 Testing image fetching...');
+  const { server, stats, baseUrl } = await startServer();
+  try {
+    const localPath = path.join(rootDir, 'panel1.png');
+    await fs.writeFile(localPath, 'local image');
+    const cacheDir = path.join(rootDir, 'cache');
+    const sources = [
+      { id: 'panel1', url: 'https://example.invalid/panel1.png', path: localPath },
+      { id: 'panel2', url: pathToFileURL(localPath).href },
+      ...[3, 4, 5, 6].map(n => ({ id: `panel${n}`, url: `${baseUrl}/panel${n}.png` })),
+      { id: 'panel7', url: `${baseUrl}/same/a.png` },
+      { id: 'panel8', url: `${baseUrl}/same/b.png` },
+      { id: 'panel9', url: `${baseUrl}/missing.png` },
+    ];
+
+    const first = await fetchImages(sources, { cacheDir, concurrency: 2 });
+    assert(first.stats.local === 2 && first.stats.downloaded === 6, `First run: ${JSON.stringify(first.stats)}`);
+    assert(first.images.panel1.toString() === 'local image' && first.images.panel4.toString().endsWith('/panel4.png'), 'Wrong bytes');
+    assert(first.failed.panel9 && !first.images.panel9, 'A 404 should be reported as failed');
+    assert(stats.maxActive === 2, `Expected 2 downloads at once, saw ${stats.maxActive}`);
+    const cachedFiles = (await fs.readdir(cacheDir)).filter(file => file !== 'index.json');
+    assert(cachedFiles.length === 5, `Identical images should be cached once, found ${cachedFiles.length} files`);
+    console.log('✅ First run:', JSON.stringify(first.stats), `max ${stats.maxActive} at once`);
+
+    const requestsBefore = stats.requests;
+    const second = await fetchImages(sources, { cacheDir, concurrency: 2 });
+    assert(second.stats.cached === 6 && second.stats.downloaded === 0, `Second run: ${JSON.stringify(second.stats)}`);
+    assert(stats.requests === requestsBefore + 1, 'Only the failed image should be requested again');
+    console.log('✅ Second run:', JSON.stringify(second.stats));
+  } finally {
+    server.close();
+  }
+}
+
+async function testLocalStoragePaths(rootDir) {
+  const storage = new LocalStorage({ dir: path.join(rootDir, 'outputs'), baseUrl: 'http://localhost:8000/outputs' });
+  const saved = await storage.save(Buffer.from('page'), { folder: 'comic/pages', publicId: 'page 1', format: 'png' });
+  assert(storage.localPath(saved.url) === saved.path, `localPath should map ${saved.url} back to ${saved.path}`);
+  assert(storage.localPath('http://localhost:8000/outputs/../../.env') === null, 'localPath must stay inside the storage directory');
+  assert(storage.localPath('https://res.cloudinary.com/x.png') === null, 'Remote URLs have no local path');
+  console.log('✅ LocalStorage.localPath:', saved.path);
+}
+
+async function testComposeStorage(rootDir) {
+  console.log('🧪 Testing local-first page storage...');
+  const store = new ProjectStore(path.join(rootDir, 'projects'));
+  const project = await store.open((await store.create('Offline')).id);
+
+  // Rendered text images are read from the local copy the vision tool recorded
+  const textImagePath = path.join(project.assetsDir, 'panel1_with_text.png');
+  await fs.outputFile(textImagePath, 'text image');
+  const panels = [{ id: 'panel1', cloudinaryUrl: 'https://example.invalid/panel1.jpg', textImageUrl: 'https://example.invalid/panel1_text.png', textImagePath }];
+  fs.writeFileSync(project.comicPath, yaml.stringify({ characters: [], panels }));
+
+  const failing = { name: 'offline', save: async () => { throw new Error('getaddrinfo ENOTFOUND'); } };
+  const compose = new ComposePagesLangChainTool({ project, storage: failing });
+  const { images, stats } = await compose.fetchPanelImages(['panel1'], compose.getPanelUrls(null, true));
+  assert(stats.local === 1 && images.panel1.toString() === 'text image', `Expected the local text image: ${JSON.stringify(stats)}`);
+
+  const kept = await compose.storeImage(Buffer.from('page'), 'pages', 'page_1');
+  assert(!kept.uploaded && kept.url.startsWith('file://') && (await fs.readFile(kept.path, 'utf8')) === 'page', 'A failed upload keeps the local page');
+  const offline = await compose.storeImage(Buffer.from('page'), 'pages', 'page_2', false);
+  assert(!offline.uploaded && offline.path.endsWith(path.join('assets', 'pages', 'page_2.png')), 'upload: false only writes locally');
+  console.log('✅ Pages written locally:', offline.path);
+}
+
+async function testImageFetcher() {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-fetch-'));
+  try {
+    await testFetchImages(rootDir);
+    await testLocalStoragePaths(rootDir);
+    await testComposeStorage(rootDir);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testImageFetcher().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import yaml from 'yaml';
+import { createImageProvider } from '../src/providers/imageProviders.js';
+import { LocalStorage } from '../src/providers/localStorage.js';
+import { LeonardoImageGenerationLangChainTool } from '../src/tools/leonardo-image-generation-langchain.js';
+import { RegenerateFailedPanelsLangChainTool } from '../src/tools/regenerate-failed-panels-langchain.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const hash = (buffer) => crypto.createHash('sha1').update(buffer).digest('hex').substring(0, 12);
+
+async function testImageProviders() {
+  console.log('🧪 Testing placeholder image provider (no network)...');
+
+  const provider = createImageProvider('placeholder');
+  const request = {
+    prompt: 'Establishing shot of a neon-lit bakery on Mars, a small robot peeking through the window',
+    seed: 18000,
+    width: 832,
+    height: 1248,
+    contextImages: [],
+  };
+
+  const statuses = [];
+  const first = await provider.generate(request, { onStatus: (status) => statuses.push(status.status) });
+  const again = await provider.generate(request);
+  const reseeded = await provider.generate({ ...request, seed: 18023 });
+  const withContext = await provider.generate({ ...request, contextImages: [{ id: first.imageId }] });
+
+  const meta = await sharp(first.buffer).metadata();
+  console.log('✅ Image:', first.imageId, `${meta.width}x${meta.height}`, meta.format, 'statuses:', statuses.join(','));
+
+  if (hash(first.buffer) !== hash(again.buffer) || first.imageId !== again.imageId) {
+    throw new Error('Same prompt and seed should give the same image');
+  }
+  console.log('✅ Deterministic:', hash(first.buffer), '=', hash(again.buffer));
+
+  if (hash(first.buffer) === hash(reseeded.buffer) || first.imageId === withContext.imageId) {
+    throw new Error('A different seed or context should give a different image');
+  }
+  console.log('✅ Seed/context change the image:', reseeded.imageId, withContext.imageId);
+
+  const out = path.join(os.tmpdir(), 'placeholder-panel.jpg');
+  await fs.writeFile(out, withContext.buffer);
+  console.log('📁 Sample written to', out);
+
+  try {
+    createImageProvider('midjourney');
+    throw new Error('Unknown provider should be rejected');
+  } catch (error) {
+    console.log('✅ Unknown provider rejected:', error.message);
+  }
+}
+
+async function testImageTools() {
+  console.log('🧪 Testing generate and regenerate with the placeholder provider...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-images-'));
+  try {
+    const store = new ProjectStore(path.join(rootDir, 'projects'));
+    const project = await store.open((await store.create('Images')).id);
+    const storage = new LocalStorage({ dir: path.join(rootDir, 'outputs'), baseUrl: 'http://localhost:8000/outputs' });
+    const characters = [{ id: 'char_1', description: 'A small robot baker' }];
+    const panels = [1, 2].map(n => ({ id: `panel${n}`, description: `Panel ${n}`, width: 64, height: 96, characters: ['char_1'] }));
+    fs.writeFileSync(project.comicPath, yaml.stringify({ characters, panels }));
+
+    const options = { project, storage, imageProvider: 'placeholder' };
+    const events = [];
+    const generated = JSON.parse(await new LeonardoImageGenerationLangChainTool({ ...options, onProgress: event => events.push(event.type) }).execute('both'));
+    assert(generated.success && generated.summary.successfulPanels === 2, JSON.stringify(generated));
+    const comic = yaml.parse(fs.readFileSync(project.comicPath, 'utf8'));
+    assert([...comic.characters, ...comic.panels].every(item => item.cloudinaryUrl && item.imageId && item.imageProvider === 'placeholder'), 'Images recorded in comic.yaml');
+    assert(events.includes('generation_started') && events.includes('upload_finished'), `Progress is reported: ${events.join(', ')}`);
+
+    const regenerated = JSON.parse(await new RegenerateFailedPanelsLangChainTool(options).execute('panel2'));
+    const after = yaml.parse(fs.readFileSync(project.comicPath, 'utf8')).panels[1];
+    assert(regenerated.success && after.imageId === regenerated.results.panels[0].imageId, JSON.stringify(regenerated));
+    assert(after.imageId !== comic.panels[1].imageId, 'A regenerated panel gets a new image');
+    console.log('✅ Generated and regenerated:', after.cloudinaryUrl);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testImageProviders().then(testImageTools).catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
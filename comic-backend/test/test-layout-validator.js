@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+import { loadLayouts } from '../src/utils/layouts.js';
+import { formatLayoutIssue, validateLayout, validateLayouts } from '../src/utils/layoutValidator.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const strip = (id, y, h = 0.3) => ({ id, size: '1456x720', y, h });
+
+function testLayoutValidator() {
+  console.log('🧪 Testing layout validation...');
+
+  const shipped = validateLayouts(loadLayouts());
+  assert(shipped.valid, `layouts.yaml has errors:\n${shipped.errors.map(formatLayoutIssue).join('\n')}`);
+  console.log('✅ layouts.yaml:', shipped.issues.length, 'issues');
+
+  const broken = {
+    pages: 3,
+    panels_per_page: [2, 3],
+    layouts: {
+      page1: [strip('panel1', 0.03), strip('panel2', 0.2)],
+      page2: [strip('panel3', 0.03, 0.45), strip('panel2', 0.5), strip('panel4', 0.81), { id: 'panel5', size: 'wide', y: 0.1 }],
+    },
+  };
+  const issues = validateLayout('broken', broken);
+  const types = new Set(issues.map(issue => issue.type));
+  for (const type of ['page-count', 'panels-per-page', 'overlap', 'out-of-bounds', 'duplicate-id', 'invalid-panel', 'gutter']) {
+    assert(types.has(type), `Expected a ${type} issue`);
+  }
+  issues.forEach(issue => console.log(`   ${issue.severity}: ${formatLayoutIssue(issue)}`));
+
+  const overlap = issues.find(issue => issue.type === 'overlap');
+  assert(overlap.page === 'page1' && overlap.panels.join() === 'panel1,panel2', 'Overlap should name the page and both panels');
+  const gutter = issues.find(issue => issue.type === 'gutter');
+  assert(gutter.severity === 'warning' && gutter.panels.join() === 'panel2,panel4', 'Tight gutter between panel2 and panel4 on page2');
+  assert(!issues.some(issue => issue.type === 'gutter' && issue.panels.includes('panel3')), 'panel3 and panel2 are far enough apart');
+  console.log('✅ Broken layout:', [...types].join(', '));
+
+  const loose = validateLayout('broken', broken, { minGutter: 0 }).filter(issue => issue.type === 'gutter');
+  assert(loose.length === 0, 'minGutter 0 should allow touching panels');
+  console.log('✅ minGutter option respected');
+}
+
+try {
+  testLayoutValidator();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
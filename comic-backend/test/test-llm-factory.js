@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { createChatModel, getLlmSettings } from '../src/providers/llmProviders.js';
+import { CharacterGenerationLangChainTool } from '../src/tools/character-generation-langchain.js';
+import { DialogueGenerationLangChainTool } from '../src/tools/dialogue-generation-langchain.js';
+import { PanelGenerationLangChainTool } from '../src/tools/panel-generation-langchain.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+// Every role answers from test/fixtures/llm
+process.env.LLM_PROVIDER = 'scripted';
+
+async function testLlmFactory() {
+  console.log('🧪 Testing LLM factory with the scripted backend (no network)...');
+
+  const settings = getLlmSettings('generate_dialogue');
+  console.log('✅ generate_dialogue settings:', settings);
+
+  // Agent fixture: a tool call first, then a text answer
+  const agentModel = createChatModel('agent').bindTools([]);
+  const first = await agentModel.invoke([{ role: 'user', content: 'make a robot baking comic' }]);
+  const second = await agentModel.invoke([{ role: 'user', content: 'thanks' }]);
+  console.log('✅ Agent tool call:', first.tool_calls[0].name, first.tool_calls[0].id);
+  console.log('✅ Agent answer:', second.content);
+
+  // Run the text-generation tools against a throwaway project
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-llm-'));
+  const store = new ProjectStore(rootDir);
+  try {
+    const meta = await store.create('Scripted Comic');
+    const project = await store.open(meta.id);
+
+    const panels = JSON.parse(await new PanelGenerationLangChainTool({ project }).execute('A robot learns to bake', 'sci-fi', 3));
+    console.log('✅ Panels:', panels.success, panels.totalPanels, 'model:', panels.model);
+
+    const characters = JSON.parse(await new CharacterGenerationLangChainTool({ project }).execute('A robot learns to bake', 'sci-fi'));
+    console.log('✅ Characters:', characters.success, characters.characters.map(c => c.name).join(', '));
+
+    const dialogue = JSON.parse(await new DialogueGenerationLangChainTool({ project }).execute('sci-fi', 'warm'));
+    console.log('✅ Dialogue:', dialogue.success, dialogue.totalPanels, 'panels');
+
+    const comic = yaml.parse(fs.readFileSync(project.comicPath, 'utf8'));
+    console.log('✅ comic.yaml:', comic.panels.length, 'panels, title:', comic.panels[0].title);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testLlmFactory().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
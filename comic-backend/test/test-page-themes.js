@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { A4 } from '../config/a4.js';
+import { ComposePagesLangChainTool } from '../src/tools/compose-pages-langchain.js';
+import { panelRects } from '../src/utils/layoutValidator.js';
+import { loadLayouts } from '../src/utils/layouts.js';
+import { applyGutter, formatThemeText, loadThemes, pageNumberPlacement, resolveTheme } from '../src/utils/pageThemes.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const near = (a, b) => Math.abs(a - b) < 0.5;
+
+function testThemes() {
+  console.log('🧪 Testing page themes...');
+
+  const themes = loadThemes();
+  for (const name of Object.keys(themes)) {
+    const theme = resolveTheme(name);
+    assert(theme.background.color && theme.panelBorder.color !== undefined, `${name} should be completed from classic`);
+  }
+  const classic = resolveTheme('classic');
+  assert(classic.margin === A4.margin && classic.pageBorder.width === A4.borderWidth, 'classic keeps the original look');
+  const noir = resolveTheme('noir');
+  assert(noir.background.color === '#0d0d0d' && noir.pageNumber.font.includes('Georgia') && noir.header === null, 'noir settings');
+  console.log('✅ Built-in themes:', Object.keys(themes).join(', '));
+
+  let threw = false;
+  try {
+    resolveTheme('vaporwave');
+  } catch (error) {
+    threw = error.message.includes('classic');
+  }
+  assert(threw, 'Unknown themes should list the available ones');
+
+  assert(formatThemeText('{title} · {page}/{pages} {other}', { title: 'Dawn', page: 2, pages: 4 }) === 'Dawn · 2/4 {other}', 'formatThemeText');
+  const odd = pageNumberPlacement('bottom-outside', 3, A4);
+  const even = pageNumberPlacement('bottom-outside', 4, A4);
+  assert(odd.align === 'right' && even.align === 'left' && odd.y === A4.height - A4.margin / 2, 'Outside page numbers alternate');
+  assert(pageNumberPlacement('none', 1, A4) === null, 'position none hides the page number');
+  console.log('✅ Page numbers and text');
+}
+
+function testGutter() {
+  console.log('🧪 Testing theme gutters...');
+
+  // four-page-story page2 has two panels side by side above a wide one
+  const layout = loadLayouts()['four-page-story'];
+  for (const [pageKey, rects] of Object.entries(panelRects(layout))) {
+    const spaced = applyGutter(rects, 50);
+    for (let i = 0; i < spaced.length; i++) {
+      for (let j = i + 1; j < spaced.length; j++) {
+        const [a, b] = [spaced[i], spaced[j]];
+        const gapX = Math.max(a.x, b.x) - Math.min(a.x + a.width, b.x + b.width);
+        const gapY = Math.max(a.y, b.y) - Math.min(a.y + a.height, b.y + b.height);
+        assert(Math.max(gapX, gapY) >= 49.5, `${pageKey}: ${a.id} and ${b.id} are ${Math.max(gapX, gapY)}px apart`);
+      }
+    }
+  }
+
+  const rects = [
+    { id: 'panel1', x: 100, y: 100, width: 1000, height: 500 },
+    { id: 'panel2', x: 1120, y: 100, width: 1000, height: 500 },
+    { id: 'panel3', x: 100, y: 700, width: 2020, height: 500 },
+  ];
+  const [left, right, bottom] = applyGutter(rects, 60);
+  assert(near(right.x - (left.x + left.width), 60), 'Side-by-side panels get the gutter');
+  assert(near(bottom.y - (left.y + left.height), 60), 'Stacked panels get the gutter');
+  assert(left.x === 100 && left.y === 100 && near(bottom.x + bottom.width, 2120), 'Outer edges stay put');
+  console.log('✅ Gutters:', JSON.stringify(left));
+}
+
+async function testComposeTheme() {
+  console.log('🧪 Testing theme selection in compose_pages...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-themes-'));
+  const store = new ProjectStore(rootDir);
+  try {
+    const project = await store.open((await store.create('Themes')).id);
+    const panels = Array.from({ length: 5 }, (_, i) => ({ id: `panel${i + 1}`, cloudinaryUrl: `file://panel${i + 1}.jpg` }));
+    panels[0].title = 'Midnight Bakery';
+    fs.writeFileSync(project.comicPath, yaml.stringify({ layout: 'two-page-story', characters: [], panels }));
+
+    // A project can add its own themes
+    fs.writeFileSync(
+      path.join(project.dir, 'themes.yaml'),
+      yaml.stringify({ themes: { mine: { margin: 100, panelBorder: { radius: 24 }, footer: { text: '{title}' } } } })
+    );
+
+    const compose = new ComposePagesLangChainTool({ project });
+    const seen = [];
+    compose.renderPage = async (pageNumber, pageLayout, panelUrls, options) => {
+      seen.push(options);
+      return { page: pageNumber, url: `file://page${pageNumber}.png` };
+    };
+
+    const result = JSON.parse(await compose.execute(null, null, true, { theme: 'mine' }));
+    assert(result.success && result.theme === 'mine', result.error);
+    const options = seen[0];
+    assert(options.theme.margin === 100 && options.theme.panelBorder.radius === 24 && options.theme.panelBorder.width === 2, 'Project theme merged over classic');
+    assert(options.title === 'Midnight Bakery' && options.totalPages === 2, `Header values: ${options.title}, ${options.totalPages}`);
+    console.log('✅ Project theme:', result.theme, JSON.stringify(options.theme.panelBorder));
+
+    // comic.yaml can pick the theme
+    const comic = yaml.parse(fs.readFileSync(project.comicPath, 'utf8'));
+    fs.writeFileSync(project.comicPath, yaml.stringify({ ...comic, theme: 'noir' }));
+    const noir = JSON.parse(await compose.execute());
+    assert(noir.success && noir.theme === 'noir', noir.error);
+
+    const unknown = JSON.parse(await compose.execute(null, null, true, { theme: 'vaporwave' }));
+    assert(!unknown.success && unknown.error.includes('Unknown theme'), 'Unknown theme should fail');
+    console.log('✅ comic.yaml theme:', noir.theme, '| unknown:', unknown.error);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+try {
+  testThemes();
+  testGutter();
+  await testComposeTheme();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
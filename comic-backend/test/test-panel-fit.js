@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import { validateLayout } from '../src/utils/layoutValidator.js';
+import { fitPanelImage, panelFocalPoint } from '../src/utils/panelFit.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const near = (a, b) => Math.abs(a - b) < 0.5;
+const ratio = rect => rect.width / rect.height;
+
+function testFitModes() {
+  console.log('🧪 Testing panel fit modes...');
+
+  // A portrait image in a landscape slot
+  const image = { width: 832, height: 1248 };
+  const slot = { x: 100, y: 200, width: 1600, height: 800 };
+
+  const stretch = fitPanelImage(image, slot, { fit: 'stretch' });
+  assert(stretch.source.height === 1248 && stretch.target.width === 1600, 'stretch draws the whole image into the slot');
+
+  const cover = fitPanelImage(image, slot, { fit: 'cover' });
+  assert(near(ratio(cover.source), ratio(slot)), 'cover crops to the slot aspect ratio');
+  assert(cover.source.width === 832 && near(cover.source.y, (1248 - 416) / 2), `cover crops evenly: ${JSON.stringify(cover.source)}`);
+  assert(cover.target.width === 1600 && cover.target.height === 800, 'cover fills the slot');
+  console.log('✅ cover:', JSON.stringify(cover.source));
+
+  const contain = fitPanelImage(image, slot, { fit: 'contain' });
+  assert(near(contain.target.height, 800) && near(contain.target.width, 800 * (832 / 1248)), 'contain keeps the whole image');
+  assert(near(contain.target.x, 100 + (1600 - contain.target.width) / 2) && contain.target.y === 200, 'contain centres the letterbox');
+  console.log('✅ contain:', JSON.stringify(contain.target));
+
+  // Face near the top: the crop window moves up (and stops at the image edge)
+  const top = fitPanelImage(image, slot, { fit: 'focus', focus: { x: 0.5, y: 0.2 } });
+  assert(near(top.source.y, 1248 * 0.2 - 208), `focus centres the crop on the face: ${JSON.stringify(top.source)}`);
+  const edge = fitPanelImage(image, slot, { fit: 'focus', focus: { x: 0.5, y: 0.02 } });
+  assert(edge.source.y === 0, 'focus crops stay inside the image');
+  const centred = fitPanelImage(image, slot, { fit: 'focus' });
+  assert(near(centred.source.y, cover.source.y), 'focus without a focal point crops from the centre');
+  console.log('✅ focus:', JSON.stringify(top.source));
+
+  let threw = false;
+  try {
+    fitPanelImage(image, slot, { fit: 'zoom' });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Unknown fit modes are refused');
+}
+
+function testFocalPoint() {
+  console.log('🧪 Testing focal points...');
+
+  const panel = {
+    id: 'panel1',
+    width: 800,
+    height: 1200,
+    characterPositions: [
+      { name: 'Leo', face: { x: 200, y: 300 } },
+      { name: 'Elara', face: { x: 600, y: 500 } },
+    ],
+    textPlacements: [{ type: 'speech', tail: { x: 100, y: 1100 } }],
+  };
+  const faces = panelFocalPoint(panel);
+  assert(faces.source === 'characters' && near(faces.x, 0.5) && near(faces.y * 1200, 400), `Faces: ${JSON.stringify(faces)}`);
+
+  const tails = panelFocalPoint({ ...panel, characterPositions: undefined });
+  assert(tails.source === 'speech tails' && near(tails.x * 800, 100) && near(tails.y * 1200, 1100), `Tails: ${JSON.stringify(tails)}`);
+
+  const explicit = panelFocalPoint({ ...panel, focus: { x: 0.1, y: 0.9 } });
+  assert(explicit.source === 'focus' && explicit.x === 0.1, 'An explicit focus wins');
+
+  assert(panelFocalPoint({ id: 'panel2', width: 800, height: 1200 }) === null, 'No focal point without data');
+  console.log('✅ Focal points:', faces.source, tails.source, explicit.source);
+
+  const layout = {
+    fit: 'zoom',
+    layouts: { page1: [{ id: 'panel1', size: '1456x720', y: 0.05, h: 0.3, fit: 'squash' }] },
+  };
+  const issues = validateLayout('fit', layout).filter(issue => issue.type === 'invalid-panel');
+  assert(issues.length === 2, `Unknown fit modes should be layout errors: ${JSON.stringify(issues)}`);
+  console.log('✅ Validator rejects unknown fit modes');
+}
+
+try {
+  testFitModes();
+  testFocalPoint();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { PDFDict, PDFDocument, PDFName } from 'pdf-lib';
+import sharp from 'sharp';
+import yaml from 'yaml';
+import { LocalStorage } from '../src/providers/localStorage.js';
+import { ExportPdfLangChainTool } from '../src/tools/export-pdf-langchain.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function testPdfExport() {
+  console.log('🧪 Testing print PDF export (no network)...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-pdf-'));
+  const store = new ProjectStore(rootDir);
+  try {
+    const project = await store.open((await store.create('The Martian Loaf')).id);
+
+    // Two composed pages at A4 300 DPI, recorded the way compose_pages does it
+    const pages = [];
+    for (const [page, colour] of [[1, '#d9553a'], [2, '#3a8fd9']]) {
+      const file = path.join(project.assetsDir, `page_${page}.png`);
+      await sharp({ create: { width: 2480, height: 3508, channels: 3, background: colour } }).png().toFile(file);
+      pages.push({ page, url: `file://${file}`, path: file });
+    }
+    fs.writeFileSync(project.comicPath, yaml.stringify({ characters: [], panels: [], pages }));
+
+    const storage = new LocalStorage({ dir: path.join(rootDir, 'outputs'), baseUrl: 'http://localhost:8000/outputs' });
+    const tool = new ExportPdfLangChainTool({ project, storage });
+    const result = JSON.parse(await tool.execute({ trimSize: 'us-comic', authors: ['Ada', 'Grace'] }));
+    assert(result.success, result.error);
+    console.log('✅ Exported:', result.url, `${result.pageCount} pages`, `${result.bleedMm}mm bleed`);
+
+    const pdf = await PDFDocument.load(await fs.readFile(result.path), { updateMetadata: false });
+    const page = pdf.getPage(0);
+    const trim = page.getTrimBox();
+    const bleed = page.getBleedBox();
+    assert(pdf.getPageCount() === 2, 'Expected 2 pages');
+    assert(Math.abs(trim.width - 477) < 0.01 && Math.abs(trim.height - 738) < 0.01, `Unexpected trim ${trim.width}x${trim.height}`);
+    assert(Math.abs(bleed.width - trim.width - 18) < 0.01, 'Expected 1/8in bleed on each side');
+    assert(page.getMediaBox().width > bleed.width, 'Crop marks need room outside the bleed');
+    console.log('✅ Boxes: trim', `${trim.width}x${trim.height}`, 'bleed', `${bleed.width}x${bleed.height}`, 'media', page.getMediaBox().width);
+
+    assert(pdf.getTitle() === 'The Martian Loaf' && pdf.getAuthor() === 'Ada, Grace', 'Title/author metadata missing');
+    assert(pdf.getCreationDate() instanceof Date, 'Creation date missing');
+    console.log('✅ Metadata:', pdf.getTitle(), '/', pdf.getAuthor(), '/', pdf.getCreationDate().toISOString());
+
+    const embeddedFont = pdf.context
+      .enumerateIndirectObjects()
+      .some(([, object]) => object instanceof PDFDict && object.has(PDFName.of('FontFile3')));
+    assert(embeddedFont, 'Lettering font should be embedded');
+    console.log('✅ Font embedded');
+
+    const empty = await store.open((await store.create('Empty')).id);
+    const failed = JSON.parse(await new ExportPdfLangChainTool({ project: empty, storage }).execute());
+    assert(!failed.success, 'Export without composed pages should fail');
+    console.log('✅ No pages:', failed.error);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testPdfExport().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { ComicPipeline, PIPELINE_STAGES } from '../src/core/pipeline.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+/**
+ * Replace every stage tool with a stub that records the call.
+ * `failOn` makes that stage report { success: false } once.
+ */
+function stubTools(pipeline, calls, failOn = null) {
+  PIPELINE_STAGES.forEach(stage => {
+    pipeline.tools[stage.tool] = {
+      invoke: async (args) => {
+        calls.push(stage.key);
+        if (stage.key === failOn) {
+          failOn = null;
+          return JSON.stringify({ success: false, error: 'Leonardo timed out' });
+        }
+        if (stage.key === 'compose') {
+          return JSON.stringify({ success: true, totalPages: 1, pages: [{ url: 'file://page1.png' }] });
+        }
+        return JSON.stringify({ success: true, args });
+      },
+    };
+  });
+}
+
+async function testPipeline() {
+  console.log('🧪 Testing pipeline checkpoints (no network)...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-pipeline-'));
+  const store = new ProjectStore(rootDir);
+
+  try {
+    const meta = await store.create('Pipeline Test');
+    const project = await store.open(meta.id);
+
+    // First run fails at the image stage
+    const pipeline = new ComicPipeline({ project });
+    const calls = [];
+    stubTools(pipeline, calls, 'images');
+    const failed = await pipeline.run({ prompt: 'A robot learns to bake', genre: 'sci-fi' });
+    console.log('✅ First run:', failed.status, '→', calls.join(' → '));
+
+    // Resume picks up at the failed stage and keeps the original prompt
+    calls.length = 0;
+    const resumed = await pipeline.run({ resume: true });
+    console.log('✅ Resumed:', resumed.status, '→', calls.join(' → '));
+    if (calls[0] !== 'images') {
+      throw new Error(`Expected resume to start at images, started at ${calls[0]}`);
+    }
+    console.log('✅ Pages:', resumed.pageUrls);
+
+    // Sub-range only runs the requested stages
+    calls.length = 0;
+    await pipeline.run({ from: 'dialogue', to: 'compose' });
+    console.log('✅ Range dialogue → compose:', calls.join(' → '));
+
+    const checkpoint = pipeline.loadCheckpoint();
+    console.log('✅ Checkpoint:', checkpoint.status, 'prompt:', checkpoint.prompt, 'last:', checkpoint.lastCompletedStage);
+
+    // A full run keeps its settings only in the checkpoint: the next full run does not inherit them
+    const settingsOf = () => Object.fromEntries(['layout', 'panelCount', 'castSize', 'composeMode', 'placementStrategy', 'genre'].map(key => [key, pipeline.loadCheckpoint()[key]]));
+    await pipeline.run({ prompt: 'A heist on the moon', layout: 'spread-story', panelCount: 7, castSize: 5, composeMode: 'webtoon', placementStrategy: 'heuristic', genre: 'noir' });
+    await pipeline.run({ from: 'dialogue' });
+    const kept = settingsOf();
+    if (kept.layout !== 'spread-story' || kept.castSize !== 5 || kept.composeMode !== 'webtoon') {
+      throw new Error(`A partial run after the panels stage should keep the settings: ${JSON.stringify(kept)}`);
+    }
+    await pipeline.run({ prompt: 'A picnic in the park' });
+    const fresh = settingsOf();
+    if (Object.values(fresh).some(value => value !== undefined) || pipeline.loadCheckpoint().pageCount !== 3) {
+      throw new Error(`A new full run should not inherit the last run's settings: ${JSON.stringify(fresh)}`);
+    }
+    console.log('✅ Fresh full run:', JSON.stringify(pipeline.loadCheckpoint(), ['prompt', 'pageCount', 'layout']));
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testPipeline().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
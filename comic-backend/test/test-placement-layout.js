@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+import { bubbleTail, pathPoints } from '../src/utils/bubbleShapes.js';
+import { elementBox, faceBoxes, resolvePlacementLayout } from '../src/utils/placementLayout.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const frame = { width: 832, height: 1248 };
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+const inside = box => box.x >= 0 && box.y >= 0 && box.x + box.width <= frame.width && box.y + box.height <= frame.height;
+const speech = (text, x, y, readingOrder, extra = {}) => ({
+  type: 'speech',
+  speaker: 'char_1',
+  text,
+  position: { x, y },
+  size: { width: 300, height: 160 },
+  tail: { x: 200, y: 900 },
+  readingOrder,
+  ...extra,
+});
+
+function testClamping() {
+  console.log('🧪 Testing clamping to the panel...');
+  const { placements, fixes } = resolvePlacementLayout(
+    [
+      speech('Off the right edge', 700, 40, 1),
+      { type: 'title', text: 'THE RELIC', position: { x: 100, y: -20 }, size: { width: 500, height: 90 }, readingOrder: 2 },
+    ],
+    { frame }
+  );
+  assert(placements.every(p => inside(elementBox(p))), JSON.stringify(placements.map(elementBox)));
+  assert(placements[0].position.x === 832 - 10 - 300, `Pulled in from the edge: ${JSON.stringify(placements[0].position)}`);
+  assert(placements[1].position.x === 260 && placements[1].position.y === 10, 'Titles are clamped by their centre');
+  assert(fixes.filter(fix => fix.type === 'clamped').length === 2, JSON.stringify(fixes));
+  assert(placements[0].fixes[0].from.x === 700, 'Each placement keeps its own fixes');
+  console.log('✅ Clamped:', fixes.map(fix => `${fix.text} ${JSON.stringify(fix.to)}`).join(', '));
+}
+
+function testSeparation() {
+  console.log('🧪 Testing overlapping bubbles...');
+  const first = speech('First line', 100, 100, 1, { tail: { x: 60, y: 300 } });
+  const second = speech('Second line', 160, 150, 2);
+  const untouched = { type: 'sfx', text: 'BOOM', position: { x: 200, y: 200 }, fontSize: 120, rotation: 0 };
+  const { placements, fixes } = resolvePlacementLayout([second, untouched, first], { frame });
+
+  const [laidSecond, laidSfx, laidFirst] = placements;
+  assert(laidFirst.position.x === 100 && laidFirst.position.y === 100, 'The bubble read first stays put');
+  assert(!overlaps(elementBox(laidFirst), elementBox(laidSecond)), 'Bubbles no longer overlap');
+  const a = elementBox(laidFirst);
+  const b = elementBox(laidSecond);
+  assert(b.y + b.height > a.y && !(b.y < a.y && b.x + b.width <= a.x), 'The second bubble still reads second');
+  assert(laidSfx === placements[1] && laidSfx.position.x === 200 && !laidSfx.fixes, 'Sound effects are left alone');
+  assert(fixes.length === 1 && fixes[0].type === 'separated' && fixes[0].text === 'Second line', JSON.stringify(fixes));
+  assert(second.position.x === 160, 'The input placements are not changed');
+
+  // Deterministic: the same input lays out the same way
+  const again = resolvePlacementLayout([second, untouched, first], { frame });
+  assert(JSON.stringify(again) === JSON.stringify({ placements, fixes }), 'Same layout every time');
+  console.log('✅ Separated:', JSON.stringify(fixes[0].from), '→', JSON.stringify(fixes[0].to));
+}
+
+function testFaces() {
+  console.log('🧪 Testing bubbles over faces...');
+  const characters = [{ name: 'char_1', face: { x: 400, y: 500 } }, { name: 'char_2', box: { x: 50, y: 900, width: 200, height: 200 } }];
+  const faces = faceBoxes(characters, frame);
+  assert(faces.length === 2 && faces[0].width === 832 * 0.2 && faces[1].x === 50, JSON.stringify(faces));
+
+  const { placements, fixes } = resolvePlacementLayout(
+    [speech('Over a face', 300, 420, 1), { type: 'narration', text: 'Later', position: { x: 60, y: 950 }, size: { width: 300, height: 80 } }],
+    { frame, characters }
+  );
+  assert(placements.every(p => !faces.some(face => overlaps(elementBox(p), face))), 'No text over a face');
+  const moves = fixes.filter(fix => fix.type !== 'tail-rerouted');
+  assert(moves.length === 2 && moves.every(fix => fix.type === 'moved-off-face'), JSON.stringify(fixes));
+  console.log('✅ Moved off faces:', moves.map(fix => `${fix.text} → ${JSON.stringify(fix.to)}`).join(', '));
+}
+
+function testTails() {
+  console.log('🧪 Testing tail rerouting...');
+  // The lower bubble sits between the upper bubble and its speaker's mouth
+  const upper = speech('Up here', 260, 60, 1, { tail: { x: 410, y: 900 } });
+  const lower = speech('In the way', 260, 420, 2, { speaker: 'char_2', tail: { x: 700, y: 1100 } });
+  const { placements, fixes } = resolvePlacementLayout([upper, lower], { frame });
+
+  const bent = placements[0].tail.bend;
+  assert(bent && fixes.some(fix => fix.type === 'tail-rerouted' && fix.text === 'Up here'), JSON.stringify(fixes));
+  assert(placements[0].tail.x === 410 && placements[0].tail.y === 900, 'The tail still points at the speaker');
+  assert(!placements[1].tail.bend, 'A clear tail stays straight');
+
+  // The bent tail is drawn as a curve that stays clear of the bubble in the way
+  const box = elementBox(placements[0]);
+  const tail = bubbleTail('speech', box, placements[0].tail, frame);
+  assert(tail.path.some(([op]) => op === 'Q'), 'A bent tail is curved');
+  const straight = bubbleTail('speech', box, { x: 410, y: 900 }, frame);
+  assert(straight.path.every(([op]) => op !== 'Q'), 'Tails without a bend are straight');
+
+  const circles = bubbleTail('thought', box, placements[0].tail, frame).circles;
+  const way = elementBox(placements[1]);
+  assert(circles.length === 3 && !circles.some(c => overlaps({ x: c.x, y: c.y, width: 0, height: 0 }, way)), 'Thought circles follow the bend');
+  assert(pathPoints(bubbleTail('radio', box, placements[0].tail, frame).path).length > 4, 'Zig-zag tails bend too');
+  console.log('✅ Tail bent through', JSON.stringify(bent));
+}
+
+try {
+  testClamping();
+  testSeparation();
+  testFaces();
+  testTails();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { ProjectStore } from '../src/utils/projectStore.js';
+
+async function testProjectStore() {
+  console.log('🧪 Testing project store...');
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-projects-'));
+  const store = new ProjectStore(rootDir);
+
+  try {
+    const first = await store.create('Space Bakery');
+    const second = await store.create('Noir Detective');
+    console.log('✅ Created:', first.id, second.id);
+
+    // Write comic data into the first project, as the tools would
+    const project = await store.open(first.id);
+    await fs.writeFile(project.comicPath, yaml.stringify({ characters: [], panels: [{ id: 'panel1', title: 'Sweet Surrender' }] }));
+    await fs.writeFile(path.join(project.assetsDir, 'panel1_with_text.png'), 'png');
+
+    const copy = await store.duplicate(first.id);
+    const copied = await store.open(copy.id);
+    const copiedComic = yaml.parse(fs.readFileSync(copied.comicPath, 'utf8'));
+    console.log('✅ Duplicated:', copy.id, copy.name, '→ title:', copiedComic.panels[0].title);
+    console.log('✅ Copied assets:', fs.readdirSync(copied.assetsDir));
+
+    const other = await store.open(second.id);
+    console.log('✅ Second project untouched:', !fs.existsSync(other.comicPath));
+
+    await store.delete(second.id);
+    console.log('✅ Projects after delete:', (await store.list()).map(p => p.id));
+
+    try {
+      store.getProjectDir('../config');
+      console.error('❌ Path traversal was not rejected');
+    } catch (error) {
+      console.log('✅ Rejected:', error.message);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.error('Stack:', error.stack);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testProjectStore();
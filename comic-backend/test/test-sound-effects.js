@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+import { DialoguePlacementVisionLangChainTool } from '../src/tools/dialogue-placement-vision-langchain.js';
+import { cleanSoundEffects, keepOffFaces, normalizeSfxPlacement, sfxBounds } from '../src/utils/soundEffects.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const frame = { width: 832, height: 1248 };
+const overlaps = (bounds, face, radius) =>
+  Math.hypot(
+    face.x - Math.min(Math.max(face.x, bounds.x), bounds.x + bounds.width),
+    face.y - Math.min(Math.max(face.y, bounds.y), bounds.y + bounds.height)
+  ) < radius;
+
+function testCleaning() {
+  console.log('🧪 Testing sound effect cleaning...');
+  const effects = cleanSoundEffects(['krakoom', { text: ' tap tap ', intensity: 'soft' }, { text: '' }, 'BLAM']);
+  assert(effects.length === 2, 'At most two effects per panel');
+  assert(effects[0].text === 'KRAKOOM' && effects[0].intensity === 'normal', JSON.stringify(effects[0]));
+  assert(effects[1].text === 'TAP TAP' && effects[1].intensity === 'soft', JSON.stringify(effects[1]));
+  assert(cleanSoundEffects(null).length === 0, 'No effects');
+  console.log('✅ Cleaned:', effects.map(effect => effect.text).join(', '));
+}
+
+function testPlacement() {
+  console.log('🧪 Testing sound effect placement...');
+
+  const wild = normalizeSfxPlacement({ text: 'boom', position: { x: 400, y: 300 }, fontSize: 2000, rotation: -80 }, frame);
+  assert(wild.fontSize <= 832 * 0.35 && wild.rotation === -35 && wild.text === 'BOOM', JSON.stringify(wild));
+  const sized = normalizeSfxPlacement({ text: 'BOOM' }, frame, { intensity: 'loud' });
+  assert(sized.fontSize === Math.round(832 * 0.2) && sized.position.x === 416, 'Loud effects default to a large size');
+
+  // Rotation widens the bounds' height
+  const level = sfxBounds({ ...wild, rotation: 0 });
+  const tilted = sfxBounds({ ...wild, rotation: 30 });
+  assert(tilted.height > level.height, 'Rotated bounds');
+
+  // An effect over a face moves to a clear spot nearby
+  const face = { x: 400, y: 320 };
+  const radius = 832 * 0.1;
+  const over = normalizeSfxPlacement({ text: 'KRAKOOM', position: { x: 400, y: 330 }, fontSize: 120, rotation: -10 }, frame);
+  const moved = keepOffFaces(over, [face], frame);
+  assert(moved.movedOffFaces && !overlaps(sfxBounds(moved), face, radius), `Still over the face: ${JSON.stringify(moved)}`);
+  const bounds = sfxBounds(moved);
+  assert(bounds.x >= 0 && bounds.y >= 0 && bounds.x + bounds.width <= 832 && bounds.y + bounds.height <= 1248, 'Stays in the panel');
+  assert(Math.hypot(moved.position.x - 400, moved.position.y - 330) < 600, 'Moves to a nearby spot');
+
+  const clear = normalizeSfxPlacement({ text: 'ZAP', position: { x: 400, y: 1000 }, fontSize: 100 }, frame);
+  assert(keepOffFaces(clear, [face], frame) === clear, 'Effects away from faces stay put');
+  console.log('✅ Moved off the face:', JSON.stringify(over.position), '→', JSON.stringify(moved.position));
+}
+
+function testVisionTool() {
+  console.log('🧪 Testing the vision tool\'s sound effects...');
+  const tool = new DialoguePlacementVisionLangChainTool();
+  const panel = { id: 'panel4', ...frame, soundEffects: [{ text: 'KRAKOOM', intensity: 'loud' }, { text: 'TINK', intensity: 'soft' }] };
+  const placements = tool.placeSoundEffects(
+    panel,
+    [
+      { type: 'speech', text: 'Down!', position: { x: 20, y: 20 }, tail: { x: 300, y: 500 } },
+      { type: 'sfx', text: 'krakoom', position: { x: 420, y: 700 }, fontSize: 180, rotation: 12 },
+      { type: 'sfx', text: 'MADE UP', position: { x: 0, y: 0 }, fontSize: 100 },
+    ],
+    [{ name: 'char_1', face: { x: 300, y: 500 } }]
+  );
+  const sfx = placements.filter(placement => placement.type === 'sfx');
+  assert(placements[0].type === 'speech', 'Other placements are kept');
+  assert(sfx.length === 2 && sfx[0].text === 'KRAKOOM' && sfx[0].rotation === 12, JSON.stringify(sfx));
+  assert(sfx[1].text === 'TINK' && sfx[1].fontSize === Math.round(832 * 0.09), 'Effects the model left out get a default spot');
+  assert(!sfx.some(effect => effect.text === 'MADE UP'), 'Effects that are not in comic.yaml are dropped');
+  console.log('✅ Placed:', sfx.map(effect => `${effect.text} ${effect.fontSize}px ${effect.rotation}°`).join(', '));
+}
+
+try {
+  testCleaning();
+  testPlacement();
+  testVisionTool();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import JSZip from 'jszip';
+import os from 'os';
+import path from 'path';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import sharp from 'sharp';
+import yaml from 'yaml';
+import { A4 } from '../config/a4.js';
+import { createExportTool } from '../src/core/exports.js';
+import { LocalStorage } from '../src/providers/localStorage.js';
+import { ComposePagesLangChainTool } from '../src/tools/compose-pages-langchain.js';
+import { LayoutSelectionLangChainTool } from '../src/tools/layout-selection-langchain.js';
+import { PanelGenerationLangChainTool } from '../src/tools/panel-generation-langchain.js';
+import { facingPages, loadComposedPages, spreadPairs } from '../src/utils/composedPages.js';
+import { validateLayout } from '../src/utils/layoutValidator.js';
+import { findLayoutByPageCount, loadLayouts } from '../src/utils/layouts.js';
+import { resolveTheme } from '../src/utils/pageThemes.js';
+import { ProjectStore } from '../src/utils/projectStore.js';
+import { calculateSpreadPosition, expandSpreads, splitSpreadPanel } from '../src/utils/spreads.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const near = (a, b) => Math.abs(a - b) < 0.5;
+
+function testSpreadGeometry() {
+  console.log('🧪 Testing spread geometry...');
+
+  const layout = loadLayouts()['spread-story'];
+  const issues = validateLayout('spread-story', layout);
+  assert(issues.length === 0, `spread-story should be valid: ${issues.map(issue => issue.message).join('; ')}`);
+
+  const pages = expandSpreads(layout);
+  assert(pages.page2[0].spreadPart === 'left' && pages.page3[0].id === 'panel2' && pages.page3[0].spreadPart === 'right', 'Spread on both pages');
+  assert(pages.page3.length === 2 && layout.layouts.page3.length === 1, 'The layout itself is unchanged');
+
+  // Art hidden by the binding is repeated: left page at the fold == right page past the hidden strip
+  const rect = calculateSpreadPosition(A4, layout.layouts.page2[0]);
+  for (const gutter of [0, 30]) {
+    const { left, right } = splitSpreadPanel(rect, A4, gutter);
+    assert(near(left.rect.x + left.rect.width, A4.width) && right.rect.x === 0, 'Halves run to the spine');
+    assert(near(left.rect.width + right.rect.width, rect.width), 'Halves add up to the spread');
+    const artLeft = A4.width - gutter - left.target.x;
+    const artRight = gutter - right.target.x;
+    assert(near(artLeft, artRight), `Art should continue across the fold (gutter ${gutter}): ${artLeft} vs ${artRight}`);
+  }
+  console.log('✅ Spread halves:', Math.round(rect.width), 'px wide across', Object.keys(pages).join(', '));
+
+  const odd = structuredClone(layout);
+  odd.layouts.page1 = [{ ...layout.layouts.page1[0], spread: true, size: '4800x3329' }];
+  const oddIssues = validateLayout('odd', odd).filter(issue => issue.type === 'invalid-spread');
+  assert(oddIssues.some(issue => issue.message.includes('right-hand page')), 'Spreads must start on an even page');
+
+  const narrow = structuredClone(layout);
+  narrow.layouts.page2[0] = { ...layout.layouts.page2[0], size: '1000x1942', align: 'left' };
+  const narrowIssues = validateLayout('narrow', narrow).filter(issue => issue.type === 'invalid-spread');
+  assert(narrowIssues.some(issue => issue.message.includes('spine')), 'Spreads must cross the spine');
+  console.log('✅ Invalid spreads:', [...oddIssues, ...narrowIssues].map(issue => issue.message).join(' | '));
+}
+
+function testPanelDimensions() {
+  console.log('🧪 Testing spread image sizes...');
+  const tool = new PanelGenerationLangChainTool();
+  const layout = loadLayouts()['spread-story'];
+  const spread = tool.getPanelDimensions('panel2', layout);
+  assert(spread.width === 1248 && spread.height === 504, `Unexpected size ${JSON.stringify(spread)}`);
+
+  // A spread without an image size gets one in its shape
+  const sized = structuredClone(layout);
+  delete sized.layouts.page2[0].width;
+  delete sized.layouts.page2[0].height;
+  const derived = tool.getPanelDimensions('panel2', sized);
+  assert(derived.width === 1248 && derived.height < 600, `Spreads should be wide: ${JSON.stringify(derived)}`);
+  assert(tool.generatePanelPrompt('A city at dawn', 'wide-shot', true).includes('double-page'), 'Spread prompts ask for a panorama');
+  console.log('✅ Leonardo sizes:', JSON.stringify(spread), JSON.stringify(derived));
+}
+
+async function testSpreadSelection(project) {
+  console.log('🧪 Testing spread layout selection...');
+
+  // A page count never picks a layout with spreads, whatever the order in layouts.yaml
+  const layouts = loadLayouts();
+  const reversed = Object.fromEntries(Object.entries(layouts).reverse());
+  assert(findLayoutByPageCount(reversed, 3).layoutKey === 'three-page-story', 'Page counts prefer layouts without spreads');
+  assert(findLayoutByPageCount({ 'spread-story': layouts['spread-story'] }, 3).layoutKey === 'spread-story', 'A spread layout is still found when it is the only one');
+
+  const tool = new LayoutSelectionLangChainTool({ project });
+  const byCount = JSON.parse(await tool.execute(3));
+  assert(byCount.success && byCount.layout === 'three-page-story', byCount.error);
+
+  const byKey = JSON.parse(await tool.execute(null, { layout: 'spread-story' }));
+  assert(byKey.success && byKey.pageCount === 3 && byKey.spreads?.[0] === 'panel2 (page2-page3)', JSON.stringify(byKey));
+  assert(yaml.parse(fs.readFileSync(project.comicPath, 'utf8')).layout === 'spread-story', 'The key is recorded in comic.yaml');
+  const unknown = JSON.parse(await tool.execute(null, { layout: 'no-such-layout' }));
+  assert(!unknown.success && unknown.error.includes('spread-story'), unknown.error);
+  console.log('✅ Selected:', byCount.layout, 'by page count,', byKey.layout, 'by key');
+}
+
+async function testComposeSpread(project) {
+  console.log('🧪 Testing spread composition...');
+
+  const panels = Array.from({ length: 4 }, (_, i) => ({ id: `panel${i + 1}`, cloudinaryUrl: `file://panel${i + 1}.jpg` }));
+  fs.writeFileSync(project.comicPath, yaml.stringify({ layout: 'spread-story', theme: 'clean', characters: [], panels }));
+
+  const compose = new ComposePagesLangChainTool({ project });
+  const seen = {};
+  compose.renderPage = async (pageNumber, pageLayout, panelUrls, options) => {
+    seen[pageNumber] = { pageLayout, options };
+    const spread = pageLayout.find(panel => panel.spreadPart)?.spreadPart;
+    return { page: pageNumber, url: `file:///pages/page_${pageNumber}.png`, ...(spread && { spread }) };
+  };
+  const result = JSON.parse(await compose.execute(null, null, true, { spreadGutter: 30 }));
+  assert(result.success && result.totalPages === 3, result.error);
+  assert(seen[3].pageLayout[0].spreadPart === 'right', 'The right page draws the second half of the spread');
+
+  // The clean theme's gutter moves panels; both halves keep the same band
+  const theme = resolveTheme('clean');
+  const config = compose.pageConfig(theme);
+  const [left] = compose.placePanels(seen[2].pageLayout, config, theme, seen[2].options);
+  const [right] = compose.placePanels(seen[3].pageLayout, config, theme, seen[3].options);
+  assert(left.rect.y === right.rect.y && left.rect.height === right.rect.height, 'Halves should line up across the fold');
+  assert(near(config.width - 30 - left.target.x, 30 - right.target.x), 'The spread gutter is repeated on both pages');
+  assert(seen[2].options.spreadGutter === 30, 'spreadGutter option');
+
+  const recorded = loadComposedPages(project);
+  assert(recorded[1].spread === 'left' && recorded[2].spread === 'right', `Spread halves recorded: ${JSON.stringify(recorded)}`);
+  console.log('✅ Composed:', recorded.map(page => `${page.page}${page.spread ? ` (${page.spread})` : ''}`).join(', '));
+}
+
+async function testSpreadExports(project, rootDir) {
+  console.log('🧪 Testing spread exports...');
+
+  // Page 1 alone, then a red/blue spread on pages 2-3
+  const pages = [];
+  for (const [page, colour, spread] of [[1, '#888888'], [2, '#d9553a', 'left'], [3, '#3a8fd9', 'right']]) {
+    const file = path.join(project.assetsDir, `page_${page}.png`);
+    await sharp({ create: { width: 248, height: 351, channels: 3, background: colour } }).png().toFile(file);
+    pages.push({ page, url: `file://${file}`, path: file, ...(spread && { spread }) });
+  }
+  const comicData = yaml.parse(fs.readFileSync(project.comicPath, 'utf8'));
+  fs.writeFileSync(project.comicPath, yaml.stringify({ ...comicData, pages }));
+
+  assert(JSON.stringify(spreadPairs(pages)) === '[[1,2]]', 'Spread pairs');
+  assert(facingPages(pages).length === 3, 'Page 2 is already a left-hand page');
+  const withCover = [{ page: 0, cover: true }, ...pages];
+  assert(facingPages(withCover)[2].blank && facingPages(withCover).length === 5, 'A cover pushes the spread: pad with a blank page');
+
+  const storage = new LocalStorage({ dir: path.join(rootDir, 'outputs'), baseUrl: 'http://localhost:8000/outputs' });
+  const pdfResult = JSON.parse(await createExportTool('pdf', { project, storage }).execute({ dpi: 30 }));
+  assert(pdfResult.success && pdfResult.pageCount === 3 && pdfResult.spreads === 1, pdfResult.error || JSON.stringify(pdfResult));
+  const pdf = await PDFDocument.load(await fs.readFile(pdfResult.path));
+  assert(pdf.catalog.get(PDFName.of('PageLayout')) === PDFName.of('TwoPageRight'), 'Viewers should show the spread side by side');
+  console.log('✅ PDF:', pdfResult.pageCount, 'pages,', pdfResult.spreads, 'spread');
+
+  const cbzResult = JSON.parse(await createExportTool('cbz', { project, storage }).execute({}));
+  assert(cbzResult.success && cbzResult.pageCount === 2, cbzResult.error || JSON.stringify(cbzResult));
+  const zip = await JSZip.loadAsync(await fs.readFile(cbzResult.path));
+  const double = await sharp(await zip.file('page_002.png').async('nodebuffer')).metadata();
+  const xml = await zip.file('ComicInfo.xml').async('string');
+  assert(double.width === 496 && double.height === 351, `The spread should be one double-width image: ${double.width}x${double.height}`);
+  assert(xml.includes('<Page Image="1" Type="Story" DoublePage="true"'), 'ComicInfo marks the double page');
+  console.log('✅ CBZ:', cbzResult.files.join(', '));
+}
+
+async function testSpreads() {
+  testSpreadGeometry();
+  testPanelDimensions();
+
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-spreads-'));
+  const store = new ProjectStore(path.join(rootDir, 'projects'));
+  try {
+    const project = await store.open((await store.create('Spreads')).id);
+    await testSpreadSelection(project);
+    await testComposeSpread(project);
+    await testSpreadExports(project, rootDir);
+  } finally {
+    await fs.remove(rootDir);
+  }
+}
+
+testSpreads().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
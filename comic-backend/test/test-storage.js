@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { LocalStorage, resolveInside } from '../src/providers/localStorage.js';
+import { createStorage } from '../src/providers/storageProviders.js';
+
+async function testStorage() {
+  console.log('🧪 Testing local storage provider (no network)...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'comic-storage-'));
+  try {
+    const storage = createStorage('local', { dir, baseUrl: 'http://localhost:8000/outputs' });
+    if (!(storage instanceof LocalStorage)) {
+      throw new Error('createStorage("local") should return a LocalStorage');
+    }
+
+    const buffer = await sharp({ create: { width: 64, height: 96, channels: 3, background: '#3a7' } }).png().toBuffer();
+    const saved = await storage.save(buffer, { folder: 'comic/projects/demo/pages', publicId: 'page_1', format: 'png' });
+    console.log('✅ Saved:', saved.url);
+
+    if (saved.url !== 'http://localhost:8000/outputs/comic/projects/demo/pages/page_1.png') {
+      throw new Error(`Unexpected URL: ${saved.url}`);
+    }
+    const written = await fs.readFile(saved.path);
+    if (!written.equals(buffer)) {
+      throw new Error('Stored file differs from the buffer');
+    }
+    console.log('✅ File written:', path.relative(dir, saved.path));
+
+    if (resolveInside('../../etc/passwd', dir) !== null || resolveInside('comic/../page.png', dir) === null) {
+      throw new Error('resolveInside should reject paths outside the root only');
+    }
+    const escaped = await storage.save(buffer, { folder: '../escape', publicId: 'x', format: 'png' }).catch(error => error);
+    if (!(escaped instanceof Error)) {
+      throw new Error('Writing outside the storage dir should fail');
+    }
+    console.log('✅ Path traversal rejected:', escaped.message);
+
+    try {
+      createStorage('s3');
+      throw new Error('Unknown provider should be rejected');
+    } catch (error) {
+      console.log('✅ Unknown provider rejected:', error.message);
+    }
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+testStorage().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import { DialoguePlacementVisionLangChainTool } from '../src/tools/dialogue-placement-vision-langchain.js';
+import { bubbleSize } from '../src/utils/bubbleShapes.js';
+import { TEXT_FIT_DEFAULTS, fitText, hyphenate, placementSpace } from '../src/utils/textFit.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Monospaced stand-in for ctx.measureText: 0.55em per character
+const measure = (text, fontSize) => text.length * fontSize * 0.55;
+const speech = space => ({
+  ...TEXT_FIT_DEFAULTS.speech,
+  maxWidth: space.width,
+  maxHeight: space.height,
+  sizeOf: (width, height) => bubbleSize('speech', width, height),
+});
+const LINE = 'You said it was cargo. Why does it breathe, and why is it looking at me?';
+
+function testFontSizes() {
+  console.log('🧪 Testing font sizes...');
+
+  const roomy = fitText(LINE, speech({ width: 700, height: 500 }), measure);
+  const tight = fitText(LINE, speech({ width: 420, height: 300 }), measure);
+  assert(roomy.fits && tight.fits, 'Both spaces hold the line');
+  assert(roomy.fontSize === TEXT_FIT_DEFAULTS.speech.maxFontSize, `Roomy space: largest size, got ${roomy.fontSize}`);
+  assert(tight.fontSize < roomy.fontSize && tight.fontSize >= TEXT_FIT_DEFAULTS.speech.minFontSize, 'Tight space: smaller size');
+  assert(tight.width <= 420 && tight.height <= 300, `The bubble fits: ${tight.width}x${tight.height}`);
+  assert(tight.lines.join(' ') === LINE, 'No words lost');
+
+  const short = fitText('No.', speech({ width: 700, height: 500 }), measure);
+  assert(short.fits && short.lines.length === 1 && short.fontSize === 44, 'Short lines are set large on one line');
+  console.log('✅ Sizes:', `${roomy.fontSize}px in 700x500, ${tight.fontSize}px in 420x300`);
+}
+
+function testLozenge() {
+  console.log('🧪 Testing balanced lines...');
+
+  const fit = fitText(LINE, speech({ width: 700, height: 500 }), measure);
+  const widths = fit.lines.map(line => measure(line, fit.fontSize));
+  const middle = Math.max(...widths.slice(1, -1));
+  assert(fit.lines.length >= 3, `Expected a multi-line lozenge: ${JSON.stringify(fit.lines)}`);
+  assert(widths[0] < middle && widths[widths.length - 1] <= middle, `Middle lines are the widest: ${JSON.stringify(fit.lines)}`);
+
+  // A caption is an even block on as few lines as fit
+  const caption = fitText(
+    'On a forgotten planet at the edge of known space, two unlikely allies search for a relic.',
+    { ...TEXT_FIT_DEFAULTS.narration, maxWidth: 800, maxHeight: 400 },
+    measure
+  );
+  const captionWidths = caption.lines.map(line => measure(line, caption.fontSize));
+  assert(caption.fits && Math.max(...captionWidths) - Math.min(...captionWidths) < caption.fontSize * 4, 'Even caption lines');
+  console.log('✅ Lozenge:', fit.lines.join(' / '));
+}
+
+function testHyphenation() {
+  console.log('🧪 Testing hyphenation...');
+
+  const parts = hyphenate('Supercalifragilistic', 200, measure, 36);
+  assert(parts.length > 1 && parts.slice(0, -1).every(part => part.endsWith('-')), JSON.stringify(parts));
+  assert(parts.every(part => measure(part, 36) <= 200), 'Every part fits the line');
+  assert(parts.join('').replace(/-/g, '') === 'Supercalifragilistic', 'No letters lost');
+  assert(hyphenate('short', 200, measure, 36).length === 1, 'Short words are not split');
+
+  const fit = fitText('Unbelievablyextraordinarily strange', speech({ width: 330, height: 400 }), measure);
+  assert(fit.fits && fit.lines.some(line => line.endsWith('-')), `Long words break across lines: ${JSON.stringify(fit.lines)}`);
+  console.log('✅ Hyphenated:', parts.join(' '));
+}
+
+function testReporting() {
+  console.log('🧪 Testing text that does not fit...');
+
+  const fit = fitText(LINE, speech({ width: 300, height: 150 }), measure);
+  assert(!fit.fits && fit.fontSize === TEXT_FIT_DEFAULTS.speech.minFontSize, 'Set at the minimum size');
+  assert(fit.overflow.height > 0 && fit.shortenBy > 0 && fit.shortenBy < 1, JSON.stringify(fit));
+
+  const tool = new DialoguePlacementVisionLangChainTool();
+  const issue = tool.textFitIssue('panel3', { type: 'speech', speaker: 'char_1', text: LINE }, fit);
+  assert(issue.panelId === 'panel3' && issue.message.includes('shorten it by about'), issue.message);
+  console.log('✅ Reported:', issue.message);
+
+  // The space is cut to the panel edges; titles are centred
+  const frame = { width: 832, height: 1248 };
+  const space = placementSpace({ type: 'speech', position: { x: 600, y: 1100 }, space: { width: 500, height: 400 } }, frame);
+  assert(space.width === 222 && space.height === 138, JSON.stringify(space));
+  const title = placementSpace({ type: 'title', position: { x: 416, y: 30 } }, frame);
+  assert(title.width === 812, JSON.stringify(title));
+}
+
+try {
+  testFontSizes();
+  testLozenge();
+  testHyphenation();
+  testReporting();
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -15,15 +15,123 @@ interface Message {
   isComposedPages?: boolean;
 }
 
+interface ProgressEvent {
+  type: 'tool_started' | 'generation_started' | 'poll_status' | 'upload_finished' | 'failure' | 'tool_finished';
+  tool?: string;
+  kind?: string;
+  id?: string;
+  status?: string;
+  elapsedSeconds?: number;
+  url?: string;
+  error?: string;
+  success?: boolean;
+  timestamp: string;
+}
+
+interface ProgressItem {
+  key: string;
+  label: string;
+  state: 'running' | 'done' | 'failed';
+}
+
+const TOOL_LABELS: Record<string, string> = {
+  select_comic_layout: 'Choosing layout',
+  generate_panels: 'Planning panels',
+  generate_characters: 'Describing characters',
+  generate_dialogue: 'Writing dialogue',
+  generate_leonardo_images: 'Generating images',
+  regenerate_failed_panels: 'Regenerating failed panels',
+  place_dialogue_with_vision: 'Placing speech bubbles',
+  compose_pages: 'Composing pages',
+  edit_panel: 'Editing panel',
+};
+
+// Fold one progress event into the list shown while generating.
+// Each tool and each generated item gets a single row that is updated in place,
+// so repeated poll_status events don't flood the list.
+const applyProgressEvent = (items: ProgressItem[], event: ProgressEvent): ProgressItem[] => {
+  const toolLabel = TOOL_LABELS[event.tool || ''] || event.tool || 'Working';
+  const upsert = (key: string, update: Partial<ProgressItem>, label: string) => {
+    const existing = items.find((item) => item.key === key);
+    if (existing) {
+      return items.map((item) => (item.key === key ? { ...item, ...update } : item));
+    }
+    return [...items, { key, label, state: 'running' as const, ...update }];
+  };
+
+  switch (event.type) {
+    case 'tool_started':
+      return upsert(`tool:${event.tool}`, { state: 'running' }, `${toolLabel}...`);
+    case 'tool_finished':
+      return upsert(
+        `tool:${event.tool}`,
+        { state: event.success === false ? 'failed' : 'done', label: toolLabel },
+        toolLabel
+      );
+    case 'generation_started':
+      return upsert(`item:${event.tool}:${event.id}`, { state: 'running' }, `${event.kind || 'item'} ${event.id}: started`);
+    case 'poll_status':
+      return upsert(
+        `item:${event.tool}:${event.id}`,
+        { label: `${event.id}: ${(event.status || 'pending').toLowerCase()} (${event.elapsedSeconds ?? 0}s)` },
+        `${event.id}: pending`
+      );
+    case 'upload_finished':
+      return upsert(`item:${event.tool}:${event.id}`, { state: 'done', label: `${event.id}: uploaded` }, `${event.id}: uploaded`);
+    case 'failure': {
+      const key = event.id ? `item:${event.tool}:${event.id}` : `tool:${event.tool}`;
+      const label = `${event.id || toolLabel}: ${event.error || 'failed'}`;
+      return upsert(key, { state: 'failed', label }, label);
+    }
+    default:
+      return items;
+  }
+};
+
+// Parse the Server-Sent Events stream from /chat/stream, calling onEvent per event
+const readEventStream = async (
+  response: Response,
+  onEvent: (event: string, data: any) => void
+) => {
+  if (!response.body) throw new Error('Streaming is not supported by this browser');
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      let event = 'message';
+      let data = '';
+      for (const line of chunk.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
 const Chat: React.FC = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const [messages, setMessages] = useState<Message[]>([]);
   const [input, setInput] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
+  const [progress, setProgress] = useState<ProgressItem[]>([]);
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const inputRef = useRef<HTMLTextAreaElement>(null);
   const hasInitialized = useRef(false);
+  // Backend session ID, kept per browser tab so each user gets their own agent state
+  const sessionIdRef = useRef<string | null>(sessionStorage.getItem('comicSessionId'));
 
   useEffect(() => {
     // Prevent double initialization
@@ -41,7 +149,7 @@ const Chat: React.FC = () => {
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [messages, progress]);
 
 
 
@@ -70,6 +178,7 @@ const Chat: React.FC = () => {
     setMessages((prev) => [...prev, userMessage]);
     setInput('');
     setIsGenerating(true);
+    setProgress([]);
 
     // Reset textarea height
     if (inputRef.current) {
@@ -77,11 +186,12 @@ const Chat: React.FC = () => {
     }
 
     try {
-      // Call the backend API
-      const response = await fetch('http://localhost:8000/chat', {
+      // Call the backend API, streaming tool progress while the agent works
+      const response = await fetch('http://localhost:8000/chat/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(sessionIdRef.current ? { 'X-Session-Id': sessionIdRef.current } : {}),
         },
         body: JSON.stringify({ message: text }),
       });
@@ -90,7 +200,25 @@ const Chat: React.FC = () => {
         throw new Error('Failed to get response from server');
       }
 
-      const data = await response.json();
+      let data: any = null;
+      await readEventStream(response, (event, payload) => {
+        if (event === 'progress') {
+          setProgress((prev) => applyProgressEvent(prev, payload as ProgressEvent));
+        } else if (event === 'done') {
+          data = payload;
+        } else if (event === 'error') {
+          throw new Error(payload.error || 'Generation failed');
+        }
+      });
+
+      if (!data) {
+        throw new Error('Connection closed before the response was complete');
+      }
+
+      if (data.sessionId) {
+        sessionIdRef.current = data.sessionId;
+        sessionStorage.setItem('comicSessionId', data.sessionId);
+      }
       
       const assistantMessage: Message = {
         id: (Date.now() + 1).toString(),
@@ -137,6 +265,7 @@ const Chat: React.FC = () => {
       setMessages((prev) => [...prev, errorMessage]);
     } finally {
       setIsGenerating(false);
+      setProgress([]);
       inputRef.current?.focus();
     }
   };
@@ -206,6 +335,24 @@ const Chat: React.FC = () => {
                   </div>
                   <span className="text-sm text-gray-600 dark:text-neutral-400">Generating...</span>
                 </div>
+                {progress.length > 0 && (
+                  <ul className="mt-3 space-y-1">
+                    {progress.map((item) => (
+                      <li key={item.key} className="flex items-center space-x-2 text-xs text-gray-600 dark:text-neutral-400">
+                        <span
+                          className={`w-2 h-2 rounded-full ${
+                            item.state === 'done'
+                              ? 'bg-green-500'
+                              : item.state === 'failed'
+                                ? 'bg-red-500'
+                                : 'bg-indigo-400 animate-pulse'
+                          }`}
+                        />
+                        <span>{item.label}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             </div>
           )}